@@ -17,18 +17,38 @@ config();
 
 import { McpServer } from "@modelcontextprotocol/sdk/server/mcp.js";
 import { StdioServerTransport } from "@modelcontextprotocol/sdk/server/stdio.js";
-import { getConfig } from "./src/config.js";
-import postmark from "postmark";
+import { getConfig, getTransportConfig } from "./src/config.js";
 import { registerTools } from "./src/tools/registerTools.js";
+import { withStructuredErrors } from "./src/tools/outputSchemas.js";
 export { registerTools } from "./src/tools/registerTools.js";
 export { listTemplateCategories, listTemplatesInCategory, getTemplateContent, getTemplateIdeas } from "./src/helpers/templates.js";
 import { listTemplateCategories as listTemplateCategoriesImpl, listTemplatesInCategory as listTemplatesInCategoryImpl, getTemplateContent as getTemplateContentImpl, getTemplateIdeas as getTemplateIdeasImpl } from "./src/helpers/templates.js";
 import { logger } from "./src/logger.js";
+import { createServerClient } from "./src/postmarkApi.js";
+import { createProfileRegistry } from "./src/profiles.js";
+import { startHttpTransport } from "./src/httpTransport.js";
+import { startScheduleWorker } from "./src/scheduler.js";
+import { startWebhookServer } from "./src/webhookServer.js";
+import { registerTemplateResources, watchTemplatesDirectory } from "./src/templateResources.js";
 
 // Postmark configuration will be resolved during initialization to avoid side effects on import
 
-// Initialize Postmark client and MCP server
-export async function initializeServices() {
+// Create an MCP server instance (one per stdio process, or one per HTTP session)
+export function createMcpServer() {
+  return withStructuredErrors(
+    new McpServer({
+      name: "postmark-mcp",
+      version: "1.0.0",
+    })
+  );
+}
+
+/**
+ * Validates the configuration and the Postmark clients of every server profile, and creates the MCP server.
+ * @param {{createServer?: boolean}} [options] `createServer: false` skips the MCP server, e.g. in HTTP mode,
+ * where every session creates its own through createMcpServer
+ */
+export async function initializeServices({ createServer = true } = {}) {
   try {
     const cfg = getConfig();
     // Validate required environment variables
@@ -48,20 +68,34 @@ export async function initializeServices() {
     console.error("Initializing Postmark MCP server (Official SDK)...");
     console.error("Default sender:", cfg.emailDefaults.defaultSender);
     console.error("Message stream:", cfg.emailDefaults.defaultMessageStream);
+    if (cfg.profiles.length > 1) {
+      console.error("Server profiles:", cfg.profiles.map((p) => p.name).join(", "), `(default: ${cfg.defaultProfile})`);
+    }
 
-    // Initialize Postmark client
-    const client = new postmark.ServerClient(cfg.postmark.serverToken);
+    // Initialize one Postmark client per server profile
+    const profiles = createProfileRegistry(
+      cfg.profiles.map((profile) => ({ ...profile, client: createServerClient(profile.serverToken) })),
+      cfg.defaultProfile
+    );
 
-    // Verify Postmark client by making a test API call
-    await client.getServer();
+    // Verify each Postmark client by making a test API call (skipped in sandbox mode, which needs no network)
+    if (cfg.sandbox.enabled) {
+      console.error("Sandbox mode: sends are captured in", cfg.sandbox.outboxPath);
+    } else {
+      await Promise.all(
+        profiles.list().map((profile) =>
+          profile.client.getServer().catch((error) => {
+            if (cfg.profiles.length > 1) error.message = `[${profile.name}] ${error.message}`;
+            throw error;
+          })
+        )
+      );
+    }
 
     // Create MCP server
-    const mcpServer = new McpServer({
-      name: "postmark-mcp",
-      version: "1.0.0",
-    });
+    const mcpServer = createServer ? createMcpServer() : undefined;
 
-    return { postmarkClient: client, mcpServer };
+    return { postmarkClient: profiles.resolve().client, mcpServer, profiles };
   } catch (error) {
     if (error.code || error.message) {
       throw new Error(
@@ -77,20 +111,52 @@ export async function initializeServices() {
 // Start the server
 export async function main() {
   try {
-    const { postmarkClient, mcpServer: server } = await initializeServices();
+    const { postmarkClient, mcpServer, profiles } = await initializeServices({ createServer: getTransportConfig().mode !== "http" });
+    const { transport: transportConfig, webhooks, templatesBasePath, schedule } = getConfig();
+    // Template resources tell clients when the local templates directory changes
+    const templatesWatcher = watchTemplatesDirectory(templatesBasePath);
 
-    // Register tools with validated client
-    registerTools(server, postmarkClient);
+    let server;
+    if (transportConfig.mode === "http") {
+      // Every HTTP session gets its own MCP server; all of them share the validated Postmark clients
+      console.error("Starting MCP HTTP transport...");
+      server = await startHttpTransport({
+        ...transportConfig,
+        createMcpServer: () => {
+          const sessionServer = createMcpServer();
+          registerTools(sessionServer, postmarkClient, profiles);
+          registerTemplateResources(sessionServer, postmarkClient, { watcher: templatesWatcher });
+          return sessionServer;
+        },
+      });
+      console.error(`MCP Streamable HTTP endpoint: http://${transportConfig.host}:${server.port}/mcp (SSE fallback: /sse)`);
+    } else {
+      // Register tools with validated client
+      registerTools(mcpServer, postmarkClient, profiles);
+      registerTemplateResources(mcpServer, postmarkClient, { watcher: templatesWatcher });
 
-    console.error("Connecting to MCP transport...");
-    const transport = new StdioServerTransport();
-    await server.connect(transport);
+      console.error("Connecting to MCP transport...");
+      const transport = new StdioServerTransport();
+      await mcpServer.connect(transport);
+      server = mcpServer;
+    }
     globalThis.__mcpServer = server;
     console.error("Postmark MCP server is running and ready!");
 
+    // Delivers emails queued with scheduleEmail, including any that fell due while the server was down
+    const scheduleWorker = startScheduleWorker({ profiles, ...schedule });
+    const resources = [templatesWatcher, scheduleWorker];
+
+    // Optional embedded webhook receiver
+    if (webhooks.enabled) {
+      const webhookServer = await startWebhookServer(webhooks);
+      resources.push(webhookServer);
+      console.error(`Webhook receiver listening on ${webhooks.host}:${webhookServer.port}`);
+    }
+
     // Setup graceful shutdown
-    process.on("SIGTERM", () => handleShutdown(server));
-    process.on("SIGINT", () => handleShutdown(server));
+    process.on("SIGTERM", () => handleShutdown(server, resources));
+    process.on("SIGINT", () => handleShutdown(server, resources));
   } catch (error) {
     console.error("Server initialization failed:", error.message);
     process.exit(1);
@@ -98,10 +164,17 @@ export async function main() {
 }
 
 // Graceful shutdown handler
-export async function handleShutdown(server) {
+/**
+ * Closes the MCP server (or HTTP transport with all of its sessions and its idle-session sweep) and
+ * any auxiliary resources such as the webhook receiver and the scheduled email worker.
+ * @param {{close: () => Promise<void>}} server
+ * @param {Array<{close: () => Promise<void>}>} [resources]
+ */
+export async function handleShutdown(server, resources = []) {
   console.error("Shutting down server...");
   try {
-    await server.disconnect();
+    for (const resource of resources) await resource.close();
+    await server.close();
     globalThis.__mcpServer = undefined;
     console.error("Server shutdown complete");
     process.exit(0);
@@ -182,14 +255,15 @@ export async function getTemplateContent(
 }
 
 /**
- * Searches across all template categories and names to find templates matching a given topic.
+ * Searches template names, subjects, content and meta.json details, returning ranked matches with snippets.
  * @param {string} templatesBasePath The absolute path to the root templates folder.
  * @param {string} topic The topic to search for.
- * @returns {Promise<{ok: boolean, ideas?: Array<{category: string, template: string}>, code?: string, message?: string}>}
+ * @param {{limit?: number, serverTemplates?: Array<object>}} [options] Result limit and server templates to search too.
+ * @returns {Promise<{ok: boolean, ideas?: Array<{source: string, category?: string, template: string, score: number, snippet?: string}>, total?: number, code?: string, message?: string}>}
  */
-export async function getTemplateIdeas(templatesBasePath, topic) {
+export async function getTemplateIdeas(templatesBasePath, topic, options) {
   try {
-    return await getTemplateIdeasImpl(templatesBasePath, topic);
+    return await getTemplateIdeasImpl(templatesBasePath, topic, options);
   } catch (error) {
     logger.error("An error occurred while searching for template ideas", {
       topic,
@@ -234,9 +308,9 @@ async function handleGlobalError(errorOrReason, eventType) {
       ...errorDetails,
     });
 
-    if (globalThis.__mcpServer && typeof globalThis.__mcpServer.disconnect === "function") {
+    if (globalThis.__mcpServer && typeof globalThis.__mcpServer.close === "function") {
       try {
-        await globalThis.__mcpServer.disconnect();
+        await globalThis.__mcpServer.close();
         logger.warn("Server disconnected from global error handler");
       } catch (shutdownError) {
         logger.error("Failed to disconnect server during global error handling", {
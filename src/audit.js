@@ -0,0 +1,98 @@
+import { AsyncLocalStorage } from "async_hooks";
+import { getAuditLogConfig } from "./config.js";
+import { listEmails } from "./helpers/addresses.js";
+import { appendAuditEntry, redactArguments } from "./helpers/auditStore.js";
+import { logger } from "./logger.js";
+import { getActiveProfile } from "./profiles.js";
+
+// Tools that change state in Postmark (or the local outbox) and are recorded in the audit log
+export const AUDITED_TOOLS = new Set([
+  "sendEmail",
+  "sendEmailWithTemplate",
+  "sendEmailBatch",
+  "sendEmailBatchWithTemplate",
+  "createTemplate",
+  "updateTemplate",
+  "deleteTemplate",
+  "executeTemplatePush",
+  "syncLocalTemplates",
+  "reactivateBounce",
+  "addSuppressions",
+  "removeSuppressions",
+  "clearOutbox",
+  "scheduleEmail",
+  "cancelScheduledEmail",
+  "createMessageStream",
+  "editMessageStream",
+  "archiveMessageStream",
+  "unarchiveMessageStream",
+  "verifyDomain",
+  "resendSenderConfirmation",
+]);
+
+// Calls of audited tools that change nothing, such as sync dry runs (the default), are not logged
+const UNAUDITED_CALLS = {
+  syncLocalTemplates: (args) => args.dryRun !== false,
+};
+
+// Audit entry of the tool call currently being handled
+const currentEntry = new AsyncLocalStorage();
+
+/**
+ * Adds result identifiers (MessageIDs, template IDs, ...) to the audit entry of the current tool call.
+ * @param {object} fields
+ */
+export function recordAuditResult(fields) {
+  const entry = currentEntry.getStore();
+  if (entry) Object.assign(entry.result, fields);
+}
+
+function auditRecipients(args) {
+  const messages = Array.isArray(args.messages) ? args.messages : [args.email || args.templateEmail || args];
+  const emails = messages.flatMap((m) => [m.to, m.cc, m.bcc].flatMap(listEmails));
+  if (Array.isArray(args.emailAddresses)) emails.push(...args.emailAddresses.map((e) => e.toLowerCase()));
+  return [...new Set(emails)];
+}
+
+/**
+ * Runs one mutating operation and appends its audit entry, whether it succeeds or fails.
+ * Used for tool calls and for work done on their behalf later, such as scheduled sends.
+ * @param {string} name Tool name recorded in the entry
+ * @param {object} args Tool arguments (redacted before they are stored)
+ * @param {() => Promise<any>} run
+ * @param {object} [fields] Additional entry fields, e.g. the scheduled email ID
+ */
+export async function auditCall(name, args, run, fields = {}) {
+  const entry = { timestamp: new Date().toISOString(), tool: name, server: getActiveProfile()?.name, ...fields, arguments: redactArguments(args), recipients: auditRecipients(args), result: {} };
+  const started = Date.now();
+  try {
+    const response = await currentEntry.run(entry, run);
+    entry.ok = true;
+    return response;
+  } catch (error) {
+    entry.ok = false;
+    entry.error = String(error?.message || error);
+    throw error;
+  } finally {
+    entry.durationMs = Date.now() - started;
+    const audit = getAuditLogConfig();
+    if (audit.enabled) {
+      await appendAuditEntry(audit.path, entry).catch((error) => logger.error("Failed to write audit log entry", { tool: name, message: error?.message }));
+    }
+  }
+}
+
+/**
+ * Wraps a tool registrar so calls to mutating tools append an entry to the audit log,
+ * whether they succeed or fail. Other tools, and calls that change nothing, run unchanged.
+ * @param {{tool: Function}} server
+ */
+export function withAuditLog(server) {
+  return {
+    ...server,
+    tool(name, schema, handler) {
+      if (!AUDITED_TOOLS.has(name)) return server.tool(name, schema, handler);
+      return server.tool(name, schema, (args, extra) => (UNAUDITED_CALLS[name]?.(args) ? handler(args, extra) : auditCall(name, args, () => handler(args, extra))));
+    },
+  };
+}
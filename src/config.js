@@ -1,4 +1,5 @@
-import { join } from 'path';
+import { homedir } from 'os';
+import { join, resolve } from 'path';
 
 function getEnv(name, options = { required: false, fallback: undefined }) {
   const value = process.env[name];
@@ -14,24 +15,273 @@ export function getTemplatesBasePath() {
   return override || join(process.cwd(), 'postmark-templates', 'templates-inlined');
 }
 
+/**
+ * Directory for the files the server keeps: the webhook event store, sandbox outbox, scheduled email
+ * queue and audit log. POSTMARK_DATA_DIR, or else the per-user state directory of the OS, so the
+ * files never depend on the directory the MCP client starts the server in.
+ */
+export function getDataDir() {
+  const override = getEnv('POSTMARK_DATA_DIR');
+  if (override) return resolve(override);
+  if (process.platform === 'win32') return join(getEnv('LOCALAPPDATA') || join(homedir(), 'AppData', 'Local'), 'postmark-mcp');
+  if (process.platform === 'darwin') return join(homedir(), 'Library', 'Application Support', 'postmark-mcp');
+  return join(getEnv('XDG_STATE_HOME') || join(homedir(), '.local', 'state'), 'postmark-mcp');
+}
+
+// A file or directory setting; relative values and the default name resolve against the data directory
+function getDataPathEnv(name, defaultName) {
+  const value = getEnv(name);
+  if (value === undefined) return defaultName && join(getDataDir(), defaultName);
+  return resolve(getDataDir(), value);
+}
+
+export function getAttachmentsBasePath() {
+  return getDataPathEnv('POSTMARK_ATTACHMENTS_PATH');
+}
+
+export function getWebhookConfig() {
+  const portValue = getEnv('POSTMARK_WEBHOOK_PORT');
+  const port = portValue !== undefined ? Number(portValue) : undefined;
+  if (port !== undefined && (!Number.isInteger(port) || port < 0 || port > 65535)) {
+    throw new Error(`Invalid POSTMARK_WEBHOOK_PORT: ${portValue}`);
+  }
+  const username = getEnv('POSTMARK_WEBHOOK_USERNAME');
+  const password = getEnv('POSTMARK_WEBHOOK_PASSWORD');
+  if (port !== undefined && (!username || !password)) {
+    throw new Error('POSTMARK_WEBHOOK_USERNAME and POSTMARK_WEBHOOK_PASSWORD are required when POSTMARK_WEBHOOK_PORT is set');
+  }
+  return {
+    enabled: port !== undefined,
+    port,
+    host: getEnv('POSTMARK_WEBHOOK_HOST', { fallback: '127.0.0.1' }),
+    username,
+    password,
+    storePath: getDataPathEnv('POSTMARK_WEBHOOK_STORE', 'events.jsonl'),
+  };
+}
+
+function getBooleanEnv(name) {
+  return ['1', 'true', 'yes', 'on'].includes((getEnv(name) || '').toLowerCase());
+}
+
+function getListEnv(name) {
+  return (getEnv(name) || '')
+    .split(',')
+    .map((item) => item.trim().toLowerCase())
+    .filter(Boolean);
+}
+
+function getLimitEnv(name) {
+  const value = getEnv(name);
+  if (value === undefined) return undefined;
+  const limit = Number(value);
+  if (!Number.isInteger(limit) || limit < 1) {
+    throw new Error(`Invalid ${name}: ${value} (expected a positive integer)`);
+  }
+  return limit;
+}
+
+export function getSandboxConfig() {
+  return {
+    enabled: getBooleanEnv('POSTMARK_SANDBOX'),
+    outboxPath: getDataPathEnv('POSTMARK_OUTBOX_PATH', 'outbox'),
+  };
+}
+
+/**
+ * Queue of emails scheduled with scheduleEmail and how often the worker checks it for due items.
+ */
+export function getScheduleConfig() {
+  return {
+    queuePath: getDataPathEnv('POSTMARK_SCHEDULE_PATH', 'scheduled'),
+    pollIntervalMs: getLimitEnv('POSTMARK_SCHEDULE_POLL_MS') ?? 15000,
+  };
+}
+
+/**
+ * Audit log of mutating tool calls; off unless POSTMARK_AUDIT_LOG names the file to write (relative
+ * to the data directory), because entries include recipients. `off` (and the other false values) also disables it.
+ */
+export function getAuditLogConfig() {
+  const value = getEnv('POSTMARK_AUDIT_LOG');
+  if (!value || ['off', 'false', '0', 'none'].includes(value.toLowerCase())) {
+    return { enabled: false, path: undefined };
+  }
+  if (['on', 'true', '1', 'yes'].includes(value.toLowerCase())) {
+    throw new Error(`Invalid POSTMARK_AUDIT_LOG: ${value} (expected the path of the audit log file)`);
+  }
+  return { enabled: true, path: resolve(getDataDir(), value) };
+}
+
+/**
+ * Sending guardrails applied to every send tool. Recipient entries are either full addresses
+ * or domains (a domain also covers its subdomains). Unset limits are not enforced.
+ */
+export function getSendPolicyConfig() {
+  const internalOnly = getBooleanEnv('POSTMARK_INTERNAL_ONLY');
+  const internalDomains = getListEnv('POSTMARK_INTERNAL_DOMAINS');
+  if (internalOnly && internalDomains.length === 0) {
+    throw new Error('POSTMARK_INTERNAL_DOMAINS is required when POSTMARK_INTERNAL_ONLY is enabled');
+  }
+  return {
+    allowedRecipients: getListEnv('POSTMARK_ALLOWED_RECIPIENTS'),
+    blockedRecipients: getListEnv('POSTMARK_BLOCKED_RECIPIENTS'),
+    maxRecipientsPerCall: getLimitEnv('POSTMARK_MAX_RECIPIENTS_PER_CALL'),
+    sessionQuota: getLimitEnv('POSTMARK_SESSION_SEND_QUOTA'),
+    hourlyQuota: getLimitEnv('POSTMARK_HOURLY_SEND_QUOTA'),
+    internalOnly,
+    internalDomains,
+  };
+}
+
+function getNonNegativeIntEnv(name, fallback) {
+  const value = getEnv(name);
+  if (value === undefined) return fallback;
+  const number = Number(value);
+  if (!Number.isInteger(number) || number < 0) {
+    throw new Error(`Invalid ${name}: ${value} (expected a non-negative integer)`);
+  }
+  return number;
+}
+
+/**
+ * Postmark API access shared by every tool. POSTMARK_API_URL points the server at a local
+ * stand-in for the Postmark API (e.g. http://localhost:4010) instead of api.postmarkapp.com.
+ */
+export function getApiConfig() {
+  const baseUrl = getEnv('POSTMARK_API_URL', { fallback: 'https://api.postmarkapp.com' }).replace(/\/+$/, '');
+  let url;
+  try {
+    url = new URL(baseUrl);
+  } catch {
+    throw new Error(`Invalid POSTMARK_API_URL: ${baseUrl}`);
+  }
+  if (url.protocol !== 'https:' && url.protocol !== 'http:') {
+    throw new Error(`Invalid POSTMARK_API_URL: ${baseUrl} (expected an http or https URL)`);
+  }
+  return {
+    baseUrl,
+    timeoutMs: getLimitEnv('POSTMARK_API_TIMEOUT_MS') ?? 30000,
+    maxRetries: getNonNegativeIntEnv('POSTMARK_API_MAX_RETRIES', 2),
+    // Account-level API; the send tools' sender check needs it and warns when it is missing
+    accountToken: getEnv('POSTMARK_ACCOUNT_TOKEN'),
+  };
+}
+
+function getFlag(argv, name) {
+  const prefix = `--${name}=`;
+  const inline = argv.find((arg) => arg.startsWith(prefix));
+  if (inline) return inline.slice(prefix.length);
+  const index = argv.indexOf(`--${name}`);
+  return index !== -1 ? argv[index + 1] : undefined;
+}
+
+export function getTransportConfig(argv = process.argv.slice(2)) {
+  const mode = (getFlag(argv, 'transport') || getEnv('MCP_TRANSPORT', { fallback: 'stdio' })).toLowerCase();
+  if (mode !== 'stdio' && mode !== 'http') {
+    throw new Error(`Invalid transport: ${mode} (expected 'stdio' or 'http')`);
+  }
+  const portValue = getFlag(argv, 'port') || getEnv('MCP_HTTP_PORT', { fallback: '3000' });
+  const port = Number(portValue);
+  if (!Number.isInteger(port) || port < 0 || port > 65535) {
+    throw new Error(`Invalid MCP HTTP port: ${portValue}`);
+  }
+  const token = getEnv('MCP_HTTP_TOKEN');
+  if (mode === 'http' && !token) {
+    throw new Error('MCP_HTTP_TOKEN is required when the HTTP transport is enabled');
+  }
+  return {
+    mode,
+    host: getFlag(argv, 'host') || getEnv('MCP_HTTP_HOST', { fallback: '127.0.0.1' }),
+    port,
+    token,
+    // HTTP sessions without a request for this long are closed
+    sessionIdleMs: getLimitEnv('MCP_HTTP_SESSION_IDLE_MS') ?? 30 * 60 * 1000,
+  };
+}
+
+function profileEnvName(profile, key) {
+  return `POSTMARK_PROFILE_${profile.toUpperCase().replace(/[^A-Z0-9]/g, '_')}_${key}`;
+}
+
+// Per-profile value, falling back to the global variable of the same name
+function getProfileEnv(profile, key) {
+  const value = getEnv(profileEnvName(profile, key)) || getEnv(key);
+  if (!value) throw new Error(`Missing required environment variable: ${profileEnvName(profile, key)} (or ${key})`);
+  return value;
+}
+
+/**
+ * Resolves the named Postmark server profiles. Without POSTMARK_PROFILES a single
+ * "default" profile is built from POSTMARK_SERVER_TOKEN, DEFAULT_SENDER_EMAIL and DEFAULT_MESSAGE_STREAM.
+ */
+export function getProfilesConfig() {
+  const names = (getEnv('POSTMARK_PROFILES') || '')
+    .split(',')
+    .map((name) => name.trim())
+    .filter(Boolean);
+
+  if (names.length === 0) {
+    return {
+      defaultProfile: 'default',
+      profiles: [
+        {
+          name: 'default',
+          serverToken: getEnv('POSTMARK_SERVER_TOKEN', { required: true }),
+          defaultSender: getEnv('DEFAULT_SENDER_EMAIL', { required: true }),
+          defaultMessageStream: getEnv('DEFAULT_MESSAGE_STREAM', { required: true }),
+        },
+      ],
+    };
+  }
+
+  if (new Set(names).size !== names.length) {
+    throw new Error('POSTMARK_PROFILES contains duplicate profile names');
+  }
+  const profiles = names.map((name) => ({
+    name,
+    serverToken: getEnv(profileEnvName(name, 'SERVER_TOKEN'), { required: true }),
+    defaultSender: getProfileEnv(name, 'DEFAULT_SENDER_EMAIL'),
+    defaultMessageStream: getProfileEnv(name, 'DEFAULT_MESSAGE_STREAM'),
+  }));
+  const defaultProfile = getEnv('POSTMARK_DEFAULT_PROFILE', { fallback: names[0] });
+  if (!names.includes(defaultProfile)) {
+    throw new Error(`POSTMARK_DEFAULT_PROFILE '${defaultProfile}' is not listed in POSTMARK_PROFILES`);
+  }
+  return { defaultProfile, profiles };
+}
+
 export function getConfig() {
-  const serverToken = getEnv('POSTMARK_SERVER_TOKEN', { required: true });
-  const defaultSender = getEnv('DEFAULT_SENDER_EMAIL', { required: true });
-  const defaultMessageStream = getEnv('DEFAULT_MESSAGE_STREAM', { required: true });
-  const accountToken = getEnv('POSTMARK_ACCOUNT_TOKEN', { required: false });
+  const { defaultProfile, profiles } = getProfilesConfig();
+  const { serverToken, defaultSender, defaultMessageStream } = profiles.find((p) => p.name === defaultProfile);
+  const api = getApiConfig();
   const templatesBasePath = getTemplatesBasePath();
+  const webhooks = getWebhookConfig();
+  const transport = getTransportConfig();
+  const sandbox = getSandboxConfig();
+  const schedule = getScheduleConfig();
+  const sendPolicy = getSendPolicyConfig();
+  const auditLog = getAuditLogConfig();
 
   return {
     postmark: {
       serverToken,
-      accountToken,
+      accountToken: api.accountToken,
     },
+    api,
     emailDefaults: {
       defaultSender,
       defaultMessageStream,
     },
+    profiles,
+    defaultProfile,
+    dataDir: getDataDir(),
     templatesBasePath,
+    webhooks,
+    transport,
+    sandbox,
+    schedule,
+    sendPolicy,
+    auditLog,
   };
 }
-
-
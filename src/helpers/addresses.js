@@ -0,0 +1,53 @@
+import { z } from "zod";
+
+// Postmark accepts at most 50 recipients per message across To, Cc and Bcc.
+export const MAX_RECIPIENTS = 50;
+
+const emailSchema = z.string().email();
+
+/**
+ * Parses `addr@example.com`, `Name <addr@example.com>` or `"Last, First" <addr@example.com>`.
+ * @param {string} input
+ * @returns {{name?: string, email: string} | null} null when the address is not valid
+ */
+export function parseAddress(input) {
+  const value = String(input ?? "").trim();
+  const match = value.match(/^(.*?)\s*<([^<>]+)>$/);
+  const email = (match ? match[2] : value).trim();
+  if (!emailSchema.safeParse(email).success) return null;
+  const name = match ? match[1].trim().replace(/^"(.*)"$/, "$1").replace(/\\(["\\])/g, "$1") : "";
+  return name ? { name, email } : { email };
+}
+
+export function formatAddress({ name, email }) {
+  if (!name) return email;
+  return /[",;:<>@()[\]\\.]/.test(name) ? `"${name.replace(/(["\\])/g, "\\$1")}" <${email}>` : `${name} <${email}>`;
+}
+
+/**
+ * Normalizes one address or a list of addresses into Postmark's comma-separated header format.
+ * @param {string|string[]|undefined} value
+ * @returns {{ok: boolean, value?: string, count?: number, code?: string, message?: string}}
+ */
+export function toAddressList(value) {
+  if (value === undefined || value === null) return { ok: true, value: undefined, count: 0 };
+  const items = Array.isArray(value) ? value : [value];
+  const parsed = [];
+  for (const item of items) {
+    const address = parseAddress(item);
+    if (!address) return { ok: false, code: "INVALID_ADDRESS", message: `Invalid email address: ${item}` };
+    parsed.push(address);
+  }
+  return { ok: true, value: parsed.length ? parsed.map(formatAddress).join(", ") : undefined, count: parsed.length };
+}
+
+/**
+ * Extracts the bare email addresses from a value accepted by toAddressList.
+ * @param {string|string[]|undefined} value
+ * @returns {string[]}
+ */
+export function listEmails(value) {
+  if (value === undefined || value === null) return [];
+  const items = Array.isArray(value) ? value : String(value).split(/,(?=(?:[^"]*"[^"]*")*[^"]*$)/);
+  return items.map(parseAddress).filter(Boolean).map((a) => a.email.toLowerCase());
+}
@@ -0,0 +1,130 @@
+import { basename, extname, isAbsolute, relative, resolve } from "path";
+import { readFile, realpath, stat } from "fs/promises";
+
+// Postmark rejects messages over 10 MB, attachments included (measured after base64 encoding).
+export const MAX_MESSAGE_BYTES = 10 * 1024 * 1024;
+
+// https://postmarkapp.com/developer/user-guide/send-email-with-api/send-with-attachments
+export const FORBIDDEN_EXTENSIONS = [
+  "vbs", "exe", "bin", "bat", "chm", "com", "cpl", "crt", "hlp", "hta", "inf", "ins", "isp", "jse", "lnk", "mdb",
+  "pcd", "pif", "reg", "scr", "sct", "shs", "vbe", "vba", "wsf", "wsh", "wsl", "msc", "msi", "msp", "mst",
+];
+
+const MIME_TYPES = {
+  txt: "text/plain",
+  csv: "text/csv",
+  htm: "text/html",
+  html: "text/html",
+  ics: "text/calendar",
+  md: "text/markdown",
+  xml: "application/xml",
+  json: "application/json",
+  pdf: "application/pdf",
+  zip: "application/zip",
+  gz: "application/gzip",
+  doc: "application/msword",
+  docx: "application/vnd.openxmlformats-officedocument.wordprocessingml.document",
+  xls: "application/vnd.ms-excel",
+  xlsx: "application/vnd.openxmlformats-officedocument.spreadsheetml.sheet",
+  ppt: "application/vnd.ms-powerpoint",
+  pptx: "application/vnd.openxmlformats-officedocument.presentationml.presentation",
+  png: "image/png",
+  jpg: "image/jpeg",
+  jpeg: "image/jpeg",
+  gif: "image/gif",
+  webp: "image/webp",
+  svg: "image/svg+xml",
+  bmp: "image/bmp",
+  ico: "image/x-icon",
+};
+
+const BASE64_PATTERN = /^[A-Za-z0-9+/]*={0,2}$/;
+
+export function detectContentType(fileName) {
+  const ext = extname(fileName).slice(1).toLowerCase();
+  return MIME_TYPES[ext] || "application/octet-stream";
+}
+
+export function normalizeContentId(contentId) {
+  return contentId.startsWith("cid:") ? contentId : `cid:${contentId}`;
+}
+
+async function loadContent(attachment, basePath, maxBytes) {
+  if (attachment.path) {
+    // File paths could otherwise read anything the process can, so they need a configured directory
+    if (!basePath) {
+      return { ok: false, code: "PATH_NOT_ALLOWED", message: `Attachment file paths are disabled; set POSTMARK_ATTACHMENTS_PATH to the directory they may be read from (${attachment.path})` };
+    }
+    const outside = { ok: false, code: "OUTSIDE_BASE_PATH", message: `Attachment path is outside the allowed directory: ${attachment.path}` };
+    const isInside = (base, target) => {
+      const rel = relative(base, target);
+      return !(rel.startsWith("..") || isAbsolute(rel));
+    };
+    if (!isInside(resolve(basePath), resolve(basePath, attachment.path))) return outside;
+    try {
+      // Symlinks inside the directory must not lead out of it
+      const filePath = await realpath(resolve(basePath, attachment.path));
+      if (!isInside(await realpath(basePath), filePath)) return outside;
+      const info = await stat(filePath);
+      if (!info.isFile()) {
+        return { ok: false, code: "NOT_A_FILE", message: `Attachment path is not a regular file: ${attachment.path}` };
+      }
+      if (Math.ceil(info.size / 3) * 4 > maxBytes) {
+        return { ok: false, code: "TOO_LARGE", message: `Attachment file ${attachment.path} (${(info.size / 1024 / 1024).toFixed(2)} MB) would take the message over Postmark's 10 MB limit (attachments are counted after base64 encoding)` };
+      }
+      const buffer = await readFile(filePath);
+      return { ok: true, content: buffer.toString("base64"), defaultName: basename(filePath) };
+    } catch (error) {
+      return { ok: false, code: "NOT_FOUND", message: `Attachment file could not be read: ${attachment.path} (${error?.code || error?.message})` };
+    }
+  }
+  if (attachment.base64 !== undefined) {
+    const content = attachment.base64.replace(/\s+/g, "");
+    if (content.length % 4 !== 0 || !BASE64_PATTERN.test(content)) {
+      return { ok: false, code: "INVALID_BASE64", message: `Attachment '${attachment.name || "unnamed"}' is not valid base64` };
+    }
+    return { ok: true, content };
+  }
+  if (attachment.content !== undefined) {
+    return { ok: true, content: Buffer.from(attachment.content, "utf8").toString("base64") };
+  }
+  return { ok: false, code: "NO_SOURCE", message: `Attachment '${attachment.name || "unnamed"}' must provide one of path, base64 or content` };
+}
+
+/**
+ * Converts tool attachment inputs into Postmark attachment objects and enforces Postmark's
+ * forbidden-extension and total size rules before anything is sent.
+ * @param {Array<{name?: string, path?: string, base64?: string, content?: string, contentType?: string, contentId?: string}>} attachments
+ * @param {{basePath?: string, extraBytes?: number}} [options] basePath is the directory file paths are read from (without it they are rejected); extraBytes counts message bodies toward the size limit.
+ * @returns {Promise<{ok: boolean, attachments?: Array<{Name: string, Content: string, ContentType: string, ContentID?: string}>, totalBytes?: number, code?: string, message?: string}>}
+ */
+export async function resolveAttachments(attachments = [], { basePath, extraBytes = 0 } = {}) {
+  const resolved = [];
+  let totalBytes = extraBytes;
+  for (const attachment of attachments) {
+    const sources = ["path", "base64", "content"].filter((key) => attachment[key] !== undefined);
+    if (sources.length > 1) {
+      return { ok: false, code: "MULTIPLE_SOURCES", message: `Attachment '${attachment.name || "unnamed"}' must provide only one of path, base64 or content` };
+    }
+    const loaded = await loadContent(attachment, basePath, MAX_MESSAGE_BYTES - totalBytes);
+    if (!loaded.ok) return loaded;
+
+    const name = attachment.name || loaded.defaultName;
+    if (!name) {
+      return { ok: false, code: "MISSING_NAME", message: "Attachments given as base64 or content must include a name" };
+    }
+    const ext = extname(name).slice(1).toLowerCase();
+    if (FORBIDDEN_EXTENSIONS.includes(ext)) {
+      return { ok: false, code: "FORBIDDEN_EXTENSION", message: `Attachment '${name}' has a file extension Postmark does not allow (.${ext})` };
+    }
+
+    totalBytes += loaded.content.length;
+    const entry = { Name: name, Content: loaded.content, ContentType: attachment.contentType || detectContentType(name) };
+    if (attachment.contentId) entry.ContentID = normalizeContentId(attachment.contentId);
+    resolved.push(entry);
+  }
+  if (totalBytes > MAX_MESSAGE_BYTES) {
+    return { ok: false, code: "TOO_LARGE", message: `Message size ${(totalBytes / 1024 / 1024).toFixed(2)} MB exceeds Postmark's 10 MB limit (attachments are counted after base64 encoding)` };
+  }
+  return { ok: true, attachments: resolved, totalBytes };
+}
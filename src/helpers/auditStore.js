@@ -0,0 +1,68 @@
+import { dirname } from "path";
+import { createHash } from "crypto";
+import { appendFile, mkdir, readFile } from "fs/promises";
+
+// Argument fields that carry message or template content, or personal data such as subjects and
+// custom headers; only their hash is stored
+const HASHED_FIELDS = new Set(["subject", "headers", "textBody", "htmlBody", "templateModel", "base64", "content"]);
+
+function hashValue(value) {
+  const text = typeof value === "string" ? value : JSON.stringify(value);
+  return `sha256:${createHash("sha256").update(text).digest("hex")} (${Buffer.byteLength(text, "utf8")} bytes)`;
+}
+
+/**
+ * Copies tool arguments for the audit log, replacing subjects, headers, bodies, template models and
+ * attachment contents with a SHA-256 hash and size so entries can be correlated without storing content.
+ * @param {any} value
+ * @returns {any}
+ */
+export function redactArguments(value) {
+  if (Array.isArray(value)) return value.map(redactArguments);
+  if (value === null || typeof value !== "object") return value;
+  return Object.fromEntries(
+    Object.entries(value).map(([key, v]) => [key, HASHED_FIELDS.has(key) && v !== undefined && v !== null ? hashValue(v) : redactArguments(v)])
+  );
+}
+
+export async function appendAuditEntry(logPath, entry) {
+  await mkdir(dirname(logPath), { recursive: true });
+  await appendFile(logPath, `${JSON.stringify(entry)}\n`, "utf8");
+}
+
+/**
+ * Reads audit entries matching the given filters, newest first.
+ * @param {string} logPath
+ * @param {{tool?: string, recipient?: string, fromDate?: string, toDate?: string, limit?: number}} [filters]
+ * @returns {Promise<{ok: boolean, entries?: object[], total?: number, code?: string, message?: string}>}
+ */
+export async function queryAuditEntries(logPath, { tool, recipient, fromDate, toDate, limit = 50 } = {}) {
+  let raw;
+  try {
+    raw = await readFile(logPath, "utf8");
+  } catch (error) {
+    if (error?.code === "ENOENT") return { ok: true, entries: [], total: 0 };
+    return { ok: false, code: "IO_ERROR", message: String(error?.message || error) };
+  }
+  const from = fromDate ? Date.parse(fromDate) : undefined;
+  const to = toDate ? Date.parse(toDate.length === 10 ? `${toDate}T23:59:59.999Z` : toDate) : undefined;
+  const recipientLower = recipient?.toLowerCase();
+  const matches = [];
+  for (const line of raw.split("\n")) {
+    if (!line.trim()) continue;
+    let entry;
+    try {
+      entry = JSON.parse(line);
+    } catch (_) {
+      continue;
+    }
+    if (tool && entry.tool !== tool) continue;
+    if (recipientLower && !(entry.recipients || []).includes(recipientLower)) continue;
+    const at = Date.parse(entry.timestamp);
+    if (from !== undefined && at < from) continue;
+    if (to !== undefined && at > to) continue;
+    matches.push(entry);
+  }
+  matches.reverse();
+  return { ok: true, entries: matches.slice(0, limit), total: matches.length };
+}
@@ -0,0 +1,79 @@
+export const MAX_BATCH_MESSAGES = 500;
+export const MAX_BATCH_PAYLOAD_BYTES = 50 * 1024 * 1024;
+
+/**
+ * Splits Postmark messages into chunks that respect the batch endpoint limits
+ * (message count and total JSON payload size).
+ * @param {object[]} messages
+ * @param {{maxCount?: number, maxBytes?: number}} [limits]
+ * @returns {Array<Array<{index: number, message: object}>>}
+ */
+export function chunkMessages(messages, { maxCount = MAX_BATCH_MESSAGES, maxBytes = MAX_BATCH_PAYLOAD_BYTES } = {}) {
+  const chunks = [];
+  let current = [];
+  let currentBytes = 2;
+  messages.forEach((message, index) => {
+    const size = Buffer.byteLength(JSON.stringify(message), "utf8") + 1;
+    if (current.length > 0 && (current.length >= maxCount || currentBytes + size > maxBytes)) {
+      chunks.push(current);
+      current = [];
+      currentBytes = 2;
+    }
+    current.push({ index, message });
+    currentBytes += size;
+  });
+  if (current.length > 0) chunks.push(current);
+  return chunks;
+}
+
+/**
+ * Sends messages chunk by chunk and collects one result per message, in input order.
+ * A failed chunk marks its own messages as failed without aborting the remaining chunks.
+ * @param {object[]} messages
+ * @param {(chunk: object[]) => Promise<Array<{ErrorCode: number, Message?: string, MessageID?: string, To?: string}>>} sendChunk
+ * @param {{maxCount?: number, maxBytes?: number}} [limits]
+ * @returns {Promise<Array<{index: number, to: string, ok: boolean, messageId?: string, errorCode?: number, message?: string}>>}
+ */
+export async function sendInChunks(messages, sendChunk, limits) {
+  const results = new Array(messages.length);
+  for (const chunk of chunkMessages(messages, limits)) {
+    let responses;
+    try {
+      responses = await sendChunk(chunk.map((c) => c.message));
+    } catch (error) {
+      for (const { index, message } of chunk) {
+        results[index] = { index, to: message.To, ok: false, errorCode: error?.code ?? "REQUEST_FAILED", message: String(error?.message || error) };
+      }
+      continue;
+    }
+    chunk.forEach(({ index, message }, position) => {
+      const response = responses?.[position];
+      if (!response) {
+        results[index] = { index, to: message.To, ok: false, errorCode: "NO_RESPONSE", message: "No response returned for this message" };
+      } else if (response.ErrorCode === 0) {
+        results[index] = { index, to: message.To, ok: true, messageId: response.MessageID };
+      } else {
+        results[index] = { index, to: message.To, ok: false, errorCode: response.ErrorCode, message: response.Message };
+      }
+    });
+  }
+  return results;
+}
+
+/**
+ * Formats batch results as a markdown summary with a per-message table.
+ * @param {string} title
+ * @param {Array<{index: number, to: string, ok: boolean, messageId?: string, errorCode?: number|string, message?: string}>} results
+ * @returns {string}
+ */
+export function formatBatchResults(title, results) {
+  const sent = results.filter((r) => r.ok).length;
+  const failed = results.length - sent;
+  const escape = (value) => String(value ?? "").replace(/\|/g, "\\|").replace(/\n/g, " ");
+  const rows = results.map((r) =>
+    r.ok
+      ? `| ${r.index + 1} | ${escape(r.to)} | Sent | ${escape(r.messageId)} |`
+      : `| ${r.index + 1} | ${escape(r.to)} | Failed | ${escape(r.errorCode)}: ${escape(r.message)} |`
+  );
+  return `${title}\n\nTotal: ${results.length}\nSent: ${sent}\nFailed: ${failed}\n\n| # | To | Status | MessageID / Error |\n|---|----|--------|-------------------|\n${rows.join("\n")}`;
+}
@@ -0,0 +1,73 @@
+import { dirname } from "path";
+import { appendFile, mkdir, readFile } from "fs/promises";
+
+export const WEBHOOK_EVENT_TYPES = ["Delivery", "Bounce", "SpamComplaint", "Open", "Click", "SubscriptionChange", "Inbound"];
+
+/**
+ * Converts a raw Postmark webhook payload into the stored event shape.
+ * Inbound payloads carry no RecordType and are recognized by their inbound-only fields;
+ * inbound attachment contents are dropped to keep the store small.
+ * @param {object} payload
+ * @returns {{receivedAt: string, type: string, messageId?: string, recipient?: string, messageStream?: string, tag?: string, payload: object}}
+ */
+export function normalizeWebhookEvent(payload, receivedAt = new Date().toISOString()) {
+  const isInbound = !payload.RecordType && (payload.FromFull || payload.OriginalRecipient || payload.MailboxHash !== undefined);
+  const type = payload.RecordType || (isInbound ? "Inbound" : "Unknown");
+  const recipient = payload.Recipient || payload.Email || payload.OriginalRecipient || payload.ToFull?.[0]?.Email || payload.To;
+  const stored = { ...payload };
+  if (type === "Inbound" && Array.isArray(stored.Attachments)) {
+    stored.Attachments = stored.Attachments.map(({ Content, ...rest }) => rest);
+  }
+  return {
+    receivedAt,
+    type,
+    messageId: payload.MessageID,
+    recipient: recipient ? String(recipient).toLowerCase() : undefined,
+    messageStream: payload.MessageStream,
+    tag: payload.Tag || undefined,
+    payload: stored,
+  };
+}
+
+export async function appendEvent(storePath, event) {
+  await mkdir(dirname(storePath), { recursive: true });
+  await appendFile(storePath, `${JSON.stringify(event)}\n`, "utf8");
+}
+
+/**
+ * Reads stored events matching the given filters, newest first.
+ * @param {string} storePath
+ * @param {{messageId?: string, recipient?: string, type?: string, fromDate?: string, toDate?: string, limit?: number}} [filters]
+ * @returns {Promise<{ok: boolean, events?: object[], total?: number, code?: string, message?: string}>}
+ */
+export async function queryEvents(storePath, { messageId, recipient, type, fromDate, toDate, limit = 50 } = {}) {
+  let raw;
+  try {
+    raw = await readFile(storePath, "utf8");
+  } catch (error) {
+    if (error?.code === "ENOENT") return { ok: true, events: [], total: 0 };
+    return { ok: false, code: "IO_ERROR", message: String(error?.message || error) };
+  }
+  const from = fromDate ? Date.parse(fromDate) : undefined;
+  const to = toDate ? Date.parse(toDate.length === 10 ? `${toDate}T23:59:59.999Z` : toDate) : undefined;
+  const recipientLower = recipient?.toLowerCase();
+  const matches = [];
+  for (const line of raw.split("\n")) {
+    if (!line.trim()) continue;
+    let event;
+    try {
+      event = JSON.parse(line);
+    } catch (_) {
+      continue;
+    }
+    if (messageId && event.messageId !== messageId) continue;
+    if (recipientLower && event.recipient !== recipientLower) continue;
+    if (type && event.type !== type) continue;
+    const at = Date.parse(event.receivedAt);
+    if (from !== undefined && at < from) continue;
+    if (to !== undefined && at > to) continue;
+    matches.push(event);
+  }
+  matches.reverse();
+  return { ok: true, events: matches.slice(0, limit), total: matches.length };
+}
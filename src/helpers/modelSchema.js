@@ -0,0 +1,129 @@
+import { parseTemplate, resolveScopePath } from "./mustachio.js";
+
+// Schema nodes while walking templates: "value" is rendered, "condition" only decides whether a
+// section renders, "object" has nested fields and "list" is iterated with {{#each}}.
+const objectNode = () => ({ kind: "object", properties: {}, required: new Set() });
+
+function nodeAt(scope, parts, kind, required) {
+  let node = scope;
+  parts.forEach((part, i) => {
+    if (node.kind === "list") node = node.items;
+    if (required) node.required.add(part);
+    const existing = node.properties[part];
+    const last = i === parts.length - 1;
+    if (last && (kind === "value" || kind === "condition")) {
+      if (!existing) node.properties[part] = { kind };
+      else if (existing.kind === "condition" && kind === "value") existing.kind = "value";
+      return;
+    }
+    if (last && kind === "list") {
+      if (existing?.kind !== "list") node.properties[part] = { kind: "list", items: existing?.kind === "object" ? existing : objectNode() };
+    } else if (!existing || existing.kind === "value" || existing.kind === "condition") {
+      node.properties[part] = objectNode();
+    }
+    node = node.properties[part];
+  });
+  return node.kind === "list" ? node.items : node;
+}
+
+// Each scope records whether it is only rendered conditionally; variables of a conditional scope are optional
+function collectSchema(nodes, scopes) {
+  const conditional = (list) => list.map((scope) => ({ ...scope, conditional: true }));
+  for (const node of nodes) {
+    if (node.type === "text") continue;
+    const { depth, path, isModelPath } = resolveScopePath(node.path, scopes.length - 1);
+    if (!isModelPath) {
+      if (node.children) collectSchema(node.children, node.type === "variable" ? scopes : conditional(scopes));
+      continue;
+    }
+    const parts = path.split(".");
+    const { node: scope, conditional: isConditional } = scopes[depth];
+    if (node.type === "variable") {
+      nodeAt(scope, parts, "value", !isConditional);
+    } else if (node.type === "each" || (node.type === "section" && node.children.some((child) => child.type !== "text"))) {
+      const inner = nodeAt(scope, parts.slice(0, -1), "object", !isConditional);
+      const child = nodeAt(inner, parts.slice(-1), node.type === "each" ? "list" : "object", false);
+      collectSchema(node.children, [...conditional(scopes.slice(0, depth + 1)), { node: child, conditional: false }]);
+    } else {
+      nodeAt(scope, parts, "condition", false);
+      collectSchema(node.children, conditional(scopes));
+    }
+  }
+}
+
+const SCALAR_TYPES = ["string", "number", "boolean"];
+
+function toJsonSchema(node, isRoot = false) {
+  if (node.kind === "value") return { type: SCALAR_TYPES };
+  if (node.kind === "list") return { type: "array", items: toJsonSchema(node.items) };
+  // Sections and lists that only render {{.}} or {{this}} accept any value
+  if (node.kind === "condition" || (!isRoot && !Object.keys(node.properties).length)) return {};
+  const schema = { type: "object", properties: Object.fromEntries(Object.entries(node.properties).map(([key, child]) => [key, toJsonSchema(child)])) };
+  const required = Object.keys(node.properties).filter((key) => node.required.has(key));
+  if (required.length) schema.required = required;
+  return schema;
+}
+
+/**
+ * Builds a JSON Schema for the model used by one or more templates (e.g. subject, HTML and text body).
+ * Variables rendered outside any section are required; section and {{#each}} variables are optional,
+ * while the fields used inside them are required on the object or list item they belong to.
+ * @param {string[]} sources
+ * @returns {object} JSON Schema (draft 2020-12)
+ */
+export function extractModelSchema(sources) {
+  const root = objectNode();
+  for (const source of sources) if (source) collectSchema(parseTemplate(source), [{ node: root, conditional: false }]);
+  return { $schema: "https://json-schema.org/draft/2020-12/schema", ...toJsonSchema(root, true) };
+}
+
+const typeOf = (value) => (value === null ? "null" : Array.isArray(value) ? "array" : typeof value);
+
+function validateNode(schema, value, path, errors) {
+  const label = path || "templateModel";
+  if (schema.type) {
+    const types = Array.isArray(schema.type) ? schema.type : [schema.type];
+    if (!types.includes(typeOf(value))) {
+      errors.push(`${label} must be ${types.join(" or ")} (got ${typeOf(value)})`);
+      return;
+    }
+  }
+  if (schema.type === "array") {
+    value.forEach((item, i) => validateNode(schema.items, item, `${path}[${i}]`, errors));
+  } else if (schema.type === "object") {
+    for (const key of schema.required || []) {
+      if (value[key] === undefined || value[key] === null) errors.push(`Missing required variable '${path ? `${path}.${key}` : key}'`);
+    }
+    for (const [key, child] of Object.entries(schema.properties || {})) {
+      if (value[key] !== undefined && value[key] !== null) validateNode(child, value[key], path ? `${path}.${key}` : key, errors);
+    }
+  }
+}
+
+/**
+ * Validates a template model against a schema from extractModelSchema. Extra keys are allowed.
+ * @param {object} schema
+ * @param {object} model
+ * @returns {string[]} one message per problem; empty when the model is valid
+ */
+export function validateModel(schema, model) {
+  const errors = [];
+  validateNode(schema, model ?? {}, "", errors);
+  return errors;
+}
+
+/**
+ * Lists the variables described by a schema using dotted paths, `items[].name` for list item fields.
+ * @param {object} schema
+ * @returns {Array<{path: string, required: boolean, type: "value"|"object"|"list"|"any"}>}
+ */
+export function listSchemaVariables(schema, path = "", required = true) {
+  const type = schema.type === "array" ? "list" : schema.type === "object" ? "object" : schema.type ? "value" : "any";
+  const entries = path ? [{ path, required, type }] : [];
+  if (schema.type === "object") {
+    for (const [key, child] of Object.entries(schema.properties)) entries.push(...listSchemaVariables(child, path ? `${path}.${key}` : key, (schema.required || []).includes(key)));
+  } else if (schema.type === "array") {
+    entries.push(...listSchemaVariables(schema.items, `${path}[]`).slice(1));
+  }
+  return entries;
+}
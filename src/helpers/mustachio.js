@@ -0,0 +1,234 @@
+// A small renderer for the Mustachio template syntax used by Postmark templates:
+// {{var}}, {{{raw}}}, {{& raw}}, {{#section}}, {{^inverted}}, {{#each list}}, {{! comment}},
+// dotted paths, `this`/`.` and `../` parent lookups.
+
+const TAG_PATTERN = /\{\{(\{)?\s*([#^/!&]?)\s*([\s\S]*?)\s*\}?\}\}/g;
+
+/**
+ * Parses a template into a tree of text, variable and section nodes.
+ * @param {string} source
+ * @returns {Array<object>}
+ */
+export function parseTemplate(source) {
+  const root = { children: [] };
+  const stack = [root];
+  let lastIndex = 0;
+  const text = String(source ?? "");
+  for (const match of text.matchAll(TAG_PATTERN)) {
+    const [raw, tripleBrace, sigil, body] = match;
+    const current = stack[stack.length - 1];
+    if (match.index > lastIndex) current.children.push({ type: "text", value: text.slice(lastIndex, match.index) });
+    lastIndex = match.index + raw.length;
+
+    if (sigil === "!") continue;
+    if (sigil === "#" || sigil === "^") {
+      const eachMatch = sigil === "#" && body.match(/^each\s+(.+)$/);
+      const node = { type: eachMatch ? "each" : sigil === "#" ? "section" : "inverted", path: (eachMatch ? eachMatch[1] : body).trim(), children: [] };
+      current.children.push(node);
+      stack.push(node);
+      continue;
+    }
+    if (sigil === "/") {
+      if (stack.length === 1) throw new Error(`Unexpected closing tag {{/${body}}}`);
+      const open = stack.pop();
+      const closing = body.replace(/^each$/, "").trim();
+      if (closing && closing !== open.path && !(open.type === "each" && closing === "each")) {
+        throw new Error(`Mismatched closing tag {{/${body}}} for {{${open.type === "inverted" ? "^" : "#"}${open.type === "each" ? "each " : ""}${open.path}}}`);
+      }
+      continue;
+    }
+    current.children.push({ type: "variable", path: body.trim(), raw: Boolean(tripleBrace) || sigil === "&" });
+  }
+  if (stack.length > 1) {
+    const open = stack[stack.length - 1];
+    throw new Error(`Unclosed section {{#${open.type === "each" ? "each " : ""}${open.path}}}`);
+  }
+  if (lastIndex < text.length) root.children.push({ type: "text", value: text.slice(lastIndex) });
+  return root.children;
+}
+
+const HTML_ESCAPES = { "&": "&amp;", "<": "&lt;", ">": "&gt;", '"': "&quot;", "'": "&#39;" };
+const escapeHtml = (value) => String(value).replace(/[&<>"']/g, (c) => HTML_ESCAPES[c]);
+
+/**
+ * Looks a dotted path up through the scope chain (innermost first).
+ * @returns {{found: boolean, value?: any}}
+ */
+export function lookup(scopes, path) {
+  let depth = scopes.length - 1;
+  let rest = path;
+  while (rest.startsWith("../")) {
+    depth -= 1;
+    rest = rest.slice(3);
+  }
+  if (depth < 0) return { found: false };
+  if (rest === "this" || rest === ".") return { found: true, value: scopes[depth] };
+  const parts = rest.replace(/^this\./, "").split(".");
+  for (let i = depth; i >= 0; i--) {
+    const scope = scopes[i];
+    if (scope !== null && typeof scope === "object" && parts[0] in scope) {
+      let value = scope;
+      for (const part of parts) {
+        if (value === null || typeof value !== "object" || !(part in value)) return { found: false };
+        value = value[part];
+      }
+      return { found: true, value };
+    }
+    if (rest.startsWith("this.") || path.startsWith("../")) break;
+  }
+  return { found: false };
+}
+
+const isTruthy = (value) => (Array.isArray(value) ? value.length > 0 : Boolean(value));
+
+function renderNodes(nodes, scopes, options, missing) {
+  let out = "";
+  for (const node of nodes) {
+    if (node.type === "text") {
+      out += node.value;
+      continue;
+    }
+    const { found, value } = lookup(scopes, node.path);
+    if (!found) missing.add(node.path);
+    if (node.type === "variable") {
+      if (value === undefined || value === null) continue;
+      const str = typeof value === "object" ? JSON.stringify(value) : String(value);
+      out += options.escape && !node.raw ? escapeHtml(str) : str;
+    } else if (node.type === "inverted") {
+      if (!isTruthy(value)) out += renderNodes(node.children, scopes, options, missing);
+    } else if (node.type === "each" || Array.isArray(value)) {
+      for (const item of Array.isArray(value) ? value : []) out += renderNodes(node.children, [...scopes, item], options, missing);
+    } else if (isTruthy(value)) {
+      out += renderNodes(node.children, typeof value === "object" ? [...scopes, value] : scopes, options, missing);
+    }
+  }
+  return out;
+}
+
+/**
+ * Renders a Mustachio template with the given model.
+ * @param {string} source
+ * @param {object} model
+ * @param {{escape?: boolean}} [options] escape HTML in `{{var}}` output (use for HTML bodies)
+ * @returns {{output: string, missing: string[]}} missing lists paths with no value in the model
+ */
+export function renderTemplate(source, model, { escape = false } = {}) {
+  const missing = new Set();
+  const output = renderNodes(parseTemplate(source), [model ?? {}], { escape }, missing);
+  return { output, missing: [...missing] };
+}
+
+// A model shape mirrors the template model: `true` for a value, an object for nested
+// fields and a one-element array for lists rendered with {{#each}}.
+function shapeAt(scope, parts, kind) {
+  let node = scope;
+  parts.forEach((part, i) => {
+    const last = i === parts.length - 1;
+    const existing = node[part];
+    if (last && kind === "value") {
+      if (existing === undefined) node[part] = true;
+      return;
+    }
+    if (last && kind === "list") {
+      if (!Array.isArray(existing)) node[part] = [existing && existing !== true ? existing : {}];
+      node = node[part][0];
+      return;
+    }
+    if (existing === undefined || existing === true) node[part] = {};
+    node = Array.isArray(node[part]) ? node[part][0] : node[part];
+  });
+  return node;
+}
+
+/**
+ * Resolves a tag path against the scope stack used while walking the template: `../` moves to the
+ * parent scope and `this.` is dropped. `this`, `.` and `@` variables do not refer to the model.
+ * @param {string} tagPath
+ * @param {number} depth index of the innermost scope
+ * @returns {{depth: number, path: string, isModelPath: boolean}}
+ */
+export function resolveScopePath(tagPath, depth) {
+  let path = tagPath;
+  while (path.startsWith("../")) {
+    depth = Math.max(0, depth - 1);
+    path = path.slice(3);
+  }
+  path = path.replace(/^this\./, "");
+  return { depth, path, isModelPath: !(path === "this" || path === "." || path.startsWith("@")) };
+}
+
+function collectShape(nodes, scopes) {
+  for (const node of nodes) {
+    if (node.type === "text") continue;
+    const { depth, path, isModelPath } = resolveScopePath(node.path, scopes.length - 1);
+    if (!isModelPath) {
+      if (node.children) collectShape(node.children, scopes);
+      continue;
+    }
+    const parts = path.split(".");
+    const scope = scopes[depth];
+    if (node.type === "variable") {
+      shapeAt(scope, parts, "value");
+    } else if (node.type === "each") {
+      collectShape(node.children, [...scopes.slice(0, depth + 1), shapeAt(scope, parts, "list")]);
+    } else if (node.type === "section" && node.children.some((child) => child.type !== "text")) {
+      collectShape(node.children, [...scopes.slice(0, depth + 1), shapeAt(scope, parts, "object")]);
+    } else {
+      shapeAt(scope, parts, "value");
+      collectShape(node.children, scopes);
+    }
+  }
+}
+
+/**
+ * Derives the model shape used by one or more templates (e.g. subject, HTML and text body).
+ * @param {string[]} sources
+ * @returns {object}
+ */
+export function extractModelShape(sources) {
+  const shape = {};
+  for (const source of sources) if (source) collectShape(parseTemplate(source), [shape]);
+  return shape;
+}
+
+/**
+ * Converts Postmark's SuggestedTemplateModel (from template validation) into a model shape.
+ * @param {any} suggested
+ */
+export function shapeFromSuggestedModel(suggested) {
+  if (Array.isArray(suggested)) return [shapeFromSuggestedModel(suggested[0] ?? {})];
+  if (suggested !== null && typeof suggested === "object") {
+    return Object.fromEntries(Object.entries(suggested).map(([key, value]) => [key, shapeFromSuggestedModel(value)]));
+  }
+  return true;
+}
+
+function compareNode(shape, value, path, result) {
+  if (shape === true || value === undefined || value === null) return;
+  if (Array.isArray(shape)) {
+    const items = Array.isArray(value) ? value : [value];
+    items.forEach((item) => compareNode(shape[0], item, `${path}[]`, result));
+    return;
+  }
+  if (typeof value !== "object") return;
+  for (const [key, child] of Object.entries(shape)) {
+    const childPath = path ? `${path}.${key}` : key;
+    if (value[key] === undefined) result.missing.add(childPath);
+    else compareNode(child, value[key], childPath, result);
+  }
+  for (const key of Object.keys(value)) {
+    if (!(key in shape)) result.unused.add(path ? `${path}.${key}` : key);
+  }
+}
+
+/**
+ * Compares a template model against a model shape.
+ * @param {object} shape
+ * @param {object} model
+ * @returns {{missing: string[], unused: string[]}} `items[].name` denotes a field of every list item
+ */
+export function compareModelToShape(shape, model) {
+  const result = { missing: new Set(), unused: new Set() };
+  compareNode(shape, model ?? {}, "", result);
+  return { missing: [...result.missing], unused: [...result.unused] };
+}
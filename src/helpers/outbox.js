@@ -0,0 +1,181 @@
+import { join } from "path";
+import { randomUUID } from "crypto";
+import { mkdir, readdir, readFile, rm, writeFile } from "fs/promises";
+
+const CRLF = "\r\n";
+const MESSAGE_ID_PATTERN = /^sandbox-[0-9a-f-]{36}$/;
+
+// RFC 5322 field names: printable ASCII except ':', so a name can never end the header or add another one
+export const HEADER_NAME_PATTERN = /^[!-9;-~]+$/;
+
+const encodeHeader = (value) => (/^[\x20-\x7e]*$/.test(value) ? value : `=?UTF-8?B?${Buffer.from(value, "utf8").toString("base64")}?=`);
+const base64Body = (buffer) => buffer.toString("base64").replace(/.{1,76}/g, `$&${CRLF}`);
+const boundary = () => `----=_sandbox_${randomUUID()}`;
+
+// A MIME parameter such as filename="..."; names outside printable ASCII, or with quotes or
+// backslashes, use RFC 2231 encoding (filename*=UTF-8''...) so they cannot break out of the header
+function mimeParam(key, value) {
+  if (/^[\x20-\x7e]*$/.test(value) && !/["\\]/.test(value)) return `${key}="${value}"`;
+  const encoded = encodeURIComponent(value).replace(/['()*]/g, (c) => `%${c.charCodeAt(0).toString(16).toUpperCase()}`);
+  return `${key}*=UTF-8''${encoded}`;
+}
+
+function mimePart(headers, body) {
+  return `${Object.entries(headers).map(([name, value]) => `${name}: ${value}`).join(CRLF)}${CRLF}${CRLF}${body}`;
+}
+
+function multipart(type, parts) {
+  const mark = boundary();
+  return { contentType: `multipart/${type}; boundary="${mark}"`, body: `${parts.map((p) => `--${mark}${CRLF}${p}`).join(CRLF)}${CRLF}--${mark}--${CRLF}` };
+}
+
+function textPart(contentType, content) {
+  return mimePart({ "Content-Type": `${contentType}; charset=utf-8`, "Content-Transfer-Encoding": "base64" }, base64Body(Buffer.from(content, "utf8")));
+}
+
+/**
+ * Serializes a Postmark message payload (with rendered Subject/TextBody/HtmlBody) as an RFC 5322 message.
+ * Bcc recipients are recorded in the envelope only, as an MTA would. Throws on a custom header name
+ * that is not a valid field name.
+ * @param {object} message Postmark Message
+ * @param {{messageId: string, date: Date}} options
+ * @returns {string}
+ */
+export function buildMimeMessage(message, { messageId, date }) {
+  const headers = {
+    "Message-ID": `<${messageId}@sandbox.postmark.local>`,
+    Date: date.toUTCString(),
+    From: message.From,
+    To: message.To,
+  };
+  if (message.Cc) headers.Cc = message.Cc;
+  if (message.ReplyTo) headers["Reply-To"] = message.ReplyTo;
+  headers.Subject = encodeHeader(message.Subject || "");
+  headers["MIME-Version"] = "1.0";
+  if (message.MessageStream) headers["X-PM-Message-Stream"] = message.MessageStream;
+  if (message.Tag) headers["X-PM-Tag"] = encodeHeader(message.Tag);
+  for (const [key, value] of Object.entries(message.Metadata || {})) headers[`X-PM-Metadata-${key.replace(/[^!-9;-~]/g, "_")}`] = encodeHeader(value);
+  for (const header of message.Headers || []) {
+    if (!HEADER_NAME_PATTERN.test(header.Name)) throw new Error(`Invalid header name ${JSON.stringify(header.Name)}: use printable ASCII characters other than ':'`);
+    headers[header.Name] = encodeHeader(header.Value);
+  }
+
+  const bodies = [];
+  if (message.TextBody) bodies.push(textPart("text/plain", message.TextBody));
+  if (message.HtmlBody) bodies.push(textPart("text/html", message.HtmlBody));
+  let content = bodies.length > 1 ? multipart("alternative", bodies) : null;
+
+  if (message.Attachments?.length) {
+    const parts = content ? [mimePart({ "Content-Type": content.contentType }, content.body)] : bodies;
+    for (const attachment of message.Attachments) {
+      const partHeaders = {
+        "Content-Type": `${attachment.ContentType}; ${mimeParam("name", attachment.Name)}`,
+        "Content-Transfer-Encoding": "base64",
+        "Content-Disposition": `${attachment.ContentID ? "inline" : "attachment"}; ${mimeParam("filename", attachment.Name)}`,
+      };
+      if (attachment.ContentID) partHeaders["Content-ID"] = `<${attachment.ContentID.replace(/^cid:/, "")}>`;
+      parts.push(mimePart(partHeaders, base64Body(Buffer.from(attachment.Content, "base64"))));
+    }
+    content = multipart("mixed", parts);
+  }
+
+  const head = Object.entries(headers).map(([name, value]) => `${name}: ${value}`).join(CRLF);
+  if (content) return `${head}${CRLF}Content-Type: ${content.contentType}${CRLF}${CRLF}${content.body}`;
+  return `${head}${CRLF}${bodies[0] || textPart("text/plain", "")}${CRLF}`;
+}
+
+/**
+ * Writes a message to the outbox as `<MessageID>.eml` plus a `<MessageID>.json` envelope.
+ * @param {string} outboxPath
+ * @param {object} message Postmark Message with rendered content
+ * @param {object} [extra] Additional envelope fields (e.g. the server profile or template details)
+ * @returns {Promise<{ok: boolean, envelope?: object, code?: string, message?: string}>}
+ */
+export async function writeOutboxMessage(outboxPath, message, extra = {}) {
+  const messageId = `sandbox-${randomUUID()}`;
+  const date = new Date();
+  let eml;
+  try {
+    eml = buildMimeMessage(message, { messageId, date });
+  } catch (error) {
+    return { ok: false, code: "INVALID_MESSAGE", message: String(error?.message || error) };
+  }
+  try {
+    const { Attachments, ...fields } = message;
+    const envelope = {
+      MessageID: messageId,
+      SubmittedAt: date.toISOString(),
+      ...extra,
+      ...fields,
+      Attachments: (Attachments || []).map((a) => ({ Name: a.Name, ContentType: a.ContentType, ContentLength: Buffer.from(a.Content, "base64").length, ContentID: a.ContentID })),
+    };
+    await mkdir(outboxPath, { recursive: true });
+    await writeFile(join(outboxPath, `${messageId}.eml`), eml, "utf8");
+    await writeFile(join(outboxPath, `${messageId}.json`), `${JSON.stringify(envelope, null, 2)}\n`, "utf8");
+    return { ok: true, envelope };
+  } catch (error) {
+    return { ok: false, code: "IO_ERROR", message: String(error?.message || error) };
+  }
+}
+
+/**
+ * Lists outbox envelopes, newest first.
+ * @returns {Promise<{ok: boolean, messages?: object[], total?: number, code?: string, message?: string}>}
+ */
+export async function listOutboxMessages(outboxPath, { limit = 50 } = {}) {
+  let files;
+  try {
+    files = (await readdir(outboxPath)).filter((name) => name.endsWith(".json"));
+  } catch (error) {
+    if (error?.code === "ENOENT") return { ok: true, messages: [], total: 0 };
+    return { ok: false, code: "IO_ERROR", message: String(error?.message || error) };
+  }
+  const messages = [];
+  for (const file of files) {
+    try {
+      messages.push(JSON.parse(await readFile(join(outboxPath, file), "utf8")));
+    } catch (_) {
+      continue;
+    }
+  }
+  messages.sort((a, b) => String(b.SubmittedAt).localeCompare(String(a.SubmittedAt)));
+  return { ok: true, messages: messages.slice(0, limit), total: messages.length };
+}
+
+/**
+ * Reads one outbox message: its envelope and raw .eml source.
+ * @returns {Promise<{ok: boolean, envelope?: object, eml?: string, code?: string, message?: string}>}
+ */
+export async function readOutboxMessage(outboxPath, messageId) {
+  if (!MESSAGE_ID_PATTERN.test(messageId)) {
+    return { ok: false, code: "INVALID_ID", message: `Not a sandbox MessageID: ${messageId}` };
+  }
+  try {
+    const envelope = JSON.parse(await readFile(join(outboxPath, `${messageId}.json`), "utf8"));
+    const eml = await readFile(join(outboxPath, `${messageId}.eml`), "utf8");
+    return { ok: true, envelope, eml };
+  } catch (error) {
+    if (error?.code === "ENOENT") return { ok: false, code: "NOT_FOUND", message: `Outbox message not found: ${messageId}` };
+    return { ok: false, code: "IO_ERROR", message: String(error?.message || error) };
+  }
+}
+
+/**
+ * Deletes every message from the outbox.
+ * @returns {Promise<{ok: boolean, removed?: number, code?: string, message?: string}>}
+ */
+export async function clearOutbox(outboxPath) {
+  let files;
+  try {
+    files = (await readdir(outboxPath)).filter((name) => MESSAGE_ID_PATTERN.test(name.replace(/\.(eml|json)$/, "")));
+  } catch (error) {
+    if (error?.code === "ENOENT") return { ok: true, removed: 0 };
+    return { ok: false, code: "IO_ERROR", message: String(error?.message || error) };
+  }
+  try {
+    await Promise.all(files.map((file) => rm(join(outboxPath, file), { force: true })));
+    return { ok: true, removed: files.filter((file) => file.endsWith(".json")).length };
+  } catch (error) {
+    return { ok: false, code: "IO_ERROR", message: String(error?.message || error) };
+  }
+}
@@ -0,0 +1,137 @@
+import { join } from "path";
+import { randomUUID } from "crypto";
+import { mkdir, open, readdir, readFile, rename, rm, stat, writeFile } from "fs/promises";
+
+const SCHEDULED_ID_PATTERN = /^scheduled-[0-9a-f-]{36}$/;
+
+export const SCHEDULED_STATUSES = ["pending", "sending", "sent", "failed", "cancelled"];
+
+export const newScheduledEmailId = () => `scheduled-${randomUUID()}`;
+
+/**
+ * Writes a queue item to `<id>.json`, replacing the previous version atomically so a crash
+ * mid-write never leaves a truncated item behind.
+ * @param {string} queuePath
+ * @param {{id: string}} item
+ * @returns {Promise<{ok: boolean, item?: object, code?: string, message?: string}>}
+ */
+export async function saveScheduledEmail(queuePath, item) {
+  try {
+    await mkdir(queuePath, { recursive: true });
+    const file = join(queuePath, `${item.id}.json`);
+    const tmp = `${file}.${randomUUID()}.tmp`;
+    await writeFile(tmp, `${JSON.stringify(item, null, 2)}\n`, "utf8");
+    await rename(tmp, file);
+    return { ok: true, item };
+  } catch (error) {
+    return { ok: false, code: "IO_ERROR", message: String(error?.message || error) };
+  }
+}
+
+// A lock older than this was left by a process that died while updating the item
+const LOCK_STALE_MS = 30 * 1000;
+const LOCK_RETRY_MS = 25;
+const LOCK_ATTEMPTS = 80;
+
+/**
+ * Runs `update` while holding `<id>.lock`, created with O_EXCL so only one process (or call)
+ * at a time reads and rewrites the item. Waits up to about two seconds for the lock.
+ */
+async function withItemLock(queuePath, id, update) {
+  const lockFile = join(queuePath, `${id}.lock`);
+  try {
+    await mkdir(queuePath, { recursive: true });
+    for (let attempt = 1; ; attempt++) {
+      try {
+        const handle = await open(lockFile, "wx");
+        await handle.writeFile(`${JSON.stringify({ pid: process.pid, lockedAt: new Date().toISOString() })}\n`, "utf8");
+        await handle.close();
+        break;
+      } catch (error) {
+        if (error?.code !== "EEXIST") throw error;
+        const info = await stat(lockFile).catch(() => undefined);
+        if (info && Date.now() - info.mtimeMs > LOCK_STALE_MS) {
+          // Renaming is atomic, so only one of the processes that find the stale lock removes it
+          const stale = `${lockFile}.${randomUUID()}.stale`;
+          if (await rename(lockFile, stale).then(() => true, () => false)) await rm(stale, { force: true });
+          continue;
+        }
+        if (attempt >= LOCK_ATTEMPTS) return { ok: false, code: "LOCKED", message: `Scheduled email ${id} is being updated by another process; try again` };
+        await new Promise((resolve) => setTimeout(resolve, LOCK_RETRY_MS));
+      }
+    }
+  } catch (error) {
+    return { ok: false, code: "IO_ERROR", message: String(error?.message || error) };
+  }
+  try {
+    return await update();
+  } finally {
+    await rm(lockFile, { force: true });
+  }
+}
+
+/**
+ * Changes a queue item only if it still matches `expected` (compare-and-set). The read and the write
+ * happen under a lock file in the queue directory, so two server processes sharing the queue, or a
+ * cancellation and the worker's claim, can never both succeed.
+ * @param {string} queuePath
+ * @param {string} id
+ * @param {string | object} expected Status the item must have, e.g. "pending", or fields that must match, e.g. `{status, claimId}`
+ * @param {object} changes Fields to set, including the new `status`
+ * @returns {Promise<{ok: boolean, item?: object, code?: string, message?: string}>} `STATUS_CHANGED` with the current item when it no longer matches
+ */
+export async function updateScheduledEmailStatus(queuePath, id, expected, changes) {
+  const fields = typeof expected === "string" ? { status: expected } : expected;
+  return withItemLock(queuePath, id, async () => {
+    const readRes = await readScheduledEmail(queuePath, id);
+    if (!readRes.ok) return readRes;
+    const mismatch = Object.keys(fields).find((key) => readRes.item[key] !== fields[key]);
+    if (mismatch) {
+      return { ok: false, code: "STATUS_CHANGED", item: readRes.item, message: `Scheduled email ${id} is '${readRes.item.status}', not '${fields.status ?? readRes.item.status}'` };
+    }
+    return saveScheduledEmail(queuePath, { ...readRes.item, ...changes });
+  });
+}
+
+/**
+ * Lists queue items ordered by send time, earliest first.
+ * @param {string} queuePath
+ * @param {{status?: string}} [filters]
+ * @returns {Promise<{ok: boolean, items?: object[], code?: string, message?: string}>}
+ */
+export async function listScheduledEmails(queuePath, { status } = {}) {
+  let files;
+  try {
+    files = (await readdir(queuePath)).filter((name) => SCHEDULED_ID_PATTERN.test(name.replace(/\.json$/, "")));
+  } catch (error) {
+    if (error?.code === "ENOENT") return { ok: true, items: [] };
+    return { ok: false, code: "IO_ERROR", message: String(error?.message || error) };
+  }
+  const items = [];
+  for (const file of files) {
+    try {
+      const item = JSON.parse(await readFile(join(queuePath, file), "utf8"));
+      if (!status || item.status === status) items.push(item);
+    } catch (_) {
+      continue;
+    }
+  }
+  items.sort((a, b) => String(a.sendAt).localeCompare(String(b.sendAt)));
+  return { ok: true, items };
+}
+
+/**
+ * Reads one queue item.
+ * @returns {Promise<{ok: boolean, item?: object, code?: string, message?: string}>}
+ */
+export async function readScheduledEmail(queuePath, id) {
+  if (!SCHEDULED_ID_PATTERN.test(id)) {
+    return { ok: false, code: "INVALID_ID", message: `Not a scheduled email ID: ${id}` };
+  }
+  try {
+    return { ok: true, item: JSON.parse(await readFile(join(queuePath, `${id}.json`), "utf8")) };
+  } catch (error) {
+    if (error?.code === "ENOENT") return { ok: false, code: "NOT_FOUND", message: `Scheduled email not found: ${id}` };
+    return { ok: false, code: "IO_ERROR", message: String(error?.message || error) };
+  }
+}
@@ -0,0 +1,39 @@
+/**
+ * Percentage of `part` in `total`, rounded to one decimal place; 0 when `total` is 0.
+ * Used for every open, click, bounce and spam rate so the tools agree with each other.
+ * @param {number} part
+ * @param {number} total
+ * @returns {number}
+ */
+export function percentage(part, total) {
+  return total > 0 ? Math.round((part / total) * 1000) / 10 : 0;
+}
+
+/**
+ * Turns a Postmark usage breakdown (e.g. `{ Days: [...], Gmail: 3, Outlook: 1 }`) into entries
+ * sorted by count, each with its share of the total.
+ * @param {object} counts
+ * @returns {Array<{name: string, count: number, percentage: number}>}
+ */
+export function breakdownCounts(counts = {}) {
+  const entries = Object.entries(counts).filter(([name, count]) => name !== "Days" && typeof count === "number" && count > 0);
+  const total = entries.reduce((sum, [, count]) => sum + count, 0);
+  return entries.sort((a, b) => b[1] - a[1]).map(([name, count]) => ({ name, count, percentage: percentage(count, total) }));
+}
+
+/**
+ * Merges the `Days` arrays of several Postmark stats responses into one row per date, oldest first.
+ * Each source maps a response day to the fields it contributes to the row.
+ * @param {Array<{days?: Array<{Date: string}>, pick: (day: object) => object}>} sources
+ * @returns {Array<{date: string}>}
+ */
+export function mergeDailyCounts(sources) {
+  const rows = new Map();
+  for (const { days, pick } of sources) {
+    for (const day of days || []) {
+      if (!rows.has(day.Date)) rows.set(day.Date, { date: day.Date });
+      Object.assign(rows.get(day.Date), pick(day));
+    }
+  }
+  return [...rows.values()].sort((a, b) => a.date.localeCompare(b.date));
+}
@@ -0,0 +1,106 @@
+// How much a match in each field counts towards a template's score
+const FIELD_WEIGHTS = { name: 5, tags: 4, subject: 3, description: 3, useCases: 3, text: 1, html: 1 };
+// Prefix matches ("pass" -> "password") count for less than whole words
+const PREFIX_FACTOR = 0.5;
+const SNIPPET_RADIUS = 60;
+
+const tokenize = (value) => String(value ?? "").toLowerCase().match(/[\p{L}\p{N}]+/gu) || [];
+
+const stripHtml = (html) =>
+  String(html ?? "")
+    .replace(/<(style|script|head)[^>]*>[\s\S]*?<\/\1>/gi, " ")
+    .replace(/<[^>]+>/g, " ")
+    .replace(/&nbsp;/g, " ")
+    .replace(/\s+/g, " ")
+    .trim();
+
+const asText = (value) => (Array.isArray(value) ? value.join(", ") : value ? String(value) : "");
+
+/**
+ * Builds the searchable fields of a template. Folder, alias and display names are all indexed as the name;
+ * meta.json may add `description`, `tags` and `useCases` (strings or string arrays).
+ * @param {{id: string, names: string[], subject?: string, html?: string, text?: string, meta?: object}} template
+ */
+export function buildSearchDocument({ id, names, subject, html, text, meta = {} }) {
+  return {
+    id,
+    fields: {
+      name: names.filter(Boolean).join(" ").replace(/[._/-]+/g, " "),
+      tags: asText(meta.tags),
+      subject: subject || "",
+      description: asText(meta.description),
+      useCases: asText(meta.useCases),
+      text: text || "",
+      html: stripHtml(html),
+    },
+  };
+}
+
+/**
+ * Creates an inverted index (term -> template -> weighted term frequency) over search documents.
+ * @param {Array<ReturnType<typeof buildSearchDocument>>} documents
+ */
+export function createSearchIndex(documents) {
+  const terms = new Map();
+  for (const doc of documents) {
+    for (const [field, value] of Object.entries(doc.fields)) {
+      for (const term of tokenize(value)) {
+        if (!terms.has(term)) terms.set(term, new Map());
+        const postings = terms.get(term);
+        if (!postings.has(doc.id)) postings.set(doc.id, {});
+        const posting = postings.get(doc.id);
+        posting[field] = (posting[field] || 0) + 1;
+      }
+    }
+  }
+  return { documents: new Map(documents.map((doc) => [doc.id, doc])), terms };
+}
+
+function findSnippet(doc, queryTerms) {
+  for (const field of ["text", "html", "description", "useCases", "subject"]) {
+    const value = doc.fields[field];
+    const lower = value.toLowerCase();
+    const index = Math.min(...queryTerms.map((term) => lower.indexOf(term)).filter((i) => i >= 0));
+    if (!Number.isFinite(index)) continue;
+    const start = Math.max(0, index - SNIPPET_RADIUS);
+    const end = Math.min(value.length, index + SNIPPET_RADIUS);
+    return `${start > 0 ? "…" : ""}${value.slice(start, end).replace(/\s+/g, " ").trim()}${end < value.length ? "…" : ""}`;
+  }
+  return undefined;
+}
+
+/**
+ * Ranks indexed templates against a free-text query. Templates matching more of the query terms rank first,
+ * then by a TF-IDF style score weighted by the field each term was found in.
+ * @param {ReturnType<typeof createSearchIndex>} index
+ * @param {string} query
+ * @returns {Array<{id: string, score: number, matchedFields: string[], snippet?: string}>}
+ */
+export function searchIndex(index, query) {
+  const queryTerms = [...new Set(tokenize(query))];
+  const hits = new Map();
+  for (const queryTerm of queryTerms) {
+    for (const [term, postings] of index.terms) {
+      const factor = term === queryTerm ? 1 : term.startsWith(queryTerm) ? PREFIX_FACTOR : 0;
+      if (!factor) continue;
+      const idf = Math.log(1 + index.documents.size / postings.size);
+      for (const [id, posting] of postings) {
+        if (!hits.has(id)) hits.set(id, { id, score: 0, terms: new Set(), fields: new Set() });
+        const hit = hits.get(id);
+        hit.terms.add(queryTerm);
+        for (const [field, count] of Object.entries(posting)) {
+          hit.score += factor * idf * FIELD_WEIGHTS[field] * (1 + Math.log(count));
+          hit.fields.add(field);
+        }
+      }
+    }
+  }
+  return [...hits.values()]
+    .sort((a, b) => b.terms.size - a.terms.size || b.score - a.score)
+    .map((hit) => ({
+      id: hit.id,
+      score: Math.round(hit.score * 100) / 100,
+      matchedFields: Object.keys(FIELD_WEIGHTS).filter((field) => hit.fields.has(field)),
+      snippet: findSnippet(index.documents.get(hit.id), queryTerms),
+    }));
+}
@@ -1,6 +1,8 @@
 import { join } from "path";
-import { readdir, lstat, readFile, access } from "fs/promises";
+import { readdir, lstat, readFile, access, mkdir, rm, stat, writeFile } from "fs/promises";
 import { constants as fsConstants } from "fs";
+import { compareModelToShape, extractModelShape, renderTemplate } from "./mustachio.js";
+import { buildSearchDocument, createSearchIndex, searchIndex } from "./templateSearch.js";
 
 export async function listTemplateCategories(directoryPath) {
   try {
@@ -72,36 +74,226 @@ export async function getTemplateContent(
   }
 }
 
-export async function getTemplateIdeas(templatesBasePath, topic) {
-  try {
-    const topicLower = topic.toLowerCase();
-    const ideas = [];
+// Search index of each templates directory, rebuilt when a template file changes
+const localSearchCache = new Map();
 
-    const categoriesRes = await listTemplateCategories(templatesBasePath);
-    if (!categoriesRes.ok) {
-      return { ok: false, code: categoriesRes.code, message: categoriesRes.message };
-    }
-    const categories = categoriesRes.categories;
-    if (categories.length === 0) {
-      return { ok: true, ideas: [] };
+async function localTemplatesSignature(templatesBasePath, templates) {
+  const parts = [];
+  for (const { category, template } of templates) {
+    for (const fileName of ["content.html", "content.txt", "meta.json"]) {
+      const info = await stat(join(templatesBasePath, category, template, fileName)).catch(() => null);
+      parts.push(`${category}/${template}/${fileName}:${info ? `${info.mtimeMs}:${info.size}` : "-"}`);
     }
+  }
+  return parts.join("|");
+}
 
-    for (const category of categories) {
-      const templatesRes = await listTemplatesInCategory(templatesBasePath, category);
-      if (!templatesRes.ok) continue;
-      const templates = templatesRes.templates;
-      if (templates.length === 0) continue;
-      for (const template of templates) {
-        if (template.toLowerCase().includes(topicLower)) {
-          ideas.push({ category, template });
-        }
-      }
-    }
+async function getLocalSearchDocuments(templatesBasePath) {
+  const listRes = await listLocalTemplates(templatesBasePath);
+  if (!listRes.ok) return listRes;
+  const signature = await localTemplatesSignature(templatesBasePath, listRes.templates);
+  const cached = localSearchCache.get(templatesBasePath);
+  if (cached?.signature === signature) return { ok: true, ...cached };
 
-    return { ok: true, ideas };
+  const documents = [];
+  const details = new Map();
+  for (const { category, template, alias } of listRes.templates) {
+    const local = await readLocalTemplate(templatesBasePath, category, template);
+    if (!local.ok) continue;
+    const id = `${category}/${template}`;
+    const subject = localTemplateSubject(local);
+    details.set(id, { source: "local", category, template, alias, subject, description: local.meta.description });
+    documents.push(buildSearchDocument({ id, names: [template, local.meta.name, alias], subject, html: local.html, text: local.text, meta: local.meta }));
+  }
+  const entry = { signature, documents, details, index: createSearchIndex(documents) };
+  localSearchCache.set(templatesBasePath, entry);
+  return { ok: true, ...entry };
+}
+
+/**
+ * Ranked search over local template names, subjects, content and meta.json `description`, `tags` and
+ * `useCases`. Server templates (as returned by getTemplates) can be searched alongside by name, alias and subject.
+ * @param {string} templatesBasePath
+ * @param {string} topic
+ * @param {{limit?: number, serverTemplates?: Array<object>}} [options]
+ * @returns {Promise<{ok: boolean, ideas?: Array<{source: string, category?: string, template: string, alias?: string, subject?: string, score: number, matchedFields: string[], snippet?: string}>, total?: number, code?: string, message?: string}>}
+ */
+export async function getTemplateIdeas(templatesBasePath, topic, { limit, serverTemplates = [] } = {}) {
+  try {
+    const localRes = await getLocalSearchDocuments(templatesBasePath);
+    if (!localRes.ok && !serverTemplates.length) {
+      return { ok: false, code: localRes.code, message: localRes.message };
+    }
+    let index = localRes.ok ? localRes.index : createSearchIndex([]);
+    const details = new Map(localRes.ok ? localRes.details : []);
+    if (serverTemplates.length) {
+      const serverDocuments = serverTemplates.map((t) => {
+        const id = `server:${t.TemplateId}`;
+        details.set(id, { source: "server", template: t.Name, templateId: t.TemplateId, alias: t.Alias || undefined, subject: t.Subject || undefined });
+        return buildSearchDocument({ id, names: [t.Name, t.Alias], subject: t.Subject });
+      });
+      index = createSearchIndex([...(localRes.ok ? localRes.documents : []), ...serverDocuments]);
+    }
+    const hits = searchIndex(index, topic);
+    const ideas = (limit ? hits.slice(0, limit) : hits).map(({ id, ...hit }) => ({ ...details.get(id), ...hit }));
+    return { ok: true, ideas, total: hits.length };
   } catch (error) {
     return { ok: false, code: "IO_ERROR", message: String(error?.message || error) };
   }
 }
 
+/**
+ * Server template alias for a local template folder. Postmark aliases cannot contain "/",
+ * so `category/template` maps to `category.template`.
+ */
+export function localTemplateAlias(categoryName, templateName) {
+  return `${categoryName}.${templateName}`.replace(/[^A-Za-z0-9._-]/g, "-");
+}
+
+async function readTemplateMeta(templatesBasePath, categoryName, templateName) {
+  try {
+    return { ok: true, meta: JSON.parse(await readFile(join(templatesBasePath, categoryName, templateName, "meta.json"), "utf8")) };
+  } catch (error) {
+    if (error?.code === "ENOENT") return { ok: true, meta: {} };
+    return { ok: false, code: "INVALID_META", message: `Invalid meta.json for ${categoryName}/${templateName}: ${error?.message || error}` };
+  }
+}
+
+/**
+ * Lists every template folder across all categories. The alias is meta.json `alias` when set
+ * (e.g. for exported server templates), otherwise derived from the folder.
+ * @returns {Promise<{ok: boolean, templates?: Array<{category: string, template: string, alias: string}>, code?: string, message?: string}>}
+ */
+export async function listLocalTemplates(templatesBasePath) {
+  const categoriesRes = await listTemplateCategories(templatesBasePath);
+  if (!categoriesRes.ok) return categoriesRes;
+  const templates = [];
+  for (const category of categoriesRes.categories) {
+    const templatesRes = await listTemplatesInCategory(templatesBasePath, category);
+    if (!templatesRes.ok) continue;
+    for (const template of templatesRes.templates) {
+      const metaRes = await readTemplateMeta(templatesBasePath, category, template);
+      templates.push({ category, template, alias: (metaRes.ok && metaRes.meta.alias) || localTemplateAlias(category, template) });
+    }
+  }
+  return { ok: true, templates };
+}
+
+/**
+ * Locates a local template by "category/template", by its server alias (meta.json `alias` or
+ * "category.template") or by a bare template name searched across all categories (first match wins).
+ * @returns {Promise<{ok: boolean, category?: string, template?: string, code?: string, message?: string}>}
+ */
+export async function findLocalTemplate(templatesBasePath, alias) {
+  const listRes = await listLocalTemplates(templatesBasePath);
+  if (!listRes.ok) return listRes;
+  const match =
+    listRes.templates.find((t) => `${t.category}/${t.template}` === alias) ||
+    listRes.templates.find((t) => t.alias === alias) ||
+    listRes.templates.find((t) => t.template === alias);
+  if (!match) return { ok: false, code: "NOT_FOUND", message: `Local template not found: ${alias}` };
+  return { ok: true, category: match.category, template: match.template };
+}
+
+/**
+ * Reads a local template's HTML and text content plus the optional meta.json next to them.
+ * @returns {Promise<{ok: boolean, html?: string, text?: string, meta?: object, code?: string, message?: string}>}
+ */
+export async function readLocalTemplate(templatesBasePath, categoryName, templateName) {
+  const htmlRes = await getTemplateContent(templatesBasePath, categoryName, templateName, "html");
+  const textRes = await getTemplateContent(templatesBasePath, categoryName, templateName, "text");
+  if (!htmlRes.ok && !textRes.ok) return htmlRes;
+  const metaRes = await readTemplateMeta(templatesBasePath, categoryName, templateName);
+  if (!metaRes.ok) return metaRes;
+  return { ok: true, html: htmlRes.ok ? htmlRes.content : undefined, text: textRes.ok ? textRes.content : undefined, meta: metaRes.meta };
+}
+
+/**
+ * Unrendered subject of a local template: meta.json `subject`, falling back to the HTML <title>.
+ * @param {{html?: string, meta: object}} local Result of readLocalTemplate
+ * @returns {string|undefined}
+ */
+export function localTemplateSubject(local) {
+  return local.meta.subject ?? (local.html?.match(/<title[^>]*>([\s\S]*?)<\/title>/i)?.[1]?.trim() || undefined);
+}
+
+const LAYOUT_CONTENT_PLACEHOLDER = /\{\{\{\s*@content\s*\}\}\}/g;
 
+// Wraps the template bodies in the local copy of the layout named by meta.json `layout`
+async function applyLocalLayout(templatesBasePath, local) {
+  const found = await findLocalTemplate(templatesBasePath, local.meta.layout);
+  if (!found.ok) return { ok: false, code: "LAYOUT_NOT_FOUND", message: `Layout '${local.meta.layout}' not found in the local templates` };
+  const layout = await readLocalTemplate(templatesBasePath, found.category, found.template);
+  if (!layout.ok) return layout;
+  // The subject is taken from the template, never from the layout's <title>
+  local.meta = { subject: localTemplateSubject(local) ?? "", ...local.meta };
+  if (local.html !== undefined && layout.html !== undefined) local.html = layout.html.replace(LAYOUT_CONTENT_PLACEHOLDER, () => local.html);
+  if (local.text !== undefined && layout.text !== undefined) local.text = layout.text.replace(LAYOUT_CONTENT_PLACEHOLDER, () => local.text);
+  return { ok: true };
+}
+
+/**
+ * Reads a local template like readLocalTemplate, with its bodies wrapped in the layout named by meta.json `layout`.
+ * @returns {Promise<{ok: boolean, html?: string, text?: string, meta?: object, code?: string, message?: string}>}
+ */
+export async function readLocalTemplateWithLayout(templatesBasePath, categoryName, templateName) {
+  const local = await readLocalTemplate(templatesBasePath, categoryName, templateName);
+  if (!local.ok || !local.meta.layout) return local;
+  const layoutRes = await applyLocalLayout(templatesBasePath, local);
+  return layoutRes.ok ? local : layoutRes;
+}
+
+/**
+ * Renders a local template's subject, HTML and text with a model, inside its layout when meta.json
+ * names one. The subject comes from meta.json `subject`, falling back to the HTML <title> and then
+ * to "category/template".
+ * @returns {Promise<{ok: boolean, subject?: string, html?: string, text?: string, missing?: string[], unused?: string[], code?: string, message?: string}>}
+ */
+export async function renderLocalTemplate(templatesBasePath, categoryName, templateName, model = {}) {
+  const local = await readLocalTemplateWithLayout(templatesBasePath, categoryName, templateName);
+  if (!local.ok) return local;
+  const subjectSource = localTemplateSubject(local);
+  try {
+    const rendered = {
+      ok: true,
+      subject: subjectSource ? renderTemplate(subjectSource, model).output : `${categoryName}/${templateName}`,
+      html: local.html !== undefined ? renderTemplate(local.html, model, { escape: true }).output : undefined,
+      text: local.text !== undefined ? renderTemplate(local.text, model).output : undefined,
+    };
+    return { ...rendered, ...compareModelToShape(extractModelShape([subjectSource, local.html, local.text]), model) };
+  } catch (error) {
+    return { ok: false, code: "INVALID_TEMPLATE", message: `Invalid template ${categoryName}/${templateName}: ${error?.message || error}` };
+  }
+}
+
+/**
+ * Writes a template folder (content.html, content.txt and meta.json) in the local directory layout.
+ * @param {string} templatesBasePath
+ * @param {string} categoryName
+ * @param {string} templateName
+ * @param {{html?: string|null, text?: string|null, meta: object}} content
+ * @param {{overwrite?: boolean}} [options]
+ * @returns {Promise<{ok: boolean, path?: string, code?: string, message?: string}>}
+ */
+export async function writeLocalTemplate(templatesBasePath, categoryName, templateName, { html, text, meta }, { overwrite = false } = {}) {
+  const templatePath = join(templatesBasePath, categoryName, templateName);
+  try {
+    if (!overwrite) {
+      try {
+        await access(templatePath, fsConstants.F_OK);
+        return { ok: false, code: "EXISTS", message: `Template directory already exists: ${templatePath}` };
+      } catch (_) {
+        // does not exist yet
+      }
+    }
+    await mkdir(templatePath, { recursive: true });
+    for (const [fileName, content] of [["content.html", html], ["content.txt", text]]) {
+      if (content) await writeFile(join(templatePath, fileName), content, "utf8");
+      else await rm(join(templatePath, fileName), { force: true });
+    }
+    await writeFile(join(templatePath, "meta.json"), `${JSON.stringify(meta, null, 2)}\n`, "utf8");
+    return { ok: true, path: templatePath };
+  } catch (error) {
+    return { ok: false, code: "IO_ERROR", message: String(error?.message || error) };
+  }
+}
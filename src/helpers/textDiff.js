@@ -0,0 +1,51 @@
+// Above this many line pairs the LCS table gets too large; report a summary instead
+const MAX_DIFF_CELLS = 4_000_000;
+
+const toLines = (text) => (text ? String(text).replace(/\r\n/g, "\n").split("\n") : []);
+
+/**
+ * Produces a unified-style line diff ("-" removed, "+" added, " " context) between two texts.
+ * @param {string|null|undefined} before
+ * @param {string|null|undefined} after
+ * @param {{context?: number}} [options] unchanged lines kept around each change
+ * @returns {string} empty when the texts are equal
+ */
+export function diffLines(before, after, { context = 2 } = {}) {
+  const a = toLines(before);
+  const b = toLines(after);
+  if (a.join("\n") === b.join("\n")) return "";
+  if (a.length * b.length > MAX_DIFF_CELLS) return `@@ content changed (${a.length} lines -> ${b.length} lines, too large to diff) @@`;
+
+  // Longest common subsequence table, filled from the end
+  const lcs = Array.from({ length: a.length + 1 }, () => new Uint32Array(b.length + 1));
+  for (let i = a.length - 1; i >= 0; i--) {
+    for (let j = b.length - 1; j >= 0; j--) {
+      lcs[i][j] = a[i] === b[j] ? lcs[i + 1][j + 1] + 1 : Math.max(lcs[i + 1][j], lcs[i][j + 1]);
+    }
+  }
+  const ops = [];
+  let i = 0;
+  let j = 0;
+  while (i < a.length || j < b.length) {
+    if (i < a.length && j < b.length && a[i] === b[j]) {
+      ops.push(` ${a[i++]}`);
+      j++;
+    } else if (i < a.length && (j === b.length || lcs[i + 1][j] >= lcs[i][j + 1])) {
+      ops.push(`-${a[i++]}`);
+    } else {
+      ops.push(`+${b[j++]}`);
+    }
+  }
+
+  const keep = ops.map((op) => op[0] !== " ");
+  ops.forEach((op, index) => {
+    if (op[0] === " ") return;
+    for (let k = Math.max(0, index - context); k <= Math.min(ops.length - 1, index + context); k++) keep[k] = true;
+  });
+  const out = [];
+  ops.forEach((op, index) => {
+    if (keep[index]) out.push(op);
+    else if (out[out.length - 1] !== "...") out.push("...");
+  });
+  return out.join("\n");
+}
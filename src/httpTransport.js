@@ -0,0 +1,165 @@
+import { createServer } from "http";
+import { randomUUID, timingSafeEqual } from "crypto";
+import { SSEServerTransport } from "@modelcontextprotocol/sdk/server/sse.js";
+import { StreamableHTTPServerTransport } from "@modelcontextprotocol/sdk/server/streamableHttp.js";
+import { isInitializeRequest } from "@modelcontextprotocol/sdk/types.js";
+import { logger } from "./logger.js";
+
+const MAX_BODY_BYTES = 4 * 1024 * 1024;
+const DEFAULT_SESSION_IDLE_MS = 30 * 60 * 1000;
+const MAX_SWEEP_INTERVAL_MS = 60 * 1000;
+
+function isAuthorized(req, token) {
+  const match = (req.headers.authorization || "").match(/^Bearer\s+(.+)$/i);
+  if (!match) return false;
+  const given = Buffer.from(match[1].trim());
+  const expected = Buffer.from(token);
+  return given.length === expected.length && timingSafeEqual(given, expected);
+}
+
+function replyError(res, statusCode, message, headers = {}) {
+  if (res.headersSent) return;
+  res.writeHead(statusCode, { "Content-Type": "application/json", ...headers });
+  res.end(JSON.stringify({ jsonrpc: "2.0", error: { code: -32000, message }, id: null }));
+}
+
+function readJsonBody(req) {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    let size = 0;
+    req.on("data", (chunk) => {
+      size += chunk.length;
+      if (size > MAX_BODY_BYTES) {
+        reject(Object.assign(new Error("Payload too large"), { statusCode: 413 }));
+        req.destroy();
+        return;
+      }
+      chunks.push(chunk);
+    });
+    req.on("end", () => {
+      try {
+        resolve(JSON.parse(Buffer.concat(chunks).toString("utf8")));
+      } catch (_) {
+        reject(Object.assign(new Error("Parse error: invalid JSON"), { statusCode: 400 }));
+      }
+    });
+    req.on("error", reject);
+  });
+}
+
+/**
+ * Serves MCP over Streamable HTTP at `/mcp`, with the legacy HTTP+SSE transport at `/sse` and `/messages`.
+ * Each client session gets its own McpServer from `createMcpServer`; every request must carry the bearer token.
+ * Clients that disappear without closing their session are caught by a sweep that closes sessions idle
+ * for `sessionIdleMs`; `close` stops the sweep.
+ * @param {{host: string, port: number, token: string, sessionIdleMs?: number, createMcpServer: () => import('@modelcontextprotocol/sdk/server/mcp.js').McpServer}} options
+ * @returns {Promise<{port: number, sessionCount: () => number, close: () => Promise<void>}>}
+ */
+export async function startHttpTransport({ host, port, token, sessionIdleMs = DEFAULT_SESSION_IDLE_MS, createMcpServer }) {
+  if (!token) throw new Error("A bearer token is required for the HTTP transport");
+  const sessions = new Map();
+
+  const connectSession = async (transport) => {
+    const server = createMcpServer();
+    const onclose = server.server.onclose;
+    server.server.onclose = () => {
+      if (transport.sessionId) sessions.delete(transport.sessionId);
+      onclose?.();
+    };
+    await server.connect(transport);
+    return server;
+  };
+
+  const handleStreamable = async (req, res) => {
+    const sessionId = req.headers["mcp-session-id"];
+    const session = sessionId ? sessions.get(sessionId) : undefined;
+    if (session) {
+      if (!(session.transport instanceof StreamableHTTPServerTransport)) return replyError(res, 400, "Bad Request: session uses the SSE transport");
+      session.lastActivity = Date.now();
+      return session.transport.handleRequest(req, res);
+    }
+    if (sessionId) return replyError(res, 404, "Session not found");
+    if (req.method !== "POST") return replyError(res, 400, "Bad Request: No valid session ID provided");
+
+    const body = await readJsonBody(req);
+    if (!isInitializeRequest(body)) return replyError(res, 400, "Bad Request: No valid session ID provided");
+    let server;
+    const transport = new StreamableHTTPServerTransport({
+      sessionIdGenerator: () => randomUUID(),
+      onsessioninitialized: (id) => {
+        sessions.set(id, { transport, server, lastActivity: Date.now() });
+        logger.debug("MCP HTTP session started", { sessionId: id });
+      },
+    });
+    server = await connectSession(transport);
+    await transport.handleRequest(req, res, body);
+  };
+
+  const handleSse = async (req, res) => {
+    const transport = new SSEServerTransport("/messages", res);
+    const server = await connectSession(transport);
+    sessions.set(transport.sessionId, { transport, server, lastActivity: Date.now() });
+    logger.debug("MCP SSE session started", { sessionId: transport.sessionId });
+    res.on("close", () => {
+      sessions.delete(transport.sessionId);
+      server.close().catch(() => {});
+    });
+  };
+
+  const handleSseMessage = async (req, res, url) => {
+    const session = sessions.get(url.searchParams.get("sessionId"));
+    if (!session || !(session.transport instanceof SSEServerTransport)) return replyError(res, 404, "Session not found");
+    session.lastActivity = Date.now();
+    await session.transport.handlePostMessage(req, res);
+  };
+
+  const httpServer = createServer(async (req, res) => {
+    try {
+      if (!isAuthorized(req, token)) return replyError(res, 401, "Unauthorized", { "WWW-Authenticate": "Bearer" });
+      const url = new URL(req.url, "http://localhost");
+      if (url.pathname === "/mcp") return await handleStreamable(req, res);
+      if (url.pathname === "/sse" && req.method === "GET") return await handleSse(req, res);
+      if (url.pathname === "/messages" && req.method === "POST") return await handleSseMessage(req, res, url);
+      return replyError(res, 404, "Not found");
+    } catch (error) {
+      if (error.statusCode) return replyError(res, error.statusCode, error.message);
+      logger.error("MCP HTTP request failed", { message: error?.message, stack: error?.stack });
+      return replyError(res, 500, "Internal server error");
+    }
+  });
+
+  await new Promise((resolve, reject) => {
+    httpServer.once("error", reject);
+    httpServer.listen(port, host, () => {
+      httpServer.off("error", reject);
+      resolve();
+    });
+  });
+
+  const sweep = setInterval(() => {
+    const cutoff = Date.now() - sessionIdleMs;
+    for (const [id, session] of sessions) {
+      if (session.lastActivity > cutoff) continue;
+      sessions.delete(id);
+      logger.debug("MCP HTTP session expired", { sessionId: id });
+      session.server.close().catch(() => {});
+    }
+  }, Math.min(sessionIdleMs, MAX_SWEEP_INTERVAL_MS));
+  // The sweep alone never keeps the process running
+  sweep.unref();
+
+  return {
+    port: httpServer.address().port,
+    sessionCount: () => sessions.size,
+    close: async () => {
+      clearInterval(sweep);
+      const open = [...sessions.values()];
+      sessions.clear();
+      await Promise.allSettled(open.map(({ server }) => server.close()));
+      await new Promise((resolve) => {
+        httpServer.close(() => resolve());
+        httpServer.closeAllConnections?.();
+      });
+    },
+  };
+}
@@ -0,0 +1,151 @@
+import postmark from "postmark";
+import { getApiConfig } from "./config.js";
+import { logger } from "./logger.js";
+import { getServerToken } from "./profiles.js";
+
+const RETRY_DELAY_MS = 500;
+const MAX_RETRY_DELAY_MS = 10000;
+
+// What to do about the Postmark ErrorCodes a tool call most often runs into
+const ERROR_CODE_HINTS = {
+  10: "Check the server token (POSTMARK_SERVER_TOKEN or the profile's SERVER_TOKEN), or POSTMARK_ACCOUNT_TOKEN for template push.",
+  300: "Check the message fields: every recipient must be a valid address and the message needs a subject and a body.",
+  400: "The From address has no sender signature. Send from a confirmed sender signature or an address on a verified domain.",
+  401: "The sender signature is not confirmed yet. Confirm it from the email Postmark sent to that address.",
+  405: "The account cannot send right now (out of credits or sending disabled). Check the account in Postmark.",
+  406: "The recipient is inactive after a hard bounce, spam complaint or manual suppression. Check listSuppressions or listBounces; reactivateBounce can restore a hard-bounced address.",
+  410: "Too many messages in one batch request. Send at most 500 messages per batch.",
+  411: "An attachment has a file type Postmark does not allow. Remove it or send it in another format.",
+  412: "The account is pending approval and can only send to addresses on the sender's own domain until then.",
+};
+
+function statusHint(statusCode) {
+  if (statusCode === 401) return ERROR_CODE_HINTS[10];
+  if (statusCode === 429) return "Postmark's rate limit was reached. Wait a moment and try again.";
+  if (statusCode >= 500) return "Postmark is having trouble. Try again later.";
+  return undefined;
+}
+
+/**
+ * Builds the error thrown for a failed Postmark API request. Like PostmarkError it carries `code`
+ * (the Postmark ErrorCode, if any) and `statusCode`; the message says what to do about it.
+ * @param {string} message Message returned by Postmark
+ * @param {{code?: number, statusCode?: number, retryAfterMs?: number}} [details]
+ */
+export function postmarkApiError(message, { code, statusCode, retryAfterMs } = {}) {
+  const hint = ERROR_CODE_HINTS[code] || statusHint(statusCode);
+  const label = [statusCode ? `HTTP ${statusCode}` : null, code ? `ErrorCode ${code}` : null].filter(Boolean).join(", ");
+  const text = `Postmark API Error${label ? ` (${label})` : ""}: ${message}${hint ? `\n${hint}` : ""}`;
+  return Object.assign(new Error(text), { name: "PostmarkApiError", code, statusCode, retryAfterMs, postmarkMessage: message });
+}
+
+// Rejected (429) requests are always safe to retry; 5xx, network errors and timeouts only when repeating the request cannot send mail twice
+function isRetryable(error, idempotent) {
+  if (error.statusCode === 429) return true;
+  return idempotent && (!error.statusCode || error.statusCode >= 500);
+}
+
+async function withRetries(operation, request, { idempotent, maxRetries, retryDelayMs = RETRY_DELAY_MS }) {
+  for (let attempt = 0; ; attempt++) {
+    try {
+      return await request();
+    } catch (error) {
+      if (attempt >= maxRetries || !isRetryable(error, idempotent)) throw error;
+      const delayMs = Math.min(error.retryAfterMs ?? retryDelayMs * 2 ** attempt, MAX_RETRY_DELAY_MS);
+      logger.warn("Retrying Postmark API request", { operation, attempt: attempt + 1, statusCode: error.statusCode, delayMs });
+      await new Promise((resolve) => setTimeout(resolve, delayMs));
+    }
+  }
+}
+
+function toApiError(error) {
+  if (error?.name === "PostmarkApiError") return error;
+  // postmark.js reports network failures and timeouts without a status code
+  return postmarkApiError(error?.message || String(error), { code: error?.code || undefined, statusCode: error?.statusCode || undefined });
+}
+
+/**
+ * Creates the client for Postmark API endpoints that postmark.js does not cover. Requests use the
+ * active profile's server token (or POSTMARK_ACCOUNT_TOKEN), time out after POSTMARK_API_TIMEOUT_MS
+ * and are retried with exponential backoff as configured by getApiConfig.
+ * @param {Partial<ReturnType<typeof getApiConfig>> & {retryDelayMs?: number}} [overrides]
+ */
+export function createPostmarkApi(overrides = {}) {
+  return {
+    /**
+     * @param {"GET"|"POST"|"PUT"|"DELETE"} method
+     * @param {string} path e.g. "/stats/outbound"
+     * @param {{query?: Record<string, string|undefined>, body?: object, auth?: "server"|"account"}} [options]
+     */
+    async request(method, path, { query = {}, body, auth = "server" } = {}) {
+      const config = { ...getApiConfig(), ...overrides };
+      const token = auth === "account" ? config.accountToken : getServerToken();
+      if (!token) {
+        throw new Error(auth === "account" ? "POSTMARK_ACCOUNT_TOKEN environment variable is required for account-level requests such as template push" : "No Postmark server token is configured");
+      }
+      const params = new URLSearchParams(Object.entries(query).filter(([, value]) => value !== undefined && value !== ""));
+      const queryString = params.toString();
+      const url = `${config.baseUrl}${path}${queryString ? `?${queryString}` : ""}`;
+      const headers = { Accept: "application/json", [auth === "account" ? "X-Postmark-Account-Token" : "X-Postmark-Server-Token"]: token };
+      if (body !== undefined) headers["Content-Type"] = "application/json";
+
+      const send = async () => {
+        let response;
+        try {
+          response = await fetch(url, { method, headers, body: body === undefined ? undefined : JSON.stringify(body), signal: AbortSignal.timeout(config.timeoutMs) });
+        } catch (error) {
+          if (error?.name === "TimeoutError") throw postmarkApiError(`No response within ${config.timeoutMs} ms (${method} ${path})`);
+          throw postmarkApiError(`Request failed: ${error?.message || error} (${method} ${path})`);
+        }
+        const data = await response.json().catch(() => ({}));
+        if (!response.ok) {
+          const retryAfter = Number(response.headers?.get?.("Retry-After"));
+          throw postmarkApiError(data.Message || response.statusText || "Request failed", {
+            code: data.ErrorCode || undefined,
+            statusCode: response.status,
+            retryAfterMs: Number.isFinite(retryAfter) && retryAfter > 0 ? retryAfter * 1000 : undefined,
+          });
+        }
+        return data;
+      };
+      return withRetries(`${method} ${path}`, send, { idempotent: method !== "POST", maxRetries: config.maxRetries, retryDelayMs: config.retryDelayMs });
+    },
+  };
+}
+
+/**
+ * Wraps a postmark.js client so every call gets the same retries and actionable errors as
+ * createPostmarkApi. Only read calls (get*) are retried after 5xx responses or network errors.
+ * @template T
+ * @param {T} client
+ * @param {Partial<ReturnType<typeof getApiConfig>> & {retryDelayMs?: number}} [overrides]
+ * @returns {T}
+ */
+export function withApiRetries(client, overrides = {}) {
+  return new Proxy(client, {
+    get(target, prop) {
+      const value = target[prop];
+      if (typeof value !== "function" || typeof prop !== "string") return value;
+      return (...args) => {
+        const first = value.apply(target, args);
+        // Synchronous helpers such as getClientOptions are passed through
+        if (typeof first?.then !== "function") return first;
+        const { maxRetries, retryDelayMs } = { ...getApiConfig(), ...overrides };
+        let attempts = 0;
+        const call = () => (attempts++ === 0 ? first : value.apply(target, args)).catch((error) => Promise.reject(toApiError(error)));
+        return withRetries(prop, call, { idempotent: prop.startsWith("get"), maxRetries, retryDelayMs });
+      };
+    },
+  });
+}
+
+/**
+ * Creates the postmark.js client for a server token, pointed at POSTMARK_API_URL with the configured timeout.
+ * @param {string} serverToken
+ */
+export function createServerClient(serverToken) {
+  const { baseUrl, timeoutMs } = getApiConfig();
+  const url = new URL(baseUrl);
+  const client = new postmark.ServerClient(serverToken, { useHttps: url.protocol === "https:", requestHost: `${url.host}${url.pathname.replace(/\/$/, "")}`, timeout: timeoutMs / 1000 });
+  return withApiRetries(client);
+}
@@ -0,0 +1,75 @@
+import { AsyncLocalStorage } from "async_hooks";
+
+// Profile selected for the tool call currently being handled
+const activeProfile = new AsyncLocalStorage();
+
+/**
+ * Creates a registry of Postmark server profiles, each with its own client and defaults.
+ * @param {Array<{name: string, client: import('postmark').ServerClient, serverToken?: string, defaultSender?: string, defaultMessageStream?: string}>} profiles
+ * @param {string} [defaultName] Profile used by read-only tools when none is given (defaults to the first).
+ */
+export function createProfileRegistry(profiles, defaultName = profiles[0]?.name) {
+  const byName = new Map(profiles.map((p) => [p.name, p]));
+  if (!byName.has(defaultName)) throw new Error(`Unknown default profile: ${defaultName}`);
+
+  return {
+    defaultName,
+    names: () => [...byName.keys()],
+    list: () => [...byName.values()],
+    /**
+     * Resolves the profile for a tool call. When several profiles are configured, tools that
+     * send mail or change data must name one explicitly so they never act on the wrong server.
+     * @param {string|undefined} name
+     * @param {{requireExplicit?: boolean}} [options]
+     */
+    resolve(name, { requireExplicit = false } = {}) {
+      if (name) {
+        const profile = byName.get(name);
+        if (!profile) throw new Error(`Unknown Postmark server profile '${name}'. Configured profiles: ${[...byName.keys()].join(", ")}`);
+        return profile;
+      }
+      if (requireExplicit && byName.size > 1) {
+        throw new Error(`Multiple Postmark servers are configured (${[...byName.keys()].join(", ")}). Pass 'server' explicitly to send email or make changes.`);
+      }
+      return byName.get(defaultName);
+    },
+  };
+}
+
+export function runWithProfile(profile, fn) {
+  return activeProfile.run(profile, fn);
+}
+
+export function getActiveProfile() {
+  return activeProfile.getStore();
+}
+
+/**
+ * A stand-in for a ServerClient that forwards every call to the active profile's client.
+ * @param {() => import('postmark').ServerClient} fallback Client used outside a tool call.
+ * @returns {import('postmark').ServerClient}
+ */
+export function createProfileClient(fallback) {
+  return new Proxy(
+    {},
+    {
+      get(_, prop) {
+        const client = getActiveProfile()?.client || fallback();
+        const value = client?.[prop];
+        return typeof value === "function" ? value.bind(client) : value;
+      },
+    }
+  );
+}
+
+export function getDefaultSender() {
+  return getActiveProfile()?.defaultSender || process.env.DEFAULT_SENDER_EMAIL;
+}
+
+export function getDefaultMessageStream() {
+  return getActiveProfile()?.defaultMessageStream || process.env.DEFAULT_MESSAGE_STREAM;
+}
+
+export function getServerToken() {
+  return getActiveProfile()?.serverToken || process.env.POSTMARK_SERVER_TOKEN;
+}
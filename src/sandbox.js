@@ -0,0 +1,65 @@
+import { writeOutboxMessage } from "./helpers/outbox.js";
+import { findLocalTemplate, renderLocalTemplate } from "./helpers/templates.js";
+import { getActiveProfile } from "./profiles.js";
+
+/**
+ * Renders a templated send against the local template library, producing a plain Postmark Message.
+ * @param {string} templatesBasePath
+ * @param {object} message Postmark TemplatedMessage
+ * @returns {Promise<object>} Postmark Message plus a `Template` description for the envelope
+ */
+export async function renderLocalTemplateMessage(templatesBasePath, message) {
+  const { TemplateId, TemplateAlias, TemplateModel, InlineCss, ...rest } = message;
+  if (!TemplateAlias) {
+    throw new Error("Sandbox mode renders local templates only; pass templateAlias as 'category/template' instead of templateId");
+  }
+  const found = await findLocalTemplate(templatesBasePath, TemplateAlias);
+  if (!found.ok) throw new Error(found.message);
+  const model = TemplateModel || {};
+  const local = await renderLocalTemplate(templatesBasePath, found.category, found.template, model);
+  if (!local.ok) throw new Error(local.message);
+
+  const rendered = { ...rest, Subject: local.subject };
+  if (local.text !== undefined) rendered.TextBody = local.text;
+  if (local.html !== undefined) rendered.HtmlBody = local.html;
+  return { message: rendered, template: { Alias: TemplateAlias, Local: `${found.category}/${found.template}`, Model: model } };
+}
+
+const accepted = (envelope) => ({ To: envelope.To, SubmittedAt: envelope.SubmittedAt, MessageID: envelope.MessageID, ErrorCode: 0, Message: "OK" });
+
+async function capture(outboxPath, message, extra) {
+  const res = await writeOutboxMessage(outboxPath, message, { Sandbox: true, Server: getActiveProfile()?.name, ...extra });
+  if (!res.ok) throw new Error(`Failed to write to sandbox outbox: ${res.message}`);
+  return accepted(res.envelope);
+}
+
+/**
+ * A stand-in for the send methods of a ServerClient that writes every message to the local outbox
+ * and returns Postmark-shaped responses with a fake MessageID.
+ * @param {{outboxPath: string, templatesBasePath: string}} options
+ */
+export function createSandboxClient({ outboxPath, templatesBasePath }) {
+  const sendEmail = (message) => capture(outboxPath, message);
+  const sendEmailWithTemplate = async (message) => {
+    const { message: rendered, template } = await renderLocalTemplateMessage(templatesBasePath, message);
+    return capture(outboxPath, rendered, { Template: template });
+  };
+  // Batch endpoints report per-message failures instead of rejecting the whole request
+  const eachMessage = (send) => async (messages) => {
+    const results = [];
+    for (const message of messages) {
+      try {
+        results.push(await send(message));
+      } catch (error) {
+        results.push({ To: message.To, ErrorCode: 300, Message: String(error?.message || error) });
+      }
+    }
+    return results;
+  };
+  return {
+    sendEmail,
+    sendEmailWithTemplate,
+    sendEmailBatch: eachMessage(sendEmail),
+    sendEmailBatchWithTemplates: eachMessage(sendEmailWithTemplate),
+  };
+}
@@ -0,0 +1,108 @@
+import { randomUUID } from "crypto";
+import { auditCall, recordAuditResult } from "./audit.js";
+import { getSandboxConfig, getTemplatesBasePath } from "./config.js";
+import { listScheduledEmails, updateScheduledEmailStatus } from "./helpers/scheduleStore.js";
+import { logger } from "./logger.js";
+import { runWithProfile } from "./profiles.js";
+import { createSandboxClient } from "./sandbox.js";
+import { createSendPolicy } from "./sendPolicy.js";
+import { buildEmailPayload, buildTemplatePayload } from "./tools/emailPayload.js";
+
+// How long a claimed item may stay `sending` before other workers treat the delivery as interrupted;
+// far longer than a send takes with the API timeout and retries
+const SEND_LEASE_MS = 10 * 60 * 1000;
+
+const INTERRUPTED_MESSAGE = "Delivery was interrupted by a server restart and is not retried, so the message cannot go out twice. Check searchOutboundMessages before scheduling it again.";
+
+async function deliver(item, profile, policy, now) {
+  const emailData = item.tool === "sendEmailWithTemplate" ? await buildTemplatePayload(item.arguments) : await buildEmailPayload(item.arguments);
+  policy.check([emailData], now, { session: false });
+  const sandbox = getSandboxConfig();
+  const mailer = sandbox.enabled ? createSandboxClient({ outboxPath: sandbox.outboxPath, templatesBasePath: getTemplatesBasePath() }) : profile.client;
+  const result = await mailer[item.tool](emailData);
+  policy.commit(1, now, { session: false });
+  recordAuditResult({ messageIds: [result.MessageID] });
+  return { messageId: result.MessageID, sandbox: sandbox.enabled };
+}
+
+/**
+ * Sends every pending scheduled email that is due, through the same payload building, send policy,
+ * sandbox and audit log as the send tools. Several server processes may share one queue: an item is
+ * claimed (`pending` to `sending`, with a lease) under the queue's lock file just before the request,
+ * so a cancelled item is never sent and no item is sent twice. An item still `sending` after its lease
+ * has expired was interrupted; it is marked failed instead of being sent again.
+ * @param {{profiles: ReturnType<typeof import('./profiles.js').createProfileRegistry>, queuePath: string, policy?: ReturnType<typeof createSendPolicy>, now?: number}} options
+ * @returns {Promise<object[]>} The items that were processed, with their final status
+ */
+export async function deliverDueEmails({ profiles, queuePath, policy = createSendPolicy(), now = Date.now() }) {
+  const listRes = await listScheduledEmails(queuePath);
+  if (!listRes.ok) {
+    logger.error("Failed to read the scheduled email queue", { queuePath, message: listRes.message });
+    return [];
+  }
+  const processed = [];
+  for (const item of listRes.items) {
+    if (item.status === "sending") {
+      // Another process may be sending it right now; only an expired lease means the sender is gone
+      if (item.leaseUntil && Date.parse(item.leaseUntil) > now) continue;
+      const failed = await updateScheduledEmailStatus(queuePath, item.id, { status: "sending", claimId: item.claimId }, { status: "failed", error: INTERRUPTED_MESSAGE });
+      if (!failed.ok) continue;
+      logger.warn("Scheduled email delivery was interrupted", { id: item.id });
+      processed.push(failed.item);
+      continue;
+    }
+    if (item.status !== "pending" || Date.parse(item.sendAt) > now) continue;
+
+    // The listing is a snapshot; the item may have been cancelled or claimed by another process since
+    const claimId = randomUUID();
+    const claimed = await updateScheduledEmailStatus(queuePath, item.id, "pending", { status: "sending", claimId, attemptedAt: new Date(now).toISOString(), leaseUntil: new Date(now + SEND_LEASE_MS).toISOString() });
+    if (!claimed.ok) {
+      if (claimed.code === "STATUS_CHANGED") logger.info("Scheduled email skipped", { id: item.id, status: claimed.item.status });
+      else logger.error("Failed to update scheduled email", { id: item.id, message: claimed.message });
+      continue;
+    }
+    let outcome;
+    try {
+      const profile = profiles.resolve(item.server);
+      logger.info("Sending scheduled email...", { id: item.id, tool: item.tool, server: profile.name });
+      const sent = await runWithProfile(profile, () => auditCall(item.tool, item.arguments, () => deliver(item, profile, policy, now), { scheduledEmailId: item.id }));
+      outcome = { status: "sent", sentAt: new Date().toISOString(), ...sent };
+      logger.info("Scheduled email sent", { id: item.id, messageId: sent.messageId });
+    } catch (error) {
+      outcome = { status: "failed", error: String(error?.message || error) };
+      logger.error("Scheduled email failed", { id: item.id, message: outcome.error });
+    }
+    // Matched on the claim, not the status: the real outcome wins even if the lease ran out meanwhile
+    const saved = await updateScheduledEmailStatus(queuePath, item.id, { claimId }, { ...outcome, leaseUntil: undefined });
+    if (!saved.ok) logger.error("Failed to update scheduled email", { id: item.id, message: saved.message });
+    processed.push(saved.ok ? saved.item : { ...claimed.item, ...outcome });
+  }
+  return processed;
+}
+
+/**
+ * Starts the in-process worker that delivers scheduled emails. It checks the queue at startup,
+ * so emails that fell due while the server was down go out right away, and then every `pollIntervalMs`.
+ * @param {{profiles: object, queuePath: string, pollIntervalMs: number}} options
+ * @returns {{close: () => Promise<void>}}
+ */
+export function startScheduleWorker({ profiles, queuePath, pollIntervalMs }) {
+  // One policy for the worker: its deliveries share the process-wide hourly quota with the send tools
+  const policy = createSendPolicy();
+  let timer;
+  let closed = false;
+  const tick = () =>
+    deliverDueEmails({ profiles, queuePath, policy })
+      .catch((error) => logger.error("Scheduled email worker failed", { message: error?.message }))
+      .finally(() => {
+        if (!closed) timer = setTimeout(() => (running = tick()), pollIntervalMs);
+      });
+  let running = tick();
+  return {
+    async close() {
+      closed = true;
+      clearTimeout(timer);
+      await running;
+    },
+  };
+}
@@ -0,0 +1,93 @@
+import { getSendPolicyConfig } from "./config.js";
+import { listEmails } from "./helpers/addresses.js";
+
+const HOUR_MS = 60 * 60 * 1000;
+
+// Send timestamps within the last hour, shared by every session in this process
+const sharedHourlyWindow = [];
+
+/**
+ * Checks whether an address matches a policy entry: a full address, or a domain that also covers subdomains.
+ * @param {string} email Lowercased bare email address
+ * @param {string} entry Lowercased address or domain (a leading "@" is ignored)
+ */
+export function matchesRecipientEntry(email, entry) {
+  const rule = entry.replace(/^@/, "");
+  if (rule.includes("@")) return email === rule;
+  const domain = email.slice(email.lastIndexOf("@") + 1);
+  return domain === rule || domain.endsWith(`.${rule}`);
+}
+
+function violation(rule, detail) {
+  return new Error(`Send blocked by policy rule '${rule}': ${detail}`);
+}
+
+/**
+ * Creates the guardrail every send tool passes through. Session quotas count messages sent through
+ * this instance (one per MCP session); the hourly quota is shared across the process. Tools call
+ * `check` before sending and `commit` with the number of messages Postmark accepted, so failed sends
+ * use no quota.
+ * @param {{getPolicy?: typeof getSendPolicyConfig, hourlyWindow?: number[]}} [options]
+ */
+export function createSendPolicy({ getPolicy = getSendPolicyConfig, hourlyWindow = sharedHourlyWindow } = {}) {
+  let sessionSends = 0;
+
+  return {
+    /**
+     * Validates the messages of one tool call against the recipient rules and the remaining quota.
+     * Throws an error naming the violated rule. Reserves nothing; see `commit`.
+     * Scheduled sends count toward the session quota when scheduled and the hourly quota when delivered.
+     * @param {Array<{To?: string, Cc?: string, Bcc?: string}>} messages Postmark payloads
+     * @param {number} [now]
+     * @param {{session?: boolean, hourly?: boolean}} [quotas] Quotas to apply (default: both)
+     */
+    check(messages, now = Date.now(), { session = true, hourly = true } = {}) {
+      const policy = getPolicy();
+      const recipients = messages.flatMap((m) => [m.To, m.Cc, m.Bcc].flatMap(listEmails));
+
+      if (policy.maxRecipientsPerCall && recipients.length > policy.maxRecipientsPerCall) {
+        throw violation("maxRecipientsPerCall", `${recipients.length} recipients in one call exceeds the limit of ${policy.maxRecipientsPerCall}`);
+      }
+      for (const email of new Set(recipients)) {
+        const blocked = policy.blockedRecipients.find((entry) => matchesRecipientEntry(email, entry));
+        if (blocked) throw violation("blockedRecipients", `${email} matches blocked entry '${blocked}'`);
+        if (policy.internalOnly && !policy.internalDomains.some((domain) => matchesRecipientEntry(email, domain))) {
+          throw violation("internalOnly", `${email} is outside the internal domains (${policy.internalDomains.join(", ")})`);
+        }
+        if (policy.allowedRecipients.length && !policy.allowedRecipients.some((entry) => matchesRecipientEntry(email, entry))) {
+          throw violation("allowedRecipients", `${email} is not on the recipient allow list`);
+        }
+      }
+
+      if (session && policy.sessionQuota && sessionSends + messages.length > policy.sessionQuota) {
+        throw violation("sessionQuota", `sending ${messages.length} more would exceed the session quota of ${policy.sessionQuota} (${sessionSends} already sent)`);
+      }
+      while (hourlyWindow.length && hourlyWindow[0] <= now - HOUR_MS) hourlyWindow.shift();
+      if (hourly && policy.hourlyQuota && hourlyWindow.length + messages.length > policy.hourlyQuota) {
+        throw violation("hourlyQuota", `sending ${messages.length} more would exceed the hourly quota of ${policy.hourlyQuota} (${hourlyWindow.length} sent in the last hour)`);
+      }
+    },
+
+    /**
+     * Counts messages that were sent (or scheduled) toward the quotas.
+     * @param {number} count Messages Postmark accepted
+     * @param {number} [now]
+     * @param {{session?: boolean, hourly?: boolean}} [quotas] Quotas to count toward (default: both)
+     */
+    commit(count, now = Date.now(), { session = true, hourly = true } = {}) {
+      if (session) sessionSends += count;
+      if (hourly && getPolicy().hourlyQuota) hourlyWindow.push(...Array.from({ length: count }, () => now));
+    },
+
+    /**
+     * `check` and `commit` in one step, for callers that count messages before sending them.
+     * @param {Array<{To?: string, Cc?: string, Bcc?: string}>} messages Postmark payloads
+     * @param {number} [now]
+     * @param {{session?: boolean, hourly?: boolean}} [quotas]
+     */
+    enforce(messages, now = Date.now(), quotas = {}) {
+      this.check(messages, now, quotas);
+      this.commit(messages.length, now, quotas);
+    },
+  };
+}
@@ -0,0 +1,133 @@
+import { watch } from "fs";
+import { access } from "fs/promises";
+import { join } from "path";
+import { ResourceTemplate } from "@modelcontextprotocol/sdk/server/mcp.js";
+import { getTemplatesBasePath } from "./config.js";
+import { getTemplateContent, listLocalTemplates } from "./helpers/templates.js";
+import { logger } from "./logger.js";
+import { fetchAllServerTemplates } from "./tools/templateSyncTools.js";
+
+const LOCAL_FORMATS = { html: { fileName: "content.html", mimeType: "text/html" }, text: { fileName: "content.txt", mimeType: "text/plain" } };
+
+// URI variables arrive percent-encoded; a decoded value must stay a single path segment
+function uriSegment(value, label) {
+  const decoded = decodeURIComponent(Array.isArray(value) ? value[0] : value);
+  if (!decoded || decoded === "." || decoded === ".." || /[\\/]/.test(decoded)) throw new Error(`Invalid ${label}: ${decoded}`);
+  return decoded;
+}
+
+const localUri = (category, template, format) => `postmark-local://${encodeURIComponent(category)}/${encodeURIComponent(template)}/${format}`;
+
+function serverUri(template) {
+  return template.Alias ? `postmark-template://alias/${encodeURIComponent(template.Alias)}` : `postmark-template://id/${template.TemplateId}`;
+}
+
+async function listLocalResources() {
+  const templatesBasePath = getTemplatesBasePath();
+  const listRes = await listLocalTemplates(templatesBasePath);
+  if (!listRes.ok) return { resources: [] };
+  const resources = [];
+  for (const { category, template } of listRes.templates) {
+    for (const [format, { fileName, mimeType }] of Object.entries(LOCAL_FORMATS)) {
+      const exists = await access(join(templatesBasePath, category, template, fileName)).then(() => true, () => false);
+      if (exists) resources.push({ uri: localUri(category, template, format), name: `${category}/${template} (${format})`, mimeType });
+    }
+  }
+  return { resources };
+}
+
+async function readServerTemplate(postmarkClient, uri, idOrAlias) {
+  const template = await postmarkClient.getTemplate(idOrAlias);
+  const { TemplateId, Name, Alias, TemplateType, Subject, LayoutTemplate, HtmlBody, TextBody, Active } = template;
+  const content = { TemplateId, Name, Alias, TemplateType, Subject, LayoutTemplate, HtmlBody, TextBody, Active };
+  return { contents: [{ uri: uri.href, mimeType: "application/json", text: JSON.stringify(content, null, 2) }] };
+}
+
+/**
+ * Registers local template files and server templates as MCP resources:
+ * `postmark-local://{category}/{template}/{html|text}`, `postmark-template://alias/{alias}` and
+ * `postmark-template://id/{templateId}`. Server templates are read with the default profile.
+ * With a watcher, clients get `resources/list_changed` whenever the local templates directory changes.
+ * @param {import('@modelcontextprotocol/sdk/server/mcp.js').McpServer} mcpServer
+ * @param {import('postmark').ServerClient} postmarkClient
+ * @param {{watcher?: ReturnType<typeof watchTemplatesDirectory>}} [options]
+ */
+export function registerTemplateResources(mcpServer, postmarkClient, { watcher } = {}) {
+  mcpServer.resource(
+    "local-template",
+    new ResourceTemplate("postmark-local://{category}/{template}/{format}", { list: listLocalResources }),
+    { description: "HTML or text content of a template in the local templates directory" },
+    async (uri, variables) => {
+      const format = uriSegment(variables.format, "format");
+      if (!LOCAL_FORMATS[format]) throw new Error(`Unknown format '${format}' (use html or text)`);
+      const category = uriSegment(variables.category, "category");
+      const template = uriSegment(variables.template, "template");
+      const contentRes = await getTemplateContent(getTemplatesBasePath(), category, template, format);
+      if (!contentRes.ok) throw new Error(contentRes.message);
+      return { contents: [{ uri: uri.href, mimeType: LOCAL_FORMATS[format].mimeType, text: contentRes.content }] };
+    }
+  );
+
+  // Server templates are listed under their alias, or their ID when they have none
+  mcpServer.resource(
+    "server-template",
+    new ResourceTemplate("postmark-template://{by}/{key}", {
+      list: async () => ({
+        resources: (await fetchAllServerTemplates(postmarkClient)).map((t) => ({ uri: serverUri(t), name: `${t.Name}${t.TemplateType === "Layout" ? " (layout)" : ""}`, mimeType: "application/json" })),
+      }),
+    }),
+    { description: "Postmark server template (subject, HTML and text bodies) by alias (postmark-template://alias/{alias}) or ID (postmark-template://id/{templateId})" },
+    async (uri, variables) => {
+      const by = uriSegment(variables.by, "lookup");
+      const key = uriSegment(variables.key, by === "id" ? "template ID" : "alias");
+      if (by === "alias") return readServerTemplate(postmarkClient, uri, key);
+      if (by === "id" && /^\d+$/.test(key)) return readServerTemplate(postmarkClient, uri, Number(key));
+      throw new Error(`Unknown server template URI: ${uri.href} (use postmark-template://alias/{alias} or postmark-template://id/{templateId})`);
+    }
+  );
+
+  if (watcher) {
+    const unsubscribe = watcher.subscribe(() => mcpServer.sendResourceListChanged());
+    const onclose = mcpServer.server.onclose;
+    mcpServer.server.onclose = () => {
+      unsubscribe();
+      onclose?.();
+    };
+  }
+}
+
+/**
+ * Watches the local templates directory (recursively) and notifies subscribers of changes,
+ * debounced so that saving several files at once yields one notification.
+ * @param {string} templatesBasePath
+ * @param {{debounceMs?: number}} [options]
+ * @returns {{subscribe: (listener: () => void) => () => void, close: () => Promise<void>}}
+ */
+export function watchTemplatesDirectory(templatesBasePath, { debounceMs = 200 } = {}) {
+  const listeners = new Set();
+  let timer;
+  let fsWatcher;
+  try {
+    fsWatcher = watch(templatesBasePath, { recursive: true }, () => {
+      clearTimeout(timer);
+      timer = setTimeout(() => {
+        logger.debug("Local templates changed", { templatesBasePath });
+        for (const listener of listeners) listener();
+      }, debounceMs);
+    });
+    fsWatcher.on("error", (error) => logger.error("Templates directory watcher failed", { templatesBasePath, message: error?.message }));
+  } catch (error) {
+    logger.error("Cannot watch templates directory; resource list change notifications are disabled", { templatesBasePath, message: error?.message });
+  }
+  return {
+    subscribe(listener) {
+      listeners.add(listener);
+      return () => listeners.delete(listener);
+    },
+    close: async () => {
+      clearTimeout(timer);
+      listeners.clear();
+      fsWatcher?.close();
+    },
+  };
+}
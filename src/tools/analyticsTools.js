@@ -0,0 +1,191 @@
+import { z } from "zod";
+import { breakdownCounts, mergeDailyCounts, percentage } from "../helpers/stats.js";
+import { logger } from "../logger.js";
+
+const dateSchema = z.string().regex(/^\d{4}-\d{2}-\d{2}$/);
+
+const statsFilterShape = {
+  tag: z.string().optional().describe("Filter by tag (optional)"),
+  fromDate: dateSchema.optional().describe("Start date in YYYY-MM-DD format (optional)"),
+  toDate: dateSchema.optional().describe("End date in YYYY-MM-DD format (optional)"),
+  messageStream: z.string().optional().describe("Filter by message stream ID (optional)"),
+};
+
+function statsFilter({ tag, fromDate, toDate, messageStream }) {
+  const filter = {};
+  if (tag) filter.tag = tag;
+  if (fromDate) filter.fromDate = fromDate;
+  if (toDate) filter.toDate = toDate;
+  if (messageStream) filter.messageStream = messageStream;
+  return filter;
+}
+
+function describeFilter({ tag, fromDate, toDate, messageStream }) {
+  return `${fromDate || toDate ? `Period: ${fromDate || "start"} to ${toDate || "now"}\n` : ""}${tag ? `Tag: ${tag}\n` : ""}${messageStream ? `Message Stream: ${messageStream}\n` : ""}`;
+}
+
+// Postmark reports bounces per type (HardBounce, SoftBounce, Transient, ...); the total is their sum
+const sumCounts = (counts = {}) => Object.entries(counts).reduce((sum, [key, value]) => (key !== "Date" && key !== "Days" && typeof value === "number" ? sum + value : sum), 0);
+
+function overviewMetrics(overview) {
+  const sent = overview.Sent || 0;
+  const bounced = overview.Bounced || 0;
+  const spamComplaints = overview.SpamComplaints || 0;
+  const tracked = overview.Tracked || 0;
+  const uniqueOpens = overview.UniqueOpens || 0;
+  const totalTrackedLinks = overview.TotalTrackedLinksSent || 0;
+  const uniqueLinksClicked = overview.UniqueLinksClicked || 0;
+  return {
+    sent,
+    bounced,
+    bounceRate: percentage(bounced, sent),
+    spamComplaints,
+    spamComplaintRate: percentage(spamComplaints, sent),
+    tracked,
+    uniqueOpens,
+    openRate: percentage(uniqueOpens, tracked),
+    totalTrackedLinks,
+    uniqueLinksClicked,
+    clickRate: percentage(uniqueLinksClicked, totalTrackedLinks),
+  };
+}
+
+const formatBreakdown = (entries) => entries.map((e) => `${e.name}: ${e.count} (${e.percentage.toFixed(1)}%)`).join("\n");
+
+const COMPARED_METRICS = [
+  ["sent", "Sent"],
+  ["bounceRate", "Bounce Rate"],
+  ["spamComplaintRate", "Spam Complaint Rate"],
+  ["openRate", "Open Rate"],
+  ["clickRate", "Click Rate"],
+];
+
+function formatChange(key, difference) {
+  const sign = difference > 0 ? "+" : "";
+  return key === "sent" ? `${sign}${difference}` : `${sign}${difference.toFixed(1)} pts`;
+}
+
+/**
+ * Registers tools for bounce and spam rates, daily time series and open/click breakdowns
+ * from the Postmark outbound statistics API.
+ * @param {import('@modelcontextprotocol/sdk/server/mcp.js').McpServer} server
+ * @param {import('postmark').ServerClient} postmarkClient
+ */
+export function registerAnalyticsTools(server, postmarkClient) {
+  server.tool("getBounceAndSpamStats", statsFilterShape, async (args) => {
+    const filter = statsFilter(args);
+    logger.info("Fetching bounce and spam statistics...", filter);
+    const [overview, bounceCounts] = await Promise.all([postmarkClient.getOutboundOverview(filter), postmarkClient.getBounceCounts(filter)]);
+    logger.info("Bounce and spam statistics retrieved");
+    const { sent, bounced, bounceRate, spamComplaints, spamComplaintRate } = overviewMetrics(overview);
+    const smtpApiErrors = overview.SMTPApiErrors || 0;
+    const bouncesByType = breakdownCounts(bounceCounts).map(({ name, ...entry }) => ({ type: name, ...entry }));
+    const breakdown = bouncesByType.map((b) => `${b.type}: ${b.count} (${b.percentage.toFixed(1)}%)`).join("\n");
+    return {
+      content: [{ type: "text", text: `Bounce & Spam Statistics\n\nSent: ${sent} emails\nBounce Rate: ${bounceRate.toFixed(1)}% (${bounced}/${sent} emails)\nSpam Complaint Rate: ${spamComplaintRate.toFixed(1)}% (${spamComplaints}/${sent} emails)\nSMTP API Errors: ${smtpApiErrors}\n\n${breakdown ? `By Bounce Type:\n${breakdown}\n\n` : ""}${describeFilter(args)}` }],
+      structuredContent: { sent, bounced, bounceRate, spamComplaints, spamComplaintRate, smtpApiErrors, bouncesByType, ...filter },
+    };
+  });
+
+  server.tool("getDeliveryTimeSeries", statsFilterShape, async (args) => {
+    const filter = statsFilter(args);
+    logger.info("Fetching daily delivery statistics...", filter);
+    const [sends, tracked, opens, clicks, bounces, spam] = await Promise.all([
+      postmarkClient.getSentCounts(filter),
+      postmarkClient.getTrackedEmailCounts(filter),
+      postmarkClient.getEmailOpenCounts(filter),
+      postmarkClient.getClickCounts(filter),
+      postmarkClient.getBounceCounts(filter),
+      postmarkClient.getSpamComplaintsCounts(filter),
+    ]);
+    const days = mergeDailyCounts([
+      { days: sends.Days, pick: (d) => ({ sent: d.Sent || 0 }) },
+      { days: tracked.Days, pick: (d) => ({ tracked: d.Tracked || 0 }) },
+      { days: opens.Days, pick: (d) => ({ opens: d.Opens || 0, uniqueOpens: d.Unique || 0 }) },
+      { days: clicks.Days, pick: (d) => ({ clicks: d.Clicks || 0, uniqueClicks: d.Unique || 0 }) },
+      { days: bounces.Days, pick: (d) => ({ bounced: sumCounts(d) }) },
+      { days: spam.Days, pick: (d) => ({ spamComplaints: d.SpamComplaint || 0 }) },
+    ]).map((d) => {
+      const day = { date: d.date, sent: 0, tracked: 0, opens: 0, uniqueOpens: 0, clicks: 0, uniqueClicks: 0, bounced: 0, spamComplaints: 0, ...d };
+      return { ...day, openRate: percentage(day.uniqueOpens, day.tracked) };
+    });
+    const totals = {
+      sent: sends.Sent || 0,
+      tracked: tracked.Tracked || 0,
+      opens: opens.Opens || 0,
+      uniqueOpens: opens.Unique || 0,
+      clicks: clicks.Clicks || 0,
+      uniqueClicks: clicks.Unique || 0,
+      bounced: sumCounts(bounces),
+      spamComplaints: spam.SpamComplaint || 0,
+    };
+    totals.openRate = percentage(totals.uniqueOpens, totals.tracked);
+    logger.info("Daily delivery statistics retrieved", { days: days.length });
+    const row = (label, d) => `| ${label} | ${d.sent} | ${d.bounced} | ${d.spamComplaints} | ${d.opens} (${d.uniqueOpens}) | ${d.openRate.toFixed(1)}% | ${d.clicks} (${d.uniqueClicks}) |`;
+    const table = `| Date | Sent | Bounced | Spam | Opens (unique) | Open Rate | Clicks (unique) |\n|------|------|---------|------|----------------|-----------|-----------------|\n${[...days.map((d) => row(d.date, d)), row("**Total**", totals)].join("\n")}`;
+    return {
+      content: [{ type: "text", text: `Daily Delivery Statistics\n\n${days.length ? table : "No activity recorded for this period."}\n\n${describeFilter(args)}` }],
+      structuredContent: { days, totals, ...filter },
+    };
+  });
+
+  server.tool("getOpenBreakdown", statsFilterShape, async (args) => {
+    const filter = statsFilter(args);
+    logger.info("Fetching open breakdown...", filter);
+    const [clientUsage, platformUsage] = await Promise.all([postmarkClient.getEmailOpenClientUsage(filter), postmarkClient.getEmailOpenPlatformUsage(filter)]);
+    const clients = breakdownCounts(clientUsage);
+    const platforms = breakdownCounts(platformUsage);
+    logger.info("Open breakdown retrieved", { clients: clients.length, platforms: platforms.length });
+    return {
+      content: [{ type: "text", text: `Open Breakdown\n\nBy Email Client:\n${formatBreakdown(clients) || "No opens recorded."}\n\nBy Platform:\n${formatBreakdown(platforms) || "No opens recorded."}\n\n${describeFilter(args)}` }],
+      structuredContent: { clients, platforms, ...filter },
+    };
+  });
+
+  server.tool("getClickBreakdown", statsFilterShape, async (args) => {
+    const filter = statsFilter(args);
+    logger.info("Fetching click breakdown...", filter);
+    const [browserUsage, locations] = await Promise.all([postmarkClient.getClickBrowserUsage(filter), postmarkClient.getClickLocation(filter)]);
+    const browsers = breakdownCounts(browserUsage);
+    const bodyLocations = breakdownCounts(locations);
+    logger.info("Click breakdown retrieved", { browsers: browsers.length });
+    return {
+      content: [{ type: "text", text: `Click Breakdown\n\nBy Browser:\n${formatBreakdown(browsers) || "No clicks recorded."}\n\nBy Location (part of the email the link was in):\n${formatBreakdown(bodyLocations) || "No clicks recorded."}\n\n${describeFilter(args)}` }],
+      structuredContent: { browsers, locations: bodyLocations, ...filter },
+    };
+  });
+
+  server.tool(
+    "compareDeliveryStats",
+    {
+      tags: z.array(z.string()).length(2).optional().describe("Two tags to compare over the same period (use tags or periods)"),
+      periods: z
+        .array(z.object({ fromDate: dateSchema.describe("Start date in YYYY-MM-DD format"), toDate: dateSchema.describe("End date in YYYY-MM-DD format") }))
+        .length(2)
+        .optional()
+        .describe("Two date ranges to compare (use tags or periods)"),
+      ...statsFilterShape,
+    },
+    async ({ tags, periods, ...shared }) => {
+      if (Boolean(tags) === Boolean(periods)) throw new Error("Provide either tags or periods to compare");
+      if (tags && shared.tag) throw new Error("tag cannot be combined with tags; the compared tags replace it");
+      if (periods && (shared.fromDate || shared.toDate)) throw new Error("fromDate and toDate cannot be combined with periods; the compared periods replace them");
+      const segments = tags
+        ? tags.map((tag) => ({ label: tag, filter: statsFilter({ ...shared, tag }) }))
+        : periods.map((period) => ({ label: `${period.fromDate} to ${period.toDate}`, filter: statsFilter({ ...shared, ...period }) }));
+      logger.info("Comparing delivery statistics...", { segments: segments.map((s) => s.label) });
+      const overviews = await Promise.all(segments.map((s) => postmarkClient.getOutboundOverview(s.filter)));
+      const results = segments.map((s, i) => ({ label: s.label, ...s.filter, ...overviewMetrics(overviews[i]) }));
+      logger.info("Delivery statistics compared");
+      const [first, second] = results;
+      const differences = Object.fromEntries(COMPARED_METRICS.map(([key]) => [key, Math.round((second[key] - first[key]) * 10) / 10]));
+      const cell = (key, r) => (key === "sent" ? String(r.sent) : `${r[key].toFixed(1)}%`);
+      const rows = COMPARED_METRICS.map(([key, label]) => `| ${label} | ${cell(key, first)} | ${cell(key, second)} | ${formatChange(key, differences[key])} |`);
+      const context = describeFilter(tags ? shared : { ...shared, fromDate: undefined, toDate: undefined });
+      return {
+        content: [{ type: "text", text: `Delivery Comparison: ${first.label} vs ${second.label}\n\n| Metric | ${first.label} | ${second.label} | Change |\n|--------|---|---|--------|\n${rows.join("\n")}\n\n${context}` }],
+        structuredContent: { segments: results, differences },
+      };
+    }
+  );
+}
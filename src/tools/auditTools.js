@@ -0,0 +1,61 @@
+import { z } from "zod";
+import { AUDITED_TOOLS } from "../audit.js";
+import { getAuditLogConfig } from "../config.js";
+import { queryAuditEntries } from "../helpers/auditStore.js";
+import { logger } from "../logger.js";
+
+function describeResult(result = {}) {
+  return Object.entries(result)
+    .map(([key, value]) => `${key}: ${Array.isArray(value) ? value.join(", ") || "none" : value}`)
+    .join("; ");
+}
+
+/**
+ * Registers tools for reading the audit log of mutating tool calls.
+ * @param {import('@modelcontextprotocol/sdk/server/mcp.js').McpServer} server
+ */
+export function registerAuditTools(server) {
+  server.tool(
+    "queryAuditLog",
+    {
+      tool: z.enum([...AUDITED_TOOLS]).optional().describe("Filter by tool name (optional)"),
+      recipient: z.string().optional().describe("Filter by recipient email address (optional)"),
+      fromDate: z.string().optional().describe("Only entries at or after this date/time, ISO 8601 (optional)"),
+      toDate: z.string().optional().describe("Only entries at or before this date/time, ISO 8601 (optional)"),
+      limit: z.number().int().min(1).max(500).optional().describe("Maximum number of entries to return, newest first (default: 50)"),
+      includeArguments: z.boolean().optional().describe("Include the recorded (redacted) tool arguments (default: false)"),
+    },
+    async ({ tool, recipient, fromDate, toDate, limit = 50, includeArguments = false }) => {
+      const audit = getAuditLogConfig();
+      if (!audit.enabled) {
+        const message = "The audit log is disabled. Set POSTMARK_AUDIT_LOG to the path of the log file to enable it.";
+        return { content: [{ type: "text", text: message }], structuredContent: { error: message } };
+      }
+      logger.info("Querying audit log...", { tool, recipient });
+      const auditRes = await queryAuditEntries(audit.path, { tool, recipient, fromDate, toDate, limit });
+      if (!auditRes.ok) {
+        return { content: [{ type: "text", text: auditRes.message }], structuredContent: { error: auditRes.message } };
+      }
+      const entries = auditRes.entries;
+      logger.info("Audit entries found", { total: auditRes.total, returned: entries.length });
+      const structuredContent = {
+        total: auditRes.total,
+        entries: entries.map(({ arguments: args, ...e }) => ({ ...e, recipients: e.recipients || [], result: e.result || {}, ...(includeArguments ? { arguments: args } : {}) })),
+      };
+      if (entries.length === 0) {
+        return { content: [{ type: "text", text: "No audit log entries found matching the given filters." }], structuredContent };
+      }
+      const entryList = entries
+        .map((e) => {
+          const lines = [`• ${e.timestamp} — **${e.tool}** ${e.ok ? "succeeded" : "failed"}${e.server ? ` (server: ${e.server})` : ""}`];
+          if (e.recipients?.length) lines.push(`  - Recipients: ${e.recipients.join(", ")}`);
+          if (Object.keys(e.result || {}).length) lines.push(`  - Result: ${describeResult(e.result)}`);
+          if (e.error) lines.push(`  - Error: ${e.error}`);
+          if (includeArguments) lines.push(`\n\`\`\`json\n${JSON.stringify(e.arguments, null, 2)}\n\`\`\``);
+          return lines.join("\n");
+        })
+        .join("\n\n");
+      return { content: [{ type: "text", text: `Found ${auditRes.total} audit log entries${auditRes.total > entries.length ? ` (showing newest ${entries.length})` : ""}:\n\n${entryList}` }], structuredContent };
+    }
+  );
+}
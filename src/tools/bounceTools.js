@@ -0,0 +1,132 @@
+import { z } from "zod";
+import { logger } from "../logger.js";
+
+const BOUNCE_TYPES = [
+  "HardBounce", "Transient", "Unsubscribe", "Subscribe", "AutoResponder", "AddressChange", "DnsError", "SpamNotification",
+  "OpenRelayTest", "Unknown", "SoftBounce", "VirusNotification", "ChallengeVerification", "BadEmailAddress", "SpamComplaint",
+  "ManuallyDeactivated", "Unconfirmed", "Blocked", "SMTPApiError", "InboundError", "DMARCPolicy", "TemplateRenderingFailed",
+];
+
+const bounceSummary = (b) => ({
+  bounceId: b.ID,
+  email: b.Email,
+  type: b.Type,
+  name: b.Name,
+  bouncedAt: b.BouncedAt,
+  subject: b.Subject,
+  messageId: b.MessageID,
+  inactive: Boolean(b.Inactive),
+  canActivate: Boolean(b.CanActivate),
+  tag: b.Tag,
+});
+
+function formatBounce(b) {
+  return `• **${b.Email}** — ${b.Name || b.Type}\n  - Bounce ID: ${b.ID}\n  - Bounced At: ${b.BouncedAt}\n  - Subject: ${b.Subject || "none"}\n  - MessageID: ${b.MessageID}\n  - Inactive: ${b.Inactive ? "Yes" : "No"}${b.Inactive ? ` (can reactivate: ${b.CanActivate ? "Yes" : "No"})` : ""}${b.Tag ? `\n  - Tag: ${b.Tag}` : ""}`;
+}
+
+/**
+ * Registers tools for inspecting bounces and reactivating bounced addresses.
+ * @param {import('@modelcontextprotocol/sdk/server/mcp.js').McpServer} server
+ * @param {import('postmark').ServerClient} postmarkClient
+ */
+export function registerBounceTools(server, postmarkClient) {
+  server.tool("getBounceOverview", {}, async () => {
+    logger.info("Fetching bounce overview...");
+    const data = await postmarkClient.getDeliveryStatistics();
+    logger.info("Bounce overview retrieved");
+    const inactive = data.InactiveMails || 0;
+    const metrics = data.Bounces || [];
+    const total = metrics.find((m) => m.Name === "All")?.Count ?? metrics.reduce((sum, m) => sum + (m.Count || 0), 0);
+    const byType = metrics
+      .filter((m) => m.Name !== "All" && m.Count > 0)
+      .sort((a, b) => b.Count - a.Count)
+      .map((m) => ({ type: m.Name, count: m.Count, percentage: total > 0 ? (m.Count / total) * 100 : 0 }));
+    const breakdown = byType.map((m) => `${m.type}: ${m.count} (${m.percentage.toFixed(1)}%)`).join("\n");
+    return {
+      content: [{ type: "text", text: `Bounce Summary\n\nTotal Bounces: ${total}\nInactive Addresses: ${inactive}\n\n${breakdown ? `By Type:\n${breakdown}\n` : "No bounces recorded.\n"}` }],
+      structuredContent: { totalBounces: total, inactiveAddresses: inactive, byType: byType.map((m) => ({ ...m, percentage: Math.round(m.percentage * 10) / 10 })) },
+    };
+  });
+
+  server.tool(
+    "listBounces",
+    {
+      type: z.enum(BOUNCE_TYPES).optional().describe("Filter by bounce type, e.g. 'HardBounce' or 'SpamComplaint' (optional)"),
+      email: z.string().optional().describe("Filter by recipient email address; partial matches are allowed (optional)"),
+      tag: z.string().optional().describe("Filter by tag (optional)"),
+      messageId: z.string().optional().describe("Filter by MessageID (optional)"),
+      inactive: z.boolean().optional().describe("Only active (false) or only inactive (true) bounces (optional)"),
+      fromDate: z.string().regex(/^\d{4}-\d{2}-\d{2}$/).optional().describe("Start date in YYYY-MM-DD format (optional)"),
+      toDate: z.string().regex(/^\d{4}-\d{2}-\d{2}$/).optional().describe("End date in YYYY-MM-DD format (optional)"),
+      messageStream: z.string().optional().describe("Filter by message stream ID (optional)"),
+      count: z.number().int().min(1).max(500).optional().describe("Number of bounces to return, 1-500 (default: 50)"),
+      offset: z.number().int().min(0).optional().describe("Number of bounces to skip (default: 0)"),
+    },
+    async ({ type, email, tag, messageId, inactive, fromDate, toDate, messageStream, count = 50, offset = 0 }) => {
+      const filter = { count, offset };
+      if (type) filter.type = type;
+      if (email) filter.emailFilter = email;
+      if (tag) filter.tag = tag;
+      if (messageId) filter.messageID = messageId;
+      if (inactive !== undefined) filter.inactive = inactive;
+      if (fromDate) filter.fromDate = fromDate;
+      if (toDate) filter.toDate = toDate;
+      if (messageStream) filter.messageStream = messageStream;
+      logger.info("Fetching bounces...", { type, tag, inactive, count, offset });
+      const result = await postmarkClient.getBounces(filter);
+      const bounces = result.Bounces || [];
+      logger.info("Bounces fetched", { total: result.TotalCount, returned: bounces.length });
+      const nextOffset = offset + bounces.length;
+      const structuredContent = { total: result.TotalCount || 0, offset, nextOffset: nextOffset < result.TotalCount ? nextOffset : undefined, bounces: bounces.map(bounceSummary) };
+      if (bounces.length === 0) {
+        return { content: [{ type: "text", text: "No bounces found matching the given filters." }], structuredContent };
+      }
+      return {
+        content: [{ type: "text", text: `Found ${result.TotalCount} bounces (showing ${offset + 1}-${nextOffset}):\n\n${bounces.map(formatBounce).join("\n\n")}${nextOffset < result.TotalCount ? `\n\nMore results available. Use offset ${nextOffset} to see the next page.` : ""}` }],
+        structuredContent,
+      };
+    }
+  );
+
+  server.tool(
+    "getBounceDetails",
+    { bounceId: z.number().int().describe("Bounce ID") },
+    async ({ bounceId }) => {
+      logger.info("Fetching bounce details...", { bounceId });
+      const b = await postmarkClient.getBounce(bounceId);
+      logger.info("Bounce details retrieved", { bounceId });
+      return {
+        content: [{ type: "text", text: `Bounce Details\n\nBounce ID: ${b.ID}\nEmail: ${b.Email}\nType: ${b.Name || b.Type} (${b.Type}, code ${b.TypeCode})\nDescription: ${b.Description}\nDetails: ${b.Details || "none"}\nBounced At: ${b.BouncedAt}\nFrom: ${b.From}\nSubject: ${b.Subject || "none"}\nMessageID: ${b.MessageID}\nStream: ${b.MessageStream}${b.Tag ? `\nTag: ${b.Tag}` : ""}\nInactive: ${b.Inactive ? "Yes" : "No"}\nCan Reactivate: ${b.CanActivate ? "Yes" : "No"}\nDump Available: ${b.DumpAvailable ? "Yes (use getBounceDump)" : "No"}` }],
+        structuredContent: { ...bounceSummary(b), typeCode: b.TypeCode, description: b.Description, details: b.Details, from: b.From, messageStream: b.MessageStream, dumpAvailable: Boolean(b.DumpAvailable) },
+      };
+    }
+  );
+
+  server.tool(
+    "getBounceDump",
+    { bounceId: z.number().int().describe("Bounce ID") },
+    async ({ bounceId }) => {
+      logger.info("Fetching bounce dump...", { bounceId });
+      const dump = await postmarkClient.getBounceDump(bounceId);
+      if (!dump.Body) {
+        return { content: [{ type: "text", text: `No raw dump is available for bounce ${bounceId}. Dumps are kept for 30 days.` }], structuredContent: { bounceId, available: false } };
+      }
+      logger.info("Bounce dump retrieved", { bounceId });
+      return { content: [{ type: "text", text: `Raw bounce dump for bounce ${bounceId}:\n\n\`\`\`\n${dump.Body}\n\`\`\`` }], structuredContent: { bounceId, available: true, body: dump.Body } };
+    }
+  );
+
+  server.tool(
+    "reactivateBounce",
+    { bounceId: z.number().int().describe("Bounce ID of the inactive address to reactivate") },
+    async ({ bounceId }) => {
+      logger.info("Reactivating bounced address...", { bounceId });
+      const result = await postmarkClient.activateBounce(bounceId);
+      logger.info("Bounced address reactivated", { bounceId });
+      return {
+        content: [{ type: "text", text: `Bounce reactivated successfully!\n\nBounce ID: ${bounceId}\nEmail: ${result.Bounce?.Email || "unknown"}\nInactive: ${result.Bounce?.Inactive ? "Yes" : "No"}\nStatus: ${result.Message || "OK"}` }],
+        structuredContent: { bounceId, email: result.Bounce?.Email, inactive: Boolean(result.Bounce?.Inactive), status: result.Message || "OK" },
+      };
+    }
+  );
+}
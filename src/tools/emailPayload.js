@@ -0,0 +1,119 @@
+import { z } from "zod";
+import { getAttachmentsBasePath } from "../config.js";
+import { MAX_RECIPIENTS, parseAddress, toAddressList } from "../helpers/addresses.js";
+import { resolveAttachments } from "../helpers/attachments.js";
+import { HEADER_NAME_PATTERN } from "../helpers/outbox.js";
+import { getDefaultMessageStream, getDefaultSender } from "../profiles.js";
+
+const addressSchema = z
+  .string()
+  .refine((value) => parseAddress(value) !== null, { message: "Invalid email address (use addr@example.com or Name <addr@example.com>)" });
+// Values that end up in a MIME header must not carry CR, LF or other control characters
+const headerSafeString = () => z.string().regex(/^[^\x00-\x1f\x7f]*$/, { message: "Must not contain control characters such as line breaks" });
+
+const addressListSchema = z.union([addressSchema, z.array(addressSchema).min(1).max(MAX_RECIPIENTS)]);
+
+export const attachmentSchema = z.object({
+  name: headerSafeString().optional().describe("File name shown to the recipient (required unless path is given)"),
+  path: z.string().optional().describe("Local file path to attach (use one of path, base64 or content)"),
+  base64: z.string().optional().describe("Base64-encoded file content (use one of path, base64 or content)"),
+  content: z.string().optional().describe("Inline plain-text content, e.g. a CSV export (use one of path, base64 or content)"),
+  contentType: headerSafeString().optional().describe("MIME type (optional, detected from the file extension)"),
+  contentId: headerSafeString().optional().describe("Content-ID for inline images referenced as <img src=\"cid:...\"> (optional)"),
+});
+
+/**
+ * Addressing and delivery options shared by every send tool.
+ */
+export const messageOptionsShape = {
+  to: addressListSchema.describe("Recipient address or list of addresses; 'Name <addr@example.com>' is accepted"),
+  cc: addressListSchema.optional().describe("Cc recipient address or list of addresses (optional)"),
+  bcc: addressListSchema.optional().describe("Bcc recipient address or list of addresses (optional)"),
+  replyTo: addressSchema.optional().describe("Reply-To address (optional)"),
+  from: addressSchema.optional().describe("Sender email address, optionally 'Name <addr@example.com>' (optional, uses default if not provided)"),
+  tag: z.string().max(1000).optional().describe("Optional tag for categorization"),
+  headers: z
+    .array(z.object({ name: z.string().regex(HEADER_NAME_PATTERN, { message: "Header names may only contain printable ASCII characters other than ':'" }).describe("Header name"), value: z.string().describe("Header value") }))
+    .optional()
+    .describe("Custom email headers (optional)"),
+  metadata: z
+    .record(z.string().min(1).max(20), z.string().max(80))
+    .refine((value) => Object.keys(value).length <= 10, { message: "Metadata supports at most 10 keys" })
+    .optional()
+    .describe("Metadata key/value pairs stored with the message (optional, max 10 keys)"),
+  trackOpens: z.boolean().optional().describe("Track opens (optional, default: true)"),
+  trackLinks: z.enum(["None", "HtmlAndText", "HtmlOnly", "TextOnly"]).optional().describe("Link tracking mode (optional, default: 'HtmlAndText')"),
+  messageStream: z.string().optional().describe("Message stream ID (optional, uses DEFAULT_MESSAGE_STREAM if not provided)"),
+  attachments: z.array(attachmentSchema).optional().describe("Files to attach (optional)"),
+};
+
+export const emailContentShape = {
+  subject: z.string().describe("Email subject"),
+  textBody: z.string().describe("Plain text body of the email"),
+  htmlBody: z.string().optional().describe("HTML body of the email (optional)"),
+};
+
+export const templateContentShape = {
+  templateId: z.number().optional().describe("Template ID (use either this or templateAlias)"),
+  templateAlias: z.string().optional().describe("Template alias (use either this or templateId)"),
+  templateModel: z.object({}).passthrough().describe("Data model for template variables"),
+};
+
+function addressField(value, label) {
+  const res = toAddressList(value);
+  if (!res.ok) throw new Error(`${label}: ${res.message}`);
+  return res;
+}
+
+async function applyMessageOptions(emailData, { to, cc, bcc, replyTo, from, tag, headers, metadata, trackOpens, trackLinks, messageStream, attachments }, extraBytes) {
+  const toRes = addressField(to, "to");
+  if (toRes.count === 0) throw new Error("At least one recipient is required");
+  const ccRes = addressField(cc, "cc");
+  const bccRes = addressField(bcc, "bcc");
+  const recipients = toRes.count + ccRes.count + bccRes.count;
+  if (recipients > MAX_RECIPIENTS) throw new Error(`Too many recipients (${recipients}); Postmark allows at most ${MAX_RECIPIENTS} across to, cc and bcc`);
+
+  emailData.From = from ? addressField(from, "from").value : getDefaultSender();
+  emailData.To = toRes.value;
+  if (ccRes.value) emailData.Cc = ccRes.value;
+  if (bccRes.value) emailData.Bcc = bccRes.value;
+  if (replyTo) emailData.ReplyTo = addressField(replyTo, "replyTo").value;
+  emailData.MessageStream = messageStream || getDefaultMessageStream();
+  emailData.TrackOpens = trackOpens ?? true;
+  emailData.TrackLinks = trackLinks || "HtmlAndText";
+  if (tag) emailData.Tag = tag;
+  if (headers?.length) emailData.Headers = headers.map((h) => ({ Name: h.name, Value: h.value }));
+  if (metadata && Object.keys(metadata).length) emailData.Metadata = metadata;
+
+  if (attachments?.length) {
+    const attachmentsRes = await resolveAttachments(attachments, { basePath: getAttachmentsBasePath(), extraBytes });
+    if (!attachmentsRes.ok) throw new Error(`Attachment rejected: ${attachmentsRes.message}`);
+    emailData.Attachments = attachmentsRes.attachments;
+  }
+  return emailData;
+}
+
+/**
+ * Builds a Postmark `sendEmail` payload from tool arguments.
+ * @param {object} args Tool arguments matching messageOptionsShape and emailContentShape.
+ * @returns {Promise<object>} Postmark Message
+ */
+export async function buildEmailPayload(args) {
+  const { subject, textBody, htmlBody } = args;
+  const emailData = { Subject: subject, TextBody: textBody };
+  if (htmlBody) emailData.HtmlBody = htmlBody;
+  return applyMessageOptions(emailData, args, Buffer.byteLength(`${textBody || ""}${htmlBody || ""}`, "utf8"));
+}
+
+/**
+ * Builds a Postmark `sendEmailWithTemplate` payload from tool arguments.
+ * @param {object} args Tool arguments matching messageOptionsShape and templateContentShape.
+ * @returns {Promise<object>} Postmark TemplatedMessage
+ */
+export async function buildTemplatePayload(args) {
+  const { templateId, templateAlias, templateModel } = args;
+  if (!templateId && !templateAlias) throw new Error("Either templateId or templateAlias must be provided");
+  const emailData = { TemplateModel: templateModel };
+  if (templateId) emailData.TemplateId = templateId; else emailData.TemplateAlias = templateAlias;
+  return applyMessageOptions(emailData, args, Buffer.byteLength(JSON.stringify(templateModel || {}), "utf8"));
+}
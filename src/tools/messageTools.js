@@ -0,0 +1,148 @@
+import { z } from "zod";
+import { logger } from "../logger.js";
+
+const dateSchema = z.string().regex(/^\d{4}-\d{2}-\d{2}(T\d{2}:\d{2}:\d{2})?$/);
+
+function formatRecipients(recipients) {
+  return (recipients || []).map((r) => (r.Name ? `${r.Name} <${r.Email}>` : r.Email)).join(", ");
+}
+
+const recipientList = (recipients) => (recipients || []).map((r) => r.Email);
+
+function summarizeEvent(event) {
+  const details = event.Details || {};
+  const summary = details.Summary || details.DeliveryMessage || "";
+  const link = details.Link ? ` → ${details.Link}` : "";
+  const bounce = details.BounceID ? ` (Bounce ID: ${details.BounceID})` : "";
+  return `• ${event.ReceivedAt} — ${event.Type}${event.Recipient ? ` (${event.Recipient})` : ""}${summary ? `: ${summary}` : ""}${link}${bounce}`;
+}
+
+/**
+ * Extracts the header block from a raw RFC 822 message, unfolding continuation lines.
+ * @param {string} raw
+ * @returns {string[]}
+ */
+export function parseRawHeaders(raw) {
+  const headerBlock = String(raw || "").split(/\r?\n\r?\n/)[0];
+  return headerBlock
+    .replace(/\r?\n[ \t]+/g, " ")
+    .split(/\r?\n/)
+    .filter((line) => line.includes(":"));
+}
+
+/**
+ * Registers tools for searching sent messages and inspecting their delivery history.
+ * @param {import('@modelcontextprotocol/sdk/server/mcp.js').McpServer} server
+ * @param {import('postmark').ServerClient} postmarkClient
+ */
+export function registerMessageTools(server, postmarkClient) {
+  server.tool(
+    "searchOutboundMessages",
+    {
+      recipient: z.string().optional().describe("Filter by recipient email address (optional)"),
+      fromEmail: z.string().optional().describe("Filter by sender email address (optional)"),
+      tag: z.string().optional().describe("Filter by tag (optional)"),
+      subject: z.string().optional().describe("Filter by subject (optional)"),
+      status: z.enum(["queued", "sent", "processed"]).optional().describe("Filter by status: 'queued', 'sent' or 'processed' (optional)"),
+      fromDate: dateSchema.optional().describe("Start date in YYYY-MM-DD or YYYY-MM-DDThh:mm:ss format (optional)"),
+      toDate: dateSchema.optional().describe("End date in YYYY-MM-DD or YYYY-MM-DDThh:mm:ss format (optional)"),
+      metadata: z.record(z.string()).optional().describe("Filter by metadata key/value pairs (optional)"),
+      messageStream: z.string().optional().describe("Filter by message stream ID (optional)"),
+      count: z.number().int().min(1).max(500).optional().describe("Number of messages to return, 1-500 (default: 50)"),
+      offset: z.number().int().min(0).max(9999).optional().describe("Number of messages to skip (default: 0)"),
+    },
+    async ({ recipient, fromEmail, tag, subject, status, fromDate, toDate, metadata, messageStream, count = 50, offset = 0 }) => {
+      const filter = { count, offset };
+      if (recipient) filter.recipient = recipient;
+      if (fromEmail) filter.fromEmail = fromEmail;
+      if (tag) filter.tag = tag;
+      if (subject) filter.subject = subject;
+      if (status) filter.status = status;
+      if (fromDate) filter.fromDate = fromDate;
+      if (toDate) filter.toDate = toDate;
+      if (messageStream) filter.messageStream = messageStream;
+      for (const [key, value] of Object.entries(metadata || {})) filter[`metadata_${key}`] = value;
+      logger.info("Searching outbound messages...", { recipient, tag, status, messageStream, count, offset });
+      const result = await postmarkClient.getOutboundMessages(filter);
+      const messages = result.Messages || [];
+      const total = Number(result.TotalCount) || 0;
+      logger.info("Outbound messages found", { total, returned: messages.length });
+      const nextOffset = offset + messages.length;
+      const structuredContent = {
+        total,
+        offset,
+        nextOffset: nextOffset < total ? nextOffset : undefined,
+        messages: messages.map((m) => ({
+          messageId: m.MessageID,
+          subject: m.Subject,
+          from: m.From,
+          to: m.To?.length ? recipientList(m.To) : m.Recipients || [],
+          status: m.Status,
+          receivedAt: m.ReceivedAt,
+          messageStream: m.MessageStream,
+          tag: m.Tag,
+          metadata: m.Metadata,
+        })),
+      };
+      if (messages.length === 0) {
+        return { content: [{ type: "text", text: "No outbound messages found matching the given filters." }], structuredContent };
+      }
+      const messageList = messages
+        .map((m) => `• **${m.Subject || "(no subject)"}**\n  - MessageID: ${m.MessageID}\n  - To: ${formatRecipients(m.To) || (m.Recipients || []).join(", ")}\n  - From: ${m.From}\n  - Status: ${m.Status}\n  - Received: ${m.ReceivedAt}\n  - Stream: ${m.MessageStream}${m.Tag ? `\n  - Tag: ${m.Tag}` : ""}${m.Metadata && Object.keys(m.Metadata).length ? `\n  - Metadata: ${Object.entries(m.Metadata).map(([k, v]) => `${k}=${v}`).join(", ")}` : ""}`)
+        .join("\n\n");
+      return {
+        content: [{ type: "text", text: `Found ${total} outbound messages (showing ${offset + 1}-${nextOffset}):\n\n${messageList}${nextOffset < total ? `\n\nMore results available. Use offset ${nextOffset} to see the next page.` : ""}` }],
+        structuredContent,
+      };
+    }
+  );
+
+  server.tool(
+    "getOutboundMessageDetails",
+    {
+      messageId: z.string().describe("The MessageID returned when the email was sent"),
+      includeBody: z.boolean().optional().describe("Include the text and HTML bodies (default: true)"),
+    },
+    async ({ messageId, includeBody = true }) => {
+      logger.info("Fetching outbound message details...", { messageId });
+      const [details, dump] = await Promise.all([
+        postmarkClient.getOutboundMessageDetails(messageId),
+        postmarkClient.getOutboundMessageDump(messageId).catch((error) => {
+          logger.warn("Outbound message dump unavailable", { messageId, message: error?.message });
+          return null;
+        }),
+      ]);
+      logger.info("Outbound message details retrieved", { messageId, events: details.MessageEvents?.length || 0 });
+      const events = [...(details.MessageEvents || [])].sort((a, b) => new Date(a.ReceivedAt) - new Date(b.ReceivedAt));
+      const headers = dump?.Body ? parseRawHeaders(dump.Body) : [];
+      const sections = [
+        `Message Details\n\nMessageID: ${details.MessageID}\nSubject: ${details.Subject || "(no subject)"}\nFrom: ${details.From}\nTo: ${formatRecipients(details.To)}${details.Cc?.length ? `\nCc: ${formatRecipients(details.Cc)}` : ""}${details.Bcc?.length ? `\nBcc: ${formatRecipients(details.Bcc)}` : ""}\nStatus: ${details.Status}\nReceived: ${details.ReceivedAt}\nStream: ${details.MessageStream}${details.Tag ? `\nTag: ${details.Tag}` : ""}${details.Attachments?.length ? `\nAttachments: ${details.Attachments.join(", ")}` : ""}`,
+        `Event Timeline:\n${events.length ? events.map(summarizeEvent).join("\n") : "No events recorded yet."}`,
+        `Headers:\n${headers.length ? headers.join("\n") : "Raw message source is not available."}`,
+      ];
+      if (includeBody) {
+        if (details.TextBody) sections.push(`Text Body:\n\n\`\`\`text\n${details.TextBody}\n\`\`\``);
+        if (details.HtmlBody) sections.push(`HTML Body:\n\n\`\`\`html\n${details.HtmlBody}\n\`\`\``);
+      }
+      return {
+        content: [{ type: "text", text: sections.join("\n\n") }],
+        structuredContent: {
+          messageId: details.MessageID,
+          subject: details.Subject,
+          from: details.From,
+          to: recipientList(details.To),
+          cc: recipientList(details.Cc),
+          bcc: recipientList(details.Bcc),
+          status: details.Status,
+          receivedAt: details.ReceivedAt,
+          messageStream: details.MessageStream,
+          tag: details.Tag,
+          attachments: details.Attachments || [],
+          events: events.map((e) => ({ type: e.Type, receivedAt: e.ReceivedAt, recipient: e.Recipient, details: e.Details || {} })),
+          headers,
+          ...(includeBody ? { textBody: details.TextBody, htmlBody: details.HtmlBody } : {}),
+        },
+      };
+    }
+  );
+}
@@ -0,0 +1,103 @@
+import { z } from "zod";
+import { getSandboxConfig } from "../config.js";
+import { clearOutbox, listOutboxMessages, readOutboxMessage } from "../helpers/outbox.js";
+import { logger } from "../logger.js";
+
+const recipientsLine = (m) => `${m.To}${m.Cc ? `, cc: ${m.Cc}` : ""}${m.Bcc ? `, bcc: ${m.Bcc}` : ""}`;
+
+/**
+ * Registers tools for inspecting the sandbox outbox that captures mail while POSTMARK_SANDBOX is on.
+ * @param {import('@modelcontextprotocol/sdk/server/mcp.js').McpServer} server
+ */
+export function registerOutboxTools(server) {
+  server.tool(
+    "listOutbox",
+    { limit: z.number().int().min(1).max(500).optional().describe("Maximum number of messages to return, newest first (default: 50)") },
+    async ({ limit = 50 }) => {
+      const sandbox = getSandboxConfig();
+      logger.info("Listing sandbox outbox...", { outboxPath: sandbox.outboxPath });
+      const outboxRes = await listOutboxMessages(sandbox.outboxPath, { limit });
+      if (!outboxRes.ok) {
+        return { content: [{ type: "text", text: outboxRes.message }], structuredContent: { error: outboxRes.message } };
+      }
+      const messages = outboxRes.messages;
+      const structuredContent = {
+        total: outboxRes.total,
+        messages: messages.map((m) => ({ messageId: m.MessageID, subject: m.Subject, submittedAt: m.SubmittedAt, from: m.From, to: m.To, cc: m.Cc, bcc: m.Bcc, template: m.Template?.Local, attachments: m.Attachments?.length || 0 })),
+      };
+      if (messages.length === 0) {
+        const hint = sandbox.enabled ? "" : "\n\nSandbox mode is off. Set POSTMARK_SANDBOX=true to capture sends in the outbox.";
+        return { content: [{ type: "text", text: `The sandbox outbox is empty.${hint}` }], structuredContent };
+      }
+      const list = messages
+        .map((m) => `• **${m.Subject || "(no subject)"}**\n  - MessageID: ${m.MessageID}\n  - Submitted: ${m.SubmittedAt}\n  - From: ${m.From}\n  - To: ${recipientsLine(m)}${m.Template ? `\n  - Template: ${m.Template.Local}` : ""}${m.Attachments?.length ? `\n  - Attachments: ${m.Attachments.length}` : ""}`)
+        .join("\n\n");
+      return { content: [{ type: "text", text: `Found ${outboxRes.total} messages in the sandbox outbox${outboxRes.total > messages.length ? ` (showing newest ${messages.length})` : ""}:\n\n${list}` }], structuredContent };
+    }
+  );
+
+  server.tool(
+    "readOutboxMessage",
+    {
+      messageId: z.string().describe("Sandbox MessageID returned by a send tool"),
+      format: z.enum(["summary", "eml"]).optional().describe("'summary' for headers and bodies, 'eml' for the raw message source (default: 'summary')"),
+    },
+    async ({ messageId, format = "summary" }) => {
+      const sandbox = getSandboxConfig();
+      logger.info("Reading sandbox outbox message", { messageId, format });
+      const messageRes = await readOutboxMessage(sandbox.outboxPath, messageId);
+      if (!messageRes.ok) {
+        return { content: [{ type: "text", text: messageRes.message }], structuredContent: { error: messageRes.message } };
+      }
+      if (format === "eml") {
+        return { content: [{ type: "text", text: messageRes.eml }], structuredContent: { messageId, eml: messageRes.eml } };
+      }
+      const m = messageRes.envelope;
+      const details = [
+        `MessageID: ${m.MessageID}`,
+        `Submitted: ${m.SubmittedAt}`,
+        m.Server ? `Server: ${m.Server}` : null,
+        `From: ${m.From}`,
+        `To: ${recipientsLine(m)}`,
+        m.ReplyTo ? `Reply-To: ${m.ReplyTo}` : null,
+        `Subject: ${m.Subject || "(no subject)"}`,
+        `Message Stream: ${m.MessageStream || "none"}`,
+        m.Tag ? `Tag: ${m.Tag}` : null,
+        m.Template ? `Template: ${m.Template.Alias} (rendered from ${m.Template.Local})` : null,
+        m.Attachments?.length ? `Attachments: ${m.Attachments.map((a) => `${a.Name} (${a.ContentType}, ${a.ContentLength} bytes)`).join(", ")}` : null,
+      ].filter(Boolean);
+      const bodies = `${m.TextBody ? `\n\n**Text Body:**\n${m.TextBody}` : ""}${m.HtmlBody ? `\n\n**HTML Body:**\n\`\`\`html\n${m.HtmlBody}\n\`\`\`` : ""}`;
+      return {
+        content: [{ type: "text", text: `Sandbox Message\n\n${details.join("\n")}${bodies}` }],
+        structuredContent: {
+          messageId: m.MessageID,
+          submittedAt: m.SubmittedAt,
+          server: m.Server,
+          from: m.From,
+          to: m.To,
+          cc: m.Cc,
+          bcc: m.Bcc,
+          replyTo: m.ReplyTo,
+          subject: m.Subject,
+          messageStream: m.MessageStream,
+          tag: m.Tag,
+          template: m.Template ? { alias: m.Template.Alias, local: m.Template.Local } : undefined,
+          attachments: (m.Attachments || []).map((a) => ({ name: a.Name, contentType: a.ContentType, contentLength: a.ContentLength })),
+          textBody: m.TextBody,
+          htmlBody: m.HtmlBody,
+        },
+      };
+    }
+  );
+
+  server.tool("clearOutbox", {}, async () => {
+    const sandbox = getSandboxConfig();
+    logger.info("Clearing sandbox outbox...", { outboxPath: sandbox.outboxPath });
+    const clearRes = await clearOutbox(sandbox.outboxPath);
+    if (!clearRes.ok) {
+      return { content: [{ type: "text", text: clearRes.message }], structuredContent: { error: clearRes.message } };
+    }
+    logger.info("Sandbox outbox cleared", { removed: clearRes.removed });
+    return { content: [{ type: "text", text: `Removed ${clearRes.removed} messages from the sandbox outbox.` }], structuredContent: { removed: clearRes.removed } };
+  });
+}
@@ -0,0 +1,424 @@
+import { z } from "zod";
+
+const sendShape = {
+  messageId: z.string(),
+  to: z.string(),
+  cc: z.string().optional(),
+  bcc: z.string().optional(),
+  attachments: z.number().int(),
+  warnings: z.array(z.string()),
+  sandbox: z.boolean(),
+};
+
+const batchShape = {
+  total: z.number().int(),
+  sent: z.number().int(),
+  failed: z.number().int(),
+  results: z.array(
+    z.object({
+      index: z.number().int(),
+      to: z.string().nullish(),
+      ok: z.boolean(),
+      messageId: z.string().optional(),
+      errorCode: z.union([z.number(), z.string()]).optional(),
+      message: z.string().nullish(),
+    })
+  ),
+  warnings: z.array(z.string()),
+  sandbox: z.boolean(),
+};
+
+const scheduledEmailShape = {
+  id: z.string(),
+  status: z.string(),
+  sendAt: z.string(),
+  tool: z.string(),
+  to: z.string(),
+  subject: z.string().optional(),
+  template: z.string().optional(),
+  server: z.string().optional(),
+  createdAt: z.string().optional(),
+  sentAt: z.string().optional(),
+  messageId: z.string().optional(),
+  cancelledAt: z.string().optional(),
+  error: z.string().optional(),
+};
+
+const messageStreamShape = {
+  id: z.string(),
+  name: z.string(),
+  messageStreamType: z.string(),
+  description: z.string().optional(),
+  unsubscribeHandling: z.string().optional(),
+  createdAt: z.string().optional(),
+  updatedAt: z.string().optional(),
+  archivedAt: z.string().optional(),
+  expectedPurgeDate: z.string().optional(),
+};
+
+const domainShape = {
+  id: z.number().int(),
+  name: z.string(),
+  dkimVerified: z.boolean(),
+  weakDkim: z.boolean().optional(),
+  returnPathVerified: z.boolean(),
+  spfVerified: z.boolean().optional(),
+  dkimHost: z.string().optional(),
+  dkimValue: z.string().optional(),
+  dkimPendingHost: z.string().optional(),
+  dkimPendingValue: z.string().optional(),
+  dkimUpdateStatus: z.string().optional(),
+  returnPathDomain: z.string().optional(),
+  returnPathCnameValue: z.string().optional(),
+  spfHost: z.string().optional(),
+  spfValue: z.string().optional(),
+};
+
+const templateShape = {
+  templateId: z.number().int(),
+  name: z.string(),
+  alias: z.string().nullish(),
+  templateType: z.string(),
+  subject: z.string().nullish(),
+  layoutTemplate: z.string().nullish(),
+  active: z.boolean().optional(),
+};
+
+const templatePushShape = {
+  sourceServerID: z.string(),
+  destinationServerID: z.string(),
+  total: z.number().int(),
+  templates: z.array(z.object({ name: z.string(), alias: z.string().nullish(), action: z.string(), templateType: z.string().nullish(), templateId: z.number().int().nullish() })),
+};
+
+const bounceShape = {
+  bounceId: z.number().int(),
+  email: z.string(),
+  type: z.string(),
+  name: z.string().nullish(),
+  bouncedAt: z.string(),
+  subject: z.string().nullish(),
+  messageId: z.string().nullish(),
+  inactive: z.boolean(),
+  canActivate: z.boolean(),
+  tag: z.string().nullish(),
+};
+
+const suppressionResultsShape = {
+  messageStream: z.string(),
+  processed: z.number().int(),
+  failed: z.number().int(),
+  results: z.array(z.object({ emailAddress: z.string(), status: z.string(), message: z.string().nullish() })),
+};
+
+const outboxRecipientsShape = { from: z.string().nullish(), to: z.string().nullish(), cc: z.string().nullish(), bcc: z.string().nullish() };
+
+const anyObject = z.record(z.any());
+
+const statsFilterShape = { tag: z.string().optional(), fromDate: z.string().optional(), toDate: z.string().optional(), messageStream: z.string().optional() };
+
+const breakdownSchema = z.array(z.object({ name: z.string(), count: z.number(), percentage: z.number() }));
+
+const dailyCountsShape = {
+  sent: z.number(),
+  tracked: z.number(),
+  opens: z.number(),
+  uniqueOpens: z.number(),
+  openRate: z.number(),
+  clicks: z.number(),
+  uniqueClicks: z.number(),
+  bounced: z.number(),
+  spamComplaints: z.number(),
+};
+
+const overviewMetricsShape = {
+  sent: z.number(),
+  bounced: z.number(),
+  bounceRate: z.number(),
+  spamComplaints: z.number(),
+  spamComplaintRate: z.number(),
+  tracked: z.number(),
+  uniqueOpens: z.number(),
+  openRate: z.number(),
+  totalTrackedLinks: z.number(),
+  uniqueLinksClicked: z.number(),
+  clickRate: z.number(),
+};
+
+// Output schemas (zod raw shapes) of each tool's structuredContent, keyed by tool name
+export const OUTPUT_SCHEMAS = {
+  sendEmail: { ...sendShape, subject: z.string() },
+  sendEmailWithTemplate: { ...sendShape, template: z.union([z.number(), z.string()]) },
+  sendEmailBatch: batchShape,
+  sendEmailBatchWithTemplate: batchShape,
+  listTemplates: {
+    total: z.number().int(),
+    templates: z.array(z.object({ ...templateShape, usedBy: z.array(z.string()).optional() })),
+  },
+  getDeliveryStats: {
+    sent: z.number(),
+    tracked: z.number(),
+    uniqueOpens: z.number(),
+    openRate: z.number().describe("Unique opens per tracked email, in percent"),
+    totalTrackedLinks: z.number(),
+    uniqueLinksClicked: z.number(),
+    clickRate: z.number().describe("Unique link clicks per tracked link, in percent"),
+    fromDate: z.string().optional(),
+    toDate: z.string().optional(),
+    tag: z.string().optional(),
+  },
+  getBounceAndSpamStats: {
+    sent: z.number(),
+    bounced: z.number(),
+    bounceRate: z.number().describe("Bounces per sent email, in percent"),
+    spamComplaints: z.number(),
+    spamComplaintRate: z.number().describe("Spam complaints per sent email, in percent"),
+    smtpApiErrors: z.number(),
+    bouncesByType: z.array(z.object({ type: z.string(), count: z.number(), percentage: z.number() })),
+    ...statsFilterShape,
+  },
+  getDeliveryTimeSeries: {
+    days: z.array(z.object({ date: z.string(), ...dailyCountsShape })),
+    totals: z.object(dailyCountsShape),
+    ...statsFilterShape,
+  },
+  getOpenBreakdown: { clients: breakdownSchema, platforms: breakdownSchema, ...statsFilterShape },
+  getClickBreakdown: { browsers: breakdownSchema, locations: breakdownSchema.describe("Clicks on links in the HTML or text body"), ...statsFilterShape },
+  compareDeliveryStats: {
+    segments: z.array(z.object({ label: z.string(), ...statsFilterShape, ...overviewMetricsShape })),
+    differences: z.object({ sent: z.number(), bounceRate: z.number(), spamComplaintRate: z.number(), openRate: z.number(), clickRate: z.number() }).describe("Second segment minus first; rates in percentage points"),
+  },
+  listTemplateCategories: { categories: z.array(z.string()) },
+  listTemplatesInCategory: { category: z.string(), templates: z.array(z.string()) },
+  getTemplateContent: { category: z.string(), template: z.string(), format: z.enum(["html", "text"]), content: z.string() },
+  getTemplateIdeas: {
+    topic: z.string(),
+    total: z.number().int(),
+    ideas: z.array(
+      z.object({
+        source: z.enum(["local", "server"]),
+        template: z.string(),
+        category: z.string().optional(),
+        templateId: z.number().int().optional(),
+        alias: z.string().nullish(),
+        subject: z.string().nullish(),
+        description: z.union([z.string(), z.array(z.string())]).nullish(),
+        score: z.number(),
+        matchedFields: z.array(z.string()),
+        snippet: z.string().optional(),
+      })
+    ),
+  },
+  createTemplate: templateShape,
+  updateTemplate: templateShape,
+  deleteTemplate: { templateIdOrAlias: z.string(), status: z.string() },
+  simulateTemplatePush: templatePushShape,
+  executeTemplatePush: templatePushShape,
+  renderTemplate: {
+    source: z.string(),
+    subject: z.string().nullish(),
+    html: z.string().optional(),
+    text: z.string().optional(),
+    missing: z.array(z.string()),
+    unused: z.array(z.string()),
+    errors: z.array(z.string()),
+  },
+  extractTemplateVariables: {
+    source: z.string(),
+    variables: z.array(z.object({ path: z.string(), type: z.enum(["value", "object", "list", "any"]), required: z.boolean() })),
+    schema: anyObject.describe("JSON Schema of the template model"),
+  },
+  syncLocalTemplates: {
+    dryRun: z.boolean(),
+    templatesPath: z.string(),
+    create: z.number().int(),
+    update: z.number().int(),
+    unchanged: z.number().int(),
+    delete: z.number().int(),
+    failed: z.number().int().optional(),
+    items: z.array(z.object({ alias: z.string(), action: z.enum(["create", "update", "unchanged", "delete"]), source: z.string().optional(), changed: z.array(z.string()), status: z.string().optional() })),
+  },
+  exportTemplates: {
+    outputPath: z.string(),
+    exported: z.number().int(),
+    skipped: z.number().int(),
+    failed: z.number().int(),
+    templates: z.array(z.object({ templateId: z.number().int(), name: z.string(), templateType: z.string(), folder: z.string(), status: z.enum(["exported", "skipped", "failed"]), message: z.string().optional() })),
+  },
+  searchOutboundMessages: {
+    total: z.number().int(),
+    offset: z.number().int(),
+    nextOffset: z.number().int().optional(),
+    messages: z.array(
+      z.object({
+        messageId: z.string(),
+        subject: z.string().nullish(),
+        from: z.string().nullish(),
+        to: z.array(z.string()),
+        status: z.string().nullish(),
+        receivedAt: z.string().nullish(),
+        messageStream: z.string().nullish(),
+        tag: z.string().nullish(),
+        metadata: z.record(z.string()).nullish(),
+      })
+    ),
+  },
+  getOutboundMessageDetails: {
+    messageId: z.string(),
+    subject: z.string().nullish(),
+    from: z.string().nullish(),
+    to: z.array(z.string()),
+    cc: z.array(z.string()),
+    bcc: z.array(z.string()),
+    status: z.string().nullish(),
+    receivedAt: z.string().nullish(),
+    messageStream: z.string().nullish(),
+    tag: z.string().nullish(),
+    attachments: z.array(z.string()),
+    events: z.array(z.object({ type: z.string(), receivedAt: z.string(), recipient: z.string().nullish(), details: anyObject })),
+    headers: z.array(z.string()),
+    textBody: z.string().nullish(),
+    htmlBody: z.string().nullish(),
+  },
+  getBounceOverview: {
+    totalBounces: z.number().int(),
+    inactiveAddresses: z.number().int(),
+    byType: z.array(z.object({ type: z.string(), count: z.number().int(), percentage: z.number() })),
+  },
+  listBounces: { total: z.number().int(), offset: z.number().int(), nextOffset: z.number().int().optional(), bounces: z.array(z.object(bounceShape)) },
+  getBounceDetails: {
+    ...bounceShape,
+    typeCode: z.number().int().nullish(),
+    description: z.string().nullish(),
+    details: z.string().nullish(),
+    from: z.string().nullish(),
+    messageStream: z.string().nullish(),
+    dumpAvailable: z.boolean(),
+  },
+  getBounceDump: { bounceId: z.number().int(), available: z.boolean(), body: z.string().optional() },
+  reactivateBounce: { bounceId: z.number().int(), email: z.string().nullish(), inactive: z.boolean(), status: z.string() },
+  listSuppressions: {
+    messageStream: z.string(),
+    suppressions: z.array(z.object({ emailAddress: z.string(), suppressionReason: z.string(), origin: z.string(), createdAt: z.string() })),
+  },
+  addSuppressions: suppressionResultsShape,
+  removeSuppressions: suppressionResultsShape,
+  queryWebhookEvents: {
+    total: z.number().int(),
+    events: z.array(z.object({ receivedAt: z.string(), type: z.string(), recipient: z.string().nullish(), messageId: z.string().nullish(), summary: z.string(), payload: anyObject.optional() })),
+  },
+  listOutbox: {
+    total: z.number().int(),
+    messages: z.array(z.object({ messageId: z.string(), subject: z.string().nullish(), submittedAt: z.string(), ...outboxRecipientsShape, template: z.string().optional(), attachments: z.number().int() })),
+  },
+  readOutboxMessage: {
+    messageId: z.string(),
+    submittedAt: z.string().optional(),
+    server: z.string().nullish(),
+    ...outboxRecipientsShape,
+    replyTo: z.string().nullish(),
+    subject: z.string().nullish(),
+    messageStream: z.string().nullish(),
+    tag: z.string().nullish(),
+    template: z.object({ alias: z.string().nullish(), local: z.string() }).optional(),
+    attachments: z.array(z.object({ name: z.string(), contentType: z.string(), contentLength: z.number().int() })).optional(),
+    textBody: z.string().nullish(),
+    htmlBody: z.string().nullish(),
+    eml: z.string().optional(),
+  },
+  clearOutbox: { removed: z.number().int() },
+  scheduleEmail: { ...scheduledEmailShape, warnings: z.array(z.string()) },
+  listScheduledEmails: { total: z.number().int(), emails: z.array(z.object(scheduledEmailShape)) },
+  cancelScheduledEmail: scheduledEmailShape,
+  listMessageStreams: { total: z.number().int(), streams: z.array(z.object(messageStreamShape)) },
+  getMessageStream: messageStreamShape,
+  createMessageStream: messageStreamShape,
+  editMessageStream: messageStreamShape,
+  archiveMessageStream: { id: z.string(), expectedPurgeDate: z.string().optional() },
+  unarchiveMessageStream: messageStreamShape,
+  listSenderSignatures: {
+    total: z.number().int(),
+    signatures: z.array(
+      z.object({
+        id: z.number().int(),
+        name: z.string(),
+        emailAddress: z.string(),
+        replyToEmailAddress: z.string().optional(),
+        domain: z.string(),
+        confirmed: z.boolean(),
+        dkimVerified: z.boolean().optional(),
+        returnPathVerified: z.boolean().optional(),
+        spfVerified: z.boolean().optional(),
+      })
+    ),
+  },
+  listDomains: { total: z.number().int(), domains: z.array(z.object(domainShape)) },
+  getDomain: domainShape,
+  verifyDomain: domainShape,
+  resendSenderConfirmation: { signatureId: z.number().int(), message: z.string() },
+  queryAuditLog: {
+    total: z.number().int(),
+    entries: z.array(
+      z.object({
+        timestamp: z.string(),
+        tool: z.string(),
+        ok: z.boolean(),
+        server: z.string().nullish(),
+        scheduledEmailId: z.string().optional(),
+        recipients: z.array(z.string()),
+        result: anyObject,
+        error: z.string().optional(),
+        durationMs: z.number().optional(),
+        arguments: anyObject.optional(),
+      })
+    ),
+  },
+  listServers: {
+    defaultServer: z.string(),
+    servers: z.array(
+      z.object({
+        name: z.string(),
+        isDefault: z.boolean(),
+        defaultSender: z.string().nullable(),
+        messageStream: z.string().nullable(),
+        token: z.string().describe("Masked server token"),
+        postmarkServer: z.object({ name: z.string(), id: z.number().int() }).optional(),
+        error: z.string().optional(),
+      })
+    ),
+  },
+};
+
+/**
+ * Returns the output schema to register for a tool. Every field is optional and `error` is added,
+ * because failed calls (and soft failures such as a missing templates directory) only carry `{ error }`.
+ * @param {string} name
+ * @returns {import('zod').ZodRawShape|undefined}
+ */
+export function toolOutputSchema(name) {
+  const shape = OUTPUT_SCHEMAS[name];
+  if (!shape) return undefined;
+  return { ...Object.fromEntries(Object.entries(shape).map(([key, schema]) => [key, schema.optional()])), error: z.string().optional().describe("Why the call failed") };
+}
+
+/**
+ * Makes tools with an output schema report thrown errors as `isError` results with `{ error }`
+ * as structuredContent. The SDK validates structuredContent on every result of such a tool,
+ * error results included, and would otherwise replace the error message with a schema error.
+ * @param {import('@modelcontextprotocol/sdk/server/mcp.js').McpServer} mcpServer
+ */
+export function withStructuredErrors(mcpServer) {
+  const registerTool = mcpServer.registerTool.bind(mcpServer);
+  mcpServer.registerTool = (name, config, callback) => {
+    if (!config.outputSchema) return registerTool(name, config, callback);
+    return registerTool(name, config, async (...args) => {
+      try {
+        return await callback(...args);
+      } catch (error) {
+        const message = error instanceof Error ? error.message : String(error);
+        return { content: [{ type: "text", text: message }], structuredContent: { error: message }, isError: true };
+      }
+    });
+  };
+  return mcpServer;
+}
@@ -1,82 +1,279 @@
 import { join } from "path";
-import { getTemplatesBasePath } from "../config.js";
+import { AUDITED_TOOLS, recordAuditResult, withAuditLog } from "../audit.js";
+import { getSandboxConfig, getTemplatesBasePath } from "../config.js";
 import { z } from "zod";
-import { getTemplateContent, getTemplateIdeas, listTemplateCategories, listTemplatesInCategory } from "../helpers/templates.js";
+import { listEmails } from "../helpers/addresses.js";
+import { MAX_BATCH_MESSAGES, formatBatchResults, sendInChunks } from "../helpers/batch.js";
+import { percentage } from "../helpers/stats.js";
+import { findLocalTemplate, getTemplateContent, getTemplateIdeas, listTemplateCategories, listTemplatesInCategory } from "../helpers/templates.js";
 import { logger } from "../logger.js";
+import { createPostmarkApi } from "../postmarkApi.js";
+import { createProfileClient, createProfileRegistry, runWithProfile } from "../profiles.js";
+import { createSandboxClient } from "../sandbox.js";
+import { createSendPolicy } from "../sendPolicy.js";
+import { registerAnalyticsTools } from "./analyticsTools.js";
+import { registerAuditTools } from "./auditTools.js";
+import { registerBounceTools } from "./bounceTools.js";
+import { buildEmailPayload, buildTemplatePayload, emailContentShape, messageOptionsShape, templateContentShape } from "./emailPayload.js";
+import { registerMessageTools } from "./messageTools.js";
+import { registerOutboxTools } from "./outboxTools.js";
+import { toolOutputSchema } from "./outputSchemas.js";
+import { registerScheduleTools } from "./scheduleTools.js";
+import { createSenderCheck, registerSenderTools } from "./senderTools.js";
+import { registerServerTools } from "./serverTools.js";
+import { createStreamCheck, registerStreamTools } from "./streamTools.js";
+import { findSuppressedRecipients, registerSuppressionTools } from "./suppressionTools.js";
+import { assertTemplateModel, registerTemplateRenderTools } from "./templateRenderTools.js";
+import { fetchAllServerTemplates, registerTemplateSyncTools } from "./templateSyncTools.js";
+import { registerWebhookEventTools } from "./webhookEventTools.js";
+
+async function buildBatchPayloads(messages, build) {
+  const payloads = [];
+  for (const [index, message] of messages.entries()) {
+    try {
+      payloads.push(await build(message));
+    } catch (error) {
+      throw new Error(`Message ${index + 1}: ${error.message}`);
+    }
+  }
+  return payloads;
+}
+
+const suppressionCheckShape = {
+  checkSuppressions: z.boolean().optional().describe("Check recipients against the stream's suppression list and warn before sending (optional, default: false)"),
+};
+
+async function suppressionWarnings(postmarkClient, emailData) {
+  const recipients = [emailData.To, emailData.Cc, emailData.Bcc].flatMap(listEmails);
+  try {
+    const suppressed = await findSuppressedRecipients(postmarkClient, emailData.MessageStream, recipients);
+    if (suppressed.length) logger.warn("Sending to suppressed recipients", { stream: emailData.MessageStream, count: suppressed.length });
+    return suppressed.map((s) => `Warning: ${s.EmailAddress} is suppressed on message stream '${emailData.MessageStream}' (${s.SuppressionReason}); Postmark will not deliver to this address.`);
+  } catch (error) {
+    logger.warn("Suppression check failed", { stream: emailData.MessageStream, message: error?.message });
+    return [`Warning: suppression check failed (${error?.message || error}); recipients were not verified.`];
+  }
+}
+
+// Postmark requires layouts to mark where the template content goes
+const LAYOUT_CONTENT_PLACEHOLDER = /\{\{\{\s*@content\s*\}\}\}/;
+
+function assertLayoutContent({ htmlBody, textBody }) {
+  for (const [label, body] of [["htmlBody", htmlBody], ["textBody", textBody]]) {
+    if (body !== undefined && body !== "" && !LAYOUT_CONTENT_PLACEHOLDER.test(body)) {
+      throw new Error(`Layout ${label} must contain the {{{@content}}} placeholder`);
+    }
+  }
+}
+
+function describeTemplate(t) {
+  const type = t.TemplateType || "Standard";
+  const details = [`Template ID: ${t.TemplateId}`, `Name: ${t.Name}`, `Type: ${type}`];
+  if (type !== "Layout") details.push(`Subject: ${t.Subject}`, `Layout: ${t.LayoutTemplate || "none"}`);
+  details.push(`Alias: ${t.Alias || "none"}`, `Active: ${t.Active ? "Yes" : "No"}`);
+  return details.join("\n");
+}
+
+function templatePushSummary(sourceServerID, destinationServerID, result) {
+  const templates = result.Templates.map((t) => ({ name: t.Name, alias: t.Alias, action: t.Action, templateType: t.TemplateType, templateId: t.TemplateId }));
+  return { sourceServerID, destinationServerID, total: result.TotalCount, templates };
+}
+
+function templateSummary(t) {
+  return { templateId: t.TemplateId, name: t.Name, alias: t.Alias, templateType: t.TemplateType || "Standard", subject: t.Subject, layoutTemplate: t.LayoutTemplate, active: t.Active };
+}
+
+/**
+ * Wraps the MCP server so every registered tool accepts an optional `server` profile argument
+ * and runs with that profile active. Tools are registered with their output schema from OUTPUT_SCHEMAS
+ * through `registerTool`, or through `tool` without one when the server has no `registerTool`.
+ */
+function withProfileSelection(mcpServer, profiles) {
+  const names = profiles.names();
+  const serverArg = z.string().optional().describe(`Postmark server profile (optional${names.length > 1 ? `, required for sends and other changes; one of: ${names.join(", ")}` : ""})`);
+  return {
+    tool(name, schema, handler) {
+      const inputSchema = { ...schema, server: serverArg };
+      const profileHandler = async ({ server: profileName, ...args }, extra) => {
+        // Tools that send or change anything (the audited ones) must name their server when there are several
+        const profile = profiles.resolve(profileName, { requireExplicit: AUDITED_TOOLS.has(name) });
+        return runWithProfile(profile, () => handler(args, extra));
+      };
+      // Servers without registerTool (older SDKs, plain `tool` implementations) get the tools without output schemas
+      if (typeof mcpServer.registerTool !== "function") return mcpServer.tool(name, inputSchema, profileHandler);
+      return mcpServer.registerTool(name, { inputSchema, outputSchema: toolOutputSchema(name) }, profileHandler);
+    },
+  };
+}
 
 /**
  * Registers all Postmark-related MCP tools on the provided server instance.
  * Each tool validates input via zod schemas and delegates to the Postmark client or local helpers.
- * @param {import('@modelcontextprotocol/sdk/server/mcp.js').McpServer} server
- * @param {import('postmark').ServerClient} postmarkClient
+ * @param {import('@modelcontextprotocol/sdk/server/mcp.js').McpServer} mcpServer
+ * @param {import('postmark').ServerClient} postmarkClient Client for the default profile
+ * @param {ReturnType<typeof createProfileRegistry>} [profiles] Named server profiles (defaults to a single profile using postmarkClient)
  */
-export function registerTools(server, postmarkClient) {
+export function registerTools(mcpServer, postmarkClient, profiles = createProfileRegistry([{ name: "default", client: postmarkClient }])) {
+  const server = withAuditLog(withProfileSelection(mcpServer, profiles));
+  const client = createProfileClient(() => postmarkClient);
+  // Account endpoints postmark.js does not cover here (template push, senders and domains)
+  const api = createPostmarkApi();
   const resolveTemplatesBasePath = () => getTemplatesBasePath();
+  // Sends go to the local outbox instead of Postmark while sandbox mode is on
+  const mailer = () => {
+    const sandbox = getSandboxConfig();
+    return sandbox.enabled ? createSandboxClient({ outboxPath: sandbox.outboxPath, templatesBasePath: resolveTemplatesBasePath() }) : client;
+  };
+  // Guardrails from the send policy config; quotas count the messages Postmark accepted
+  const policy = createSendPolicy();
+  // The From address must be a verified sender and the message stream must exist and be able to send;
+  // returns warnings for the tool result. Skipped in sandbox mode, which needs no network
+  const senderCheck = createSenderCheck(api);
+  const streamCheck = createStreamCheck(client);
+  const preflight = async (messages, options) => {
+    if (getSandboxConfig().enabled) return [];
+    const senderWarnings = await senderCheck.check(messages);
+    return [...senderWarnings, ...(await streamCheck.check(messages, options))];
+  };
+  // In sandbox mode template sends render the local template with that alias, so validate against it
+  const checkTemplateModel = async (emailData) => {
+    const templatesBasePath = resolveTemplatesBasePath();
+    let source = { templateId: emailData.TemplateId, templateAlias: emailData.TemplateAlias };
+    if (getSandboxConfig().enabled) {
+      const found = await findLocalTemplate(templatesBasePath, String(emailData.TemplateAlias ?? emailData.TemplateId));
+      if (!found.ok) throw new Error(found.message);
+      source = { categoryName: found.category, templateName: found.template };
+    }
+    await assertTemplateModel(client, templatesBasePath, source, emailData.TemplateModel);
+  };
+  const sandboxNote = () => (getSandboxConfig().enabled ? "\n\nSandbox mode: captured in the local outbox, not sent through Postmark." : "");
+  const sentMessage = (result, emailData, attachments, warnings) => ({ messageId: result.MessageID, to: emailData.To, cc: emailData.Cc, bcc: emailData.Bcc, attachments, warnings, sandbox: getSandboxConfig().enabled });
+  const batchSummary = (results, warnings) => ({ total: results.length, sent: results.filter((r) => r.ok).length, failed: results.filter((r) => !r.ok).length, results, warnings, sandbox: getSandboxConfig().enabled });
+  const warningsNote = (warnings) => (warnings.length ? `\n\n${warnings.join("\n")}` : "");
   server.tool(
     "sendEmail",
-    {
-      to: z.string().email().describe("Recipient email address"),
-      subject: z.string().describe("Email subject"),
-      textBody: z.string().describe("Plain text body of the email"),
-      htmlBody: z.string().optional().describe("HTML body of the email (optional)"),
-      from: z.string().email().optional().describe("Sender email address (optional, uses default if not provided)"),
-      tag: z.string().optional().describe("Optional tag for categorization"),
-    },
-    async ({ to, subject, textBody, htmlBody, from, tag }) => {
-      const emailData = {
-        From: from || process.env.DEFAULT_SENDER_EMAIL,
-        To: to,
-        Subject: subject,
-        TextBody: textBody,
-        MessageStream: process.env.DEFAULT_MESSAGE_STREAM,
-        TrackOpens: true,
-        TrackLinks: "HtmlAndText",
-      };
-      if (htmlBody) emailData.HtmlBody = htmlBody;
-      if (tag) emailData.Tag = tag;
-      logger.info("Sending email...", { to, subject });
-      const result = await postmarkClient.sendEmail(emailData);
+    { ...emailContentShape, ...messageOptionsShape, ...suppressionCheckShape },
+    async (args) => {
+      const emailData = await buildEmailPayload(args);
+      policy.check([emailData]);
+      const preflightWarnings = await preflight([emailData]);
+      const warnings = [...preflightWarnings, ...(args.checkSuppressions ? await suppressionWarnings(client, emailData) : [])];
+      const attachmentCount = emailData.Attachments?.length || 0;
+      logger.info("Sending email...", { to: emailData.To, subject: emailData.Subject, stream: emailData.MessageStream, attachments: attachmentCount });
+      const result = await mailer().sendEmail(emailData);
+      policy.commit(1);
       logger.info("Email sent successfully", { messageId: result.MessageID });
-      return { content: [{ type: "text", text: `Email sent successfully!\nMessageID: ${result.MessageID}\nTo: ${to}\nSubject: ${subject}` }] };
+      recordAuditResult({ messageIds: [result.MessageID] });
+      return {
+        content: [{ type: "text", text: `Email sent successfully!\nMessageID: ${result.MessageID}\nTo: ${emailData.To}${emailData.Cc ? `\nCc: ${emailData.Cc}` : ""}${emailData.Bcc ? `\nBcc: ${emailData.Bcc}` : ""}\nSubject: ${emailData.Subject}${attachmentCount ? `\nAttachments: ${attachmentCount}` : ""}${warnings.length ? `\n\n${warnings.join("\n")}` : ""}${sandboxNote()}` }],
+        structuredContent: { ...sentMessage(result, emailData, attachmentCount, warnings), subject: emailData.Subject },
+      };
     }
   );
 
   server.tool(
     "sendEmailWithTemplate",
     {
-      to: z.string().email().describe("Recipient email address"),
-      templateId: z.number().optional().describe("Template ID (use either this or templateAlias)"),
-      templateAlias: z.string().optional().describe("Template alias (use either this or templateId)"),
-      templateModel: z.object({}).passthrough().describe("Data model for template variables"),
-      from: z.string().email().optional().describe("Sender email address (optional)"),
-      tag: z.string().optional().describe("Optional tag for categorization"),
+      ...templateContentShape,
+      ...messageOptionsShape,
+      ...suppressionCheckShape,
+      validateTemplateModel: z.boolean().optional().describe("Check templateModel against the variables the template uses and refuse to send when a required one is missing (optional, default: false)"),
     },
-    async ({ to, templateId, templateAlias, templateModel, from, tag }) => {
-      if (!templateId && !templateAlias) throw new Error("Either templateId or templateAlias must be provided");
-      const emailData = {
-        From: from || process.env.DEFAULT_SENDER_EMAIL,
-        To: to,
-        TemplateModel: templateModel,
-        MessageStream: process.env.DEFAULT_MESSAGE_STREAM,
-        TrackOpens: true,
-        TrackLinks: "HtmlAndText",
-      };
-      if (templateId) emailData.TemplateId = templateId; else emailData.TemplateAlias = templateAlias;
-      if (tag) emailData.Tag = tag;
-      logger.info("Sending template email...", { to, templateId: templateId || templateAlias });
-      const result = await postmarkClient.sendEmailWithTemplate(emailData);
+    async (args) => {
+      const emailData = await buildTemplatePayload(args);
+      policy.check([emailData]);
+      if (args.validateTemplateModel) await checkTemplateModel(emailData);
+      const preflightWarnings = await preflight([emailData]);
+      const warnings = [...preflightWarnings, ...(args.checkSuppressions ? await suppressionWarnings(client, emailData) : [])];
+      const template = emailData.TemplateId || emailData.TemplateAlias;
+      const attachmentCount = emailData.Attachments?.length || 0;
+      logger.info("Sending template email...", { to: emailData.To, templateId: template, stream: emailData.MessageStream, attachments: attachmentCount });
+      const result = await mailer().sendEmailWithTemplate(emailData);
+      policy.commit(1);
       logger.info("Template email sent successfully", { messageId: result.MessageID });
-      return { content: [{ type: "text", text: `Template email sent successfully!\nMessageID: ${result.MessageID}\nTo: ${to}\nTemplate: ${templateId || templateAlias}` }] };
+      recordAuditResult({ messageIds: [result.MessageID] });
+      return {
+        content: [{ type: "text", text: `Template email sent successfully!\nMessageID: ${result.MessageID}\nTo: ${emailData.To}${emailData.Cc ? `\nCc: ${emailData.Cc}` : ""}${emailData.Bcc ? `\nBcc: ${emailData.Bcc}` : ""}\nTemplate: ${template}${attachmentCount ? `\nAttachments: ${attachmentCount}` : ""}${warnings.length ? `\n\n${warnings.join("\n")}` : ""}${sandboxNote()}` }],
+        structuredContent: { ...sentMessage(result, emailData, attachmentCount, warnings), template },
+      };
     }
   );
 
-  server.tool("listTemplates", {}, async () => {
-    logger.info("Fetching templates...");
-    const result = await postmarkClient.getTemplates();
-    logger.info("Templates fetched", { count: result.Templates.length });
-    const templateList = result.Templates.map((t) => `• **${t.Name}**\n  - ID: ${t.TemplateId}\n  - Alias: ${t.Alias || "none"}\n  - Subject: ${t.Subject || "none"}`).join("\n\n");
-    return { content: [{ type: "text", text: `Found ${result.Templates.length} templates:\n\n${templateList}` }] };
-  });
+  server.tool(
+    "sendEmailBatch",
+    {
+      messages: z
+        .array(z.object({ ...emailContentShape, ...messageOptionsShape }))
+        .min(1)
+        .max(MAX_BATCH_MESSAGES)
+        .describe(`Messages to send (1-${MAX_BATCH_MESSAGES}); each accepts the same fields as sendEmail`),
+    },
+    async ({ messages }) => {
+      const emails = await buildBatchPayloads(messages, buildEmailPayload);
+      policy.check(emails);
+      const warnings = await preflight(emails, { bulk: true });
+      logger.info("Sending email batch...", { count: emails.length });
+      const results = await sendInChunks(emails, (chunk) => mailer().sendEmailBatch(chunk));
+      policy.commit(results.filter((r) => r.ok).length);
+      logger.info("Email batch processed", { count: results.length, failed: results.filter((r) => !r.ok).length });
+      recordAuditResult({ messageIds: results.filter((r) => r.ok).map((r) => r.messageId), failed: results.filter((r) => !r.ok).length });
+      return { content: [{ type: "text", text: `${formatBatchResults("Batch send results", results)}${warningsNote(warnings)}${sandboxNote()}` }], structuredContent: batchSummary(results, warnings) };
+    }
+  );
+
+  server.tool(
+    "sendEmailBatchWithTemplate",
+    {
+      messages: z
+        .array(z.object({ ...templateContentShape, ...messageOptionsShape }))
+        .min(1)
+        .max(MAX_BATCH_MESSAGES)
+        .describe(`Templated messages to send (1-${MAX_BATCH_MESSAGES}); each accepts the same fields as sendEmailWithTemplate`),
+    },
+    async ({ messages }) => {
+      const emails = await buildBatchPayloads(messages, buildTemplatePayload);
+      policy.check(emails);
+      const warnings = await preflight(emails, { bulk: true });
+      logger.info("Sending template email batch...", { count: emails.length });
+      const results = await sendInChunks(emails, (chunk) => mailer().sendEmailBatchWithTemplates(chunk));
+      policy.commit(results.filter((r) => r.ok).length);
+      logger.info("Template email batch processed", { count: results.length, failed: results.filter((r) => !r.ok).length });
+      recordAuditResult({ messageIds: results.filter((r) => r.ok).map((r) => r.messageId), failed: results.filter((r) => !r.ok).length });
+      return { content: [{ type: "text", text: `${formatBatchResults("Template batch send results", results)}${warningsNote(warnings)}${sandboxNote()}` }], structuredContent: batchSummary(results, warnings) };
+    }
+  );
+
+  server.tool(
+    "listTemplates",
+    {
+      templateType: z.enum(["All", "Standard", "Layout"]).optional().describe("Filter by template type (optional, default: 'All')"),
+      layoutTemplate: z.string().optional().describe("Only templates that use the layout with this alias (optional)"),
+    },
+    async ({ templateType = "All", layoutTemplate } = {}) => {
+      logger.info("Fetching templates...", { templateType, layoutTemplate });
+      const all = await fetchAllServerTemplates(client);
+      const templates = all.filter((t) => (templateType === "All" || (t.TemplateType || "Standard") === templateType) && (!layoutTemplate || t.LayoutTemplate === layoutTemplate));
+      logger.info("Templates fetched", { count: templates.length });
+      const usedBy = (t) => all.filter((u) => u.Alias !== t.Alias && t.Alias && u.LayoutTemplate === t.Alias).map((u) => u.Alias || u.Name);
+      const templateList = templates
+        .map((t) => {
+          const lines = [`• **${t.Name}**`, `  - ID: ${t.TemplateId}`, `  - Alias: ${t.Alias || "none"}`, `  - Type: ${t.TemplateType || "Standard"}`];
+          if (t.TemplateType === "Layout") {
+            const users = usedBy(t);
+            lines.push(`  - Used by: ${users.length ? users.join(", ") : "no templates"}`);
+          } else {
+            lines.push(`  - Layout: ${t.LayoutTemplate || "none"}`);
+            if (t.Subject !== undefined) lines.push(`  - Subject: ${t.Subject || "none"}`);
+          }
+          return lines.join("\n");
+        })
+        .join("\n\n");
+      return {
+        content: [{ type: "text", text: `Found ${templates.length} templates:\n\n${templateList}` }],
+        structuredContent: { total: templates.length, templates: templates.map((t) => ({ ...templateSummary(t), ...(t.TemplateType === "Layout" ? { usedBy: usedBy(t) } : {}) })) },
+      };
+    }
+  );
 
   server.tool(
     "getDeliveryStats",
@@ -86,24 +283,24 @@ export function registerTools(server, postmarkClient) {
       toDate: z.string().regex(/^\d{4}-\d{2}-\d{2}$/).optional().describe("End date in YYYY-MM-DD format (optional)"),
     },
     async ({ tag, fromDate, toDate }) => {
-      const query = [];
-      if (fromDate) query.push(`fromdate=${encodeURIComponent(fromDate)}`);
-      if (toDate) query.push(`todate=${encodeURIComponent(toDate)}`);
-      if (tag) query.push(`tag=${encodeURIComponent(tag)}`);
-      const url = `https://api.postmarkapp.com/stats/outbound${query.length ? "?" + query.join("&") : ""}`;
-      logger.info("Fetching delivery stats...");
-      const response = await fetch(url, { headers: { Accept: "application/json", "X-Postmark-Server-Token": process.env.POSTMARK_SERVER_TOKEN } });
-      if (!response.ok) throw new Error(`API request failed: ${response.status} ${response.statusText}`);
-      const data = await response.json();
+      const filter = {};
+      if (tag) filter.tag = tag;
+      if (fromDate) filter.fromDate = fromDate;
+      if (toDate) filter.toDate = toDate;
+      logger.info("Fetching delivery stats...", filter);
+      const data = await client.getOutboundOverview(filter);
       logger.info("Stats retrieved successfully");
       const sent = data.Sent || 0;
       const tracked = data.Tracked || 0;
       const uniqueOpens = data.UniqueOpens || 0;
       const totalTrackedLinks = data.TotalTrackedLinksSent || 0;
       const uniqueLinksClicked = data.UniqueLinksClicked || 0;
-      const openRate = tracked > 0 ? ((uniqueOpens / tracked) * 100).toFixed(1) : "0.0";
-      const clickRate = totalTrackedLinks > 0 ? ((uniqueLinksClicked / totalTrackedLinks) * 100).toFixed(1) : "0.0";
-      return { content: [{ type: "text", text: `Email Statistics Summary\n\nSent: ${sent} emails\nOpen Rate: ${openRate}% (${uniqueOpens}/${tracked} tracked emails)\nClick Rate: ${clickRate}% (${uniqueLinksClicked}/${totalTrackedLinks} tracked links)\n\n${fromDate || toDate ? `Period: ${fromDate || "start"} to ${toDate || "now"}\n` : ""}${tag ? `Tag: ${tag}\n` : ""}` }] };
+      const openRate = percentage(uniqueOpens, tracked);
+      const clickRate = percentage(uniqueLinksClicked, totalTrackedLinks);
+      return {
+        content: [{ type: "text", text: `Email Statistics Summary\n\nSent: ${sent} emails\nOpen Rate: ${openRate.toFixed(1)}% (${uniqueOpens}/${tracked} tracked emails)\nClick Rate: ${clickRate.toFixed(1)}% (${uniqueLinksClicked}/${totalTrackedLinks} tracked links)\n\n${fromDate || toDate ? `Period: ${fromDate || "start"} to ${toDate || "now"}\n` : ""}${tag ? `Tag: ${tag}\n` : ""}` }],
+        structuredContent: { sent, tracked, uniqueOpens, openRate, totalTrackedLinks, uniqueLinksClicked, clickRate, fromDate, toDate, tag },
+      };
     }
   );
 
@@ -112,15 +309,15 @@ export function registerTools(server, postmarkClient) {
     logger.info("Listing template categories...");
     const categoriesRes = await listTemplateCategories(templatesBasePath);
     if (!categoriesRes.ok) {
-      return { content: [{ type: "text", text: categoriesRes.message }] };
+      return { content: [{ type: "text", text: categoriesRes.message }], structuredContent: { error: categoriesRes.message } };
     }
     const categories = categoriesRes.categories;
     logger.info("Template categories listed", { count: categories.length });
     if (categories.length === 0) {
-      return { content: [{ type: "text", text: "No template categories found. The postmark-templates/templates-inlined directory may not exist or may be empty." }] };
+      return { content: [{ type: "text", text: "No template categories found. The postmark-templates/templates-inlined directory may not exist or may be empty." }], structuredContent: { categories } };
     }
     const categoryList = categories.map((cat) => `• ${cat}`).join("\n");
-    return { content: [{ type: "text", text: `Found ${categories.length} template categories:\n\n${categoryList}` }] };
+    return { content: [{ type: "text", text: `Found ${categories.length} template categories:\n\n${categoryList}` }], structuredContent: { categories } };
   });
 
   server.tool(
@@ -131,15 +328,15 @@ export function registerTools(server, postmarkClient) {
       logger.info("Listing templates in category", { categoryName });
       const templatesRes = await listTemplatesInCategory(templatesBasePath, categoryName);
       if (!templatesRes.ok) {
-        return { content: [{ type: "text", text: templatesRes.message }] };
+        return { content: [{ type: "text", text: templatesRes.message }], structuredContent: { error: templatesRes.message } };
       }
       const templates = templatesRes.templates;
       logger.info("Templates listed", { categoryName, count: templates.length });
       if (templates.length === 0) {
-        return { content: [{ type: "text", text: `No templates found in category '${categoryName}'. The category may not exist or may be empty.` }] };
+        return { content: [{ type: "text", text: `No templates found in category '${categoryName}'. The category may not exist or may be empty.` }], structuredContent: { category: categoryName, templates } };
       }
       const templateList = templates.map((template) => `• ${template}`).join("\n");
-      return { content: [{ type: "text", text: `Found ${templates.length} templates in category '${categoryName}':\n\n${templateList}` }] };
+      return { content: [{ type: "text", text: `Found ${templates.length} templates in category '${categoryName}':\n\n${templateList}` }], structuredContent: { category: categoryName, templates } };
     }
   );
 
@@ -154,34 +351,56 @@ export function registerTools(server, postmarkClient) {
       const templatesBasePath = resolveTemplatesBasePath();
       logger.info("Getting template content", { categoryName, templateName, format });
       if (format !== "html" && format !== "text") {
-        return { content: [{ type: "text", text: `Invalid format '${format}'. Please use 'html' or 'text'.` }] };
+        const message = `Invalid format '${format}'. Please use 'html' or 'text'.`;
+        return { content: [{ type: "text", text: message }], structuredContent: { error: message } };
       }
       const contentRes = await getTemplateContent(templatesBasePath, categoryName, templateName, format);
       if (!contentRes.ok) {
-        return { content: [{ type: "text", text: `Template ${format} content for '${templateName}' in category '${categoryName}' not found.` }] };
+        const message = `Template ${format} content for '${templateName}' in category '${categoryName}' not found.`;
+        return { content: [{ type: "text", text: message }], structuredContent: { error: message } };
       }
       logger.info("Template content retrieved", { templateName, format });
-      return { content: [{ type: "text", text: `Template content for '${templateName}' in category '${categoryName}' (${format} format):\n\n\`\`\`${format}\n${contentRes.content}\n\`\`\`` }] };
+      return {
+        content: [{ type: "text", text: `Template content for '${templateName}' in category '${categoryName}' (${format} format):\n\n\`\`\`${format}\n${contentRes.content}\n\`\`\`` }],
+        structuredContent: { category: categoryName, template: templateName, format, content: contentRes.content },
+      };
     }
   );
 
   server.tool(
     "getTemplateIdeas",
-    { topic: z.string().describe("The topic to search for in template names") },
-    async ({ topic }) => {
+    {
+      topic: z.string().describe("Words to search for in template names, subjects, content and meta.json descriptions, tags and use cases"),
+      includeServerTemplates: z.boolean().optional().describe("Also search templates on the Postmark server by name, alias and subject (optional, default: false)"),
+      limit: z.number().int().min(1).max(100).optional().describe("Maximum number of results (optional, default: 10)"),
+    },
+    async ({ topic, includeServerTemplates = false, limit = 10 }) => {
       const templatesBasePath = resolveTemplatesBasePath();
-      logger.info("Searching for template ideas", { topic });
-      const ideasRes = await getTemplateIdeas(templatesBasePath, topic);
+      logger.info("Searching for template ideas", { topic, includeServerTemplates });
+      const serverTemplates = includeServerTemplates ? await fetchAllServerTemplates(client) : [];
+      const ideasRes = await getTemplateIdeas(templatesBasePath, topic, { limit, serverTemplates });
       if (!ideasRes.ok) {
-        return { content: [{ type: "text", text: ideasRes.message }] };
+        return { content: [{ type: "text", text: ideasRes.message }], structuredContent: { error: ideasRes.message } };
       }
       const ideas = ideasRes.ideas;
-      logger.info("Template ideas found", { topic, count: ideas.length });
+      logger.info("Template ideas found", { topic, count: ideasRes.total });
+      const structuredContent = { topic, total: ideasRes.total, ideas };
       if (ideas.length === 0) {
-        return { content: [{ type: "text", text: `No templates found matching the topic '${topic}'. Try a different search term.` }] };
+        return { content: [{ type: "text", text: `No templates found matching the topic '${topic}'. Try a different search term.` }], structuredContent };
       }
-      const ideaList = ideas.map((idea) => `• **${idea.template}** (in category: ${idea.category})`).join("\n");
-      return { content: [{ type: "text", text: `Found ${ideas.length} template ideas for topic '${topic}':\n\n${ideaList}` }] };
+      const ideaList = ideas
+        .map((idea) => {
+          const where = idea.source === "server" ? `server template ${idea.templateId}${idea.alias ? `, alias: ${idea.alias}` : ""}` : `in category: ${idea.category}`;
+          const lines = [`• **${idea.template}** (${where}) — score ${idea.score}`];
+          if (idea.subject) lines.push(`  - Subject: ${idea.subject}`);
+          if (idea.description) lines.push(`  - Description: ${idea.description}`);
+          lines.push(`  - Matched: ${idea.matchedFields.join(", ")}`);
+          if (idea.snippet) lines.push(`  - "${idea.snippet}"`);
+          return lines.join("\n");
+        })
+        .join("\n\n");
+      const shown = ideasRes.total > ideas.length ? ` (showing top ${ideas.length})` : "";
+      return { content: [{ type: "text", text: `Found ${ideasRes.total} template ideas for topic '${topic}'${shown}:\n\n${ideaList}` }], structuredContent };
     }
   );
 
@@ -189,21 +408,33 @@ export function registerTools(server, postmarkClient) {
     "createTemplate",
     {
       name: z.string().describe("Template name (required)"),
-      subject: z.string().describe("Email subject (required)"),
+      subject: z.string().optional().describe("Email subject (required for standard templates; layouts have no subject)"),
       htmlBody: z.string().optional().describe("HTML body of the template (optional if textBody is provided)"),
       textBody: z.string().optional().describe("Plain text body of the template (optional if htmlBody is provided)"),
-      alias: z.string().optional().describe("Template alias for easy reference (optional)"),
+      alias: z.string().optional().describe("Template alias for easy reference (optional, required for layouts)"),
+      templateType: z.enum(["Standard", "Layout"]).optional().describe("Template type (optional, default: 'Standard'); layouts wrap templates via {{{@content}}}"),
+      layoutTemplate: z.string().optional().describe("Alias of the layout this standard template uses (optional)"),
     },
-    async ({ name, subject, htmlBody, textBody, alias }) => {
+    async ({ name, subject, htmlBody, textBody, alias, templateType = "Standard", layoutTemplate }) => {
       if (!htmlBody && !textBody) throw new Error("Either htmlBody or textBody must be provided");
-      logger.info("Creating new template...", { name, subject, alias });
-      const templateData = { Name: name, Subject: subject };
+      const templateData = { Name: name, TemplateType: templateType };
+      if (templateType === "Layout") {
+        if (subject || layoutTemplate) throw new Error("Layouts cannot have a subject or a layoutTemplate");
+        if (!alias) throw new Error("Layouts require an alias so templates can reference them");
+        assertLayoutContent({ htmlBody, textBody });
+      } else {
+        if (!subject) throw new Error("subject is required for standard templates");
+        templateData.Subject = subject;
+        if (layoutTemplate) templateData.LayoutTemplate = layoutTemplate;
+      }
+      logger.info("Creating new template...", { name, subject, alias, templateType, layoutTemplate });
       if (htmlBody) templateData.HtmlBody = htmlBody;
       if (textBody) templateData.TextBody = textBody;
       if (alias) templateData.Alias = alias;
-      const result = await postmarkClient.createTemplate(templateData);
+      const result = await client.createTemplate(templateData);
       logger.info("Template created successfully", { templateId: result.TemplateId });
-      return { content: [{ type: "text", text: `Template created successfully!\n\nTemplate ID: ${result.TemplateId}\nName: ${result.Name}\nSubject: ${result.Subject}\nAlias: ${result.Alias || "none"}\nActive: ${result.Active ? "Yes" : "No"}` }] };
+      recordAuditResult({ templateId: result.TemplateId });
+      return { content: [{ type: "text", text: `Template created successfully!\n\n${describeTemplate(result)}` }], structuredContent: templateSummary(result) };
     }
   );
 
@@ -216,19 +447,29 @@ export function registerTools(server, postmarkClient) {
       htmlBody: z.string().optional().describe("New HTML body of the template (optional)"),
       textBody: z.string().optional().describe("New plain text body of the template (optional)"),
       alias: z.string().optional().describe("New template alias (optional)"),
+      layoutTemplate: z.string().nullable().optional().describe("Alias of the layout to use; null removes the layout (optional, standard templates only)"),
     },
-    async ({ templateIdOrAlias, name, subject, htmlBody, textBody, alias }) => {
-      logger.info("Updating template...", { templateIdOrAlias, name, subject, alias });
+    async ({ templateIdOrAlias, name, subject, htmlBody, textBody, alias, layoutTemplate }) => {
+      logger.info("Updating template...", { templateIdOrAlias, name, subject, alias, layoutTemplate });
       const updateData = {};
       if (name !== undefined) updateData.Name = name;
       if (subject !== undefined) updateData.Subject = subject;
       if (htmlBody !== undefined) updateData.HtmlBody = htmlBody;
       if (textBody !== undefined) updateData.TextBody = textBody;
       if (alias !== undefined) updateData.Alias = alias;
+      if (layoutTemplate !== undefined) updateData.LayoutTemplate = layoutTemplate;
       if (Object.keys(updateData).length === 0) throw new Error("At least one field must be provided to update");
-      const result = await postmarkClient.editTemplate(templateIdOrAlias, updateData);
+      if (htmlBody !== undefined || textBody !== undefined || subject !== undefined || layoutTemplate !== undefined) {
+        const current = await client.getTemplate(templateIdOrAlias);
+        if (current.TemplateType === "Layout") {
+          if (subject !== undefined || layoutTemplate !== undefined) throw new Error("Layouts cannot have a subject or a layoutTemplate");
+          assertLayoutContent({ htmlBody, textBody });
+        }
+      }
+      const result = await client.editTemplate(templateIdOrAlias, updateData);
       logger.info("Template updated successfully", { templateId: result.TemplateId });
-      return { content: [{ type: "text", text: `Template updated successfully!\n\nTemplate ID: ${result.TemplateId}\nName: ${result.Name}\nSubject: ${result.Subject}\nAlias: ${result.Alias || "none"}\nActive: ${result.Active ? "Yes" : "No"}` }] };
+      recordAuditResult({ templateId: result.TemplateId });
+      return { content: [{ type: "text", text: `Template updated successfully!\n\n${describeTemplate(result)}` }], structuredContent: templateSummary(result) };
     }
   );
 
@@ -237,9 +478,20 @@ export function registerTools(server, postmarkClient) {
     { templateIdOrAlias: z.string().describe("Template ID or alias to delete") },
     async ({ templateIdOrAlias }) => {
       logger.info("Deleting template...", { templateIdOrAlias });
-      const result = await postmarkClient.deleteTemplate(templateIdOrAlias);
+      const template = await client.getTemplate(templateIdOrAlias);
+      if (template.TemplateType === "Layout") {
+        const dependents = (await fetchAllServerTemplates(client)).filter((t) => template.Alias && t.LayoutTemplate === template.Alias);
+        if (dependents.length) {
+          throw new Error(`Cannot delete layout '${template.Alias}': ${dependents.length} templates still use it (${dependents.map((t) => t.Alias || t.Name).join(", ")}). Assign them another layout or remove theirs first.`);
+        }
+      }
+      const result = await client.deleteTemplate(templateIdOrAlias);
       logger.info("Template deleted successfully", { templateIdOrAlias });
-      return { content: [{ type: "text", text: `Template deleted successfully!\n\nTemplate ID/Alias: ${templateIdOrAlias}\nStatus: ${result.Message || "Deleted"}\n\nNote: This action has been logged for auditing purposes.` }] };
+      recordAuditResult({ templateId: template.TemplateId, alias: template.Alias || undefined, name: template.Name });
+      return {
+        content: [{ type: "text", text: `Template deleted successfully!\n\nTemplate ID/Alias: ${templateIdOrAlias}\nStatus: ${result.Message || "Deleted"}\n\nNote: This action has been logged for auditing purposes.` }],
+        structuredContent: { templateIdOrAlias, status: result.Message || "Deleted" },
+      };
     }
   );
 
@@ -250,23 +502,17 @@ export function registerTools(server, postmarkClient) {
       destinationServerID: z.string().describe("Server ID of the destination server receiving the templates"),
     },
     async ({ sourceServerID, destinationServerID }) => {
-      if (!process.env.POSTMARK_ACCOUNT_TOKEN) {
-        throw new Error("POSTMARK_ACCOUNT_TOKEN environment variable is required for template push operations");
-      }
       logger.info("Simulating template push...", { sourceServerID, destinationServerID });
-      const response = await fetch("https://api.postmarkapp.com/templates/push", {
-        method: "PUT",
-        headers: { Accept: "application/json", "Content-Type": "application/json", "X-Postmark-Account-Token": process.env.POSTMARK_ACCOUNT_TOKEN },
-        body: JSON.stringify({ SourceServerID: sourceServerID, DestinationServerID: destinationServerID, PerformChanges: false }),
+      const result = await api.request("PUT", "/templates/push", {
+        auth: "account",
+        body: { SourceServerID: sourceServerID, DestinationServerID: destinationServerID, PerformChanges: false },
       });
-      if (!response.ok) {
-        const errorData = await response.json().catch(() => ({}));
-        throw new Error(`Postmark API Error (${response.status}): ${errorData.Message || response.statusText}`);
-      }
-      const result = await response.json();
       logger.info("Template push simulation completed", { total: result.TotalCount });
       const templatesList = result.Templates.map((t) => `• **${t.Name}** (${t.Alias || "no alias"})\n  - Action: ${t.Action}\n  - Type: ${t.TemplateType}\n  - Template ID: ${t.TemplateId || "N/A"}`).join("\n\n");
-      return { content: [{ type: "text", text: `Template Push Simulation Results\n\nSource Server ID: ${sourceServerID}\nDestination Server ID: ${destinationServerID}\nTotal Templates Affected: ${result.TotalCount}\n\n${result.TotalCount > 0 ? `Templates that would be affected:\n\n${templatesList}` : "No templates would be affected."}\n\nNote: This was a simulation only. No changes were made.` }] };
+      return {
+        content: [{ type: "text", text: `Template Push Simulation Results\n\nSource Server ID: ${sourceServerID}\nDestination Server ID: ${destinationServerID}\nTotal Templates Affected: ${result.TotalCount}\n\n${result.TotalCount > 0 ? `Templates that would be affected:\n\n${templatesList}` : "No templates would be affected."}\n\nNote: This was a simulation only. No changes were made.` }],
+        structuredContent: templatePushSummary(sourceServerID, destinationServerID, result),
+      };
     }
   );
 
@@ -277,25 +523,32 @@ export function registerTools(server, postmarkClient) {
       destinationServerID: z.string().describe("Server ID of the destination server receiving the templates"),
     },
     async ({ sourceServerID, destinationServerID }) => {
-      if (!process.env.POSTMARK_ACCOUNT_TOKEN) {
-        throw new Error("POSTMARK_ACCOUNT_TOKEN environment variable is required for template push operations");
-      }
       logger.info("Executing template push...", { sourceServerID, destinationServerID });
-      const response = await fetch("https://api.postmarkapp.com/templates/push", {
-        method: "PUT",
-        headers: { Accept: "application/json", "Content-Type": "application/json", "X-Postmark-Account-Token": process.env.POSTMARK_ACCOUNT_TOKEN },
-        body: JSON.stringify({ SourceServerID: sourceServerID, DestinationServerID: destinationServerID, PerformChanges: true }),
+      const result = await api.request("PUT", "/templates/push", {
+        auth: "account",
+        body: { SourceServerID: sourceServerID, DestinationServerID: destinationServerID, PerformChanges: true },
       });
-      if (!response.ok) {
-        const errorData = await response.json().catch(() => ({}));
-        throw new Error(`Postmark API Error (${response.status}): ${errorData.Message || response.statusText}`);
-      }
-      const result = await response.json();
       logger.info("Template push executed successfully", { total: result.TotalCount });
+      recordAuditResult({ templateIds: result.Templates.map((t) => t.TemplateId).filter(Boolean), total: result.TotalCount });
       const templatesList = result.Templates.map((t) => `• **${t.Name}** (${t.Alias || "no alias"})\n  - Action: ${t.Action}\n  - Type: ${t.TemplateType}\n  - Template ID: ${t.TemplateId || "N/A"}`).join("\n\n");
-      return { content: [{ type: "text", text: `Template Push Execution Results\n\nSource Server ID: ${sourceServerID}\nDestination Server ID: ${destinationServerID}\nTotal Templates Processed: ${result.TotalCount}\n\n${result.TotalCount > 0 ? `Templates that were processed:\n\n${templatesList}` : "No templates were processed."}\n\nNote: Changes have been applied to the destination server.` }] };
+      return {
+        content: [{ type: "text", text: `Template Push Execution Results\n\nSource Server ID: ${sourceServerID}\nDestination Server ID: ${destinationServerID}\nTotal Templates Processed: ${result.TotalCount}\n\n${result.TotalCount > 0 ? `Templates that were processed:\n\n${templatesList}` : "No templates were processed."}\n\nNote: Changes have been applied to the destination server.` }],
+        structuredContent: templatePushSummary(sourceServerID, destinationServerID, result),
+      };
     }
   );
-}
-
 
+  registerTemplateRenderTools(server, client);
+  registerTemplateSyncTools(server, client);
+  registerMessageTools(server, client);
+  registerScheduleTools(server, policy, preflight);
+  registerStreamTools(server, client, streamCheck);
+  registerSenderTools(server, api, senderCheck);
+  registerAnalyticsTools(server, client);
+  registerBounceTools(server, client);
+  registerSuppressionTools(server, client);
+  registerWebhookEventTools(server);
+  registerOutboxTools(server);
+  registerAuditTools(server);
+  registerServerTools(server, profiles);
+}
@@ -0,0 +1,132 @@
+import { z } from "zod";
+import { recordAuditResult } from "../audit.js";
+import { getScheduleConfig } from "../config.js";
+import { SCHEDULED_STATUSES, listScheduledEmails, newScheduledEmailId, saveScheduledEmail, updateScheduledEmailStatus } from "../helpers/scheduleStore.js";
+import { logger } from "../logger.js";
+import { getActiveProfile } from "../profiles.js";
+import { buildEmailPayload, buildTemplatePayload, emailContentShape, messageOptionsShape, templateContentShape } from "./emailPayload.js";
+
+function scheduledSummary(item) {
+  const args = item.arguments || {};
+  return {
+    id: item.id,
+    status: item.status,
+    sendAt: item.sendAt,
+    tool: item.tool,
+    to: [].concat(args.to ?? []).join(", "),
+    subject: args.subject,
+    template: args.templateAlias ?? (args.templateId !== undefined ? String(args.templateId) : undefined),
+    server: item.server,
+    createdAt: item.createdAt,
+    sentAt: item.sentAt,
+    messageId: item.messageId,
+    cancelledAt: item.cancelledAt,
+    error: item.error,
+  };
+}
+
+function describeScheduled(s) {
+  const lines = [`• **${s.id}** — ${s.status}`, `  - Send at: ${s.sendAt}`, `  - To: ${s.to}`, s.subject !== undefined ? `  - Subject: ${s.subject}` : `  - Template: ${s.template}`];
+  if (s.server) lines.push(`  - Server: ${s.server}`);
+  if (s.messageId) lines.push(`  - MessageID: ${s.messageId}`);
+  if (s.error) lines.push(`  - Error: ${s.error}`);
+  return lines.join("\n");
+}
+
+/**
+ * Registers tools for scheduling emails in the local queue, listing the queue and cancelling
+ * pending items. The worker started by main() delivers them (see startScheduleWorker).
+ * @param {import('@modelcontextprotocol/sdk/server/mcp.js').McpServer} server
+ * @param {ReturnType<typeof import('../sendPolicy.js').createSendPolicy>} policy Send policy of this session
+ * @param {(messages: object[]) => Promise<string[]>} preflight Pre-send sender and message stream check, returning warnings
+ */
+export function registerScheduleTools(server, policy, preflight) {
+  server.tool(
+    "scheduleEmail",
+    {
+      sendAt: z.string().datetime({ offset: true }).describe("When to send, ISO 8601 with a time zone, e.g. 2025-06-02T09:00:00+02:00"),
+      email: z
+        .object({ ...emailContentShape, ...messageOptionsShape })
+        .optional()
+        .describe("Email to send, with the same fields as sendEmail (use email or templateEmail)"),
+      templateEmail: z
+        .object({ ...templateContentShape, ...messageOptionsShape })
+        .optional()
+        .describe("Template email to send, with the same fields as sendEmailWithTemplate (use email or templateEmail)"),
+    },
+    async ({ sendAt, email, templateEmail }) => {
+      if (Boolean(email) === Boolean(templateEmail)) throw new Error("Provide either email or templateEmail to schedule");
+      const sendAtMs = Date.parse(sendAt);
+      if (sendAtMs <= Date.now()) throw new Error(`sendAt ${sendAt} is in the past; use sendEmail or sendEmailWithTemplate to send now`);
+      const tool = email ? "sendEmail" : "sendEmailWithTemplate";
+      // Built now so invalid addresses, attachments, senders, streams and policy violations are reported to the caller, not the worker
+      const emailData = email ? await buildEmailPayload(email) : await buildTemplatePayload(templateEmail);
+      policy.check([emailData], Date.now(), { hourly: false });
+      const warnings = await preflight([emailData]);
+      const { queuePath } = getScheduleConfig();
+      const item = {
+        id: newScheduledEmailId(),
+        status: "pending",
+        sendAt: new Date(sendAtMs).toISOString(),
+        tool,
+        arguments: email || templateEmail,
+        server: getActiveProfile()?.name,
+        createdAt: new Date().toISOString(),
+      };
+      logger.info("Scheduling email...", { id: item.id, tool, sendAt: item.sendAt, to: emailData.To });
+      const saved = await saveScheduledEmail(queuePath, item);
+      if (!saved.ok) throw new Error(`Failed to write to the scheduled email queue: ${saved.message}`);
+      policy.commit(1, Date.now(), { hourly: false });
+      logger.info("Email scheduled", { id: item.id });
+      recordAuditResult({ scheduledEmailId: item.id });
+      const summary = scheduledSummary(item);
+      return {
+        content: [{ type: "text", text: `Email scheduled!\nID: ${item.id}\nSend at: ${item.sendAt}\nTo: ${emailData.To}\n${tool === "sendEmail" ? `Subject: ${emailData.Subject}` : `Template: ${summary.template}`}\n\nUse cancelScheduledEmail with this ID to cancel it before it is sent.${warnings.length ? `\n\n${warnings.join("\n")}` : ""}` }],
+        structuredContent: { ...summary, warnings },
+      };
+    }
+  );
+
+  server.tool(
+    "listScheduledEmails",
+    {
+      status: z.enum(SCHEDULED_STATUSES).optional().describe("Filter by status (optional, default: all)"),
+      limit: z.number().int().min(1).max(500).optional().describe("Maximum number of emails to return, earliest send time first (default: 50)"),
+    },
+    async ({ status, limit = 50 }) => {
+      const { queuePath } = getScheduleConfig();
+      logger.info("Listing scheduled emails...", { status });
+      const listRes = await listScheduledEmails(queuePath, { status });
+      if (!listRes.ok) {
+        return { content: [{ type: "text", text: listRes.message }], structuredContent: { error: listRes.message } };
+      }
+      const emails = listRes.items.slice(0, limit).map(scheduledSummary);
+      logger.info("Scheduled emails listed", { total: listRes.items.length, returned: emails.length });
+      const structuredContent = { total: listRes.items.length, emails };
+      if (emails.length === 0) {
+        return { content: [{ type: "text", text: `No scheduled emails found${status ? ` with status '${status}'` : ""}.` }], structuredContent };
+      }
+      return {
+        content: [{ type: "text", text: `Found ${listRes.items.length} scheduled emails${listRes.items.length > emails.length ? ` (showing first ${emails.length})` : ""}:\n\n${emails.map(describeScheduled).join("\n\n")}` }],
+        structuredContent,
+      };
+    }
+  );
+
+  server.tool(
+    "cancelScheduledEmail",
+    { id: z.string().describe("ID returned by scheduleEmail") },
+    async ({ id }) => {
+      const { queuePath } = getScheduleConfig();
+      logger.info("Cancelling scheduled email...", { id });
+      const saved = await updateScheduledEmailStatus(queuePath, id, "pending", { status: "cancelled", cancelledAt: new Date().toISOString() });
+      if (saved.code === "STATUS_CHANGED") throw new Error(`Scheduled email ${id} cannot be cancelled: its status is '${saved.item.status}'`);
+      if (saved.code === "IO_ERROR") throw new Error(`Failed to update the scheduled email queue: ${saved.message}`);
+      if (!saved.ok) throw new Error(saved.message);
+      logger.info("Scheduled email cancelled", { id });
+      recordAuditResult({ scheduledEmailId: id });
+      const summary = scheduledSummary(saved.item);
+      return { content: [{ type: "text", text: `Scheduled email cancelled.\nID: ${id}\nWas due: ${summary.sendAt}\nTo: ${summary.to}` }], structuredContent: summary };
+    }
+  );
+}
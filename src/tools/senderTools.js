@@ -0,0 +1,222 @@
+import { z } from "zod";
+import { getApiConfig } from "../config.js";
+import { listEmails } from "../helpers/addresses.js";
+import { logger } from "../logger.js";
+import { matchesRecipientEntry } from "../sendPolicy.js";
+
+// How long the verified senders of the account are reused by the pre-flight check
+const SENDER_CACHE_TTL_MS = 5 * 60 * 1000;
+const PAGE_SIZE = 500;
+
+const VERIFICATION_CHECKS = {
+  dkim: { method: "PUT", path: "verifyDKIM" },
+  returnPath: { method: "PUT", path: "verifyReturnPath" },
+  spf: { method: "POST", path: "verifySPF" },
+};
+
+// The account endpoints page with count/offset; the tools and the check need every entry
+async function fetchAll(api, path, key) {
+  const items = [];
+  for (let offset = 0; ; offset += PAGE_SIZE) {
+    const page = await api.request("GET", path, { auth: "account", query: { count: PAGE_SIZE, offset } });
+    const batch = page[key] || [];
+    items.push(...batch);
+    if (batch.length < PAGE_SIZE || items.length >= (page.TotalCount ?? 0)) return items;
+  }
+}
+
+const status = (verified) => (verified ? "Verified" : "Not verified");
+
+function domainSummary(d) {
+  const summary = { id: d.ID, name: d.Name, dkimVerified: d.DKIMVerified, weakDkim: d.WeakDKIM, returnPathVerified: d.ReturnPathDomainVerified, spfVerified: d.SPFVerified };
+  if (d.DKIMHost === undefined && d.ReturnPathDomain === undefined) return summary;
+  return {
+    ...summary,
+    dkimHost: d.DKIMHost || undefined,
+    dkimValue: d.DKIMTextValue || undefined,
+    dkimPendingHost: d.DKIMPendingHost || undefined,
+    dkimPendingValue: d.DKIMPendingTextValue || undefined,
+    dkimUpdateStatus: d.DKIMUpdateStatus || undefined,
+    returnPathDomain: d.ReturnPathDomain || undefined,
+    returnPathCnameValue: d.ReturnPathDomainCNAMEValue || undefined,
+    spfHost: d.SPFHost || undefined,
+    spfValue: d.SPFTextValue || undefined,
+  };
+}
+
+function describeDomain(d) {
+  return [
+    `• **${d.Name}** (ID: ${d.ID})`,
+    `  - DKIM: ${status(d.DKIMVerified)}${d.WeakDKIM ? " (weak key, rotate it in Postmark)" : ""}`,
+    `  - Return-Path: ${status(d.ReturnPathDomainVerified)}`,
+    `  - SPF: ${status(d.SPFVerified)}`,
+  ].join("\n");
+}
+
+function describeDnsRecords(d) {
+  const records = [];
+  if (d.DKIMHost) records.push(`- DKIM: TXT ${d.DKIMHost} → ${d.DKIMTextValue}`);
+  if (d.DKIMPendingHost) records.push(`- DKIM (pending${d.DKIMUpdateStatus ? `, ${d.DKIMUpdateStatus}` : ""}): TXT ${d.DKIMPendingHost} → ${d.DKIMPendingTextValue}`);
+  if (d.ReturnPathDomain) records.push(`- Return-Path: CNAME ${d.ReturnPathDomain} → ${d.ReturnPathDomainCNAMEValue}`);
+  if (d.SPFHost) records.push(`- SPF: TXT ${d.SPFHost} → ${d.SPFTextValue}`);
+  return records.length ? `\n\nDNS Records:\n${records.join("\n")}` : "";
+}
+
+// Why Postmark would reject mail from this address, or undefined when it is allowed
+function senderProblem(email, { signatures, domains }) {
+  const signature = signatures.find((s) => s.EmailAddress.toLowerCase() === email);
+  if (signature?.Confirmed) return undefined;
+  const domain = domains.find((d) => matchesRecipientEntry(email, d.Name.toLowerCase()));
+  if (domain?.DKIMVerified) return undefined;
+  if (signature) return `Sender ${email} has a sender signature that is not confirmed yet. Confirm it from the email Postmark sent to that address (resendSenderConfirmation sends it again) or send from a verified address.`;
+  if (domain) return `Sender ${email} is on domain '${domain.Name}', whose DKIM record is not verified yet. Publish the DKIM record shown by getDomain and run verifyDomain, or send from a confirmed sender signature.`;
+  return `Sender ${email} is not a confirmed sender signature and its domain is not verified in Postmark. Add it as a sender signature or verify its domain in Postmark; listSenderSignatures shows the senders that can be used.`;
+}
+
+/**
+ * Creates the pre-flight check that rejects `From` addresses Postmark would refuse: an address must be
+ * a confirmed sender signature or on a domain with a verified DKIM record. Signatures and domains are
+ * account-level, so the check needs POSTMARK_ACCOUNT_TOKEN; without it, or when they cannot be loaded,
+ * the send goes ahead with a warning that the sender was not verified. They are cached for five minutes
+ * and reloaded once before an address is rejected.
+ * @param {ReturnType<typeof import('../postmarkApi.js').createPostmarkApi>} api
+ */
+export function createSenderCheck(api) {
+  let cache;
+
+  async function loadSenders(force) {
+    if (!force && cache && cache.expires > Date.now()) return { senders: cache.senders, fresh: false };
+    const [signatures, domains] = await Promise.all([fetchAll(api, "/senders", "SenderSignatures"), fetchAll(api, "/domains", "Domains")]);
+    cache = { senders: { signatures, domains }, expires: Date.now() + SENDER_CACHE_TTL_MS };
+    return { senders: cache.senders, fresh: true };
+  }
+
+  return {
+    invalidate() {
+      cache = undefined;
+    },
+
+    /**
+     * Throws when a message's From address cannot send. When the account cannot be queried the
+     * check is skipped, Postmark validates the sender itself, and a warning says so.
+     * @param {Array<{From?: string}>} messages Postmark payloads
+     * @returns {Promise<string[]>}
+     */
+    async check(messages) {
+      if (!getApiConfig().accountToken) {
+        return ["Warning: The sender was not verified because POSTMARK_ACCOUNT_TOKEN is not set. Postmark rejects the message if the From address is not a confirmed sender signature or on a verified domain."];
+      }
+      const emails = [...new Set(messages.flatMap((m) => listEmails(m.From)))];
+      const firstProblem = (senders) => emails.map((email) => senderProblem(email, senders)).find(Boolean);
+      let problem;
+      try {
+        const loaded = await loadSenders(false);
+        problem = firstProblem(loaded.senders);
+        if (problem && !loaded.fresh) problem = firstProblem((await loadSenders(true)).senders);
+      } catch (error) {
+        logger.warn("Sender check skipped", { message: error?.message });
+        return [`Warning: The sender was not verified because the sender signatures could not be loaded (${String(error?.message).split("\n")[0]}). Postmark rejects the message if the From address is not a confirmed sender signature or on a verified domain.`];
+      }
+      if (problem) throw new Error(problem);
+      return [];
+    },
+  };
+}
+
+/**
+ * Registers tools for sender signatures and domains: their DKIM, Return-Path and SPF status,
+ * re-verification and confirmation emails. All of them use the account API (POSTMARK_ACCOUNT_TOKEN).
+ * @param {import('@modelcontextprotocol/sdk/server/mcp.js').McpServer} server
+ * @param {ReturnType<typeof import('../postmarkApi.js').createPostmarkApi>} api
+ * @param {ReturnType<typeof createSenderCheck>} senderCheck Pre-flight check whose cache is reset after changes
+ */
+export function registerSenderTools(server, api, senderCheck) {
+  server.tool("listSenderSignatures", {}, async () => {
+    logger.info("Fetching sender signatures...");
+    const [signatures, domains] = await Promise.all([fetchAll(api, "/senders", "SenderSignatures"), fetchAll(api, "/domains", "Domains")]);
+    logger.info("Sender signatures fetched", { count: signatures.length });
+    const domainOf = (s) => domains.find((d) => d.Name.toLowerCase() === String(s.Domain).toLowerCase());
+    const structuredContent = {
+      total: signatures.length,
+      signatures: signatures.map((s) => {
+        const domain = domainOf(s);
+        const verification = domain ? { dkimVerified: domain.DKIMVerified, returnPathVerified: domain.ReturnPathDomainVerified, spfVerified: domain.SPFVerified } : {};
+        return { id: s.ID, name: s.Name, emailAddress: s.EmailAddress, replyToEmailAddress: s.ReplyToEmailAddress || undefined, domain: s.Domain, confirmed: s.Confirmed, ...verification };
+      }),
+    };
+    if (signatures.length === 0) {
+      return { content: [{ type: "text", text: "No sender signatures found." }], structuredContent };
+    }
+    const list = signatures
+      .map((s) => {
+        const domain = domainOf(s);
+        const domainLine = domain
+          ? `  - Domain: ${s.Domain} (DKIM: ${status(domain.DKIMVerified)}, Return-Path: ${status(domain.ReturnPathDomainVerified)}, SPF: ${status(domain.SPFVerified)})`
+          : `  - Domain: ${s.Domain} (not added as a domain)`;
+        return [`• **${s.Name}** <${s.EmailAddress}> (ID: ${s.ID})`, `  - Confirmed: ${s.Confirmed ? "Yes" : "No"}`, domainLine].join("\n");
+      })
+      .join("\n\n");
+    return { content: [{ type: "text", text: `Found ${signatures.length} sender signatures:\n\n${list}` }], structuredContent };
+  });
+
+  server.tool("listDomains", {}, async () => {
+    logger.info("Fetching domains...");
+    const domains = await fetchAll(api, "/domains", "Domains");
+    logger.info("Domains fetched", { count: domains.length });
+    const structuredContent = { total: domains.length, domains: domains.map(domainSummary) };
+    if (domains.length === 0) {
+      return { content: [{ type: "text", text: "No domains found." }], structuredContent };
+    }
+    return { content: [{ type: "text", text: `Found ${domains.length} domains:\n\n${domains.map(describeDomain).join("\n\n")}` }], structuredContent };
+  });
+
+  server.tool(
+    "getDomain",
+    { domainId: z.number().int().describe("Domain ID from listDomains") },
+    async ({ domainId }) => {
+      logger.info("Fetching domain...", { domainId });
+      const domain = await api.request("GET", `/domains/${domainId}`, { auth: "account" });
+      logger.info("Domain fetched", { domainId });
+      return { content: [{ type: "text", text: `Domain\n\n${describeDomain(domain)}${describeDnsRecords(domain)}` }], structuredContent: domainSummary(domain) };
+    }
+  );
+
+  server.tool(
+    "verifyDomain",
+    {
+      domainId: z.number().int().describe("Domain ID from listDomains"),
+      records: z
+        .array(z.enum(["dkim", "returnPath", "spf"]))
+        .min(1)
+        .optional()
+        .describe("DNS records to verify again (optional, default: dkim and returnPath)"),
+    },
+    async ({ domainId, records = ["dkim", "returnPath"] }) => {
+      logger.info("Verifying domain...", { domainId, records });
+      for (const record of new Set(records)) {
+        const { method, path } = VERIFICATION_CHECKS[record];
+        await api.request(method, `/domains/${domainId}/${path}`, { auth: "account" });
+      }
+      const domain = await api.request("GET", `/domains/${domainId}`, { auth: "account" });
+      senderCheck.invalidate();
+      logger.info("Domain verification checked", { domainId, dkim: domain.DKIMVerified, returnPath: domain.ReturnPathDomainVerified });
+      return {
+        content: [{ type: "text", text: `Domain verification checked for ${domain.Name}\n\n${describeDomain(domain)}${describeDnsRecords(domain)}\n\nDNS changes can take a while to propagate; run verifyDomain again if a record was just published.` }],
+        structuredContent: domainSummary(domain),
+      };
+    }
+  );
+
+  server.tool(
+    "resendSenderConfirmation",
+    { signatureId: z.number().int().describe("Sender signature ID from listSenderSignatures") },
+    async ({ signatureId }) => {
+      logger.info("Resending sender signature confirmation...", { signatureId });
+      const result = await api.request("POST", `/senders/${signatureId}/resend`, { auth: "account" });
+      senderCheck.invalidate();
+      logger.info("Sender signature confirmation resent", { signatureId });
+      const message = result.Message || "Confirmation email re-sent.";
+      return { content: [{ type: "text", text: message }], structuredContent: { signatureId, message } };
+    }
+  );
+}
@@ -0,0 +1,49 @@
+import { z } from "zod";
+import { logger } from "../logger.js";
+
+const maskToken = (token) => (token ? `****${String(token).slice(-4)}` : "not set");
+
+/**
+ * Registers tools describing the configured Postmark server profiles.
+ * @param {{tool: Function}} server
+ * @param {{defaultName: string, list: () => Array<{name: string, client: import('postmark').ServerClient, serverToken?: string, defaultSender?: string, defaultMessageStream?: string}>}} profiles
+ */
+export function registerServerTools(server, profiles) {
+  server.tool(
+    "listServers",
+    { verify: z.boolean().optional().describe("Look up each server's name and ID in Postmark (optional, default: false)") },
+    async ({ verify = false }) => {
+      const list = profiles.list();
+      logger.info("Listing server profiles", { count: list.length, verify });
+      const entries = await Promise.all(
+        list.map(async (p) => {
+          const server = {
+            name: p.name,
+            isDefault: p.name === profiles.defaultName,
+            defaultSender: p.defaultSender || process.env.DEFAULT_SENDER_EMAIL || null,
+            messageStream: p.defaultMessageStream || process.env.DEFAULT_MESSAGE_STREAM || null,
+            token: maskToken(p.serverToken || process.env.POSTMARK_SERVER_TOKEN),
+          };
+          let status = "";
+          if (verify) {
+            try {
+              const info = await p.client.getServer();
+              server.postmarkServer = { name: info.Name, id: info.ID };
+              status = `\n  - Postmark Server: ${info.Name} (ID: ${info.ID})`;
+            } catch (error) {
+              server.error = String(error?.message || error);
+              status = `\n  - Postmark Server: unreachable (${server.error})`;
+            }
+          }
+          const text = `• **${p.name}**${server.isDefault ? " (default)" : ""}\n  - Default Sender: ${server.defaultSender || "not set"}\n  - Message Stream: ${server.messageStream || "not set"}\n  - Token: ${server.token}${status}`;
+          return { server, text };
+        })
+      );
+      const note = list.length > 1 ? "\n\nNote: Send tools require the 'server' argument because more than one server is configured." : "";
+      return {
+        content: [{ type: "text", text: `Configured Postmark servers (${list.length}):\n\n${entries.map((e) => e.text).join("\n\n")}${note}` }],
+        structuredContent: { defaultServer: profiles.defaultName, servers: entries.map((e) => e.server) },
+      };
+    }
+  );
+}
@@ -0,0 +1,208 @@
+import { z } from "zod";
+import { logger } from "../logger.js";
+import { getActiveProfile } from "../profiles.js";
+
+// How long the stream list of a server is reused by the pre-send check
+const STREAM_CACHE_TTL_MS = 60 * 1000;
+
+// Batch sends of at least this many messages count as bulk mail
+export const BULK_SEND_THRESHOLD = 10;
+
+const unsubscribeHandlingSchema = z
+  .enum(["None", "Postmark", "Custom"])
+  .optional()
+  .describe("Unsubscribe handling for broadcast streams: Postmark adds and manages unsubscribe links, Custom uses your own, None disables it (optional)");
+
+function streamSummary(s) {
+  return {
+    id: s.ID,
+    name: s.Name,
+    messageStreamType: s.MessageStreamType,
+    description: s.Description || undefined,
+    unsubscribeHandling: s.SubscriptionManagementConfiguration?.UnsubscribeHandlingType,
+    createdAt: s.CreatedAt,
+    updatedAt: s.UpdatedAt || undefined,
+    archivedAt: s.ArchivedAt || undefined,
+    expectedPurgeDate: s.ExpectedPurgeDate || undefined,
+  };
+}
+
+function describeStream(s) {
+  const lines = [`• **${s.Name}** (${s.ID})`, `  - Type: ${s.MessageStreamType}`];
+  if (s.Description) lines.push(`  - Description: ${s.Description}`);
+  if (s.SubscriptionManagementConfiguration?.UnsubscribeHandlingType) lines.push(`  - Unsubscribe Handling: ${s.SubscriptionManagementConfiguration.UnsubscribeHandlingType}`);
+  lines.push(`  - Created: ${s.CreatedAt}`);
+  if (s.ArchivedAt) lines.push(`  - Archived: ${s.ArchivedAt}${s.ExpectedPurgeDate ? ` (purged ${s.ExpectedPurgeDate})` : ""}`);
+  return lines.join("\n");
+}
+
+/**
+ * Creates the pre-send check that every send tool runs: the chosen message stream must exist on the
+ * server, be active and be an outbound stream. Bulk sends to a transactional stream get a warning.
+ * The stream list of each server profile is cached for a minute; the stream tools invalidate it.
+ * @param {import('postmark').ServerClient} postmarkClient
+ */
+export function createStreamCheck(postmarkClient) {
+  const cache = new Map();
+  const cacheKey = () => getActiveProfile()?.name ?? "";
+
+  async function loadStreams() {
+    const cached = cache.get(cacheKey());
+    if (cached && cached.expires > Date.now()) return cached.streams;
+    const result = await postmarkClient.getMessageStreams({ includeArchivedStreams: true });
+    const streams = result.MessageStreams || [];
+    cache.set(cacheKey(), { streams, expires: Date.now() + STREAM_CACHE_TTL_MS });
+    return streams;
+  }
+
+  return {
+    invalidate() {
+      cache.delete(cacheKey());
+    },
+
+    /**
+     * Checks the streams of one tool call. Throws when a stream cannot send; returns warnings otherwise.
+     * When the stream list cannot be loaded the check is skipped and Postmark validates the stream itself.
+     * @param {Array<{MessageStream?: string}>} messages Postmark payloads
+     * @param {{bulk?: boolean}} [options] `bulk` for batch tools
+     * @returns {Promise<string[]>}
+     */
+    async check(messages, { bulk = false } = {}) {
+      let streams;
+      try {
+        streams = await loadStreams();
+      } catch (error) {
+        logger.warn("Message stream check skipped", { message: error?.message });
+        return [];
+      }
+      const counts = new Map();
+      for (const m of messages) counts.set(m.MessageStream, (counts.get(m.MessageStream) || 0) + 1);
+      const warnings = [];
+      for (const [id, count] of counts) {
+        const stream = streams.find((s) => s.ID === id);
+        if (!stream) {
+          const available = streams.filter((s) => !s.ArchivedAt && s.MessageStreamType !== "Inbound").map((s) => `${s.ID} (${s.MessageStreamType})`);
+          throw new Error(`Message stream '${id}' does not exist on this server. Available streams: ${available.join(", ") || "none"}. Use createMessageStream to add one.`);
+        }
+        if (stream.ArchivedAt) throw new Error(`Message stream '${id}' is archived. Restore it with unarchiveMessageStream or send through another stream.`);
+        if (stream.MessageStreamType === "Inbound") throw new Error(`Message stream '${id}' is an inbound stream and cannot send email.`);
+        if (bulk && count >= BULK_SEND_THRESHOLD && stream.MessageStreamType === "Transactional") {
+          const broadcast = streams.find((s) => !s.ArchivedAt && s.MessageStreamType === "Broadcasts");
+          warnings.push(`Warning: ${count} messages went to transactional stream '${id}'. Bulk and marketing mail belongs on a Broadcasts stream${broadcast ? ` such as '${broadcast.ID}'` : ""}, so it does not affect the delivery of transactional mail.`);
+        }
+      }
+      if (warnings.length) logger.warn("Bulk send to a transactional stream", { streams: [...counts.keys()] });
+      return warnings;
+    },
+  };
+}
+
+/**
+ * Registers tools for listing, creating, editing, archiving and unarchiving message streams.
+ * @param {import('@modelcontextprotocol/sdk/server/mcp.js').McpServer} server
+ * @param {import('postmark').ServerClient} postmarkClient
+ * @param {ReturnType<typeof createStreamCheck>} streamCheck Pre-send check whose cache is reset after changes
+ */
+export function registerStreamTools(server, postmarkClient, streamCheck) {
+  server.tool(
+    "listMessageStreams",
+    {
+      messageStreamType: z.enum(["Transactional", "Broadcasts", "Inbound"]).optional().describe("Filter by stream type (optional)"),
+      includeArchived: z.boolean().optional().describe("Include archived streams (optional, default: false)"),
+    },
+    async ({ messageStreamType, includeArchived = false }) => {
+      const filter = { includeArchivedStreams: includeArchived };
+      if (messageStreamType) filter.messageStreamType = messageStreamType;
+      logger.info("Fetching message streams...", filter);
+      const result = await postmarkClient.getMessageStreams(filter);
+      const streams = result.MessageStreams || [];
+      logger.info("Message streams fetched", { count: streams.length });
+      const structuredContent = { total: result.TotalCount ?? streams.length, streams: streams.map(streamSummary) };
+      if (streams.length === 0) {
+        return { content: [{ type: "text", text: "No message streams found." }], structuredContent };
+      }
+      return { content: [{ type: "text", text: `Found ${streams.length} message streams:\n\n${streams.map(describeStream).join("\n\n")}` }], structuredContent };
+    }
+  );
+
+  server.tool(
+    "getMessageStream",
+    { streamId: z.string().describe("Message stream ID, e.g. 'outbound' or 'broadcast'") },
+    async ({ streamId }) => {
+      logger.info("Fetching message stream...", { streamId });
+      const stream = await postmarkClient.getMessageStream(streamId);
+      logger.info("Message stream fetched", { streamId });
+      return { content: [{ type: "text", text: `Message Stream\n\n${describeStream(stream)}` }], structuredContent: streamSummary(stream) };
+    }
+  );
+
+  server.tool(
+    "createMessageStream",
+    {
+      id: z.string().regex(/^[a-z0-9-]{1,30}$/).describe("Stream ID used when sending, e.g. 'newsletter' (lowercase letters, digits and dashes, up to 30 characters)"),
+      name: z.string().min(1).describe("Display name of the stream"),
+      messageStreamType: z.enum(["Transactional", "Broadcasts"]).describe("Transactional for one-to-one mail such as receipts and password resets, Broadcasts for bulk and marketing mail"),
+      description: z.string().optional().describe("Description of the stream (optional)"),
+      unsubscribeHandling: unsubscribeHandlingSchema,
+    },
+    async ({ id, name, messageStreamType, description, unsubscribeHandling }) => {
+      const request = { ID: id, Name: name, MessageStreamType: messageStreamType };
+      if (description) request.Description = description;
+      if (unsubscribeHandling) request.SubscriptionManagementConfiguration = { UnsubscribeHandlingType: unsubscribeHandling };
+      logger.info("Creating message stream...", { id, messageStreamType });
+      const stream = await postmarkClient.createMessageStream(request);
+      streamCheck.invalidate();
+      logger.info("Message stream created", { id: stream.ID });
+      return { content: [{ type: "text", text: `Message stream created successfully!\n\n${describeStream(stream)}` }], structuredContent: streamSummary(stream) };
+    }
+  );
+
+  server.tool(
+    "editMessageStream",
+    {
+      streamId: z.string().describe("Message stream ID to edit"),
+      name: z.string().min(1).optional().describe("New display name (optional)"),
+      description: z.string().optional().describe("New description (optional)"),
+      unsubscribeHandling: unsubscribeHandlingSchema,
+    },
+    async ({ streamId, name, description, unsubscribeHandling }) => {
+      const request = {};
+      if (name) request.Name = name;
+      if (description !== undefined) request.Description = description;
+      if (unsubscribeHandling) request.SubscriptionManagementConfiguration = { UnsubscribeHandlingType: unsubscribeHandling };
+      if (Object.keys(request).length === 0) throw new Error("Provide at least one of name, description or unsubscribeHandling to change");
+      logger.info("Editing message stream...", { streamId });
+      const stream = await postmarkClient.editMessageStream(streamId, request);
+      streamCheck.invalidate();
+      logger.info("Message stream edited", { streamId });
+      return { content: [{ type: "text", text: `Message stream updated successfully!\n\n${describeStream(stream)}` }], structuredContent: streamSummary(stream) };
+    }
+  );
+
+  server.tool(
+    "archiveMessageStream",
+    { streamId: z.string().describe("Message stream ID to archive") },
+    async ({ streamId }) => {
+      logger.info("Archiving message stream...", { streamId });
+      const result = await postmarkClient.archiveMessageStream(streamId);
+      streamCheck.invalidate();
+      logger.info("Message stream archived", { streamId, expectedPurgeDate: result.ExpectedPurgeDate });
+      return {
+        content: [{ type: "text", text: `Message stream '${streamId}' archived.\nSending through it is disabled. Its messages and data will be purged on ${result.ExpectedPurgeDate} unless you unarchive it first.` }],
+        structuredContent: { id: streamId, expectedPurgeDate: result.ExpectedPurgeDate },
+      };
+    }
+  );
+
+  server.tool(
+    "unarchiveMessageStream",
+    { streamId: z.string().describe("Archived message stream ID to restore") },
+    async ({ streamId }) => {
+      logger.info("Unarchiving message stream...", { streamId });
+      const stream = await postmarkClient.unarchiveMessageStream(streamId);
+      streamCheck.invalidate();
+      logger.info("Message stream unarchived", { streamId });
+      return { content: [{ type: "text", text: `Message stream unarchived successfully!\n\n${describeStream(stream)}` }], structuredContent: streamSummary(stream) };
+    }
+  );
+}
@@ -0,0 +1,135 @@
+import { z } from "zod";
+import { logger } from "../logger.js";
+import { getDefaultMessageStream } from "../profiles.js";
+
+// Postmark accepts up to 50 addresses per suppression create/delete request.
+const SUPPRESSION_CHUNK_SIZE = 50;
+
+// Parallel per-recipient lookups of the pre-send check; enough to keep a 50-recipient send quick
+// without running into Postmark's rate limits
+const SUPPRESSION_LOOKUP_CONCURRENCY = 5;
+
+const resolveStream = (messageStream) => messageStream || getDefaultMessageStream();
+
+async function applyInChunks(emailAddresses, request) {
+  const statuses = [];
+  for (let i = 0; i < emailAddresses.length; i += SUPPRESSION_CHUNK_SIZE) {
+    const chunk = emailAddresses.slice(i, i + SUPPRESSION_CHUNK_SIZE);
+    try {
+      const result = await request({ Suppressions: chunk.map((EmailAddress) => ({ EmailAddress })) });
+      statuses.push(...(result.Suppressions || []));
+    } catch (error) {
+      statuses.push(...chunk.map((EmailAddress) => ({ EmailAddress, Status: "Failed", Message: String(error?.message || error) })));
+    }
+  }
+  return statuses;
+}
+
+function summarizeStatuses(stream, statuses) {
+  const results = statuses.map((s) => ({ emailAddress: s.EmailAddress, status: s.Status, message: s.Message }));
+  return { messageStream: stream, processed: statuses.length, failed: statuses.filter((s) => s.Status === "Failed").length, results };
+}
+
+function formatStatuses(title, stream, statuses) {
+  const failed = statuses.filter((s) => s.Status === "Failed").length;
+  const list = statuses.map((s) => `• ${s.EmailAddress}: ${s.Status}${s.Message ? ` (${s.Message})` : ""}`).join("\n");
+  return `${title}\n\nMessage Stream: ${stream}\nProcessed: ${statuses.length}\nFailed: ${failed}\n\n${list}`;
+}
+
+/**
+ * Returns the subset of recipients that are suppressed on a message stream, in recipient order.
+ * Addresses are looked up a few at a time rather than one after another.
+ * @param {import('postmark').ServerClient} postmarkClient
+ * @param {string} messageStream
+ * @param {string[]} emailAddresses
+ * @returns {Promise<Array<{EmailAddress: string, SuppressionReason: string, Origin: string, CreatedAt: string}>>}
+ */
+export async function findSuppressedRecipients(postmarkClient, messageStream, emailAddresses) {
+  const unique = [...new Set(emailAddresses)];
+  const matches = new Array(unique.length);
+  let next = 0;
+  const worker = async () => {
+    while (next < unique.length) {
+      const index = next++;
+      const emailAddress = unique[index];
+      const result = await postmarkClient.getSuppressions(messageStream, { emailAddress });
+      matches[index] = (result.Suppressions || []).find((s) => s.EmailAddress.toLowerCase() === emailAddress.toLowerCase());
+    }
+  };
+  await Promise.all(Array.from({ length: Math.min(SUPPRESSION_LOOKUP_CONCURRENCY, unique.length) }, worker));
+  return matches.filter(Boolean);
+}
+
+/**
+ * Registers tools for viewing and managing message stream suppression lists.
+ * @param {import('@modelcontextprotocol/sdk/server/mcp.js').McpServer} server
+ * @param {import('postmark').ServerClient} postmarkClient
+ */
+export function registerSuppressionTools(server, postmarkClient) {
+  server.tool(
+    "listSuppressions",
+    {
+      messageStream: z.string().optional().describe("Message stream ID (optional, uses DEFAULT_MESSAGE_STREAM if not provided)"),
+      suppressionReason: z.enum(["HardBounce", "SpamComplaint", "ManualSuppression"]).optional().describe("Filter by suppression reason (optional)"),
+      origin: z.enum(["Recipient", "Customer", "Admin"]).optional().describe("Filter by origin (optional)"),
+      emailAddress: z.string().optional().describe("Filter by email address (optional)"),
+      fromDate: z.string().regex(/^\d{4}-\d{2}-\d{2}$/).optional().describe("Start date in YYYY-MM-DD format (optional)"),
+      toDate: z.string().regex(/^\d{4}-\d{2}-\d{2}$/).optional().describe("End date in YYYY-MM-DD format (optional)"),
+    },
+    async ({ messageStream, suppressionReason, origin, emailAddress, fromDate, toDate }) => {
+      const stream = resolveStream(messageStream);
+      const filter = {};
+      if (suppressionReason) filter.suppressionReason = suppressionReason;
+      if (origin) filter.origin = origin;
+      if (emailAddress) filter.emailAddress = emailAddress;
+      if (fromDate) filter.fromDate = fromDate;
+      if (toDate) filter.toDate = toDate;
+      logger.info("Fetching suppressions...", { stream, suppressionReason, origin });
+      const result = await postmarkClient.getSuppressions(stream, filter);
+      const suppressions = result.Suppressions || [];
+      logger.info("Suppressions fetched", { stream, count: suppressions.length });
+      const structuredContent = {
+        messageStream: stream,
+        suppressions: suppressions.map((s) => ({ emailAddress: s.EmailAddress, suppressionReason: s.SuppressionReason, origin: s.Origin, createdAt: s.CreatedAt })),
+      };
+      if (suppressions.length === 0) {
+        return { content: [{ type: "text", text: `No suppressions found on message stream '${stream}'.` }], structuredContent };
+      }
+      const list = suppressions.map((s) => `• **${s.EmailAddress}**\n  - Reason: ${s.SuppressionReason}\n  - Origin: ${s.Origin}\n  - Created: ${s.CreatedAt}`).join("\n\n");
+      return { content: [{ type: "text", text: `Found ${suppressions.length} suppressions on message stream '${stream}':\n\n${list}` }], structuredContent };
+    }
+  );
+
+  server.tool(
+    "addSuppressions",
+    {
+      emailAddresses: z.array(z.string().email()).min(1).describe("Email addresses to suppress"),
+      messageStream: z.string().optional().describe("Message stream ID (optional, uses DEFAULT_MESSAGE_STREAM if not provided)"),
+    },
+    async ({ emailAddresses, messageStream }) => {
+      const stream = resolveStream(messageStream);
+      logger.info("Adding suppressions...", { stream, count: emailAddresses.length });
+      const statuses = await applyInChunks(emailAddresses, (body) => postmarkClient.createSuppressions(stream, body));
+      logger.info("Suppressions added", { stream, count: statuses.length });
+      return { content: [{ type: "text", text: formatStatuses("Suppression Add Results", stream, statuses) }], structuredContent: summarizeStatuses(stream, statuses) };
+    }
+  );
+
+  server.tool(
+    "removeSuppressions",
+    {
+      emailAddresses: z.array(z.string().email()).min(1).describe("Email addresses to remove from the suppression list"),
+      messageStream: z.string().optional().describe("Message stream ID (optional, uses DEFAULT_MESSAGE_STREAM if not provided)"),
+    },
+    async ({ emailAddresses, messageStream }) => {
+      const stream = resolveStream(messageStream);
+      logger.info("Removing suppressions...", { stream, count: emailAddresses.length });
+      const statuses = await applyInChunks(emailAddresses, (body) => postmarkClient.deleteSuppressions(stream, body));
+      logger.info("Suppressions removed", { stream, count: statuses.length });
+      return {
+        content: [{ type: "text", text: `${formatStatuses("Suppression Removal Results", stream, statuses)}\n\nNote: Addresses suppressed because of spam complaints cannot be removed.` }],
+        structuredContent: summarizeStatuses(stream, statuses),
+      };
+    }
+  );
+}
@@ -0,0 +1,143 @@
+import { z } from "zod";
+import { getTemplatesBasePath } from "../config.js";
+import { extractModelSchema, listSchemaVariables, validateModel } from "../helpers/modelSchema.js";
+import { compareModelToShape, shapeFromSuggestedModel } from "../helpers/mustachio.js";
+import { localTemplateSubject, readLocalTemplateWithLayout, renderLocalTemplate } from "../helpers/templates.js";
+import { logger } from "../logger.js";
+
+function formatValidationErrors(label, section) {
+  if (!section || section.ContentIsValid !== false) return [];
+  return (section.ValidationErrors || []).map((e) => `• ${label}${e.Line ? ` (line ${e.Line}${e.CharacterPosition ? `, char ${e.CharacterPosition}` : ""})` : ""}: ${e.Message}`);
+}
+
+async function renderServerTemplate(postmarkClient, idOrAlias, model) {
+  const template = await postmarkClient.getTemplate(idOrAlias);
+  const validation = await postmarkClient.validateTemplate({
+    Subject: template.Subject,
+    HtmlBody: template.HtmlBody || undefined,
+    TextBody: template.TextBody || undefined,
+    TestRenderModel: model,
+    TemplateType: template.TemplateType,
+    LayoutTemplate: template.LayoutTemplate || undefined,
+    InlineCssForHtmlTestRender: true,
+  });
+  return {
+    source: `${template.Name} (server template ${template.TemplateId}${template.Alias ? `, alias ${template.Alias}` : ""})`,
+    subject: validation.Subject?.RenderedContent,
+    html: template.HtmlBody ? validation.HtmlBody?.RenderedContent : undefined,
+    text: template.TextBody ? validation.TextBody?.RenderedContent : undefined,
+    errors: [...formatValidationErrors("Subject", validation.Subject), ...formatValidationErrors("HTML", validation.HtmlBody), ...formatValidationErrors("Text", validation.TextBody)],
+    ...compareModelToShape(shapeFromSuggestedModel(validation.SuggestedTemplateModel || {}), model),
+  };
+}
+
+/**
+ * Builds the JSON Schema of the model a template expects, including the variables of its layout.
+ * Pass either a server template (templateId or templateAlias) or a local one (categoryName and templateName).
+ * @param {import('postmark').ServerClient} postmarkClient
+ * @param {string} templatesBasePath
+ * @param {{templateId?: number, templateAlias?: string, categoryName?: string, templateName?: string}} source
+ * @returns {Promise<{schema: object, source: string}>}
+ */
+export async function loadTemplateModelSchema(postmarkClient, templatesBasePath, { templateId, templateAlias, categoryName, templateName }) {
+  if (categoryName && templateName) {
+    const local = await readLocalTemplateWithLayout(templatesBasePath, categoryName, templateName);
+    if (!local.ok) throw new Error(local.message);
+    return { schema: extractModelSchema([localTemplateSubject(local), local.html, local.text]), source: `${categoryName}/${templateName} (local template)` };
+  }
+  const template = await postmarkClient.getTemplate(templateId ?? templateAlias);
+  const sources = [template.Subject, template.HtmlBody, template.TextBody];
+  if (template.LayoutTemplate) {
+    const layout = await postmarkClient.getTemplate(template.LayoutTemplate);
+    sources.push(layout.HtmlBody, layout.TextBody);
+  }
+  return { schema: extractModelSchema(sources), source: `${template.Name} (server template ${template.TemplateId}${template.Alias ? `, alias ${template.Alias}` : ""})` };
+}
+
+/**
+ * Throws when a template model is missing required variables or has values of the wrong type.
+ * @param {import('postmark').ServerClient} postmarkClient
+ * @param {string} templatesBasePath
+ * @param {Parameters<typeof loadTemplateModelSchema>[2]} source
+ * @param {object} model
+ */
+export async function assertTemplateModel(postmarkClient, templatesBasePath, source, model) {
+  const { schema, source: label } = await loadTemplateModelSchema(postmarkClient, templatesBasePath, source);
+  const errors = validateModel(schema, model);
+  if (errors.length) throw new Error(`templateModel does not match ${label}:\n${errors.map((e) => `• ${e}`).join("\n")}`);
+}
+
+/**
+ * Registers tools for previewing templates rendered with a model before sending.
+ * @param {import('@modelcontextprotocol/sdk/server/mcp.js').McpServer} server
+ * @param {import('postmark').ServerClient} postmarkClient
+ */
+export function registerTemplateRenderTools(server, postmarkClient) {
+  server.tool(
+    "renderTemplate",
+    {
+      templateId: z.number().optional().describe("Server template ID (use one of templateId, templateAlias or categoryName + templateName)"),
+      templateAlias: z.string().optional().describe("Server template alias"),
+      categoryName: z.string().optional().describe("Local template category, as used by getTemplateContent"),
+      templateName: z.string().optional().describe("Local template name within categoryName"),
+      templateModel: z.object({}).passthrough().optional().describe("Data model for template variables (optional, default: {})"),
+    },
+    async ({ templateId, templateAlias, categoryName, templateName, templateModel = {} }) => {
+      const isLocal = Boolean(categoryName || templateName);
+      const sources = [templateId !== undefined, Boolean(templateAlias), isLocal].filter(Boolean).length;
+      if (sources !== 1) throw new Error("Provide exactly one of templateId, templateAlias or categoryName + templateName");
+
+      let rendered;
+      if (isLocal) {
+        if (!categoryName || !templateName) throw new Error("Both categoryName and templateName are required for local templates");
+        logger.info("Rendering local template...", { categoryName, templateName });
+        const localRes = await renderLocalTemplate(getTemplatesBasePath(), categoryName, templateName, templateModel);
+        if (!localRes.ok) {
+          return { content: [{ type: "text", text: localRes.message }], structuredContent: { error: localRes.message } };
+        }
+        rendered = { ...localRes, source: `${categoryName}/${templateName} (local template)`, errors: [] };
+      } else {
+        logger.info("Rendering server template...", { template: templateId ?? templateAlias });
+        rendered = await renderServerTemplate(postmarkClient, templateId ?? templateAlias, templateModel);
+      }
+      logger.info("Template rendered", { missing: rendered.missing.length, unused: rendered.unused.length, errors: rendered.errors.length });
+
+      const sections = [
+        `Rendered Template: ${rendered.source}`,
+        `Subject: ${rendered.subject ?? "(none)"}`,
+        `Missing variables: ${rendered.missing.length ? rendered.missing.join(", ") : "none"}\nUnused model keys: ${rendered.unused.length ? rendered.unused.join(", ") : "none"}`,
+      ];
+      if (rendered.errors.length) sections.push(`Validation errors:\n${rendered.errors.join("\n")}`);
+      if (rendered.text !== undefined) sections.push(`**Text Body:**\n${rendered.text}`);
+      if (rendered.html !== undefined) sections.push(`**HTML Body:**\n\`\`\`html\n${rendered.html}\n\`\`\``);
+      const { source, subject, html, text, missing, unused, errors } = rendered;
+      return { content: [{ type: "text", text: sections.join("\n\n") }], structuredContent: { source, subject, html, text, missing, unused, errors } };
+    }
+  );
+
+  server.tool(
+    "extractTemplateVariables",
+    {
+      templateId: z.number().optional().describe("Server template ID (use one of templateId, templateAlias or categoryName + templateName)"),
+      templateAlias: z.string().optional().describe("Server template alias"),
+      categoryName: z.string().optional().describe("Local template category, as used by getTemplateContent"),
+      templateName: z.string().optional().describe("Local template name within categoryName"),
+    },
+    async ({ templateId, templateAlias, categoryName, templateName }) => {
+      const isLocal = Boolean(categoryName || templateName);
+      const sources = [templateId !== undefined, Boolean(templateAlias), isLocal].filter(Boolean).length;
+      if (sources !== 1) throw new Error("Provide exactly one of templateId, templateAlias or categoryName + templateName");
+      if (isLocal && (!categoryName || !templateName)) throw new Error("Both categoryName and templateName are required for local templates");
+
+      logger.info("Extracting template variables...", { template: templateId ?? templateAlias ?? `${categoryName}/${templateName}` });
+      const { schema, source } = await loadTemplateModelSchema(postmarkClient, getTemplatesBasePath(), { templateId, templateAlias, categoryName, templateName });
+      const variables = listSchemaVariables(schema);
+      logger.info("Template variables extracted", { count: variables.length });
+      const variableList = variables.map((v) => `• ${v.path} (${v.type}, ${v.required ? "required" : "optional"})`).join("\n");
+      return {
+        content: [{ type: "text", text: `Template Variables: ${source}\n\n${variableList || "This template uses no variables."}\n\n**JSON Schema:**\n\`\`\`json\n${JSON.stringify(schema, null, 2)}\n\`\`\`` }],
+        structuredContent: { source, variables, schema },
+      };
+    }
+  );
+}
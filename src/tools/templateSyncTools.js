@@ -0,0 +1,272 @@
+import { isAbsolute, join, relative, resolve } from "path";
+import { readFile, writeFile } from "fs/promises";
+import { z } from "zod";
+import { recordAuditResult } from "../audit.js";
+import { getTemplatesBasePath } from "../config.js";
+import { listLocalTemplates, localTemplateSubject, readLocalTemplate, writeLocalTemplate } from "../helpers/templates.js";
+import { diffLines } from "../helpers/textDiff.js";
+import { logger } from "../logger.js";
+import { getActiveProfile } from "../profiles.js";
+
+const TEMPLATES_PAGE_SIZE = 500;
+
+/**
+ * Fetches every template on the server, following pagination.
+ * @param {import('postmark').ServerClient} postmarkClient
+ */
+export async function fetchAllServerTemplates(postmarkClient) {
+  const templates = [];
+  for (let offset = 0; ; offset += TEMPLATES_PAGE_SIZE) {
+    const page = await postmarkClient.getTemplates({ count: TEMPLATES_PAGE_SIZE, offset });
+    templates.push(...page.Templates);
+    if (page.Templates.length < TEMPLATES_PAGE_SIZE || templates.length >= page.TotalCount) return templates;
+  }
+}
+
+const FIELD_LABELS = { Name: "name", Subject: "subject", HtmlBody: "html", TextBody: "text", LayoutTemplate: "layout" };
+
+// meta.json may set `type` ("Standard" or "Layout") and `layout` (alias of the layout to use)
+async function buildLocalTemplateData(templatesBasePath, { category, template, alias }) {
+  const local = await readLocalTemplate(templatesBasePath, category, template);
+  if (!local.ok) throw new Error(local.message);
+  const data = { Name: local.meta.name || `${category}/${template}`, Alias: alias };
+  if (local.meta.type) data.TemplateType = local.meta.type;
+  if (local.meta.type !== "Layout") data.Subject = localTemplateSubject(local) || `${category}/${template}`;
+  data.HtmlBody = local.html ?? null;
+  data.TextBody = local.text ?? null;
+  if (local.meta.layout !== undefined) data.LayoutTemplate = local.meta.layout || null;
+  return data;
+}
+
+// Aliases each server received from syncLocalTemplates, with the local category they came from:
+// { [profile]: { [alias]: category } }. Aliases set in meta.json carry no category, so orphans are
+// found through this record rather than the alias alone.
+const SYNC_STATE_FILE = ".postmark-sync.json";
+
+async function readSyncState(templatesBasePath) {
+  try {
+    return JSON.parse(await readFile(join(templatesBasePath, SYNC_STATE_FILE), "utf8"));
+  } catch (_) {
+    return {};
+  }
+}
+
+async function writeSyncState(templatesBasePath, state) {
+  try {
+    await writeFile(join(templatesBasePath, SYNC_STATE_FILE), `${JSON.stringify(state, null, 2)}\n`, "utf8");
+  } catch (error) {
+    logger.warn("Failed to record synced template aliases", { message: error?.message });
+  }
+}
+
+/**
+ * Compares local template folders with server templates and returns the actions needed to sync them.
+ * Orphans are server templates without a local folder whose alias belongs to a synced category: either
+ * `category.` aliases, or aliases (including meta.json ones) an earlier sync pushed from that category.
+ * @param {Record<string, string>} synced Alias to category of the templates earlier syncs pushed to this server
+ */
+async function planSync(postmarkClient, templatesBasePath, { categories, deleteOrphans }, synced = {}) {
+  const localRes = await listLocalTemplates(templatesBasePath);
+  if (!localRes.ok) throw new Error(localRes.message);
+  const locals = localRes.templates.filter((t) => !categories?.length || categories.includes(t.category));
+  const serverByAlias = new Map((await fetchAllServerTemplates(postmarkClient)).filter((t) => t.Alias).map((t) => [t.Alias, t]));
+
+  const plan = [];
+  for (const local of locals) {
+    const data = await buildLocalTemplateData(templatesBasePath, local);
+    const existing = serverByAlias.get(local.alias);
+    if (!existing) {
+      plan.push({ action: "create", alias: local.alias, category: local.category, source: `${local.category}/${local.template}`, data });
+      continue;
+    }
+    const current = await postmarkClient.getTemplate(local.alias);
+    const changed = Object.keys(FIELD_LABELS).filter((field) => field in data && (current[field] || null) !== (data[field] || null));
+    plan.push({
+      action: changed.length ? "update" : "unchanged",
+      alias: local.alias,
+      category: local.category,
+      source: `${local.category}/${local.template}`,
+      templateId: existing.TemplateId,
+      data,
+      changed,
+      diffs: changed.map((field) => `${FIELD_LABELS[field]}:\n${diffLines(current[field], data[field])}`),
+    });
+  }
+
+  if (deleteOrphans) {
+    const syncedCategories = new Set(locals.map((t) => t.category));
+    const localAliases = new Set(locals.map((t) => t.alias));
+    const inScope = (category) => category !== undefined && (!categories?.length || categories.includes(category));
+    for (const [alias, template] of serverByAlias) {
+      const category = [...syncedCategories].find((c) => alias.startsWith(`${c}.`)) ?? (inScope(synced[alias]) ? synced[alias] : undefined);
+      if (category && !localAliases.has(alias)) plan.push({ action: "delete", alias, templateId: template.TemplateId, name: template.Name, templateType: template.TemplateType });
+    }
+  }
+  // Layouts must exist before the templates that use them, and outlive them when deleting
+  const rank = (item) => (item.action === "delete" ? (item.templateType === "Layout" ? 3 : 2) : item.data.TemplateType === "Layout" ? 0 : 1);
+  return plan.sort((a, b) => rank(a) - rank(b));
+}
+
+async function applyPlanItem(postmarkClient, item) {
+  if (item.action === "create") return `Created (ID: ${(await postmarkClient.createTemplate(item.data)).TemplateId})`;
+  if (item.action === "update") {
+    const { Alias, TemplateType, ...changes } = item.data;
+    await postmarkClient.editTemplate(item.alias, changes);
+    return "Updated";
+  }
+  if (item.action === "delete") {
+    await postmarkClient.deleteTemplate(item.alias);
+    return "Deleted";
+  }
+  return "Unchanged";
+}
+
+const planItemSummary = (item, status) => ({ alias: item.alias, action: item.action, source: item.source, changed: (item.changed || []).map((f) => FIELD_LABELS[f]), status });
+
+function describePlanItem(item, status) {
+  const header = `• **${item.alias}** — ${status}${item.source ? ` (from ${item.source})` : ""}${item.changed?.length ? `\n  - Changed: ${item.changed.map((f) => FIELD_LABELS[f]).join(", ")}` : ""}`;
+  return item.diffs?.length ? `${header}\n\n\`\`\`diff\n${item.diffs.join("\n\n")}\n\`\`\`` : header;
+}
+
+// Folder names must stay inside the category directory
+const toFolderName = (value) => String(value).replace(/[^A-Za-z0-9._-]/g, "-").replace(/^\.+/, "") || "template";
+
+/**
+ * Chooses the local folder for a server template. Aliases of the form `category.name` (as created by
+ * syncLocalTemplates) round-trip to `category/name`; other templates go to the layouts or default category.
+ */
+function exportLocation(template, defaultCategory) {
+  const alias = template.Alias || "";
+  const dot = alias.indexOf(".");
+  if (dot > 0 && dot < alias.length - 1) return { category: toFolderName(alias.slice(0, dot)), name: toFolderName(alias.slice(dot + 1)) };
+  const category = template.TemplateType === "Layout" ? "layouts" : defaultCategory;
+  return { category: toFolderName(category), name: toFolderName(alias || template.Name || `template-${template.TemplateId}`) };
+}
+
+/**
+ * Registers the tools that sync the local templates directory with a Postmark server.
+ * @param {import('@modelcontextprotocol/sdk/server/mcp.js').McpServer} server
+ * @param {import('postmark').ServerClient} postmarkClient
+ */
+export function registerTemplateSyncTools(server, postmarkClient) {
+  server.tool(
+    "syncLocalTemplates",
+    {
+      categories: z.array(z.string()).optional().describe("Only sync these local categories (optional, default: all)"),
+      deleteOrphans: z.boolean().optional().describe("Delete server templates in synced categories that no longer exist locally (optional, default: false)"),
+      dryRun: z.boolean().optional().describe("Only show the plan with content diffs; make no changes (optional, default: true)"),
+    },
+    async ({ categories, deleteOrphans = false, dryRun = true }) => {
+      const templatesBasePath = getTemplatesBasePath();
+      logger.info("Planning local template sync...", { categories, deleteOrphans, dryRun });
+      const syncState = await readSyncState(templatesBasePath);
+      const profileName = getActiveProfile()?.name ?? "default";
+      const synced = { ...syncState[profileName] };
+      const plan = await planSync(postmarkClient, templatesBasePath, { categories, deleteOrphans }, synced);
+      const counts = ["create", "update", "unchanged", "delete"].map((action) => plan.filter((item) => item.action === action).length);
+      const summary = `Templates Path: ${templatesBasePath}\nCreate: ${counts[0]} | Update: ${counts[1]} | Unchanged: ${counts[2]} | Delete: ${counts[3]}`;
+      const totals = { dryRun, templatesPath: templatesBasePath, create: counts[0], update: counts[1], unchanged: counts[2], delete: counts[3] };
+
+      if (dryRun) {
+        logger.info("Local template sync plan ready", { total: plan.length });
+        const label = { create: "Create", update: "Update", unchanged: "Unchanged", delete: "Delete" };
+        const list = plan.map((item) => describePlanItem(item, label[item.action])).join("\n\n");
+        return {
+          content: [{ type: "text", text: `Local Template Sync Plan (dry run)\n\n${summary}\n\n${list || "No local templates found."}\n\nNote: This was a dry run. No changes were made. Call again with dryRun: false to apply.` }],
+          structuredContent: { ...totals, items: plan.map((item) => planItemSummary(item)) },
+        };
+      }
+
+      const results = [];
+      const items = [];
+      let failed = 0;
+      for (const item of plan) {
+        let status;
+        try {
+          status = await applyPlanItem(postmarkClient, item);
+        } catch (error) {
+          failed++;
+          status = `Failed: ${error?.message || error}`;
+        }
+        results.push(describePlanItem({ ...item, diffs: undefined }, status));
+        items.push(planItemSummary(item, status));
+        if (status.startsWith("Failed")) continue;
+        if (item.action === "delete") delete synced[item.alias];
+        else synced[item.alias] = item.category;
+      }
+      await writeSyncState(templatesBasePath, { ...syncState, [profileName]: synced });
+      logger.info("Local template sync completed", { total: plan.length, failed });
+      recordAuditResult({ created: counts[0], updated: counts[1], deleted: counts[3], failed });
+      return {
+        content: [{ type: "text", text: `Local Template Sync Results\n\n${summary}\nFailed: ${failed}\n\n${results.join("\n\n") || "No local templates found."}` }],
+        structuredContent: { ...totals, failed, items },
+      };
+    }
+  );
+
+  server.tool(
+    "exportTemplates",
+    {
+      outputPath: z.string().optional().describe("Directory to export into, inside the local templates path; relative paths resolve against it (optional, defaults to the local templates path)"),
+      category: z.string().optional().describe("Category folder for templates whose alias is not 'category.name' (optional, default: 'server'; layouts go to 'layouts')"),
+      overwrite: z.boolean().optional().describe("Replace template folders that already exist (optional, default: false)"),
+    },
+    async ({ outputPath, category = "server", overwrite = false }) => {
+      const templatesBasePath = resolve(getTemplatesBasePath());
+      const basePath = resolve(templatesBasePath, outputPath || ".");
+      // Exports only write below the templates directory, never anywhere else the process can write
+      const rel = relative(templatesBasePath, basePath);
+      if (rel.startsWith("..") || isAbsolute(rel)) throw new Error(`outputPath must be inside the local templates path (${templatesBasePath}): ${outputPath}`);
+      logger.info("Exporting server templates...", { basePath, overwrite });
+      const templates = await fetchAllServerTemplates(postmarkClient);
+      const results = [];
+      const exportedTemplates = [];
+      let exported = 0;
+      let skipped = 0;
+      let failed = 0;
+      const usedFolders = new Set();
+      for (const summary of templates) {
+        const location = exportLocation(summary, category);
+        const folderCategory = location.category;
+        // Templates without an alias can share a name; keep each in its own folder
+        const name = usedFolders.has(`${folderCategory}/${location.name}`) ? `${location.name}-${summary.TemplateId}` : location.name;
+        usedFolders.add(`${folderCategory}/${name}`);
+        let status;
+        let outcome;
+        try {
+          const template = await postmarkClient.getTemplate(summary.TemplateId);
+          const meta = { name: template.Name, alias: template.Alias || null, type: template.TemplateType || "Standard", templateId: template.TemplateId };
+          if (meta.type !== "Layout") {
+            meta.subject = template.Subject;
+            meta.layout = template.LayoutTemplate || null;
+          }
+          const writeRes = await writeLocalTemplate(basePath, folderCategory, name, { html: template.HtmlBody, text: template.TextBody, meta }, { overwrite });
+          if (writeRes.ok) {
+            exported++;
+            status = "Exported";
+            outcome = { status: "exported" };
+          } else if (writeRes.code === "EXISTS") {
+            skipped++;
+            status = "Skipped (already exists)";
+            outcome = { status: "skipped" };
+          } else {
+            failed++;
+            status = `Failed: ${writeRes.message}`;
+            outcome = { status: "failed", message: writeRes.message };
+          }
+        } catch (error) {
+          failed++;
+          status = `Failed: ${error?.message || error}`;
+          outcome = { status: "failed", message: String(error?.message || error) };
+        }
+        results.push(`• **${summary.Name}** (${summary.TemplateType || "Standard"}) → ${folderCategory}/${name}: ${status}`);
+        exportedTemplates.push({ templateId: summary.TemplateId, name: summary.Name, templateType: summary.TemplateType || "Standard", folder: `${folderCategory}/${name}`, ...outcome });
+      }
+      logger.info("Template export completed", { total: templates.length, exported, skipped, failed });
+      return {
+        content: [{ type: "text", text: `Template Export Results\n\nOutput Path: ${basePath}\nExported: ${exported} | Skipped: ${skipped} | Failed: ${failed}\n\n${results.join("\n") || "No templates found on the server."}` }],
+        structuredContent: { outputPath: basePath, exported, skipped, failed, templates: exportedTemplates },
+      };
+    }
+  );
+}
@@ -0,0 +1,65 @@
+import { z } from "zod";
+import { getWebhookConfig } from "../config.js";
+import { WEBHOOK_EVENT_TYPES, queryEvents } from "../helpers/eventStore.js";
+import { logger } from "../logger.js";
+
+function describeEvent(event) {
+  const p = event.payload || {};
+  switch (event.type) {
+    case "Delivery":
+      return p.Details || "Delivered";
+    case "Bounce":
+      return `${p.Name || p.Type || "Bounce"}${p.Description ? `: ${p.Description}` : ""}`;
+    case "Open":
+      return `Opened${p.Client?.Name ? ` in ${p.Client.Name}` : ""}${p.Geo?.Country ? ` (${p.Geo.Country})` : ""}`;
+    case "Click":
+      return `Clicked ${p.OriginalLink || "a link"}`;
+    case "SubscriptionChange":
+      return `${p.SuppressSending ? "Suppressed" : "Reactivated"}${p.SuppressionReason ? ` (${p.SuppressionReason})` : ""}`;
+    case "Inbound":
+      return `From ${p.From || "unknown"}: ${p.Subject || "(no subject)"}`;
+    default:
+      return p.Description || "";
+  }
+}
+
+/**
+ * Registers tools for querying events captured by the local webhook receiver.
+ * @param {import('@modelcontextprotocol/sdk/server/mcp.js').McpServer} server
+ */
+export function registerWebhookEventTools(server) {
+  server.tool(
+    "queryWebhookEvents",
+    {
+      messageId: z.string().optional().describe("Filter by MessageID (optional)"),
+      recipient: z.string().optional().describe("Filter by recipient email address (optional)"),
+      type: z.enum(WEBHOOK_EVENT_TYPES).optional().describe(`Filter by event type: ${WEBHOOK_EVENT_TYPES.join(", ")} (optional)`),
+      fromDate: z.string().optional().describe("Only events received at or after this date/time, ISO 8601 (optional)"),
+      toDate: z.string().optional().describe("Only events received at or before this date/time, ISO 8601 (optional)"),
+      limit: z.number().int().min(1).max(500).optional().describe("Maximum number of events to return, newest first (default: 50)"),
+      includePayload: z.boolean().optional().describe("Include the raw webhook payload of each event (default: false)"),
+    },
+    async ({ messageId, recipient, type, fromDate, toDate, limit = 50, includePayload = false }) => {
+      const webhooks = getWebhookConfig();
+      logger.info("Querying webhook events...", { messageId, recipient, type });
+      const eventsRes = await queryEvents(webhooks.storePath, { messageId, recipient, type, fromDate, toDate, limit });
+      if (!eventsRes.ok) {
+        return { content: [{ type: "text", text: eventsRes.message }], structuredContent: { error: eventsRes.message } };
+      }
+      const events = eventsRes.events;
+      logger.info("Webhook events found", { total: eventsRes.total, returned: events.length });
+      const structuredContent = {
+        total: eventsRes.total,
+        events: events.map((e) => ({ receivedAt: e.receivedAt, type: e.type, recipient: e.recipient, messageId: e.messageId, summary: describeEvent(e), ...(includePayload ? { payload: e.payload } : {}) })),
+      };
+      if (events.length === 0) {
+        const hint = webhooks.enabled ? "" : "\n\nThe webhook receiver is not enabled. Set POSTMARK_WEBHOOK_PORT, POSTMARK_WEBHOOK_USERNAME and POSTMARK_WEBHOOK_PASSWORD to start it.";
+        return { content: [{ type: "text", text: `No webhook events found matching the given filters.${hint}` }], structuredContent };
+      }
+      const eventList = events
+        .map((e) => `• ${e.receivedAt} — **${e.type}**${e.recipient ? ` (${e.recipient})` : ""}\n  - MessageID: ${e.messageId || "none"}\n  - ${describeEvent(e)}${includePayload ? `\n\n\`\`\`json\n${JSON.stringify(e.payload, null, 2)}\n\`\`\`` : ""}`)
+        .join("\n\n");
+      return { content: [{ type: "text", text: `Found ${eventsRes.total} webhook events${eventsRes.total > events.length ? ` (showing newest ${events.length})` : ""}:\n\n${eventList}` }], structuredContent };
+    }
+  );
+}
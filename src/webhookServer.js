@@ -0,0 +1,98 @@
+import { createServer } from "http";
+import { timingSafeEqual } from "crypto";
+import { appendEvent, normalizeWebhookEvent } from "./helpers/eventStore.js";
+import { logger } from "./logger.js";
+
+// Inbound webhooks include attachments; Postmark caps inbound messages at 35 MB.
+const MAX_BODY_BYTES = 40 * 1024 * 1024;
+
+function safeEqual(a, b) {
+  const left = Buffer.from(String(a));
+  const right = Buffer.from(String(b));
+  return left.length === right.length && timingSafeEqual(left, right);
+}
+
+function isAuthorized(req, username, password) {
+  const header = req.headers.authorization || "";
+  const match = header.match(/^Basic\s+(.+)$/i);
+  if (!match) return false;
+  const decoded = Buffer.from(match[1], "base64").toString("utf8");
+  const separator = decoded.indexOf(":");
+  if (separator === -1) return false;
+  const userOk = safeEqual(decoded.slice(0, separator), username);
+  const passwordOk = safeEqual(decoded.slice(separator + 1), password);
+  return userOk && passwordOk;
+}
+
+function readBody(req) {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    let size = 0;
+    req.on("data", (chunk) => {
+      size += chunk.length;
+      if (size > MAX_BODY_BYTES) {
+        reject(Object.assign(new Error("Payload too large"), { statusCode: 413 }));
+        req.destroy();
+        return;
+      }
+      chunks.push(chunk);
+    });
+    req.on("end", () => resolve(Buffer.concat(chunks).toString("utf8")));
+    req.on("error", reject);
+  });
+}
+
+function reply(res, statusCode, body, headers = {}) {
+  res.writeHead(statusCode, { "Content-Type": "application/json", ...headers });
+  res.end(JSON.stringify(body));
+}
+
+/**
+ * Starts an HTTP listener that accepts Postmark webhook POSTs and appends them to a JSONL store.
+ * Every request must carry the configured basic-auth credentials.
+ * @param {{port: number, host?: string, username: string, password: string, storePath: string}} options
+ * @returns {Promise<{port: number, close: () => Promise<void>}>}
+ */
+export async function startWebhookServer({ port, host = "127.0.0.1", username, password, storePath }) {
+  if (!username || !password) throw new Error("Webhook basic-auth username and password are required");
+
+  const httpServer = createServer(async (req, res) => {
+    if (req.method !== "POST") return reply(res, 405, { error: "Method not allowed" }, { Allow: "POST" });
+    if (!isAuthorized(req, username, password)) {
+      logger.warn("Rejected webhook request with invalid credentials", { remote: req.socket.remoteAddress });
+      return reply(res, 401, { error: "Unauthorized" }, { "WWW-Authenticate": 'Basic realm="postmark-webhooks"' });
+    }
+    try {
+      const payload = JSON.parse(await readBody(req));
+      if (!payload || typeof payload !== "object" || Array.isArray(payload)) return reply(res, 400, { error: "Expected a JSON object" });
+      const event = normalizeWebhookEvent(payload);
+      await appendEvent(storePath, event);
+      logger.info("Webhook event stored", { type: event.type, messageId: event.messageId });
+      return reply(res, 200, { ok: true });
+    } catch (error) {
+      if (error.statusCode === 413) return reply(res, 413, { error: error.message });
+      if (error instanceof SyntaxError) return reply(res, 400, { error: "Invalid JSON" });
+      logger.error("Failed to store webhook event", { message: error?.message, stack: error?.stack });
+      return reply(res, 500, { error: "Failed to store event" });
+    }
+  });
+
+  await new Promise((resolve, reject) => {
+    httpServer.once("error", reject);
+    httpServer.listen(port, host, () => {
+      httpServer.off("error", reject);
+      resolve();
+    });
+  });
+  const boundPort = httpServer.address().port;
+  logger.info("Webhook receiver listening", { host, port: boundPort, storePath });
+
+  return {
+    port: boundPort,
+    close: () =>
+      new Promise((resolve) => {
+        httpServer.close(() => resolve());
+        httpServer.closeAllConnections?.();
+      }),
+  };
+}
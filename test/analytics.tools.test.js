@@ -0,0 +1,94 @@
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+import { registerToolDefs } from './toolHarness.js';
+import { breakdownCounts, mergeDailyCounts, percentage } from '../src/helpers/stats.js';
+
+describe('analytics tools', () => {
+  let toolDefs;
+  let mockClient;
+
+  beforeEach(() => {
+    mockClient = {
+      getOutboundOverview: vi.fn().mockResolvedValue({ Sent: 200, Bounced: 5, SMTPApiErrors: 1, SpamComplaints: 1, Tracked: 150, UniqueOpens: 60, TotalTrackedLinksSent: 80, UniqueLinksClicked: 12 }),
+      getBounceCounts: vi.fn().mockResolvedValue({
+        Days: [{ Date: '2025-05-01', HardBounce: 2, SoftBounce: 1 }, { Date: '2025-05-02', HardBounce: 1, Transient: 1 }],
+        HardBounce: 3,
+        SoftBounce: 1,
+        Transient: 1,
+      }),
+      getSentCounts: vi.fn().mockResolvedValue({ Days: [{ Date: '2025-05-02', Sent: 120 }, { Date: '2025-05-01', Sent: 80 }], Sent: 200 }),
+      getTrackedEmailCounts: vi.fn().mockResolvedValue({ Days: [{ Date: '2025-05-01', Tracked: 60 }, { Date: '2025-05-02', Tracked: 90 }], Tracked: 150 }),
+      getEmailOpenCounts: vi.fn().mockResolvedValue({ Days: [{ Date: '2025-05-01', Opens: 30, Unique: 20 }, { Date: '2025-05-02', Opens: 50, Unique: 40 }], Opens: 80, Unique: 60 }),
+      getClickCounts: vi.fn().mockResolvedValue({ Days: [{ Date: '2025-05-02', Clicks: 15, Unique: 12 }], Clicks: 15, Unique: 12 }),
+      getSpamComplaintsCounts: vi.fn().mockResolvedValue({ Days: [{ Date: '2025-05-02', SpamComplaint: 1 }], SpamComplaint: 1 }),
+      getEmailOpenClientUsage: vi.fn().mockResolvedValue({ Days: [], Gmail: 30, 'Apple Mail': 20, Outlook: 10, Thunderbird: 0 }),
+      getEmailOpenPlatformUsage: vi.fn().mockResolvedValue({ Days: [], Desktop: 25, Mobile: 30, WebMail: 5, Unknown: 0 }),
+      getClickBrowserUsage: vi.fn().mockResolvedValue({ Days: [], Chrome: 9, Safari: 3 }),
+      getClickLocation: vi.fn().mockResolvedValue({ Days: [], HTML: 14, Text: 1 }),
+    };
+    toolDefs = registerToolDefs(mockClient);
+  });
+
+  it('computes rates like getDeliveryStats and merges daily counts by date', () => {
+    expect(percentage(2, 3)).toBe(66.7);
+    expect(percentage(5, 0)).toBe(0);
+    expect(breakdownCounts({ Days: [], A: 1, B: 3, C: 0 })).toEqual([{ name: 'B', count: 3, percentage: 75 }, { name: 'A', count: 1, percentage: 25 }]);
+    expect(mergeDailyCounts([
+      { days: [{ Date: '2025-05-02', Sent: 1 }], pick: (d) => ({ sent: d.Sent }) },
+      { days: [{ Date: '2025-05-01', Opens: 2 }], pick: (d) => ({ opens: d.Opens }) },
+    ])).toEqual([{ date: '2025-05-01', opens: 2 }, { date: '2025-05-02', sent: 1 }]);
+  });
+
+  it('getBounceAndSpamStats reports bounce and spam rates with a breakdown by type', async () => {
+    const res = await toolDefs.get('getBounceAndSpamStats').handler({ tag: 'news', messageStream: 'broadcast' });
+    expect(mockClient.getOutboundOverview).toHaveBeenCalledWith({ tag: 'news', messageStream: 'broadcast' });
+    const text = res.content[0].text;
+    expect(text).toContain('Bounce Rate: 2.5% (5/200 emails)');
+    expect(text).toContain('Spam Complaint Rate: 0.5% (1/200 emails)');
+    expect(text).toContain('HardBounce: 3 (60.0%)');
+    expect(text).toContain('Message Stream: broadcast');
+    expect(res.structuredContent).toMatchObject({ bounceRate: 2.5, spamComplaintRate: 0.5, smtpApiErrors: 1, bouncesByType: [{ type: 'HardBounce', count: 3, percentage: 60 }, { type: 'SoftBounce', count: 1, percentage: 20 }, { type: 'Transient', count: 1, percentage: 20 }] });
+  });
+
+  it('getDeliveryTimeSeries returns one row per day with totals', async () => {
+    const res = await toolDefs.get('getDeliveryTimeSeries').handler({ fromDate: '2025-05-01', toDate: '2025-05-02' });
+    expect(res.structuredContent.days).toEqual([
+      { date: '2025-05-01', sent: 80, tracked: 60, opens: 30, uniqueOpens: 20, openRate: 33.3, clicks: 0, uniqueClicks: 0, bounced: 3, spamComplaints: 0 },
+      { date: '2025-05-02', sent: 120, tracked: 90, opens: 50, uniqueOpens: 40, openRate: 44.4, clicks: 15, uniqueClicks: 12, bounced: 2, spamComplaints: 1 },
+    ]);
+    expect(res.structuredContent.totals).toMatchObject({ sent: 200, bounced: 5, openRate: 40 });
+    const text = res.content[0].text;
+    expect(text).toContain('| 2025-05-02 | 120 | 2 | 1 | 50 (40) | 44.4% | 15 (12) |');
+    expect(text).toContain('| **Total** | 200 | 5 | 1 | 80 (60) | 40.0% | 15 (12) |');
+    expect(text).toContain('Period: 2025-05-01 to 2025-05-02');
+  });
+
+  it('getOpenBreakdown and getClickBreakdown list shares by client, platform, browser and location', async () => {
+    const opens = await toolDefs.get('getOpenBreakdown').handler({});
+    expect(opens.content[0].text).toContain('By Email Client:\nGmail: 30 (50.0%)\nApple Mail: 20 (33.3%)\nOutlook: 10 (16.7%)');
+    expect(opens.content[0].text).toContain('By Platform:\nMobile: 30 (50.0%)');
+    expect(opens.content[0].text).not.toContain('Thunderbird');
+    const clicks = await toolDefs.get('getClickBreakdown').handler({});
+    expect(clicks.structuredContent.browsers).toEqual([{ name: 'Chrome', count: 9, percentage: 75 }, { name: 'Safari', count: 3, percentage: 25 }]);
+    expect(clicks.content[0].text).toContain('HTML: 14 (93.3%)');
+  });
+
+  it('compareDeliveryStats compares two tags or two periods side by side', async () => {
+    mockClient.getOutboundOverview
+      .mockResolvedValueOnce({ Sent: 100, Bounced: 2, Tracked: 100, UniqueOpens: 40, TotalTrackedLinksSent: 50, UniqueLinksClicked: 5 })
+      .mockResolvedValueOnce({ Sent: 120, Bounced: 1, Tracked: 100, UniqueOpens: 35, TotalTrackedLinksSent: 50, UniqueLinksClicked: 10 });
+    const res = await toolDefs.get('compareDeliveryStats').handler({ tags: ['spring', 'summer'], fromDate: '2025-05-01' });
+    expect(mockClient.getOutboundOverview).toHaveBeenNthCalledWith(1, { tag: 'spring', fromDate: '2025-05-01' });
+    expect(mockClient.getOutboundOverview).toHaveBeenNthCalledWith(2, { tag: 'summer', fromDate: '2025-05-01' });
+    const text = res.content[0].text;
+    expect(text).toContain('| Sent | 100 | 120 | +20 |');
+    expect(text).toContain('| Open Rate | 40.0% | 35.0% | -5.0 pts |');
+    expect(text).toContain('| Click Rate | 10.0% | 20.0% | +10.0 pts |');
+    expect(res.structuredContent.differences).toEqual({ sent: 20, bounceRate: -1.2, spamComplaintRate: 0, openRate: -5, clickRate: 10 });
+
+    await toolDefs.get('compareDeliveryStats').handler({ periods: [{ fromDate: '2025-04-01', toDate: '2025-04-30' }, { fromDate: '2025-05-01', toDate: '2025-05-31' }], tag: 'news' });
+    expect(mockClient.getOutboundOverview).toHaveBeenLastCalledWith({ tag: 'news', fromDate: '2025-05-01', toDate: '2025-05-31' });
+
+    await expect(toolDefs.get('compareDeliveryStats').handler({})).rejects.toThrow('Provide either tags or periods to compare');
+    await expect(toolDefs.get('compareDeliveryStats').handler({ tags: ['a', 'b'], tag: 'c' })).rejects.toThrow('tag cannot be combined with tags');
+  });
+});
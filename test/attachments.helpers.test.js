@@ -0,0 +1,83 @@
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+import { join } from 'path';
+import { tmpdir } from 'os';
+import { mkdir, mkdtemp, rm, symlink, truncate, writeFile } from 'fs/promises';
+import { registerToolDefs } from './toolHarness.js';
+import { resolveAttachments, detectContentType } from '../src/helpers/attachments.js';
+
+const fixtures = join(process.cwd(), 'test', 'fixtures');
+
+describe('attachment helpers', () => {
+  it('reads local files and detects the MIME type', async () => {
+    const res = await resolveAttachments([{ path: join('templates-inlined', 'basic', 'welcome', 'content.html') }], { basePath: fixtures });
+    expect(res.ok).toBe(true);
+    expect(res.attachments[0]).toMatchObject({ Name: 'content.html', ContentType: 'text/html' });
+    expect(Buffer.from(res.attachments[0].Content, 'base64').toString('utf8')).toContain('<h1>Welcome</h1>');
+  });
+
+  it('encodes inline content and prefixes Content-IDs', async () => {
+    const res = await resolveAttachments([
+      { name: 'report.csv', content: 'a,b\n1,2' },
+      { name: 'logo.png', base64: 'iVBORw0KGgo=', contentId: 'logo' },
+    ]);
+    expect(res.ok).toBe(true);
+    expect(res.attachments[0]).toEqual({ Name: 'report.csv', Content: Buffer.from('a,b\n1,2').toString('base64'), ContentType: 'text/csv' });
+    expect(res.attachments[1]).toMatchObject({ ContentType: 'image/png', ContentID: 'cid:logo' });
+    expect(detectContentType('unknown.xyz')).toBe('application/octet-stream');
+  });
+
+  it('rejects forbidden extensions, invalid base64 and oversized messages', async () => {
+    expect((await resolveAttachments([{ name: 'setup.exe', base64: 'AAAA' }])).code).toBe('FORBIDDEN_EXTENSION');
+    expect((await resolveAttachments([{ name: 'a.pdf', base64: 'not base64!' }])).code).toBe('INVALID_BASE64');
+    expect((await resolveAttachments([{ name: 'a.txt', content: 'x' }], { extraBytes: 10 * 1024 * 1024 })).code).toBe('TOO_LARGE');
+  });
+
+  it('restricts file paths to the configured base path', async () => {
+    const res = await resolveAttachments([{ path: '../fs.helpers.test.js' }], { basePath: fixtures });
+    expect(res.ok).toBe(false);
+    expect(res.code).toBe('OUTSIDE_BASE_PATH');
+    expect((await resolveAttachments([{ path: join(fixtures, 'templates-inlined', 'basic', 'welcome', 'content.html') }])).code).toBe('PATH_NOT_ALLOWED');
+  });
+
+  it('checks the file type and size before reading a file', async () => {
+    const dir = await mkdtemp(join(tmpdir(), 'postmark-attachments-'));
+    try {
+      await mkdir(join(dir, 'folder'));
+      await writeFile(join(dir, 'big.pdf'), '');
+      await truncate(join(dir, 'big.pdf'), 8 * 1024 * 1024);
+      await symlink(join(process.cwd(), 'package.json'), join(dir, 'link.json'));
+      expect((await resolveAttachments([{ path: 'folder' }], { basePath: dir })).code).toBe('NOT_A_FILE');
+      expect((await resolveAttachments([{ path: 'big.pdf' }], { basePath: dir })).code).toBe('TOO_LARGE');
+      expect((await resolveAttachments([{ path: 'link.json' }], { basePath: dir })).code).toBe('OUTSIDE_BASE_PATH');
+    } finally {
+      await rm(dir, { recursive: true, force: true });
+    }
+  });
+});
+
+describe('sendEmail attachments', () => {
+  let toolDefs;
+
+  beforeEach(() => {
+  });
+
+  it('does not call Postmark when an attachment is rejected', async () => {
+    const mockClient = { sendEmail: vi.fn() };
+    toolDefs = registerToolDefs(mockClient);
+    const { handler } = toolDefs.get('sendEmail');
+    await expect(handler({ to: 'to@example.com', subject: 'S', textBody: 'T', attachments: [{ name: 'run.bat', content: 'echo' }] }))
+      .rejects.toThrow('Attachment rejected');
+    expect(mockClient.sendEmail).not.toHaveBeenCalled();
+  });
+
+  it('adds Postmark attachments to the payload', async () => {
+    const mockClient = { sendEmail: vi.fn().mockResolvedValue({ MessageID: 'mid-1' }) };
+    toolDefs = registerToolDefs(mockClient);
+    const { handler } = toolDefs.get('sendEmail');
+    const res = await handler({ to: 'to@example.com', subject: 'S', textBody: 'T', attachments: [{ name: 'notes.txt', content: 'hi' }] });
+    expect(mockClient.sendEmail).toHaveBeenCalledWith(expect.objectContaining({
+      Attachments: [{ Name: 'notes.txt', Content: 'aGk=', ContentType: 'text/plain' }],
+    }));
+    expect(res.content[0].text).toContain('Attachments: 1');
+  });
+});
@@ -0,0 +1,93 @@
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import { join } from 'path';
+import { tmpdir } from 'os';
+import { mkdir, mkdtemp, readdir, readFile, rm } from 'fs/promises';
+import { registerToolDefs } from './toolHarness.js';
+import { getAuditLogConfig } from '../src/config.js';
+
+describe('audit log', () => {
+  let dir;
+  let toolDefs;
+  let mockClient;
+
+  beforeEach(async () => {
+    dir = await mkdtemp(join(tmpdir(), 'postmark-audit-'));
+    process.env.POSTMARK_AUDIT_LOG = join(dir, 'audit.jsonl');
+    process.env.DEFAULT_SENDER_EMAIL = 'from@example.com';
+    process.env.DEFAULT_MESSAGE_STREAM = 'outbound';
+    mockClient = {
+      sendEmail: vi.fn().mockResolvedValue({ MessageID: 'mid-1' }),
+      getTemplate: vi.fn().mockRejectedValue(new Error('Template not found')),
+      deleteTemplate: vi.fn(),
+      getTemplates: vi.fn().mockResolvedValue({ Templates: [] }),
+    };
+    toolDefs = registerToolDefs(mockClient);
+  });
+
+  afterEach(async () => {
+    delete process.env.POSTMARK_AUDIT_LOG;
+    await rm(dir, { recursive: true, force: true });
+  });
+
+  it('records mutating calls with hashed bodies, result IDs and errors', async () => {
+    await toolDefs.get('sendEmail').handler({ to: 'Jane <Jane@Example.com>', subject: 'Hi', textBody: 'secret body', headers: [{ name: 'X-Customer', value: 'private-id' }], attachments: [{ name: 'a.txt', content: 'private' }] });
+    await expect(toolDefs.get('deleteTemplate').handler({ templateIdOrAlias: 'welcome' })).rejects.toThrow('Template not found');
+    await toolDefs.get('listTemplates').handler({});
+
+    const lines = (await readFile(join(dir, 'audit.jsonl'), 'utf8')).trim().split('\n').map((line) => JSON.parse(line));
+    expect(lines).toHaveLength(2);
+    expect(lines[0]).toMatchObject({ tool: 'sendEmail', ok: true, recipients: ['jane@example.com'], result: { messageIds: ['mid-1'] } });
+    expect(lines[0].arguments.subject).toMatch(/^sha256:[0-9a-f]{64} \(2 bytes\)$/);
+    expect(lines[0].arguments.textBody).toMatch(/^sha256:[0-9a-f]{64} \(11 bytes\)$/);
+    expect(lines[0].arguments.attachments[0]).toMatchObject({ name: 'a.txt', content: expect.stringMatching(/^sha256:/) });
+    expect(lines[0].arguments.headers).toMatch(/^sha256:/);
+    expect(JSON.stringify(lines)).not.toContain('secret body');
+    expect(JSON.stringify(lines)).not.toContain('private-id');
+    expect(lines[1]).toMatchObject({ tool: 'deleteTemplate', ok: false, error: 'Template not found' });
+  });
+
+  it('records the deleted template and skips calls that change nothing on Postmark', async () => {
+    process.env.POSTMARK_TEMPLATES_PATH = join(dir, 'templates');
+    mockClient.getTemplate.mockResolvedValue({ TemplateId: 7, Alias: 'welcome', Name: 'Welcome', TemplateType: 'Standard' });
+    mockClient.deleteTemplate.mockResolvedValue({ Message: 'Template 7 removed.' });
+    mockClient.getTemplates.mockResolvedValue({ TotalCount: 0, Templates: [] });
+    try {
+      await toolDefs.get('deleteTemplate').handler({ templateIdOrAlias: 'welcome' });
+      await mkdir(join(dir, 'templates'));
+      expect((await toolDefs.get('syncLocalTemplates').handler({})).structuredContent.dryRun).toBe(true);
+      await toolDefs.get('exportTemplates').handler({});
+    } finally {
+      delete process.env.POSTMARK_TEMPLATES_PATH;
+    }
+
+    const lines = (await readFile(join(dir, 'audit.jsonl'), 'utf8')).trim().split('\n').map((line) => JSON.parse(line));
+    expect(lines).toHaveLength(1);
+    expect(lines[0]).toMatchObject({ tool: 'deleteTemplate', ok: true, result: { templateId: 7, alias: 'welcome', name: 'Welcome' } });
+  });
+
+  it('is off unless POSTMARK_AUDIT_LOG names a file', async () => {
+    delete process.env.POSTMARK_AUDIT_LOG;
+    expect(getAuditLogConfig()).toEqual({ enabled: false, path: undefined });
+    await toolDefs.get('sendEmail').handler({ to: 'jane@example.com', subject: 'Hi', textBody: 'T' });
+    expect(await readdir(dir)).toEqual([]);
+    expect((await toolDefs.get('queryAuditLog').handler({})).content[0].text).toContain('Set POSTMARK_AUDIT_LOG to the path');
+
+    process.env.POSTMARK_AUDIT_LOG = 'true';
+    expect(() => getAuditLogConfig()).toThrow('expected the path of the audit log file');
+  });
+
+  it('queryAuditLog filters by tool and recipient', async () => {
+    await toolDefs.get('sendEmail').handler({ to: 'jane@example.com', subject: 'Hi', textBody: 'T' });
+    await toolDefs.get('sendEmail').handler({ to: 'bob@example.com', subject: 'Hi', textBody: 'T' });
+    await expect(toolDefs.get('deleteTemplate').handler({ templateIdOrAlias: 'welcome' })).rejects.toThrow();
+
+    const { handler } = toolDefs.get('queryAuditLog');
+    const byRecipient = await handler({ recipient: 'JANE@example.com' });
+    expect(byRecipient.content[0].text).toContain('Found 1 audit log entries');
+    expect(byRecipient.content[0].text).toContain('**sendEmail** succeeded');
+    expect(byRecipient.content[0].text).toContain('Result: messageIds: mid-1');
+    const byTool = await handler({ tool: 'deleteTemplate' });
+    expect(byTool.content[0].text).toContain('Error: Template not found');
+    expect((await handler({ fromDate: '2999-01-01' })).content[0].text).toBe('No audit log entries found matching the given filters.');
+  });
+});
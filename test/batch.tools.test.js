@@ -0,0 +1,52 @@
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+import { registerToolDefs } from './toolHarness.js';
+import { chunkMessages } from '../src/helpers/batch.js';
+
+describe('batch send tools', () => {
+  let toolDefs;
+
+  beforeEach(() => {
+    process.env.DEFAULT_SENDER_EMAIL = 'from@example.com';
+    process.env.DEFAULT_MESSAGE_STREAM = 'outbound';
+  });
+
+  it('chunks by message count and payload size', () => {
+    const messages = Array.from({ length: 5 }, (_, i) => ({ To: `u${i}@example.com`, TextBody: 'x'.repeat(100) }));
+    expect(chunkMessages(messages, { maxCount: 2 }).map((c) => c.length)).toEqual([2, 2, 1]);
+    expect(chunkMessages(messages, { maxBytes: 300 }).map((c) => c.length)).toEqual([2, 2, 1]);
+  });
+
+  it('sendEmailBatch reports partial failures per message', async () => {
+    const mockClient = {
+      sendEmailBatch: vi.fn().mockResolvedValue([
+        { ErrorCode: 0, MessageID: 'mid-1', To: 'a@example.com' },
+        { ErrorCode: 406, Message: 'Inactive recipient', To: 'b@example.com' },
+      ]),
+    };
+    toolDefs = registerToolDefs(mockClient);
+    const { handler } = toolDefs.get('sendEmailBatch');
+
+    const res = await handler({ messages: [
+      { to: 'a@example.com', subject: 'S', textBody: 'T' },
+      { to: 'b@example.com', subject: 'S', textBody: 'T' },
+    ] });
+    expect(mockClient.sendEmailBatch).toHaveBeenCalledWith([
+      expect.objectContaining({ From: 'from@example.com', To: 'a@example.com', MessageStream: 'outbound' }),
+      expect.objectContaining({ To: 'b@example.com' }),
+    ]);
+    expect(res.content[0].text).toContain('Sent: 1');
+    expect(res.content[0].text).toContain('| 1 | a@example.com | Sent | mid-1 |');
+    expect(res.content[0].text).toContain('| 2 | b@example.com | Failed | 406: Inactive recipient |');
+  });
+
+  it('sendEmailBatchWithTemplate marks a failed request as failed for its messages', async () => {
+    const mockClient = { sendEmailBatchWithTemplates: vi.fn().mockRejectedValue(Object.assign(new Error('Server error'), { code: 500 })) };
+    toolDefs = registerToolDefs(mockClient);
+    const { handler } = toolDefs.get('sendEmailBatchWithTemplate');
+
+    const res = await handler({ messages: [{ to: 'a@example.com', templateAlias: 'welcome', templateModel: {} }] });
+    expect(mockClient.sendEmailBatchWithTemplates).toHaveBeenCalledWith([expect.objectContaining({ TemplateAlias: 'welcome' })]);
+    expect(res.content[0].text).toContain('Failed: 1');
+    expect(res.content[0].text).toContain('500: Server error');
+  });
+});
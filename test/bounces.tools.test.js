@@ -0,0 +1,42 @@
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+import { registerToolDefs } from './toolHarness.js';
+
+describe('bounce tools', () => {
+  let toolDefs;
+
+  beforeEach(() => {
+  });
+
+  it('getBounceOverview summarizes bounce counts by type', async () => {
+    const mockClient = {
+      getDeliveryStatistics: vi.fn().mockResolvedValue({
+        InactiveMails: 3,
+        Bounces: [{ Name: 'All', Count: 4 }, { Type: 'HardBounce', Name: 'Hard bounce', Count: 3 }, { Type: 'Transient', Name: 'Message delayed', Count: 1 }],
+      }),
+    };
+    toolDefs = registerToolDefs(mockClient);
+    const res = await toolDefs.get('getBounceOverview').handler({});
+    expect(res.content[0].text).toContain('Total Bounces: 4');
+    expect(res.content[0].text).toContain('Inactive Addresses: 3');
+    expect(res.content[0].text).toContain('Hard bounce: 3 (75.0%)');
+  });
+
+  it('listBounces maps filters to the Postmark API', async () => {
+    const mockClient = {
+      getBounces: vi.fn().mockResolvedValue({ TotalCount: 1, Bounces: [{ ID: 7, Email: 'gone@example.com', Name: 'Hard bounce', Type: 'HardBounce', BouncedAt: '2025-05-01', MessageID: 'mid-1', Inactive: true, CanActivate: true }] }),
+    };
+    toolDefs = registerToolDefs(mockClient);
+    const res = await toolDefs.get('listBounces').handler({ type: 'HardBounce', email: 'gone@', inactive: true });
+    expect(mockClient.getBounces).toHaveBeenCalledWith({ count: 50, offset: 0, type: 'HardBounce', emailFilter: 'gone@', inactive: true });
+    expect(res.content[0].text).toContain('gone@example.com');
+    expect(res.content[0].text).toContain('can reactivate: Yes');
+  });
+
+  it('reactivateBounce activates the bounce', async () => {
+    const mockClient = { activateBounce: vi.fn().mockResolvedValue({ Message: 'OK', Bounce: { Email: 'gone@example.com', Inactive: false } }) };
+    toolDefs = registerToolDefs(mockClient);
+    const res = await toolDefs.get('reactivateBounce').handler({ bounceId: 7 });
+    expect(mockClient.activateBounce).toHaveBeenCalledWith(7);
+    expect(res.content[0].text).toContain('Email: gone@example.com');
+  });
+});
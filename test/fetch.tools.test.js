@@ -14,20 +14,22 @@ describe('fetch-based tools', () => {
 
   afterEach(() => {
     global.fetch = originalFetch;
+    vi.unstubAllEnvs();
   });
 
   it('getDeliveryStats formats response and computes rates', async () => {
-    global.fetch = vi.fn().mockResolvedValue({ ok: true, json: async () => ({ Sent: 10, Tracked: 8, UniqueOpens: 4, TotalTrackedLinksSent: 6, UniqueLinksClicked: 3 }) });
+    const mockClient = { getOutboundOverview: vi.fn().mockResolvedValue({ Sent: 10, Tracked: 8, UniqueOpens: 4, TotalTrackedLinksSent: 6, UniqueLinksClicked: 3 }) };
 
-    registerTools(mockServer, {});
+    registerTools(mockServer, mockClient);
     const { handler } = toolDefs.get('getDeliveryStats');
     const res = await handler({ tag: 'news', fromDate: '2025-05-01', toDate: '2025-05-02' });
     expect(res.content[0].text).toContain('Open Rate: 50.0%');
     expect(res.content[0].text).toContain('Click Rate: 50.0%');
+    expect(mockClient.getOutboundOverview).toHaveBeenCalledWith({ tag: 'news', fromDate: '2025-05-01', toDate: '2025-05-02' });
   });
 
   it('simulateTemplatePush returns formatted list', async () => {
-    process.env.POSTMARK_ACCOUNT_TOKEN = 'acct';
+    vi.stubEnv('POSTMARK_ACCOUNT_TOKEN', 'acct');
     global.fetch = vi.fn().mockResolvedValue({ ok: true, json: async () => ({ TotalCount: 1, Templates: [{ Name: 'Welcome Email', Alias: 'welcome', Action: 'Create', TemplateType: 'Standard', TemplateId: null }] }) });
 
     registerTools(mockServer, {});
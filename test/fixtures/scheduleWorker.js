@@ -0,0 +1,15 @@
+// Runs one queue pass in its own process, like a second server sharing the queue directory.
+// Usage: node scheduleWorker.js <queuePath> <now> <messageId> [startDelayMs]; prints the processed items as JSON.
+import { createProfileRegistry } from '../../src/profiles.js';
+import { deliverDueEmails } from '../../src/scheduler.js';
+
+const [queuePath, now, messageId, startDelayMs = '0'] = process.argv.slice(2);
+const client = {
+  sendEmail: async () => {
+    await new Promise((resolve) => setTimeout(resolve, 100));
+    return { MessageID: messageId };
+  },
+};
+await new Promise((resolve) => setTimeout(resolve, Number(startDelayMs)));
+const processed = await deliverDueEmails({ profiles: createProfileRegistry([{ name: 'default', client }]), queuePath, now: Number(now) });
+process.stdout.write(`${JSON.stringify(processed)}\n`);
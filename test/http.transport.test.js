@@ -0,0 +1,103 @@
+import { describe, it, expect, vi, beforeAll, afterAll } from 'vitest';
+import { createMcpServer, initializeServices, registerTools } from '../index.js';
+import { startHttpTransport } from '../src/httpTransport.js';
+
+describe('HTTP transport', () => {
+  let host;
+  let base;
+  const headers = { Authorization: 'Bearer secret-token', 'Content-Type': 'application/json', Accept: 'application/json, text/event-stream' };
+  const rpc = (body, extra = {}) => fetch(`${base}/mcp`, { method: 'POST', headers: { ...headers, ...extra }, body: JSON.stringify(body) });
+  const readMessage = async (res) => {
+    const text = await res.text();
+    const data = text.split('\n').find((line) => line.startsWith('data: '));
+    return JSON.parse(data ? data.slice(6) : text);
+  };
+
+  beforeAll(async () => {
+    host = await startHttpTransport({
+      host: '127.0.0.1',
+      port: 0,
+      token: 'secret-token',
+      createMcpServer: () => {
+        const server = createMcpServer();
+        registerTools(server, {});
+        return server;
+      },
+    });
+    base = `http://127.0.0.1:${host.port}`;
+  });
+
+  afterAll(async () => {
+    await host.close();
+  });
+
+  it('rejects requests without the bearer token', async () => {
+    const res = await fetch(`${base}/mcp`, { method: 'POST', headers: { 'Content-Type': 'application/json' }, body: '{}' });
+    expect(res.status).toBe(401);
+  });
+
+  it('creates a session per client and serves tool listings', async () => {
+    const init = await rpc({ jsonrpc: '2.0', id: 1, method: 'initialize', params: { protocolVersion: '2025-03-26', capabilities: {}, clientInfo: { name: 'test', version: '1.0.0' } } });
+    expect(init.status).toBe(200);
+    const sessionId = init.headers.get('mcp-session-id');
+    expect(sessionId).toBeTruthy();
+    expect((await readMessage(init)).result.serverInfo.name).toBe('postmark-mcp');
+
+    await rpc({ jsonrpc: '2.0', method: 'notifications/initialized' }, { 'mcp-session-id': sessionId });
+    const list = await readMessage(await rpc({ jsonrpc: '2.0', id: 2, method: 'tools/list' }, { 'mcp-session-id': sessionId }));
+    expect(list.result.tools.map((t) => t.name)).toContain('sendEmail');
+    expect(host.sessionCount()).toBe(1);
+
+    expect((await rpc({ jsonrpc: '2.0', id: 3, method: 'tools/list' }, { 'mcp-session-id': 'unknown' })).status).toBe(404);
+  });
+});
+
+describe('HTTP transport session expiry', () => {
+  it('closes sessions that have been idle longer than sessionIdleMs', async () => {
+    const closed = vi.fn();
+    const host = await startHttpTransport({
+      host: '127.0.0.1',
+      port: 0,
+      token: 'secret-token',
+      sessionIdleMs: 100,
+      createMcpServer: () => {
+        const server = createMcpServer();
+        registerTools(server, {});
+        server.server.onclose = closed;
+        return server;
+      },
+    });
+    try {
+      const rpc = (body, extra = {}) => fetch(`http://127.0.0.1:${host.port}/mcp`, { method: 'POST', headers: { Authorization: 'Bearer secret-token', 'Content-Type': 'application/json', Accept: 'application/json, text/event-stream', ...extra }, body: JSON.stringify(body) });
+      const init = await rpc({ jsonrpc: '2.0', id: 1, method: 'initialize', params: { protocolVersion: '2025-03-26', capabilities: {}, clientInfo: { name: 'test', version: '1.0.0' } } });
+      const sessionId = init.headers.get('mcp-session-id');
+      await init.text();
+      expect(host.sessionCount()).toBe(1);
+
+      await new Promise((resolve) => setTimeout(resolve, 300));
+      expect(host.sessionCount()).toBe(0);
+      expect(closed).toHaveBeenCalled();
+      expect((await rpc({ jsonrpc: '2.0', id: 2, method: 'tools/list' }, { 'mcp-session-id': sessionId })).status).toBe(404);
+    } finally {
+      await host.close();
+    }
+  });
+});
+
+describe('initializeServices', () => {
+  it('only builds the shared Postmark clients when the transport creates servers per session', async () => {
+    vi.stubEnv('POSTMARK_SERVER_TOKEN', 'token');
+    vi.stubEnv('DEFAULT_SENDER_EMAIL', 'from@example.com');
+    vi.stubEnv('DEFAULT_MESSAGE_STREAM', 'outbound');
+    vi.stubEnv('POSTMARK_SANDBOX', 'true');
+    try {
+      const shared = await initializeServices({ createServer: false });
+      expect(shared.mcpServer).toBeUndefined();
+      expect(shared.profiles.names()).toEqual(['default']);
+      expect(shared.postmarkClient).toBe(shared.profiles.resolve().client);
+      expect((await initializeServices()).mcpServer).toBeDefined();
+    } finally {
+      vi.unstubAllEnvs();
+    }
+  });
+});
@@ -1,4 +1,5 @@
 import { describe, it, expect, vi, beforeEach } from 'vitest';
+import { z } from 'zod';
 
 vi.mock('postmark', () => ({ default: { ServerClient: vi.fn() } }));
 
@@ -49,6 +50,47 @@ describe('registerTools', () => {
     }));
     expect(res.content[0].text).toContain('Email sent successfully');
   });
-});
 
+  it('sendEmail maps addressing and per-call message options', async () => {
+    const mockClient = { sendEmail: vi.fn().mockResolvedValue({ MessageID: 'mid-2' }) };
+
+    registerTools(mockServer, mockClient);
+    const { handler } = toolDefs.get('sendEmail');
+
+    const res = await handler({
+      to: ['Jane Doe <jane@example.com>', 'bob@example.com'],
+      cc: '"Doe, John" <john@example.com>',
+      bcc: ['audit@example.com'],
+      replyTo: 'Support <support@example.com>',
+      from: 'Acme <acme@example.com>',
+      subject: 'S',
+      textBody: 'T',
+      headers: [{ name: 'X-Campaign', value: 'spring' }],
+      metadata: { orderId: '42' },
+      trackOpens: false,
+      trackLinks: 'None',
+      messageStream: 'broadcast',
+    });
+    expect(mockClient.sendEmail).toHaveBeenCalledWith(expect.objectContaining({
+      From: 'Acme <acme@example.com>',
+      To: 'Jane Doe <jane@example.com>, bob@example.com',
+      Cc: '"Doe, John" <john@example.com>',
+      Bcc: 'audit@example.com',
+      ReplyTo: 'Support <support@example.com>',
+      Headers: [{ Name: 'X-Campaign', Value: 'spring' }],
+      Metadata: { orderId: '42' },
+      TrackOpens: false,
+      TrackLinks: 'None',
+      MessageStream: 'broadcast',
+    }));
+    expect(res.content[0].text).toContain('Cc: "Doe, John" <john@example.com>');
+  });
 
+  it('sendEmail schema rejects malformed addresses and oversized metadata', () => {
+    registerTools(mockServer, {});
+    const schema = z.object(toolDefs.get('sendEmail').schema);
+    expect(schema.safeParse({ to: 'Jane <not-an-email>', subject: 'S', textBody: 'T' }).success).toBe(false);
+    expect(schema.safeParse({ to: 'jane@example.com', subject: 'S', textBody: 'T', metadata: Object.fromEntries(Array.from({ length: 11 }, (_, i) => [`k${i}`, 'v'])) }).success).toBe(false);
+    expect(schema.safeParse({ to: ['Jane <jane@example.com>'], subject: 'S', textBody: 'T', trackLinks: 'HtmlOnly' }).success).toBe(true);
+  });
+});
@@ -0,0 +1,93 @@
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import { join } from 'path';
+import { tmpdir } from 'os';
+import { mkdtemp, mkdir, rm, writeFile } from 'fs/promises';
+import { registerToolDefs } from './toolHarness.js';
+
+describe('layout support', () => {
+  let toolDefs;
+  let mockClient;
+  const templates = [
+    { TemplateId: 1, Name: 'Main layout', Alias: 'main', TemplateType: 'Layout', LayoutTemplate: null },
+    { TemplateId: 2, Name: 'Welcome', Alias: 'welcome', TemplateType: 'Standard', LayoutTemplate: 'main' },
+    { TemplateId: 3, Name: 'Receipt', Alias: 'receipt', TemplateType: 'Standard', LayoutTemplate: null },
+    { TemplateId: 4, Name: 'Unused layout', Alias: 'spare', TemplateType: 'Layout', LayoutTemplate: null },
+  ];
+
+  beforeEach(() => {
+    mockClient = {
+      getTemplates: vi.fn().mockResolvedValue({ TotalCount: templates.length, Templates: templates }),
+      getTemplate: vi.fn(async (alias) => templates.find((t) => t.Alias === alias)),
+      createTemplate: vi.fn(async (data) => ({ TemplateId: 9, Active: true, ...data })),
+      editTemplate: vi.fn(async (alias, data) => ({ TemplateId: 2, Active: true, ...templates.find((t) => t.Alias === alias), ...data })),
+      deleteTemplate: vi.fn().mockResolvedValue({ Message: 'Template 4 removed.' }),
+    };
+    toolDefs = registerToolDefs(mockClient);
+  });
+
+  it('listTemplates shows types, layouts and layout usage, with filters', async () => {
+    const all = (await toolDefs.get('listTemplates').handler({})).content[0].text;
+    expect(all).toContain('Found 4 templates');
+    expect(all).toContain('• **Main layout**\n  - ID: 1\n  - Alias: main\n  - Type: Layout\n  - Used by: welcome');
+    expect(all).toContain('• **Welcome**\n  - ID: 2\n  - Alias: welcome\n  - Type: Standard\n  - Layout: main');
+    expect((await toolDefs.get('listTemplates').handler({ templateType: 'Layout' })).content[0].text).toContain('Found 2 templates');
+    const usingMain = (await toolDefs.get('listTemplates').handler({ layoutTemplate: 'main' })).content[0].text;
+    expect(usingMain).toContain('Found 1 templates');
+    expect(usingMain).toContain('**Welcome**');
+  });
+
+  it('creates layouts and standard templates that use them', async () => {
+    const layout = await toolDefs.get('createTemplate').handler({ name: 'New layout', alias: 'new-layout', templateType: 'Layout', htmlBody: '<div>{{{ @content }}}</div>' });
+    expect(mockClient.createTemplate).toHaveBeenCalledWith({ Name: 'New layout', TemplateType: 'Layout', Alias: 'new-layout', HtmlBody: '<div>{{{ @content }}}</div>' });
+    expect(layout.content[0].text).toContain('Type: Layout');
+    await expect(toolDefs.get('createTemplate').handler({ name: 'Bad', alias: 'bad', templateType: 'Layout', htmlBody: '<div></div>' })).rejects.toThrow('must contain the {{{@content}}} placeholder');
+    await expect(toolDefs.get('createTemplate').handler({ name: 'No subject', htmlBody: '<p/>' })).rejects.toThrow('subject is required for standard templates');
+
+    await toolDefs.get('createTemplate').handler({ name: 'Promo', subject: 'Hi', htmlBody: '<p/>', layoutTemplate: 'main' });
+    expect(mockClient.createTemplate).toHaveBeenLastCalledWith(expect.objectContaining({ TemplateType: 'Standard', LayoutTemplate: 'main' }));
+  });
+
+  it('updateTemplate assigns or removes a layout', async () => {
+    const res = await toolDefs.get('updateTemplate').handler({ templateIdOrAlias: 'receipt', layoutTemplate: 'main' });
+    expect(mockClient.editTemplate).toHaveBeenCalledWith('receipt', { LayoutTemplate: 'main' });
+    expect(res.content[0].text).toContain('Layout: main');
+    await toolDefs.get('updateTemplate').handler({ templateIdOrAlias: 'welcome', layoutTemplate: null });
+    expect(mockClient.editTemplate).toHaveBeenLastCalledWith('welcome', { LayoutTemplate: null });
+    await expect(toolDefs.get('updateTemplate').handler({ templateIdOrAlias: 'main', layoutTemplate: 'spare' })).rejects.toThrow('Layouts cannot have a subject or a layoutTemplate');
+  });
+
+  it('refuses to delete a layout that templates still use', async () => {
+    await expect(toolDefs.get('deleteTemplate').handler({ templateIdOrAlias: 'main' })).rejects.toThrow("Cannot delete layout 'main': 1 templates still use it (welcome)");
+    expect(mockClient.deleteTemplate).not.toHaveBeenCalled();
+    await toolDefs.get('deleteTemplate').handler({ templateIdOrAlias: 'spare' });
+    expect(mockClient.deleteTemplate).toHaveBeenCalledWith('spare');
+  });
+
+  describe('local templates', () => {
+    let dir;
+
+    beforeEach(async () => {
+      dir = await mkdtemp(join(tmpdir(), 'postmark-layouts-'));
+      await mkdir(join(dir, 'layouts', 'main'), { recursive: true });
+      await writeFile(join(dir, 'layouts', 'main', 'content.html'), '<title>Layout</title><main>{{{@content}}}</main><footer>{{company}}</footer>');
+      await writeFile(join(dir, 'layouts', 'main', 'meta.json'), JSON.stringify({ alias: 'main', type: 'Layout' }));
+      await mkdir(join(dir, 'basic', 'welcome'), { recursive: true });
+      await writeFile(join(dir, 'basic', 'welcome', 'content.html'), '<p>Hi {{name}}</p>');
+      await writeFile(join(dir, 'basic', 'welcome', 'meta.json'), JSON.stringify({ subject: 'Welcome {{name}}', layout: 'main' }));
+      process.env.POSTMARK_TEMPLATES_PATH = dir;
+    });
+
+    afterEach(async () => {
+      delete process.env.POSTMARK_TEMPLATES_PATH;
+      await rm(dir, { recursive: true, force: true });
+    });
+
+    it('renders local templates inside their layout', async () => {
+      const res = await toolDefs.get('renderTemplate').handler({ categoryName: 'basic', templateName: 'welcome', templateModel: { name: 'Jane' } });
+      const text = res.content[0].text;
+      expect(text).toContain('Subject: Welcome Jane');
+      expect(text).toContain('<main><p>Hi Jane</p></main><footer></footer>');
+      expect(text).toContain('Missing variables: company');
+    });
+  });
+});
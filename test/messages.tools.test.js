@@ -0,0 +1,46 @@
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+import { registerToolDefs } from './toolHarness.js';
+
+describe('outbound message tools', () => {
+  let toolDefs;
+
+  beforeEach(() => {
+  });
+
+  it('searchOutboundMessages maps filters, metadata and paging', async () => {
+    const mockClient = {
+      getOutboundMessages: vi.fn().mockResolvedValue({
+        TotalCount: 3,
+        Messages: [{ MessageID: 'mid-1', Subject: 'Hello', To: [{ Email: 'a@example.com', Name: '' }], From: 'from@example.com', Status: 'Sent', ReceivedAt: '2025-05-01T10:00:00Z', MessageStream: 'outbound', Tag: 'news', Metadata: { orderId: '42' } }],
+      }),
+    };
+    toolDefs = registerToolDefs(mockClient);
+    const { handler } = toolDefs.get('searchOutboundMessages');
+
+    const res = await handler({ recipient: 'a@example.com', status: 'sent', metadata: { orderId: '42' }, count: 1, offset: 1 });
+    expect(mockClient.getOutboundMessages).toHaveBeenCalledWith({ count: 1, offset: 1, recipient: 'a@example.com', status: 'sent', metadata_orderId: '42' });
+    expect(res.content[0].text).toContain('Found 3 outbound messages (showing 2-2)');
+    expect(res.content[0].text).toContain('MessageID: mid-1');
+    expect(res.content[0].text).toContain('Use offset 2');
+  });
+
+  it('getOutboundMessageDetails returns headers and an ordered event timeline', async () => {
+    const mockClient = {
+      getOutboundMessageDetails: vi.fn().mockResolvedValue({
+        MessageID: 'mid-1', Subject: 'Hello', From: 'from@example.com', To: [{ Email: 'a@example.com' }], Status: 'Sent', ReceivedAt: '2025-05-01T10:00:00Z', MessageStream: 'outbound', TextBody: 'Hi there',
+        MessageEvents: [
+          { Type: 'Opened', Recipient: 'a@example.com', ReceivedAt: '2025-05-01T10:05:00Z', Details: { Summary: 'Email opened' } },
+          { Type: 'Delivered', Recipient: 'a@example.com', ReceivedAt: '2025-05-01T10:00:05Z', Details: { DeliveryMessage: '250 OK' } },
+        ],
+      }),
+      getOutboundMessageDump: vi.fn().mockResolvedValue({ Body: 'Subject: Hello\r\nX-Long: a\r\n b\r\n\r\nbody' }),
+    };
+    toolDefs = registerToolDefs(mockClient);
+    const { handler } = toolDefs.get('getOutboundMessageDetails');
+
+    const text = (await handler({ messageId: 'mid-1' })).content[0].text;
+    expect(text.indexOf('Delivered')).toBeLessThan(text.indexOf('Opened'));
+    expect(text).toContain('X-Long: a b');
+    expect(text).toContain('Hi there');
+  });
+});
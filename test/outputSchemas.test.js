@@ -0,0 +1,79 @@
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import { Client } from '@modelcontextprotocol/sdk/client/index.js';
+import { InMemoryTransport } from '@modelcontextprotocol/sdk/inMemory.js';
+import { createMcpServer, registerTools } from '../index.js';
+import { OUTPUT_SCHEMAS } from '../src/tools/outputSchemas.js';
+
+describe('structured tool output', () => {
+  let originalFetch;
+  let mockClient;
+  let client;
+
+  beforeEach(async () => {
+    originalFetch = global.fetch;
+    process.env.DEFAULT_SENDER_EMAIL = 'from@example.com';
+    process.env.DEFAULT_MESSAGE_STREAM = 'outbound';
+    process.env.POSTMARK_TEMPLATES_PATH = '/nonexistent/postmark-templates';
+    mockClient = {
+      sendEmailBatch: vi.fn().mockResolvedValue([
+        { ErrorCode: 0, MessageID: 'm-1', To: 'a@example.com' },
+        { ErrorCode: 406, Message: 'Inactive recipient', To: 'b@example.com' },
+      ]),
+    };
+    const server = createMcpServer();
+    registerTools(server, mockClient);
+    const [clientTransport, serverTransport] = InMemoryTransport.createLinkedPair();
+    client = new Client({ name: 'test', version: '1.0.0' });
+    await Promise.all([server.connect(serverTransport), client.connect(clientTransport)]);
+    // The client validates structuredContent against the output schemas it has listed
+    await client.listTools();
+  });
+
+  afterEach(async () => {
+    global.fetch = originalFetch;
+    delete process.env.POSTMARK_TEMPLATES_PATH;
+    await client.close();
+  });
+
+  it('declares an output schema for every tool', async () => {
+    const { tools } = await client.listTools();
+    expect(tools.map((t) => t.name).sort()).toEqual(Object.keys(OUTPUT_SCHEMAS).sort());
+    for (const tool of tools) {
+      expect(tool.outputSchema.type).toBe('object');
+      expect(tool.outputSchema.properties.error).toBeDefined();
+    }
+  });
+
+  it('returns counts and rates as numbers next to the text', async () => {
+    mockClient.getOutboundOverview = vi.fn().mockResolvedValue({ Sent: 10, Tracked: 3, UniqueOpens: 2, TotalTrackedLinksSent: 6, UniqueLinksClicked: 3 });
+    const res = await client.callTool({ name: 'getDeliveryStats', arguments: { tag: 'news' } });
+    expect(res.content[0].text).toContain('Open Rate: 66.7%');
+    expect(res.structuredContent).toEqual({ sent: 10, tracked: 3, uniqueOpens: 2, openRate: 66.7, totalTrackedLinks: 6, uniqueLinksClicked: 3, clickRate: 50, tag: 'news' });
+  });
+
+  it('returns per-message batch results', async () => {
+    const res = await client.callTool({ name: 'sendEmailBatch', arguments: { messages: [{ to: 'a@example.com', subject: 'S', textBody: 'T' }, { to: 'b@example.com', subject: 'S', textBody: 'T' }] } });
+    expect(res.structuredContent).toEqual({
+      total: 2,
+      sent: 1,
+      failed: 1,
+      warnings: [expect.stringContaining('The sender was not verified because POSTMARK_ACCOUNT_TOKEN is not set')],
+      sandbox: false,
+      results: [
+        { index: 0, to: 'a@example.com', ok: true, messageId: 'm-1' },
+        { index: 1, to: 'b@example.com', ok: false, errorCode: 406, message: 'Inactive recipient' },
+      ],
+    });
+  });
+
+  it('reports thrown and soft failures as an error field', async () => {
+    const thrown = await client.callTool({ name: 'createTemplate', arguments: { name: 'Empty', subject: 'S' } });
+    expect(thrown.isError).toBe(true);
+    expect(thrown.content[0].text).toBe('Either htmlBody or textBody must be provided');
+    expect(thrown.structuredContent).toEqual({ error: 'Either htmlBody or textBody must be provided' });
+
+    const soft = await client.callTool({ name: 'listTemplateCategories', arguments: {} });
+    expect(soft.isError).toBeUndefined();
+    expect(soft.structuredContent.error).toBe(soft.content[0].text);
+  });
+});
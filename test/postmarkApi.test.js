@@ -0,0 +1,96 @@
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import { getApiConfig } from '../src/config.js';
+import { createPostmarkApi, postmarkApiError, withApiRetries } from '../src/postmarkApi.js';
+import { jsonResponse } from './toolHarness.js';
+
+describe('Postmark API client', () => {
+  let originalFetch;
+
+  beforeEach(() => {
+    originalFetch = global.fetch;
+    process.env.POSTMARK_SERVER_TOKEN = 'token';
+  });
+
+  afterEach(() => {
+    global.fetch = originalFetch;
+    delete process.env.POSTMARK_API_URL;
+    delete process.env.POSTMARK_API_TIMEOUT_MS;
+    delete process.env.POSTMARK_API_MAX_RETRIES;
+    delete process.env.POSTMARK_ACCOUNT_TOKEN;
+  });
+
+  it('reads the base URL, timeout and retries from the environment', async () => {
+    expect(getApiConfig()).toMatchObject({ baseUrl: 'https://api.postmarkapp.com', timeoutMs: 30000, maxRetries: 2 });
+    process.env.POSTMARK_API_URL = 'http://localhost:4010/';
+    process.env.POSTMARK_API_TIMEOUT_MS = '2500';
+    process.env.POSTMARK_API_MAX_RETRIES = '0';
+    expect(getApiConfig()).toMatchObject({ baseUrl: 'http://localhost:4010', timeoutMs: 2500, maxRetries: 0 });
+
+    global.fetch = vi.fn().mockResolvedValue(jsonResponse({ Sent: 1 }));
+    await createPostmarkApi().request('GET', '/stats/outbound', { query: { tag: 'news', fromdate: undefined } });
+    expect(global.fetch).toHaveBeenCalledWith('http://localhost:4010/stats/outbound?tag=news', expect.objectContaining({ method: 'GET', headers: expect.objectContaining({ 'X-Postmark-Server-Token': 'token' }) }));
+
+    process.env.POSTMARK_API_URL = 'localhost:4010';
+    expect(() => getApiConfig()).toThrow('POSTMARK_API_URL');
+  });
+
+  it('retries 429 and 5xx responses with backoff, honouring Retry-After', async () => {
+    global.fetch = vi.fn()
+      .mockResolvedValueOnce(jsonResponse({ ErrorCode: 429, Message: 'Rate limit exceeded' }, { status: 429, headers: { 'Retry-After': '0' } }))
+      .mockResolvedValueOnce(jsonResponse({}, { status: 503 }))
+      .mockResolvedValueOnce(jsonResponse({ TotalCount: 0, Templates: [] }));
+    const api = createPostmarkApi({ retryDelayMs: 0 });
+    await expect(api.request('GET', '/stats/outbound')).resolves.toEqual({ TotalCount: 0, Templates: [] });
+    expect(global.fetch).toHaveBeenCalledTimes(3);
+
+    global.fetch = vi.fn().mockResolvedValue(jsonResponse({}, { status: 503 }));
+    await expect(api.request('GET', '/stats/outbound')).rejects.toMatchObject({ statusCode: 503, message: expect.stringContaining('Try again later') });
+    expect(global.fetch).toHaveBeenCalledTimes(3);
+  });
+
+  it('does not retry a POST after a server error, so mail is never sent twice', async () => {
+    global.fetch = vi.fn().mockResolvedValue(jsonResponse({ Message: 'Internal error' }, { status: 500 }));
+    await expect(createPostmarkApi({ retryDelayMs: 0 }).request('POST', '/email', { body: {} })).rejects.toThrow('Postmark API Error (HTTP 500): Internal error');
+    expect(global.fetch).toHaveBeenCalledTimes(1);
+  });
+
+  it('fails requests that take longer than the timeout', async () => {
+    global.fetch = vi.fn((url, { signal }) => new Promise((resolve, reject) => signal.addEventListener('abort', () => reject(signal.reason))));
+    await expect(createPostmarkApi({ timeoutMs: 20, maxRetries: 0 }).request('GET', '/stats/outbound')).rejects.toThrow('No response within 20 ms (GET /stats/outbound)');
+  });
+
+  it('maps Postmark ErrorCodes to actionable messages', async () => {
+    global.fetch = vi.fn().mockResolvedValue(jsonResponse({ ErrorCode: 406, Message: 'You tried to send to recipient(s) that have been marked as inactive.' }, { status: 422 }));
+    const error = await createPostmarkApi().request('POST', '/email', { body: {} }).catch((e) => e);
+    expect(error).toMatchObject({ name: 'PostmarkApiError', code: 406, statusCode: 422 });
+    expect(error.message).toContain('Postmark API Error (HTTP 422, ErrorCode 406)');
+    expect(error.message).toContain('reactivateBounce');
+    expect(postmarkApiError('Invalid email request', { code: 300, statusCode: 422 }).message).toContain('every recipient must be a valid address');
+  });
+
+  it('uses the account token for account requests and requires it', async () => {
+    await expect(createPostmarkApi().request('PUT', '/templates/push', { auth: 'account', body: {} })).rejects.toThrow('POSTMARK_ACCOUNT_TOKEN environment variable is required');
+    process.env.POSTMARK_ACCOUNT_TOKEN = 'acct';
+    global.fetch = vi.fn().mockResolvedValue(jsonResponse({ TotalCount: 0, Templates: [] }));
+    await createPostmarkApi().request('PUT', '/templates/push', { auth: 'account', body: { PerformChanges: false } });
+    expect(global.fetch.mock.calls[0][1]).toMatchObject({ method: 'PUT', body: '{"PerformChanges":false}', headers: { 'X-Postmark-Account-Token': 'acct' } });
+  });
+
+  it('wraps postmark.js clients with the same retries and errors', async () => {
+    const serverError = Object.assign(new Error('Service unavailable'), { code: 0, statusCode: 503 });
+    const inactive = Object.assign(new Error('Inactive recipient'), { code: 406, statusCode: 422 });
+    const postmarkClient = {
+      getBounces: vi.fn().mockRejectedValueOnce(serverError).mockResolvedValueOnce({ Bounces: [] }),
+      sendEmail: vi.fn().mockRejectedValue(serverError),
+      sendEmailBatch: vi.fn().mockRejectedValue(inactive),
+      getClientOptions: vi.fn(() => ({ useHttps: true })),
+    };
+    const client = withApiRetries(postmarkClient, { retryDelayMs: 0 });
+    await expect(client.getBounces({ count: 1 })).resolves.toEqual({ Bounces: [] });
+    expect(postmarkClient.getBounces).toHaveBeenCalledTimes(2);
+    await expect(client.sendEmail({})).rejects.toThrow('Postmark API Error (HTTP 503): Service unavailable');
+    expect(postmarkClient.sendEmail).toHaveBeenCalledTimes(1);
+    await expect(client.sendEmailBatch([])).rejects.toMatchObject({ code: 406, statusCode: 422 });
+    expect(client.getClientOptions()).toEqual({ useHttps: true });
+  });
+});
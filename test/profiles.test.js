@@ -0,0 +1,83 @@
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import { registerToolDefs } from './toolHarness.js';
+import { getProfilesConfig } from '../src/config.js';
+import { createProfileRegistry } from '../src/profiles.js';
+
+describe('server profiles', () => {
+  let toolDefs;
+  let staging;
+  let marketing;
+  let profiles;
+
+  beforeEach(() => {
+    staging = { sendEmail: vi.fn().mockResolvedValue({ MessageID: 'stg-1' }), getTemplates: vi.fn().mockResolvedValue({ Templates: [] }) };
+    marketing = { sendEmail: vi.fn().mockResolvedValue({ MessageID: 'mkt-1' }), getTemplates: vi.fn().mockResolvedValue({ Templates: [] }) };
+    profiles = createProfileRegistry([
+      { name: 'staging', client: staging, serverToken: 'stg-token-1234', defaultSender: 'stg@example.com', defaultMessageStream: 'outbound' },
+      { name: 'marketing', client: marketing, serverToken: 'mkt-token-5678', defaultSender: 'news@example.com', defaultMessageStream: 'broadcast' },
+    ], 'staging');
+    toolDefs = registerToolDefs(staging, profiles);
+  });
+
+  afterEach(() => {
+    for (const key of Object.keys(process.env)) if (key.startsWith('POSTMARK_PROFILE')) delete process.env[key];
+  });
+
+  it('requires an explicit server for sends when several profiles exist', async () => {
+    const { handler } = toolDefs.get('sendEmail');
+    await expect(handler({ to: 'a@example.com', subject: 'S', textBody: 'T' })).rejects.toThrow("Pass 'server' explicitly");
+    expect(staging.sendEmail).not.toHaveBeenCalled();
+  });
+
+  it('requires an explicit server for every tool that changes data when several profiles exist', async () => {
+    staging.deleteTemplate = vi.fn();
+    marketing.deleteTemplate = vi.fn().mockResolvedValue({ Message: 'Template 7 removed.' });
+    marketing.getTemplate = vi.fn().mockResolvedValue({ TemplateId: 7, Alias: 'welcome', Name: 'Welcome' });
+    await expect(toolDefs.get('deleteTemplate').handler({ templateIdOrAlias: 'welcome' })).rejects.toThrow("Pass 'server' explicitly");
+    await expect(toolDefs.get('addSuppressions').handler({ emailAddresses: ['a@example.com'] })).rejects.toThrow("Pass 'server' explicitly");
+    await expect(toolDefs.get('archiveMessageStream').handler({ streamId: 'broadcast' })).rejects.toThrow("Pass 'server' explicitly");
+    expect(staging.deleteTemplate).not.toHaveBeenCalled();
+
+    await toolDefs.get('deleteTemplate').handler({ server: 'marketing', templateIdOrAlias: 'welcome' });
+    expect(marketing.deleteTemplate).toHaveBeenCalledWith('welcome');
+    expect(toolDefs.get('deleteTemplate').schema.server.description).toContain('required for sends and other changes; one of: staging, marketing');
+  });
+
+  it('sends through the named profile with its own defaults', async () => {
+    const res = await toolDefs.get('sendEmail').handler({ server: 'marketing', to: 'a@example.com', subject: 'S', textBody: 'T' });
+    expect(marketing.sendEmail).toHaveBeenCalledWith(expect.objectContaining({ From: 'news@example.com', MessageStream: 'broadcast' }));
+    expect(staging.sendEmail).not.toHaveBeenCalled();
+    expect(res.content[0].text).toContain('mkt-1');
+  });
+
+  it('uses the default profile for read-only tools and rejects unknown profiles', async () => {
+    await toolDefs.get('listTemplates').handler({});
+    expect(staging.getTemplates).toHaveBeenCalled();
+    await expect(toolDefs.get('listTemplates').handler({ server: 'prod' })).rejects.toThrow("Unknown Postmark server profile 'prod'");
+  });
+
+  it('listServers shows profiles with masked tokens', async () => {
+    const text = (await toolDefs.get('listServers').handler({})).content[0].text;
+    expect(text).toContain('**staging** (default)');
+    expect(text).toContain('Token: ****5678');
+    expect(text).not.toContain('mkt-token-5678');
+  });
+
+  it('reads profiles from the environment', () => {
+    process.env.POSTMARK_PROFILES = 'staging, production';
+    process.env.POSTMARK_PROFILE_STAGING_SERVER_TOKEN = 'a';
+    process.env.POSTMARK_PROFILE_PRODUCTION_SERVER_TOKEN = 'b';
+    process.env.POSTMARK_PROFILE_PRODUCTION_DEFAULT_SENDER_EMAIL = 'prod@example.com';
+    process.env.POSTMARK_DEFAULT_PROFILE = 'production';
+    process.env.DEFAULT_SENDER_EMAIL = 'from@example.com';
+    process.env.DEFAULT_MESSAGE_STREAM = 'outbound';
+    const cfg = getProfilesConfig();
+    delete process.env.POSTMARK_PROFILES;
+    delete process.env.POSTMARK_DEFAULT_PROFILE;
+    expect(cfg.defaultProfile).toBe('production');
+    expect(cfg.profiles).toEqual([
+      { name: 'staging', serverToken: 'a', defaultSender: 'from@example.com', defaultMessageStream: 'outbound' },
+      { name: 'production', serverToken: 'b', defaultSender: 'prod@example.com', defaultMessageStream: 'outbound' },
+    ]);
+  });
+});
@@ -0,0 +1,133 @@
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import { join } from 'path';
+import { tmpdir } from 'os';
+import { mkdtemp, mkdir, readFile, readdir, rm, writeFile } from 'fs/promises';
+import { registerToolDefs } from './toolHarness.js';
+import { getAttachmentsBasePath, getAuditLogConfig, getDataDir, getSandboxConfig, getScheduleConfig, getWebhookConfig } from '../src/config.js';
+import { renderTemplate } from '../src/helpers/mustachio.js';
+import { buildMimeMessage } from '../src/helpers/outbox.js';
+
+describe('mustachio renderer', () => {
+  it('renders variables, sections, inverted sections and each loops', () => {
+    const source = 'Hi {{ name }}! {{#company}}From {{name}} at {{company.name}}.{{/company}}{{^items}}none{{/items}}{{#each items}}[{{title}} for {{../name}}]{{/each}} {{missing}}';
+    const { output, missing } = renderTemplate(source, { name: '<Jane>', company: { name: 'Acme' }, items: [{ title: 'a' }, { title: 'b' }] }, { escape: true });
+    expect(output).toBe('Hi &lt;Jane&gt;! From Acme at Acme.[a for &lt;Jane&gt;][b for &lt;Jane&gt;] ');
+    expect(missing).toEqual(['missing']);
+    expect(renderTemplate('{{{ html }}}', { html: '<b>x</b>' }, { escape: true }).output).toBe('<b>x</b>');
+    expect(() => renderTemplate('{{#a}}x', {})).toThrow('Unclosed section');
+  });
+});
+
+describe('sandbox mode', () => {
+  let dir;
+  let toolDefs;
+  let mockClient;
+
+  beforeEach(async () => {
+    dir = await mkdtemp(join(tmpdir(), 'postmark-sandbox-'));
+    const templateDir = join(dir, 'templates', 'basic', 'welcome');
+    await mkdir(templateDir, { recursive: true });
+    await writeFile(join(templateDir, 'content.html'), '<html><head><title>Welcome {{name}}</title></head><body><p>Hello {{name}}</p></body></html>');
+    await writeFile(join(templateDir, 'content.txt'), 'Hello {{name}}');
+    process.env.POSTMARK_SANDBOX = 'true';
+    process.env.POSTMARK_OUTBOX_PATH = join(dir, 'outbox');
+    process.env.POSTMARK_TEMPLATES_PATH = join(dir, 'templates');
+    process.env.DEFAULT_SENDER_EMAIL = 'from@example.com';
+    process.env.DEFAULT_MESSAGE_STREAM = 'outbound';
+    mockClient = { sendEmail: vi.fn(), sendEmailWithTemplate: vi.fn(), sendEmailBatch: vi.fn() };
+    toolDefs = registerToolDefs(mockClient);
+  });
+
+  afterEach(async () => {
+    delete process.env.POSTMARK_SANDBOX;
+    delete process.env.POSTMARK_OUTBOX_PATH;
+    delete process.env.POSTMARK_TEMPLATES_PATH;
+    await rm(dir, { recursive: true, force: true });
+  });
+
+  it('captures sendEmail in the outbox as .eml plus envelope without calling Postmark', async () => {
+    const res = await toolDefs.get('sendEmail').handler({ to: 'a@example.com', bcc: 'b@example.com', subject: 'Héllo', textBody: 'Body', htmlBody: '<p>Body</p>', attachments: [{ name: 'a.txt', content: 'hi' }] });
+    expect(mockClient.sendEmail).not.toHaveBeenCalled();
+    const messageId = res.content[0].text.match(/MessageID: (\S+)/)[1];
+    expect(messageId).toMatch(/^sandbox-/);
+    expect(res.content[0].text).toContain('Sandbox mode');
+
+    const files = (await readdir(join(dir, 'outbox'))).sort();
+    expect(files).toEqual([`${messageId}.eml`, `${messageId}.json`]);
+    const eml = await readFile(join(dir, 'outbox', `${messageId}.eml`), 'utf8');
+    expect(eml).toContain('To: a@example.com');
+    expect(eml).not.toContain('b@example.com');
+    expect(eml).toContain('Subject: =?UTF-8?B?');
+    expect(eml).toContain('multipart/mixed');
+    expect(eml).toContain('filename="a.txt"');
+    const envelope = JSON.parse(await readFile(join(dir, 'outbox', `${messageId}.json`), 'utf8'));
+    expect(envelope).toMatchObject({ MessageID: messageId, Bcc: 'b@example.com', Subject: 'Héllo', Attachments: [{ Name: 'a.txt', ContentLength: 2 }] });
+
+    const list = await toolDefs.get('listOutbox').handler({});
+    expect(list.content[0].text).toContain('Found 1 messages');
+    const read = await toolDefs.get('readOutboxMessage').handler({ messageId });
+    expect(read.content[0].text).toContain('Subject: Héllo');
+    const cleared = await toolDefs.get('clearOutbox').handler({});
+    expect(cleared.content[0].text).toBe('Removed 1 messages from the sandbox outbox.');
+    expect(await readdir(join(dir, 'outbox'))).toEqual([]);
+  });
+
+  it('renders local templates for template sends and reports per-message batch failures', async () => {
+    const res = await toolDefs.get('sendEmailWithTemplate').handler({ to: 'a@example.com', templateAlias: 'welcome', templateModel: { name: 'Jane & Co' } });
+    expect(mockClient.sendEmailWithTemplate).not.toHaveBeenCalled();
+    const messageId = res.content[0].text.match(/MessageID: (\S+)/)[1];
+    const read = await toolDefs.get('readOutboxMessage').handler({ messageId });
+    expect(read.content[0].text).toContain('Subject: Welcome Jane & Co');
+    expect(read.content[0].text).toContain('Hello Jane &amp; Co</p>');
+    expect(read.content[0].text).toContain('Template: welcome (rendered from basic/welcome)');
+
+    const batch = await toolDefs.get('sendEmailBatchWithTemplate').handler({
+      messages: [
+        { to: 'a@example.com', templateAlias: 'basic/welcome', templateModel: { name: 'A' } },
+        { to: 'b@example.com', templateId: 42, templateModel: {} },
+      ],
+    });
+    expect(batch.content[0].text).toContain('Sent: 1');
+    expect(batch.content[0].text).toContain('Failed: 1');
+    expect(batch.content[0].text).toContain('Sandbox mode renders local templates only');
+  });
+
+  it('keeps header names and attachment file names from injecting headers or MIME parts', async () => {
+    const schema = toolDefs.get('sendEmail').schema;
+    expect(schema.headers.safeParse([{ name: 'X-Ok\r\nBcc', value: 'v' }]).success).toBe(false);
+    expect(schema.headers.safeParse([{ name: 'X-Campaign', value: 'spring' }]).success).toBe(true);
+    expect(schema.attachments.safeParse([{ name: 'a.txt"\r\nContent-Type: text/html', content: 'x' }]).success).toBe(false);
+
+    const message = { From: 'from@example.com', To: 'a@example.com', Subject: 'S', TextBody: 'T', Attachments: [{ Name: 'say "hi"; résumé.txt', Content: 'aGk=', ContentType: 'text/plain' }] };
+    const eml = buildMimeMessage(message, { messageId: 'sandbox-1', date: new Date(0) });
+    expect(eml).toContain("filename*=UTF-8''say%20%22hi%22%3B%20r%C3%A9sum%C3%A9.txt");
+    expect(eml).toContain("name*=UTF-8''say%20%22hi%22");
+    expect(() => buildMimeMessage({ ...message, Headers: [{ Name: 'X-A: b\r\nBcc', Value: 'x' }] }, { messageId: 'sandbox-1', date: new Date(0) })).toThrow('Invalid header name');
+  });
+
+  it('keeps the outbox and the other server files in the data directory', () => {
+    delete process.env.POSTMARK_OUTBOX_PATH;
+    vi.stubEnv('POSTMARK_DATA_DIR', join(dir, 'data'));
+    vi.stubEnv('POSTMARK_AUDIT_LOG', 'logs/audit.jsonl');
+    vi.stubEnv('POSTMARK_ATTACHMENTS_PATH', 'files');
+    try {
+      expect(getDataDir()).toBe(join(dir, 'data'));
+      expect(getSandboxConfig().outboxPath).toBe(join(dir, 'data', 'outbox'));
+      expect(getScheduleConfig().queuePath).toBe(join(dir, 'data', 'scheduled'));
+      expect(getWebhookConfig().storePath).toBe(join(dir, 'data', 'events.jsonl'));
+      expect(getAuditLogConfig().path).toBe(join(dir, 'data', 'logs', 'audit.jsonl'));
+      expect(getAttachmentsBasePath()).toBe(join(dir, 'data', 'files'));
+
+      vi.stubEnv('POSTMARK_DATA_DIR', '');
+      vi.stubEnv('XDG_STATE_HOME', join(dir, 'state'));
+      if (process.platform === 'linux') expect(getSandboxConfig().outboxPath).toBe(join(dir, 'state', 'postmark-mcp', 'outbox'));
+    } finally {
+      vi.unstubAllEnvs();
+    }
+  });
+
+  it('rejects reads of ids outside the outbox', async () => {
+    const res = await toolDefs.get('readOutboxMessage').handler({ messageId: '../secret' });
+    expect(res.content[0].text).toBe('Not a sandbox MessageID: ../secret');
+  });
+});
@@ -0,0 +1,156 @@
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import { join } from 'path';
+import { tmpdir } from 'os';
+import { mkdtemp, readFile, rm } from 'fs/promises';
+import { execFile } from 'child_process';
+import { promisify } from 'util';
+import { fileURLToPath } from 'url';
+import { registerToolDefs } from './toolHarness.js';
+import { listScheduledEmails, readScheduledEmail, saveScheduledEmail } from '../src/helpers/scheduleStore.js';
+import { createProfileRegistry } from '../src/profiles.js';
+import { deliverDueEmails, startScheduleWorker } from '../src/scheduler.js';
+
+const execFileAsync = promisify(execFile);
+const workerScript = fileURLToPath(new URL('./fixtures/scheduleWorker.js', import.meta.url));
+
+const inAnHour = () => new Date(Date.now() + 60 * 60 * 1000).toISOString();
+
+describe('scheduled emails', () => {
+  let dir;
+  let queuePath;
+  let toolDefs;
+  let mockClient;
+  let profiles;
+
+  beforeEach(async () => {
+    dir = await mkdtemp(join(tmpdir(), 'postmark-schedule-'));
+    queuePath = join(dir, 'scheduled');
+    process.env.POSTMARK_SCHEDULE_PATH = queuePath;
+    process.env.POSTMARK_AUDIT_LOG = join(dir, 'audit.jsonl');
+    process.env.DEFAULT_SENDER_EMAIL = 'from@example.com';
+    process.env.DEFAULT_MESSAGE_STREAM = 'outbound';
+    mockClient = {
+      sendEmail: vi.fn().mockResolvedValue({ MessageID: 'mid-1' }),
+      sendEmailWithTemplate: vi.fn().mockResolvedValue({ MessageID: 'mid-2' }),
+    };
+    profiles = createProfileRegistry([{ name: 'default', client: mockClient }]);
+    toolDefs = registerToolDefs(mockClient, profiles);
+  });
+
+  afterEach(async () => {
+    delete process.env.POSTMARK_SCHEDULE_PATH;
+    delete process.env.POSTMARK_ALLOWED_RECIPIENTS;
+    delete process.env.POSTMARK_AUDIT_LOG;
+    await rm(dir, { recursive: true, force: true });
+  });
+
+  it('scheduleEmail queues a sendEmail request and the worker sends it once it is due', async () => {
+    const sendAt = inAnHour();
+    const res = await toolDefs.get('scheduleEmail').handler({ sendAt, email: { to: 'a@example.com', subject: 'Reminder', textBody: 'Hi' } });
+    const { id } = res.structuredContent;
+    expect(res.structuredContent).toMatchObject({ status: 'pending', sendAt, tool: 'sendEmail', to: 'a@example.com', subject: 'Reminder', server: 'default' });
+    expect(res.content[0].text).toContain(`ID: ${id}`);
+    expect(mockClient.sendEmail).not.toHaveBeenCalled();
+
+    expect(await deliverDueEmails({ profiles, queuePath })).toEqual([]);
+    const [sent] = await deliverDueEmails({ profiles, queuePath, now: Date.parse(sendAt) });
+    expect(sent).toMatchObject({ id, status: 'sent', messageId: 'mid-1', sandbox: false });
+    expect(mockClient.sendEmail).toHaveBeenCalledWith(expect.objectContaining({ From: 'from@example.com', To: 'a@example.com', Subject: 'Reminder', TextBody: 'Hi', MessageStream: 'outbound' }));
+    expect(await deliverDueEmails({ profiles, queuePath, now: Date.parse(sendAt) })).toEqual([]);
+
+    const audit = (await readFile(join(dir, 'audit.jsonl'), 'utf8')).trim().split('\n').map((line) => JSON.parse(line));
+    expect(audit.map((e) => e.tool)).toEqual(['scheduleEmail', 'sendEmail']);
+    expect(audit[0]).toMatchObject({ recipients: ['a@example.com'], result: { scheduledEmailId: id } });
+    expect(audit[1]).toMatchObject({ ok: true, scheduledEmailId: id, result: { messageIds: ['mid-1'] } });
+  });
+
+  it('lists and cancels scheduled emails', async () => {
+    const first = await toolDefs.get('scheduleEmail').handler({ sendAt: inAnHour(), templateEmail: { to: ['a@example.com', 'b@example.com'], templateAlias: 'welcome', templateModel: { name: 'Jane' } } });
+    await toolDefs.get('scheduleEmail').handler({ sendAt: new Date(Date.now() + 2 * 60 * 60 * 1000).toISOString(), email: { to: 'c@example.com', subject: 'Later', textBody: 'Hi' } });
+
+    const list = await toolDefs.get('listScheduledEmails').handler({});
+    expect(list.structuredContent.total).toBe(2);
+    expect(list.structuredContent.emails[0]).toMatchObject({ tool: 'sendEmailWithTemplate', to: 'a@example.com, b@example.com', template: 'welcome' });
+
+    const { id } = first.structuredContent;
+    const cancelled = await toolDefs.get('cancelScheduledEmail').handler({ id });
+    expect(cancelled.structuredContent).toMatchObject({ id, status: 'cancelled' });
+    await expect(toolDefs.get('cancelScheduledEmail').handler({ id })).rejects.toThrow("its status is 'cancelled'");
+    await expect(toolDefs.get('cancelScheduledEmail').handler({ id: 'scheduled-00000000-0000-0000-0000-000000000000' })).rejects.toThrow('Scheduled email not found');
+    expect((await toolDefs.get('listScheduledEmails').handler({ status: 'pending' })).structuredContent.emails.map((e) => e.subject)).toEqual(['Later']);
+
+    await deliverDueEmails({ profiles, queuePath, now: Date.now() + 3 * 60 * 60 * 1000 });
+    expect(mockClient.sendEmailWithTemplate).not.toHaveBeenCalled();
+    expect(mockClient.sendEmail).toHaveBeenCalledTimes(1);
+  });
+
+  it('rejects past send times and policy violations when scheduling', async () => {
+    const email = { to: 'someone@gmail.com', subject: 'S', textBody: 'T' };
+    await expect(toolDefs.get('scheduleEmail').handler({ sendAt: '2020-01-01T09:00:00Z', email })).rejects.toThrow('is in the past');
+    await expect(toolDefs.get('scheduleEmail').handler({ sendAt: inAnHour() })).rejects.toThrow('Provide either email or templateEmail');
+    process.env.POSTMARK_ALLOWED_RECIPIENTS = 'example.com';
+    await expect(toolDefs.get('scheduleEmail').handler({ sendAt: inAnHour(), email })).rejects.toThrow("policy rule 'allowedRecipients'");
+    expect((await toolDefs.get('listScheduledEmails').handler({})).structuredContent.total).toBe(0);
+  });
+
+  it('does not send an email cancelled while earlier due emails are being sent', async () => {
+    const first = await toolDefs.get('scheduleEmail').handler({ sendAt: inAnHour(), email: { to: 'a@example.com', subject: 'First', textBody: 'T' } });
+    const second = await toolDefs.get('scheduleEmail').handler({ sendAt: new Date(Date.now() + 90 * 60 * 1000).toISOString(), email: { to: 'b@example.com', subject: 'Second', textBody: 'T' } });
+    const secondId = second.structuredContent.id;
+    // The cancellation lands after the worker listed the queue and before it claims the second email
+    mockClient.sendEmail.mockImplementationOnce(async () => {
+      await toolDefs.get('cancelScheduledEmail').handler({ id: secondId });
+      return { MessageID: 'mid-1' };
+    });
+
+    const processed = await deliverDueEmails({ profiles, queuePath, now: Date.now() + 2 * 60 * 60 * 1000 });
+    expect(processed.map((item) => [item.id, item.status])).toEqual([[first.structuredContent.id, 'sent']]);
+    expect(mockClient.sendEmail).toHaveBeenCalledTimes(1);
+    expect((await readScheduledEmail(queuePath, secondId)).item.status).toBe('cancelled');
+  });
+
+  it('records failures and never resends an email interrupted mid-delivery', async () => {
+    const item = (id, fields) => ({ id, tool: 'sendEmail', arguments: { to: 'a@example.com', subject: 'S', textBody: 'T' }, sendAt: '2025-01-01T09:00:00.000Z', createdAt: '2025-01-01T08:00:00.000Z', ...fields });
+    const failingId = 'scheduled-11111111-1111-1111-1111-111111111111';
+    const interruptedId = 'scheduled-22222222-2222-2222-2222-222222222222';
+    await saveScheduledEmail(queuePath, item(failingId, { status: 'pending' }));
+    await saveScheduledEmail(queuePath, item(interruptedId, { status: 'sending' }));
+    mockClient.sendEmail.mockRejectedValueOnce(new Error('Postmark API Error (HTTP 422, ErrorCode 406): Inactive recipient'));
+
+    const worker = startScheduleWorker({ profiles, queuePath, pollIntervalMs: 60000 });
+    await worker.close();
+
+    expect((await readScheduledEmail(queuePath, failingId)).item).toMatchObject({ status: 'failed', error: expect.stringContaining('ErrorCode 406') });
+    expect((await readScheduledEmail(queuePath, interruptedId)).item).toMatchObject({ status: 'failed', error: expect.stringContaining('interrupted') });
+    expect(mockClient.sendEmail).toHaveBeenCalledTimes(1);
+  });
+
+  it('sends each email once when two worker processes share the queue', async () => {
+    for (const subject of ['One', 'Two', 'Three', 'Four']) {
+      await toolDefs.get('scheduleEmail').handler({ sendAt: inAnHour(), email: { to: 'a@example.com', subject, textBody: 'T' } });
+    }
+    const now = String(Date.now() + 2 * 60 * 60 * 1000);
+    const worker = (messageId, startDelayMs) => execFileAsync(process.execPath, [workerScript, queuePath, now, messageId, startDelayMs], { timeout: 30000 });
+
+    // The second worker lists the queue while the first is in the middle of its sends
+    const outputs = await Promise.all([worker('mid-a', '0'), worker('mid-b', '150')]);
+    const processed = outputs.flatMap(({ stdout }) => JSON.parse(stdout.trim().split('\n').pop()));
+    expect(processed.map((item) => item.status)).toEqual(['sent', 'sent', 'sent', 'sent']);
+    expect(processed.map((item) => item.arguments.subject).sort()).toEqual(['Four', 'One', 'Three', 'Two']);
+    const { items } = await listScheduledEmails(queuePath);
+    expect(items.every((item) => item.status === 'sent' && ['mid-a', 'mid-b'].includes(item.messageId))).toBe(true);
+  });
+
+  it('leaves an email another worker is sending alone until its lease expires', async () => {
+    const id = 'scheduled-33333333-3333-3333-3333-333333333333';
+    const leaseUntil = new Date(Date.now() + 60 * 1000).toISOString();
+    await saveScheduledEmail(queuePath, { id, tool: 'sendEmail', arguments: { to: 'a@example.com', subject: 'S', textBody: 'T' }, sendAt: '2025-01-01T09:00:00.000Z', status: 'sending', claimId: 'other-worker', leaseUntil });
+
+    expect(await deliverDueEmails({ profiles, queuePath })).toEqual([]);
+    expect((await readScheduledEmail(queuePath, id)).item.status).toBe('sending');
+
+    const [expired] = await deliverDueEmails({ profiles, queuePath, now: Date.parse(leaseUntil) + 1 });
+    expect(expired).toMatchObject({ id, status: 'failed', error: expect.stringContaining('interrupted') });
+    expect(mockClient.sendEmail).not.toHaveBeenCalled();
+  });
+});
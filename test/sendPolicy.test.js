@@ -0,0 +1,95 @@
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import { registerToolDefs } from './toolHarness.js';
+import { getSendPolicyConfig } from '../src/config.js';
+import { createSendPolicy, matchesRecipientEntry } from '../src/sendPolicy.js';
+
+const policyEnv = ['POSTMARK_ALLOWED_RECIPIENTS', 'POSTMARK_BLOCKED_RECIPIENTS', 'POSTMARK_MAX_RECIPIENTS_PER_CALL', 'POSTMARK_SESSION_SEND_QUOTA', 'POSTMARK_HOURLY_SEND_QUOTA', 'POSTMARK_INTERNAL_ONLY', 'POSTMARK_INTERNAL_DOMAINS'];
+
+describe('send policy', () => {
+  let toolDefs;
+  let mockClient;
+
+  beforeEach(() => {
+    process.env.DEFAULT_SENDER_EMAIL = 'from@example.com';
+    process.env.DEFAULT_MESSAGE_STREAM = 'outbound';
+    mockClient = {
+      sendEmail: vi.fn().mockResolvedValue({ MessageID: 'mid-1' }),
+      sendEmailBatch: vi.fn(async (chunk) => chunk.map((m, i) => ({ To: m.To, ErrorCode: 0, MessageID: `mid-${i}` }))),
+    };
+    toolDefs = registerToolDefs(mockClient);
+  });
+
+  afterEach(() => {
+    for (const key of policyEnv) delete process.env[key];
+  });
+
+  it('matches full addresses exactly and domains including subdomains', () => {
+    expect(matchesRecipientEntry('a@mail.example.com', 'example.com')).toBe(true);
+    expect(matchesRecipientEntry('a@notexample.com', 'example.com')).toBe(false);
+    expect(matchesRecipientEntry('a@example.com', '@example.com')).toBe(true);
+    expect(matchesRecipientEntry('b@example.com', 'a@example.com')).toBe(false);
+  });
+
+  it('blocks recipients on the deny list, off the allow list or outside internal domains', async () => {
+    process.env.POSTMARK_BLOCKED_RECIPIENTS = 'competitor.com';
+    process.env.POSTMARK_ALLOWED_RECIPIENTS = 'example.com, partner@other.org';
+    const send = (to) => toolDefs.get('sendEmail').handler({ to, subject: 'S', textBody: 'T' });
+
+    await expect(send('x@competitor.com')).rejects.toThrow("Send blocked by policy rule 'blockedRecipients': x@competitor.com matches blocked entry 'competitor.com'");
+    await expect(send(['a@example.com', 'Stranger <s@other.org>'])).rejects.toThrow("policy rule 'allowedRecipients': s@other.org is not on the recipient allow list");
+    await expect(send('partner@other.org')).resolves.toBeTruthy();
+
+    process.env.POSTMARK_INTERNAL_ONLY = 'true';
+    process.env.POSTMARK_INTERNAL_DOMAINS = 'example.com';
+    await expect(send('partner@other.org')).rejects.toThrow("policy rule 'internalOnly'");
+    expect(mockClient.sendEmail).toHaveBeenCalledTimes(1);
+  });
+
+  it('caps recipients per call and enforces the session quota across batches', async () => {
+    process.env.POSTMARK_MAX_RECIPIENTS_PER_CALL = '2';
+    process.env.POSTMARK_SESSION_SEND_QUOTA = '3';
+    const batch = (count) => toolDefs.get('sendEmailBatch').handler({ messages: Array.from({ length: count }, (_, i) => ({ to: `u${i}@example.com`, subject: 'S', textBody: 'T' })) });
+
+    await expect(batch(3)).rejects.toThrow("policy rule 'maxRecipientsPerCall': 3 recipients in one call exceeds the limit of 2");
+    await batch(2);
+    await expect(batch(2)).rejects.toThrow("policy rule 'sessionQuota': sending 2 more would exceed the session quota of 3 (2 already sent)");
+    await batch(1);
+    expect(mockClient.sendEmailBatch).toHaveBeenCalledTimes(2);
+  });
+
+  it('counts only the messages Postmark accepted toward the quota', async () => {
+    process.env.POSTMARK_SESSION_SEND_QUOTA = '2';
+    const send = (to) => toolDefs.get('sendEmail').handler({ to, subject: 'S', textBody: 'T' });
+    mockClient.sendEmail.mockRejectedValueOnce(new Error('Postmark API Error (HTTP 500): Internal Server Error'));
+    await expect(send('a@example.com')).rejects.toThrow('Internal Server Error');
+
+    mockClient.sendEmailBatch.mockImplementationOnce(async (chunk) => chunk.map((m, i) => (i === 0 ? { To: m.To, ErrorCode: 0, MessageID: 'mid-0' } : { To: m.To, ErrorCode: 406, Message: 'Inactive recipient' })));
+    const batch = await toolDefs.get('sendEmailBatch').handler({ messages: [{ to: 'a@example.com', subject: 'S', textBody: 'T' }, { to: 'b@example.com', subject: 'S', textBody: 'T' }] });
+    expect(batch.structuredContent).toMatchObject({ sent: 1, failed: 1 });
+
+    await send('c@example.com');
+    await expect(send('d@example.com')).rejects.toThrow("policy rule 'sessionQuota': sending 1 more would exceed the session quota of 2 (2 already sent)");
+  });
+
+  it('checks the policy before the network-bound sender and stream checks', async () => {
+    process.env.POSTMARK_BLOCKED_RECIPIENTS = 'competitor.com';
+    mockClient.getMessageStreams = vi.fn().mockResolvedValue({ MessageStreams: [{ ID: 'outbound', MessageStreamType: 'Transactional' }] });
+    await expect(toolDefs.get('sendEmail').handler({ to: 'x@competitor.com', subject: 'S', textBody: 'T' })).rejects.toThrow("policy rule 'blockedRecipients'");
+    expect(mockClient.getMessageStreams).not.toHaveBeenCalled();
+  });
+
+  it('enforces a sliding hourly quota', () => {
+    const hourlyWindow = [];
+    const policy = createSendPolicy({ getPolicy: () => ({ ...getSendPolicyConfig(), hourlyQuota: 2 }), hourlyWindow });
+    const message = { To: 'a@example.com' };
+    policy.enforce([message], 0);
+    policy.enforce([message], 1000);
+    expect(() => policy.enforce([message], 2000)).toThrow("policy rule 'hourlyQuota'");
+    expect(() => policy.enforce([message], 60 * 60 * 1000 + 1)).not.toThrow();
+  });
+
+  it('requires internal domains when internal-only mode is on', () => {
+    process.env.POSTMARK_INTERNAL_ONLY = '1';
+    expect(() => getSendPolicyConfig()).toThrow('POSTMARK_INTERNAL_DOMAINS is required');
+  });
+});
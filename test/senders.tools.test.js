@@ -0,0 +1,105 @@
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import { jsonResponse, registerToolDefs } from './toolHarness.js';
+
+const domain = (ID, Name, fields = {}) => ({ ID, Name, DKIMVerified: true, WeakDKIM: false, ReturnPathDomainVerified: true, SPFVerified: false, ...fields });
+
+describe('sender signature and domain tools', () => {
+  let originalFetch;
+  let toolDefs;
+  let mockClient;
+  let signatures;
+  let domains;
+
+  beforeEach(() => {
+    originalFetch = global.fetch;
+    vi.stubEnv('POSTMARK_ACCOUNT_TOKEN', 'account-token');
+    process.env.DEFAULT_SENDER_EMAIL = 'from@example.com';
+    process.env.DEFAULT_MESSAGE_STREAM = 'outbound';
+    signatures = [
+      { ID: 1, Name: 'Support', EmailAddress: 'support@example.com', Domain: 'example.com', Confirmed: true },
+      { ID: 2, Name: 'Pending', EmailAddress: 'news@other.com', Domain: 'other.com', Confirmed: false },
+    ];
+    domains = [domain(10, 'example.com'), domain(11, 'unverified.com', { DKIMVerified: false, ReturnPathDomainVerified: false })];
+    const routes = {
+      'GET /senders': () => ({ TotalCount: signatures.length, SenderSignatures: signatures }),
+      'GET /domains': () => ({ TotalCount: domains.length, Domains: domains }),
+      'GET /domains/11': () => domain(11, 'unverified.com', { DKIMVerified: true, ReturnPathDomainVerified: false, DKIMHost: '2025.pm._domainkey.unverified.com', DKIMTextValue: 'k=rsa;p=abc', ReturnPathDomain: 'pm-bounces.unverified.com', ReturnPathDomainCNAMEValue: 'pm.mtasv.net' }),
+      'PUT /domains/11/verifyDKIM': () => ({}),
+      'PUT /domains/11/verifyReturnPath': () => ({}),
+      'POST /senders/2/resend': () => ({ ErrorCode: 0, Message: 'Confirmation email for Sender Signature news@other.com was re-sent.' }),
+    };
+    global.fetch = vi.fn(async (url, { method }) => jsonResponse(routes[`${method} ${new URL(url).pathname}`]()));
+    mockClient = {
+      getMessageStreams: vi.fn().mockResolvedValue({ MessageStreams: [{ ID: 'outbound', MessageStreamType: 'Transactional' }] }),
+      sendEmail: vi.fn().mockResolvedValue({ MessageID: 'mid-1' }),
+    };
+    toolDefs = registerToolDefs(mockClient);
+  });
+
+  afterEach(() => {
+    global.fetch = originalFetch;
+    vi.unstubAllEnvs();
+  });
+
+  it('lists sender signatures with the verification status of their domain', async () => {
+    const res = await toolDefs.get('listSenderSignatures').handler({});
+    expect(global.fetch).toHaveBeenCalledWith('https://api.postmarkapp.com/senders?count=500&offset=0', expect.objectContaining({ headers: expect.objectContaining({ 'X-Postmark-Account-Token': 'account-token' }) }));
+    expect(res.structuredContent.signatures).toEqual([
+      { id: 1, name: 'Support', emailAddress: 'support@example.com', domain: 'example.com', confirmed: true, dkimVerified: true, returnPathVerified: true, spfVerified: false },
+      { id: 2, name: 'Pending', emailAddress: 'news@other.com', domain: 'other.com', confirmed: false },
+    ]);
+    expect(res.content[0].text).toContain('- Domain: example.com (DKIM: Verified, Return-Path: Verified, SPF: Not verified)');
+
+    const list = await toolDefs.get('listDomains').handler({});
+    expect(list.structuredContent.domains[1]).toEqual({ id: 11, name: 'unverified.com', dkimVerified: false, weakDkim: false, returnPathVerified: false, spfVerified: false });
+  });
+
+  it('verifies a domain again and shows its DNS records', async () => {
+    const res = await toolDefs.get('verifyDomain').handler({ domainId: 11 });
+    expect(global.fetch.mock.calls.map(([url, { method }]) => `${method} ${new URL(url).pathname}`)).toEqual(['PUT /domains/11/verifyDKIM', 'PUT /domains/11/verifyReturnPath', 'GET /domains/11']);
+    expect(res.structuredContent).toMatchObject({ id: 11, dkimVerified: true, returnPathVerified: false, dkimHost: '2025.pm._domainkey.unverified.com' });
+    expect(res.content[0].text).toContain('- Return-Path: CNAME pm-bounces.unverified.com → pm.mtasv.net');
+    expect(toolDefs.get('verifyDomain').schema.records.safeParse(['dmarc']).success).toBe(false);
+
+    const resent = await toolDefs.get('resendSenderConfirmation').handler({ signatureId: 2 });
+    expect(resent.structuredContent).toEqual({ signatureId: 2, message: 'Confirmation email for Sender Signature news@other.com was re-sent.' });
+  });
+
+  it('rejects unverified from addresses before sending', async () => {
+    const send = (from) => toolDefs.get('sendEmail').handler({ from, to: 'a@example.com', subject: 'S', textBody: 'T' });
+    await expect(send('news@other.com')).rejects.toThrow('Sender news@other.com has a sender signature that is not confirmed yet');
+    await expect(send('hello@unverified.com')).rejects.toThrow("Sender hello@unverified.com is on domain 'unverified.com', whose DKIM record is not verified yet");
+    await expect(send('me@nowhere.org')).rejects.toThrow('Sender me@nowhere.org is not a confirmed sender signature and its domain is not verified');
+    expect(mockClient.sendEmail).not.toHaveBeenCalled();
+
+    // A verified domain covers every address on it; the sender list is cached between sends
+    await send('Team <team@mail.example.com>');
+    await send('support@example.com');
+    expect(mockClient.sendEmail).toHaveBeenCalledTimes(2);
+    expect(global.fetch.mock.calls.filter(([url]) => url.includes('/senders')).length).toBe(3);
+  });
+
+  it('reloads the cached senders before rejecting an address', async () => {
+    const send = () => toolDefs.get('sendEmail').handler({ from: 'news@other.com', to: 'a@example.com', subject: 'S', textBody: 'T' });
+    await expect(send()).rejects.toThrow('not confirmed yet');
+    signatures[1] = { ...signatures[1], Confirmed: true };
+    await send();
+    expect(mockClient.sendEmail).toHaveBeenCalledTimes(1);
+  });
+
+  it('warns that the sender was not verified without an account token', async () => {
+    vi.stubEnv('POSTMARK_ACCOUNT_TOKEN', '');
+    const res = await toolDefs.get('sendEmail').handler({ from: 'me@nowhere.org', to: 'a@example.com', subject: 'S', textBody: 'T' });
+    expect(res.structuredContent.messageId).toBe('mid-1');
+    expect(res.structuredContent.warnings).toEqual(['Warning: The sender was not verified because POSTMARK_ACCOUNT_TOKEN is not set. Postmark rejects the message if the From address is not a confirmed sender signature or on a verified domain.']);
+    expect(res.content[0].text).toContain('The sender was not verified');
+    expect(global.fetch).not.toHaveBeenCalled();
+  });
+
+  it('warns that the sender was not verified when the senders cannot be loaded', async () => {
+    global.fetch = vi.fn(async () => jsonResponse({ ErrorCode: 10, Message: 'Bad or missing API token' }, { status: 401 }));
+    const res = await toolDefs.get('sendEmail').handler({ from: 'me@nowhere.org', to: 'a@example.com', subject: 'S', textBody: 'T' });
+    expect(mockClient.sendEmail).toHaveBeenCalledTimes(1);
+    expect(res.structuredContent.warnings).toEqual([expect.stringMatching(/^Warning: The sender was not verified because the sender signatures could not be loaded \(.*Bad or missing API token.*\)/)]);
+  });
+});
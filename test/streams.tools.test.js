@@ -0,0 +1,86 @@
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+import { registerToolDefs } from './toolHarness.js';
+
+const stream = (ID, MessageStreamType, fields = {}) => ({ ID, Name: ID, MessageStreamType, CreatedAt: '2025-01-01T00:00:00Z', SubscriptionManagementConfiguration: { UnsubscribeHandlingType: 'None' }, ...fields });
+
+describe('message stream tools', () => {
+  let toolDefs;
+  let mockClient;
+
+  beforeEach(() => {
+    process.env.DEFAULT_SENDER_EMAIL = 'from@example.com';
+    process.env.DEFAULT_MESSAGE_STREAM = 'outbound';
+    mockClient = {
+      getMessageStreams: vi.fn().mockResolvedValue({
+        TotalCount: 4,
+        MessageStreams: [
+          stream('outbound', 'Transactional'),
+          stream('broadcast', 'Broadcasts', { Description: 'Newsletters', SubscriptionManagementConfiguration: { UnsubscribeHandlingType: 'Postmark' } }),
+          stream('inbound', 'Inbound'),
+          stream('old', 'Transactional', { ArchivedAt: '2025-04-01T00:00:00Z', ExpectedPurgeDate: '2025-05-16T00:00:00Z' }),
+        ],
+      }),
+      getMessageStream: vi.fn().mockResolvedValue(stream('broadcast', 'Broadcasts')),
+      createMessageStream: vi.fn().mockResolvedValue(stream('newsletter', 'Broadcasts', { SubscriptionManagementConfiguration: { UnsubscribeHandlingType: 'Postmark' } })),
+      editMessageStream: vi.fn().mockResolvedValue(stream('broadcast', 'Broadcasts', { Name: 'Marketing' })),
+      archiveMessageStream: vi.fn().mockResolvedValue({ ID: 'broadcast', ServerID: 1, ExpectedPurgeDate: '2025-06-15T00:00:00Z' }),
+      unarchiveMessageStream: vi.fn().mockResolvedValue(stream('old', 'Transactional')),
+      sendEmail: vi.fn().mockResolvedValue({ MessageID: 'mid-1' }),
+      sendEmailBatch: vi.fn(async (messages) => messages.map((m, i) => ({ ErrorCode: 0, MessageID: `m-${i}`, To: m.To }))),
+    };
+    toolDefs = registerToolDefs(mockClient);
+  });
+
+  it('lists, gets, creates, edits, archives and unarchives streams', async () => {
+    const list = await toolDefs.get('listMessageStreams').handler({ messageStreamType: 'Broadcasts' });
+    expect(mockClient.getMessageStreams).toHaveBeenCalledWith({ includeArchivedStreams: false, messageStreamType: 'Broadcasts' });
+    expect(list.structuredContent.streams[1]).toMatchObject({ id: 'broadcast', messageStreamType: 'Broadcasts', description: 'Newsletters', unsubscribeHandling: 'Postmark' });
+    expect(list.content[0].text).toContain('• **old** (old)\n  - Type: Transactional');
+
+    expect((await toolDefs.get('getMessageStream').handler({ streamId: 'broadcast' })).structuredContent).toMatchObject({ id: 'broadcast', messageStreamType: 'Broadcasts' });
+
+    await toolDefs.get('createMessageStream').handler({ id: 'newsletter', name: 'Newsletter', messageStreamType: 'Broadcasts', unsubscribeHandling: 'Postmark' });
+    expect(mockClient.createMessageStream).toHaveBeenCalledWith({ ID: 'newsletter', Name: 'Newsletter', MessageStreamType: 'Broadcasts', SubscriptionManagementConfiguration: { UnsubscribeHandlingType: 'Postmark' } });
+    expect(toolDefs.get('createMessageStream').schema.id.safeParse('News Letter').success).toBe(false);
+
+    await toolDefs.get('editMessageStream').handler({ streamId: 'broadcast', name: 'Marketing' });
+    expect(mockClient.editMessageStream).toHaveBeenCalledWith('broadcast', { Name: 'Marketing' });
+    await expect(toolDefs.get('editMessageStream').handler({ streamId: 'broadcast' })).rejects.toThrow('Provide at least one of');
+
+    const archived = await toolDefs.get('archiveMessageStream').handler({ streamId: 'broadcast' });
+    expect(archived.structuredContent).toEqual({ id: 'broadcast', expectedPurgeDate: '2025-06-15T00:00:00Z' });
+    expect(archived.content[0].text).toContain('purged on 2025-06-15T00:00:00Z');
+    await toolDefs.get('unarchiveMessageStream').handler({ streamId: 'old' });
+    expect(mockClient.unarchiveMessageStream).toHaveBeenCalledWith('old');
+  });
+
+  it('refuses sends to missing, archived and inbound streams', async () => {
+    const send = (messageStream) => toolDefs.get('sendEmail').handler({ to: 'a@example.com', subject: 'S', textBody: 'T', messageStream });
+    await expect(send('nope')).rejects.toThrow("Message stream 'nope' does not exist on this server. Available streams: outbound (Transactional), broadcast (Broadcasts).");
+    await expect(send('old')).rejects.toThrow("Message stream 'old' is archived");
+    await expect(send('inbound')).rejects.toThrow("'inbound' is an inbound stream and cannot send email");
+    expect(mockClient.sendEmail).not.toHaveBeenCalled();
+
+    const res = await send('outbound');
+    // No POSTMARK_ACCOUNT_TOKEN here, so only the sender check warns
+    expect(res.structuredContent.warnings).toEqual([expect.stringContaining('The sender was not verified')]);
+    // The stream list is cached between sends
+    expect(mockClient.getMessageStreams).toHaveBeenCalledTimes(1);
+  });
+
+  it('warns when a bulk batch targets a transactional stream', async () => {
+    const messages = (stream) => Array.from({ length: 10 }, (_, i) => ({ to: `user${i}@example.com`, subject: 'Sale', textBody: 'T', messageStream: stream }));
+    const res = await toolDefs.get('sendEmailBatch').handler({ messages: messages('outbound') });
+    expect(res.structuredContent.warnings).toEqual([expect.stringContaining('The sender was not verified'), expect.stringContaining("10 messages went to transactional stream 'outbound'. Bulk and marketing mail belongs on a Broadcasts stream such as 'broadcast'")]);
+    expect(res.content[0].text).toContain('Warning: 10 messages went to transactional stream');
+
+    const broadcast = await toolDefs.get('sendEmailBatch').handler({ messages: messages('broadcast') });
+    expect(broadcast.structuredContent.warnings).toEqual([expect.stringContaining('The sender was not verified')]);
+  });
+
+  it('sends without the check when the stream list cannot be loaded', async () => {
+    mockClient.getMessageStreams.mockRejectedValue(new Error('Postmark API Error (HTTP 503): Service unavailable'));
+    const res = await toolDefs.get('sendEmail').handler({ to: 'a@example.com', subject: 'S', textBody: 'T' });
+    expect(res.structuredContent.messageId).toBe('mid-1');
+  });
+});
@@ -0,0 +1,66 @@
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+import { registerToolDefs } from './toolHarness.js';
+import { findSuppressedRecipients } from '../src/tools/suppressionTools.js';
+
+describe('suppression tools', () => {
+  let toolDefs;
+
+  beforeEach(() => {
+    process.env.POSTMARK_SERVER_TOKEN = 'token';
+    process.env.DEFAULT_SENDER_EMAIL = 'from@example.com';
+    process.env.DEFAULT_MESSAGE_STREAM = 'outbound';
+  });
+
+  it('listSuppressions defaults to the configured message stream', async () => {
+    const mockClient = { getSuppressions: vi.fn().mockResolvedValue({ Suppressions: [{ EmailAddress: 'x@example.com', SuppressionReason: 'HardBounce', Origin: 'Recipient', CreatedAt: '2025-05-01' }] }) };
+    toolDefs = registerToolDefs(mockClient);
+    const res = await toolDefs.get('listSuppressions').handler({ suppressionReason: 'HardBounce' });
+    expect(mockClient.getSuppressions).toHaveBeenCalledWith('outbound', { suppressionReason: 'HardBounce' });
+    expect(res.content[0].text).toContain('x@example.com');
+  });
+
+  it('addSuppressions chunks requests and reports per-address status', async () => {
+    const emailAddresses = Array.from({ length: 51 }, (_, i) => `u${i}@example.com`);
+    const mockClient = {
+      createSuppressions: vi.fn()
+        .mockImplementationOnce(async (stream, body) => ({ Suppressions: body.Suppressions.map((s) => ({ ...s, Status: 'Suppressed', Message: null })) }))
+        .mockRejectedValueOnce(new Error('boom')),
+    };
+    toolDefs = registerToolDefs(mockClient);
+    const res = await toolDefs.get('addSuppressions').handler({ emailAddresses, messageStream: 'broadcast' });
+    expect(mockClient.createSuppressions).toHaveBeenCalledTimes(2);
+    expect(mockClient.createSuppressions.mock.calls[0][0]).toBe('broadcast');
+    expect(res.content[0].text).toContain('Processed: 51');
+    expect(res.content[0].text).toContain('Failed: 1');
+    expect(res.content[0].text).toContain('• u50@example.com: Failed (boom)');
+  });
+
+  it('sendEmail warns about suppressed recipients when asked to check', async () => {
+    const mockClient = {
+      getSuppressions: vi.fn(async (stream, { emailAddress }) => ({ Suppressions: emailAddress === 'x@example.com' ? [{ EmailAddress: 'x@example.com', SuppressionReason: 'SpamComplaint' }] : [] })),
+      sendEmail: vi.fn().mockResolvedValue({ MessageID: 'mid-1' }),
+    };
+    toolDefs = registerToolDefs(mockClient);
+    const res = await toolDefs.get('sendEmail').handler({ to: ['X <x@example.com>', 'y@example.com'], subject: 'S', textBody: 'T', checkSuppressions: true });
+    expect(mockClient.getSuppressions).toHaveBeenCalledTimes(2);
+    expect(res.content[0].text).toContain("Warning: x@example.com is suppressed on message stream 'outbound' (SpamComplaint)");
+  });
+
+  it('looks up recipients a few at a time and keeps their order', async () => {
+    let active = 0;
+    let maxActive = 0;
+    const mockClient = {
+      getSuppressions: vi.fn(async (stream, { emailAddress }) => {
+        maxActive = Math.max(maxActive, ++active);
+        await new Promise((resolve) => setTimeout(resolve, 5));
+        active--;
+        return { Suppressions: /^u(3|17)@/.test(emailAddress) ? [{ EmailAddress: emailAddress, SuppressionReason: 'HardBounce' }] : [] };
+      }),
+    };
+    const recipients = Array.from({ length: 20 }, (_, i) => `u${i}@example.com`);
+    const suppressed = await findSuppressedRecipients(mockClient, 'outbound', [...recipients, 'u3@example.com']);
+    expect(suppressed.map((s) => s.EmailAddress)).toEqual(['u3@example.com', 'u17@example.com']);
+    expect(mockClient.getSuppressions).toHaveBeenCalledTimes(20);
+    expect(maxActive).toBe(5);
+  });
+});
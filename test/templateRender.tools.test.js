@@ -0,0 +1,71 @@
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import { join } from 'path';
+import { tmpdir } from 'os';
+import { mkdtemp, mkdir, rm, writeFile } from 'fs/promises';
+import { registerToolDefs } from './toolHarness.js';
+import { compareModelToShape, extractModelShape } from '../src/helpers/mustachio.js';
+
+describe('renderTemplate', () => {
+  let dir;
+  let toolDefs;
+  let mockClient;
+
+  beforeEach(async () => {
+    dir = await mkdtemp(join(tmpdir(), 'postmark-render-'));
+    const templateDir = join(dir, 'basic', 'receipt');
+    await mkdir(templateDir, { recursive: true });
+    await writeFile(join(templateDir, 'content.html'), '<p>Hi {{name}}</p>{{#each items}}<li>{{description}}: {{amount}}</li>{{/each}}');
+    await writeFile(join(templateDir, 'content.txt'), 'Hi {{name}}, total {{total}}');
+    await writeFile(join(templateDir, 'meta.json'), JSON.stringify({ subject: 'Receipt for {{name}}' }));
+    process.env.POSTMARK_TEMPLATES_PATH = dir;
+    mockClient = {
+      getTemplate: vi.fn().mockResolvedValue({ TemplateId: 7, Name: 'Welcome', Alias: 'welcome', Subject: 'Hi {{name}}', HtmlBody: '<p>{{name}} {{company.name}}</p>', TextBody: null, TemplateType: 'Standard', LayoutTemplate: null }),
+      validateTemplate: vi.fn().mockResolvedValue({
+        AllContentIsValid: false,
+        Subject: { ContentIsValid: true, RenderedContent: 'Hi Jane' },
+        HtmlBody: { ContentIsValid: false, RenderedContent: '<p>Jane </p>', ValidationErrors: [{ Message: 'Unexpected token', Line: 1, CharacterPosition: 4 }] },
+        TextBody: { ContentIsValid: true, RenderedContent: '' },
+        SuggestedTemplateModel: { name: 'name_Value', company: { name: 'name_Value' } },
+      }),
+    };
+    toolDefs = registerToolDefs(mockClient);
+  });
+
+  afterEach(async () => {
+    delete process.env.POSTMARK_TEMPLATES_PATH;
+    await rm(dir, { recursive: true, force: true });
+  });
+
+  it('derives model shapes including sections, lists and parent lookups', () => {
+    const shape = extractModelShape(['{{#user}}{{name}}{{/user}}{{#each items}}{{title}}{{../currency}}{{/each}}{{^empty}}x{{/empty}}']);
+    expect(shape).toEqual({ user: { name: true }, items: [{ title: true }], currency: true, empty: true });
+    expect(compareModelToShape(shape, { user: { name: 'a', age: 3 }, items: [{ title: 't' }, {}], extra: 1 })).toEqual({ missing: ['items[].title', 'currency', 'empty'], unused: ['user.age', 'extra'] });
+  });
+
+  it('renders local templates and reports missing and unused variables', async () => {
+    const res = await toolDefs.get('renderTemplate').handler({ categoryName: 'basic', templateName: 'receipt', templateModel: { name: 'Jane', items: [{ description: 'Tea', amount: '$3' }], coupon: 'X' } });
+    const text = res.content[0].text;
+    expect(text).toContain('Rendered Template: basic/receipt (local template)');
+    expect(text).toContain('Subject: Receipt for Jane');
+    expect(text).toContain('<li>Tea: $3</li>');
+    expect(text).toContain('Hi Jane, total ');
+    expect(text).toContain('Missing variables: total');
+    expect(text).toContain('Unused model keys: coupon');
+  });
+
+  it('renders server templates through Postmark validation', async () => {
+    const res = await toolDefs.get('renderTemplate').handler({ templateAlias: 'welcome', templateModel: { name: 'Jane', plan: 'pro' } });
+    expect(mockClient.getTemplate).toHaveBeenCalledWith('welcome');
+    expect(mockClient.validateTemplate).toHaveBeenCalledWith(expect.objectContaining({ Subject: 'Hi {{name}}', TestRenderModel: { name: 'Jane', plan: 'pro' }, TextBody: undefined }));
+    const text = res.content[0].text;
+    expect(text).toContain('Subject: Hi Jane');
+    expect(text).toContain('Missing variables: company');
+    expect(text).toContain('Unused model keys: plan');
+    expect(text).toContain('• HTML (line 1, char 4): Unexpected token');
+    expect(text).not.toContain('Text Body');
+  });
+
+  it('requires exactly one template source', async () => {
+    await expect(toolDefs.get('renderTemplate').handler({ templateId: 1, categoryName: 'basic', templateName: 'receipt' })).rejects.toThrow('Provide exactly one of');
+  });
+});
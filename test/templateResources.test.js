@@ -0,0 +1,81 @@
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import { join } from 'path';
+import { tmpdir } from 'os';
+import { mkdtemp, mkdir, rm, writeFile } from 'fs/promises';
+import { Client } from '@modelcontextprotocol/sdk/client/index.js';
+import { InMemoryTransport } from '@modelcontextprotocol/sdk/inMemory.js';
+import { ResourceListChangedNotificationSchema } from '@modelcontextprotocol/sdk/types.js';
+import { createMcpServer } from '../index.js';
+import { registerTemplateResources, watchTemplatesDirectory } from '../src/templateResources.js';
+
+describe('template resources', () => {
+  let dir;
+  let server;
+  let client;
+  let watcher;
+  let mockClient;
+
+  beforeEach(async () => {
+    dir = await mkdtemp(join(tmpdir(), 'postmark-resources-'));
+    await mkdir(join(dir, 'basic', 'welcome'), { recursive: true });
+    await writeFile(join(dir, 'basic', 'welcome', 'content.html'), '<h1>Welcome {{name}}</h1>');
+    await writeFile(join(dir, 'basic', 'welcome', 'content.txt'), 'Welcome {{name}}');
+    process.env.POSTMARK_TEMPLATES_PATH = dir;
+    mockClient = {
+      getTemplates: vi.fn().mockResolvedValue({ TotalCount: 2, Templates: [
+        { TemplateId: 7, Name: 'Welcome', Alias: 'welcome', TemplateType: 'Standard' },
+        { TemplateId: 8, Name: 'Base', Alias: null, TemplateType: 'Layout' },
+      ] }),
+      getTemplate: vi.fn(async (idOrAlias) => ({ TemplateId: 7, Name: 'Welcome', Alias: 'welcome', TemplateType: 'Standard', Subject: 'Hi {{name}}', HtmlBody: '<p>Hi</p>', TextBody: null, LayoutTemplate: null, Active: true, AssociatedServerId: 1, requested: idOrAlias })),
+    };
+    watcher = watchTemplatesDirectory(dir, { debounceMs: 20 });
+    server = createMcpServer();
+    registerTemplateResources(server, mockClient, { watcher });
+    const [clientTransport, serverTransport] = InMemoryTransport.createLinkedPair();
+    client = new Client({ name: 'test', version: '1.0.0' });
+    await Promise.all([server.connect(serverTransport), client.connect(clientTransport)]);
+  });
+
+  afterEach(async () => {
+    await client.close();
+    await watcher.close();
+    delete process.env.POSTMARK_TEMPLATES_PATH;
+    await rm(dir, { recursive: true, force: true });
+  });
+
+  it('lists resource templates and local and server template resources', async () => {
+    const { resourceTemplates } = await client.listResourceTemplates();
+    expect(resourceTemplates.map((t) => t.uriTemplate)).toEqual(['postmark-local://{category}/{template}/{format}', 'postmark-template://{by}/{key}']);
+    const { resources } = await client.listResources();
+    expect(resources.map((r) => [r.uri, r.name, r.mimeType])).toEqual([
+      ['postmark-local://basic/welcome/html', 'basic/welcome (html)', 'text/html'],
+      ['postmark-local://basic/welcome/text', 'basic/welcome (text)', 'text/plain'],
+      ['postmark-template://alias/welcome', 'Welcome', 'application/json'],
+      ['postmark-template://id/8', 'Base (layout)', 'application/json'],
+    ]);
+  });
+
+  it('reads local template files and server templates', async () => {
+    const html = await client.readResource({ uri: 'postmark-local://basic/welcome/html' });
+    expect(html.contents).toEqual([{ uri: 'postmark-local://basic/welcome/html', mimeType: 'text/html', text: '<h1>Welcome {{name}}</h1>' }]);
+
+    const byAlias = await client.readResource({ uri: 'postmark-template://alias/welcome' });
+    expect(mockClient.getTemplate).toHaveBeenCalledWith('welcome');
+    expect(JSON.parse(byAlias.contents[0].text)).toEqual({ TemplateId: 7, Name: 'Welcome', Alias: 'welcome', TemplateType: 'Standard', Subject: 'Hi {{name}}', LayoutTemplate: null, HtmlBody: '<p>Hi</p>', TextBody: null, Active: true });
+    await client.readResource({ uri: 'postmark-template://id/8' });
+    expect(mockClient.getTemplate).toHaveBeenLastCalledWith(8);
+
+    await expect(client.readResource({ uri: 'postmark-local://basic/welcome/pdf' })).rejects.toThrow("Unknown format 'pdf'");
+    await expect(client.readResource({ uri: 'postmark-local://basic/..%2F..%2Fsecret/html' })).rejects.toThrow('Invalid template: ../../secret');
+    await expect(client.readResource({ uri: 'postmark-template://name/welcome' })).rejects.toThrow('Unknown server template URI');
+  });
+
+  it('notifies clients when the templates directory changes', async () => {
+    const changed = new Promise((resolve) => client.setNotificationHandler(ResourceListChangedNotificationSchema, resolve));
+    await mkdir(join(dir, 'basic', 'receipt'));
+    await writeFile(join(dir, 'basic', 'receipt', 'content.txt'), 'Receipt');
+    await expect(changed).resolves.toMatchObject({ method: 'notifications/resources/list_changed' });
+    const { resources } = await client.listResources();
+    expect(resources.map((r) => r.uri)).toContain('postmark-local://basic/receipt/text');
+  });
+});
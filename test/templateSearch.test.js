@@ -0,0 +1,82 @@
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import { join } from 'path';
+import { tmpdir } from 'os';
+import { mkdtemp, mkdir, rm, writeFile } from 'fs/promises';
+import { getTemplateIdeas } from '../index.js';
+import { registerToolDefs } from './toolHarness.js';
+
+async function writeTemplate(base, category, name, { html, text, meta }) {
+  const dir = join(base, category, name);
+  await mkdir(dir, { recursive: true });
+  if (html) await writeFile(join(dir, 'content.html'), html);
+  if (text) await writeFile(join(dir, 'content.txt'), text);
+  if (meta) await writeFile(join(dir, 'meta.json'), JSON.stringify(meta));
+}
+
+describe('template search', () => {
+  let dir;
+
+  beforeEach(async () => {
+    dir = await mkdtemp(join(tmpdir(), 'postmark-search-'));
+    await writeTemplate(dir, 'account', 'reset', {
+      html: '<html><head><title>Reset your password</title><style>.password{}</style></head><body><p>Someone asked to reset the password for your account.</p></body></html>',
+      text: 'Someone asked to reset the password for your account. Use the link below.',
+    });
+    await writeTemplate(dir, 'account', 'welcome', {
+      html: '<p>Welcome aboard! Your password is never emailed.</p>',
+      meta: { subject: 'Welcome {{name}}', description: 'Greets new users', tags: ['onboarding'], useCases: ['signup'] },
+    });
+    await writeTemplate(dir, 'billing', 'receipt', { text: 'Thanks for your order.', meta: { tags: 'invoice, payment' } });
+  });
+
+  afterEach(async () => {
+    await rm(dir, { recursive: true, force: true });
+  });
+
+  it('ranks content and subject matches with snippets', async () => {
+    const res = await getTemplateIdeas(dir, 'password');
+    expect(res.ok).toBe(true);
+    expect(res.ideas.map((i) => i.template)).toEqual(['reset', 'welcome']);
+    expect(res.ideas[0]).toMatchObject({ source: 'local', category: 'account', subject: 'Reset your password', matchedFields: ['subject', 'text', 'html'] });
+    expect(res.ideas[0].snippet).toBe('Someone asked to reset the password for your account. Use the link below.');
+    expect(res.ideas[0].score).toBeGreaterThan(res.ideas[1].score);
+  });
+
+  it('searches meta.json tags, use cases and prefixes, preferring results that match every term', async () => {
+    expect((await getTemplateIdeas(dir, 'onboarding')).ideas).toMatchObject([{ template: 'welcome', matchedFields: ['tags'] }]);
+    expect((await getTemplateIdeas(dir, 'pay')).ideas.map((i) => i.template)).toEqual(['receipt']);
+    expect((await getTemplateIdeas(dir, 'signup password')).ideas.map((i) => i.template)).toEqual(['welcome', 'reset']);
+    expect((await getTemplateIdeas(dir, 'shipping')).ideas).toEqual([]);
+  });
+
+  it('picks up changed templates without a restart', async () => {
+    expect((await getTemplateIdeas(dir, 'refund')).ideas).toEqual([]);
+    await writeTemplate(dir, 'billing', 'receipt', { text: 'Your refund is on its way, thanks for your patience.' });
+    expect((await getTemplateIdeas(dir, 'refund')).ideas.map((i) => i.template)).toEqual(['receipt']);
+  });
+
+  it('getTemplateIdeas tool can include server templates and limits results', async () => {
+    process.env.POSTMARK_TEMPLATES_PATH = dir;
+    const mockClient = {
+      getTemplates: vi.fn().mockResolvedValue({ TotalCount: 2, Templates: [
+        { TemplateId: 5, Name: 'Password changed', Alias: 'password-changed', TemplateType: 'Standard' },
+        { TemplateId: 6, Name: 'Newsletter', Alias: null, TemplateType: 'Standard' },
+      ] }),
+    };
+    const toolDefs = registerToolDefs(mockClient);
+    try {
+      const local = (await toolDefs.get('getTemplateIdeas').handler({ topic: 'password' })).content[0].text;
+      expect(mockClient.getTemplates).not.toHaveBeenCalled();
+      expect(local).toContain("Found 2 template ideas for topic 'password':");
+      expect(local).toContain('• **reset** (in category: account)');
+      expect(local).toContain('  - Subject: Reset your password\n  - Matched: subject, text, html\n  - "Someone asked to reset the password');
+
+      const both = (await toolDefs.get('getTemplateIdeas').handler({ topic: 'password', includeServerTemplates: true, limit: 2 })).content[0].text;
+      expect(both).toContain("Found 3 template ideas for topic 'password' (showing top 2):");
+      expect(both).toContain('• **Password changed** (server template 5, alias: password-changed)');
+      expect(both).not.toContain('**welcome**');
+    } finally {
+      delete process.env.POSTMARK_TEMPLATES_PATH;
+    }
+  });
+});
@@ -0,0 +1,165 @@
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import { join } from 'path';
+import { tmpdir } from 'os';
+import { mkdtemp, mkdir, readFile, rm, writeFile } from 'fs/promises';
+import { registerToolDefs } from './toolHarness.js';
+import { diffLines } from '../src/helpers/textDiff.js';
+
+async function writeTemplate(base, category, name, html, text) {
+  await mkdir(join(base, category, name), { recursive: true });
+  await writeFile(join(base, category, name, 'content.html'), html);
+  await writeFile(join(base, category, name, 'content.txt'), text);
+}
+
+describe('syncLocalTemplates', () => {
+  let dir;
+  let toolDefs;
+  let mockClient;
+
+  beforeEach(async () => {
+    dir = await mkdtemp(join(tmpdir(), 'postmark-sync-'));
+    await writeTemplate(dir, 'basic', 'welcome', '<title>Welcome</title><p>Hi {{name}}</p>', 'Hi {{name}}');
+    await writeTemplate(dir, 'basic', 'receipt', '<title>Receipt</title><p>Total</p>', 'Total');
+    await writeTemplate(dir, 'plain', 'invite', '<title>Invite</title>', 'Join us');
+    process.env.POSTMARK_TEMPLATES_PATH = dir;
+    const server = {
+      'basic.welcome': { TemplateId: 1, Alias: 'basic.welcome', Name: 'basic/welcome', Subject: 'Welcome', HtmlBody: '<title>Welcome</title><p>Hello {{name}}</p>', TextBody: 'Hi {{name}}' },
+      'basic.receipt': { TemplateId: 2, Alias: 'basic.receipt', Name: 'basic/receipt', Subject: 'Receipt', HtmlBody: '<title>Receipt</title><p>Total</p>', TextBody: 'Total' },
+      'basic.old': { TemplateId: 3, Alias: 'basic.old', Name: 'Old' },
+      'marketing.promo': { TemplateId: 4, Alias: 'marketing.promo', Name: 'Promo' },
+    };
+    mockClient = {
+      getTemplates: vi.fn().mockResolvedValue({ TotalCount: 5, Templates: [...Object.values(server), { TemplateId: 5, Alias: null, Name: 'No alias' }] }),
+      getTemplate: vi.fn(async (alias) => server[alias]),
+      createTemplate: vi.fn().mockResolvedValue({ TemplateId: 10 }),
+      editTemplate: vi.fn().mockResolvedValue({}),
+      deleteTemplate: vi.fn().mockRejectedValue(new Error('Template is in use')),
+    };
+    toolDefs = registerToolDefs(mockClient);
+  });
+
+  afterEach(async () => {
+    delete process.env.POSTMARK_TEMPLATES_PATH;
+    await rm(dir, { recursive: true, force: true });
+  });
+
+  it('diffs changed lines with context', () => {
+    expect(diffLines('a\nb\nc', 'a\nb\nc')).toBe('');
+    expect(diffLines('1\n2\n3\n4\n5\n6', '1\n2\n3\n4\nfive\n6', { context: 1 })).toBe('...\n 4\n-5\n+five\n 6');
+  });
+
+  it('plans create, update, unchanged and delete actions without changing anything by default', async () => {
+    const res = await toolDefs.get('syncLocalTemplates').handler({ deleteOrphans: true });
+    const text = res.content[0].text;
+    expect(text).toContain('Create: 1 | Update: 1 | Unchanged: 1 | Delete: 1');
+    expect(text).toContain('• **plain.invite** — Create (from plain/invite)');
+    expect(text).toContain('• **basic.welcome** — Update (from basic/welcome)\n  - Changed: html');
+    expect(text).toContain('-<title>Welcome</title><p>Hello {{name}}</p>\n+<title>Welcome</title><p>Hi {{name}}</p>');
+    expect(text).toContain('• **basic.old** — Delete');
+    expect(text).not.toContain('marketing.promo');
+    expect(mockClient.createTemplate).not.toHaveBeenCalled();
+    expect(mockClient.editTemplate).not.toHaveBeenCalled();
+  });
+
+  it('applies the plan and reports per-template failures', async () => {
+    const res = await toolDefs.get('syncLocalTemplates').handler({ deleteOrphans: true, dryRun: false });
+    expect(mockClient.createTemplate).toHaveBeenCalledWith({ Name: 'plain/invite', Alias: 'plain.invite', Subject: 'Invite', HtmlBody: '<title>Invite</title>', TextBody: 'Join us' });
+    expect(mockClient.editTemplate).toHaveBeenCalledWith('basic.welcome', expect.objectContaining({ HtmlBody: '<title>Welcome</title><p>Hi {{name}}</p>' }));
+    const text = res.content[0].text;
+    expect(text).toContain('Failed: 1');
+    expect(text).toContain('• **plain.invite** — Created (ID: 10)');
+    expect(text).toContain('• **basic.old** — Failed: Template is in use');
+  });
+
+  it('finds orphans whose alias came from meta.json through the aliases earlier syncs pushed', async () => {
+    await writeTemplate(dir, 'basic', 'reset', '<title>Reset</title>', 'Reset');
+    await writeFile(join(dir, 'basic', 'reset', 'meta.json'), JSON.stringify({ alias: 'password-reset' }));
+    mockClient.deleteTemplate.mockResolvedValue({});
+    await toolDefs.get('syncLocalTemplates').handler({ dryRun: false });
+    expect(mockClient.createTemplate).toHaveBeenCalledWith(expect.objectContaining({ Alias: 'password-reset' }));
+
+    // The folder is removed locally while the template stays on the server
+    await rm(join(dir, 'basic', 'reset'), { recursive: true });
+    const templates = (await mockClient.getTemplates()).Templates;
+    mockClient.getTemplates.mockResolvedValue({ TotalCount: templates.length + 1, Templates: [...templates, { TemplateId: 10, Alias: 'password-reset', Name: 'basic/reset' }] });
+    const plan = await toolDefs.get('syncLocalTemplates').handler({ deleteOrphans: true });
+    expect(plan.content[0].text).toContain('• **password-reset** — Delete');
+    expect((await toolDefs.get('syncLocalTemplates').handler({ categories: ['plain'], deleteOrphans: true })).content[0].text).not.toContain('password-reset');
+
+    await toolDefs.get('syncLocalTemplates').handler({ deleteOrphans: true, dryRun: false });
+    expect(mockClient.deleteTemplate).toHaveBeenCalledWith('password-reset');
+    expect(JSON.parse(await readFile(join(dir, '.postmark-sync.json'), 'utf8')).default).not.toHaveProperty('password-reset');
+  });
+
+  it('limits the sync to the given categories', async () => {
+    const res = await toolDefs.get('syncLocalTemplates').handler({ categories: ['plain'], deleteOrphans: true });
+    expect(res.content[0].text).toContain('Create: 1 | Update: 0 | Unchanged: 0 | Delete: 0');
+  });
+});
+
+describe('exportTemplates', () => {
+  let dir;
+  let toolDefs;
+  let mockClient;
+
+  beforeEach(async () => {
+    dir = await mkdtemp(join(tmpdir(), 'postmark-export-'));
+    process.env.POSTMARK_TEMPLATES_PATH = dir;
+    const templates = {
+      1: { TemplateId: 1, Alias: 'basic.welcome', Name: 'Welcome', TemplateType: 'Standard', Subject: 'Hi {{name}}', HtmlBody: '<p>Hi</p>', TextBody: 'Hi', LayoutTemplate: 'main-layout' },
+      2: { TemplateId: 2, Alias: 'main-layout', Name: 'Main layout', TemplateType: 'Layout', Subject: null, HtmlBody: '<div>{{{@content}}}</div>', TextBody: null },
+      3: { TemplateId: 3, Alias: null, Name: 'Receipt', TemplateType: 'Standard', Subject: 'Receipt', HtmlBody: null, TextBody: 'Total' },
+      4: { TemplateId: 4, Alias: null, Name: 'Receipt', TemplateType: 'Standard', Subject: 'Receipt 2', HtmlBody: null, TextBody: 'Total 2' },
+    };
+    mockClient = {
+      getTemplates: vi.fn().mockResolvedValue({ TotalCount: 4, Templates: Object.values(templates) }),
+      getTemplate: vi.fn(async (id) => templates[id]),
+      createTemplate: vi.fn().mockResolvedValue({ TemplateId: 10 }),
+      editTemplate: vi.fn().mockResolvedValue({}),
+    };
+    toolDefs = registerToolDefs(mockClient);
+  });
+
+  afterEach(async () => {
+    delete process.env.POSTMARK_TEMPLATES_PATH;
+    await rm(dir, { recursive: true, force: true });
+  });
+
+  it('writes templates and layouts in the local layout with meta.json', async () => {
+    const res = await toolDefs.get('exportTemplates').handler({});
+    const text = res.content[0].text;
+    expect(text).toContain('Exported: 4 | Skipped: 0 | Failed: 0');
+    expect(text).toContain('• **Welcome** (Standard) → basic/welcome: Exported');
+    expect(text).toContain('• **Main layout** (Layout) → layouts/main-layout: Exported');
+    expect(text).toContain('→ server/Receipt-4: Exported');
+
+    expect(await readFile(join(dir, 'basic', 'welcome', 'content.html'), 'utf8')).toBe('<p>Hi</p>');
+    expect(JSON.parse(await readFile(join(dir, 'basic', 'welcome', 'meta.json'), 'utf8'))).toEqual({ name: 'Welcome', alias: 'basic.welcome', type: 'Standard', templateId: 1, subject: 'Hi {{name}}', layout: 'main-layout' });
+    expect(JSON.parse(await readFile(join(dir, 'layouts', 'main-layout', 'meta.json'), 'utf8'))).toEqual({ name: 'Main layout', alias: 'main-layout', type: 'Layout', templateId: 2 });
+    expect(await readFile(join(dir, 'server', 'Receipt', 'content.txt'), 'utf8')).toBe('Total');
+
+    const again = await toolDefs.get('exportTemplates').handler({});
+    expect(again.content[0].text).toContain('Exported: 0 | Skipped: 4 | Failed: 0');
+  });
+
+  it('only exports inside the local templates path', async () => {
+    const res = await toolDefs.get('exportTemplates').handler({ outputPath: 'backup' });
+    expect(res.structuredContent.outputPath).toBe(join(dir, 'backup'));
+    expect(await readFile(join(dir, 'backup', 'basic', 'welcome', 'content.html'), 'utf8')).toBe('<p>Hi</p>');
+
+    await expect(toolDefs.get('exportTemplates').handler({ outputPath: '../elsewhere' })).rejects.toThrow('outputPath must be inside the local templates path');
+    await expect(toolDefs.get('exportTemplates').handler({ outputPath: tmpdir() })).rejects.toThrow('outputPath must be inside the local templates path');
+    expect(mockClient.getTemplates).toHaveBeenCalledTimes(1);
+  });
+
+  it('round-trips through syncLocalTemplates without changes', async () => {
+    await toolDefs.get('exportTemplates').handler({});
+    const aliased = { 1: 'basic.welcome', 2: 'main-layout' };
+    mockClient.getTemplates.mockResolvedValue({ TotalCount: 2, Templates: [1, 2].map((id) => ({ TemplateId: id, Alias: aliased[id] })) });
+    const templatesByAlias = Object.fromEntries(await Promise.all([1, 2].map(async (id) => [aliased[id], await mockClient.getTemplate(id)])));
+    mockClient.getTemplate.mockImplementation(async (key) => templatesByAlias[key]);
+
+    const res = await toolDefs.get('syncLocalTemplates').handler({ categories: ['basic', 'layouts'] });
+    expect(res.content[0].text).toContain('Create: 0 | Update: 0 | Unchanged: 2 | Delete: 0');
+  });
+});
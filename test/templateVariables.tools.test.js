@@ -0,0 +1,86 @@
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import { join } from 'path';
+import { tmpdir } from 'os';
+import { mkdtemp, mkdir, rm, writeFile } from 'fs/promises';
+import { registerToolDefs } from './toolHarness.js';
+import { extractModelSchema, validateModel } from '../src/helpers/modelSchema.js';
+
+describe('template variables', () => {
+  let dir;
+  let toolDefs;
+  let mockClient;
+  const templates = {
+    receipt: { TemplateId: 7, Name: 'Receipt', Alias: 'receipt', Subject: 'Receipt for {{name}}', HtmlBody: '{{#each items}}<li>{{description}}: {{amount}}</li>{{/each}}{{#coupon}}{{code}}{{/coupon}}', TextBody: null, LayoutTemplate: 'main' },
+    main: { TemplateId: 1, Name: 'Main', Alias: 'main', TemplateType: 'Layout', HtmlBody: '{{{@content}}}<footer>{{company.name}}</footer>', TextBody: null },
+  };
+
+  beforeEach(async () => {
+    dir = await mkdtemp(join(tmpdir(), 'postmark-variables-'));
+    await mkdir(join(dir, 'basic', 'welcome'), { recursive: true });
+    await writeFile(join(dir, 'basic', 'welcome', 'content.html'), '<title>Welcome {{name}}</title><p>{{#if_trial}}Trial ends {{trial_end}}{{/if_trial}}</p>');
+    process.env.POSTMARK_TEMPLATES_PATH = dir;
+    process.env.DEFAULT_SENDER_EMAIL = 'from@example.com';
+    process.env.DEFAULT_MESSAGE_STREAM = 'outbound';
+    mockClient = {
+      getTemplate: vi.fn(async (idOrAlias) => Object.values(templates).find((t) => t.Alias === idOrAlias || t.TemplateId === idOrAlias)),
+      sendEmailWithTemplate: vi.fn().mockResolvedValue({ MessageID: 'mid-1' }),
+    };
+    toolDefs = registerToolDefs(mockClient);
+  });
+
+  afterEach(async () => {
+    delete process.env.POSTMARK_TEMPLATES_PATH;
+    await rm(dir, { recursive: true, force: true });
+  });
+
+  it('builds a JSON Schema with nested objects, lists and optional section variables', () => {
+    const schema = extractModelSchema(['Hi {{name}} {{company.name}}', '{{#each items}}{{title}} {{../currency}}{{/each}}{{#user}}{{email}}{{/user}}{{^vip}}{{hint}}{{/vip}}{{#each tags}}{{.}}{{/each}}']);
+    expect(schema).toEqual({
+      $schema: 'https://json-schema.org/draft/2020-12/schema',
+      type: 'object',
+      properties: {
+        name: { type: ['string', 'number', 'boolean'] },
+        company: { type: 'object', properties: { name: { type: ['string', 'number', 'boolean'] } }, required: ['name'] },
+        items: { type: 'array', items: { type: 'object', properties: { title: { type: ['string', 'number', 'boolean'] } }, required: ['title'] } },
+        currency: { type: ['string', 'number', 'boolean'] },
+        user: { type: 'object', properties: { email: { type: ['string', 'number', 'boolean'] } }, required: ['email'] },
+        vip: {},
+        hint: { type: ['string', 'number', 'boolean'] },
+        tags: { type: 'array', items: {} },
+      },
+      required: ['name', 'company'],
+    });
+    expect(validateModel(schema, { name: 'Jane', company: { name: 'Acme' }, items: [{ title: 'a' }, {}], user: { email: ['x'] }, tags: ['a', 1], extra: true })).toEqual([
+      "Missing required variable 'items[1].title'",
+      'user.email must be string or number or boolean (got array)',
+    ]);
+    expect(validateModel(schema, {})).toEqual(["Missing required variable 'name'", "Missing required variable 'company'"]);
+  });
+
+  it('extracts variables from server templates and their layout', async () => {
+    const text = (await toolDefs.get('extractTemplateVariables').handler({ templateAlias: 'receipt' })).content[0].text;
+    expect(mockClient.getTemplate).toHaveBeenCalledWith('main');
+    expect(text).toContain('Template Variables: Receipt (server template 7, alias receipt)');
+    expect(text).toContain('• name (value, required)\n• items (list, optional)\n• items[].description (value, required)\n• items[].amount (value, required)\n• coupon (object, optional)\n• coupon.code (value, required)\n• company (object, required)\n• company.name (value, required)');
+    expect(text).toContain('"$schema": "https://json-schema.org/draft/2020-12/schema"');
+  });
+
+  it('extracts variables from local templates, including the <title> subject', async () => {
+    const text = (await toolDefs.get('extractTemplateVariables').handler({ categoryName: 'basic', templateName: 'welcome' })).content[0].text;
+    expect(text).toContain('• name (value, required)\n• if_trial (object, optional)\n• if_trial.trial_end (value, required)');
+  });
+
+  it('sendEmailWithTemplate refuses models missing required variables before calling Postmark', async () => {
+    const send = toolDefs.get('sendEmailWithTemplate').handler;
+    await expect(send({ to: 'a@example.com', templateAlias: 'receipt', templateModel: { name: 'Jane', items: [{ description: 'Tea' }] }, validateTemplateModel: true }))
+      .rejects.toThrow("templateModel does not match Receipt (server template 7, alias receipt):\n• Missing required variable 'company'\n• Missing required variable 'items[0].amount'");
+    expect(mockClient.sendEmailWithTemplate).not.toHaveBeenCalled();
+
+    await send({ to: 'a@example.com', templateAlias: 'receipt', templateModel: { name: 'Jane', company: { name: 'Acme' } }, validateTemplateModel: true });
+    expect(mockClient.sendEmailWithTemplate).toHaveBeenCalledTimes(1);
+
+    // Without the flag the model is passed through unchecked
+    await send({ to: 'a@example.com', templateAlias: 'receipt', templateModel: {} });
+    expect(mockClient.sendEmailWithTemplate).toHaveBeenCalledTimes(2);
+  });
+});
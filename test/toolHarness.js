@@ -0,0 +1,24 @@
+import { vi } from 'vitest';
+import { registerTools } from '../index.js';
+
+/**
+ * Registers every tool against a stub MCP server and returns them by name, each with its zod input
+ * shape (`schema`) and `handler`, so tests can call handlers directly.
+ * @param {object} client Postmark client mock
+ * @param {ReturnType<typeof import('../src/profiles.js').createProfileRegistry>} [profiles]
+ * @returns {Map<string, {schema: object, handler: Function}>}
+ */
+export function registerToolDefs(client, profiles) {
+  const toolDefs = new Map();
+  registerTools({ registerTool: vi.fn((name, { inputSchema: schema }, handler) => toolDefs.set(name, { schema, handler })) }, client, profiles);
+  return toolDefs;
+}
+
+/**
+ * Stands in for a fetch Response with a JSON body.
+ * @param {any} data
+ * @param {{status?: number, headers?: Record<string, string>}} [options]
+ */
+export function jsonResponse(data, { status = 200, headers = {} } = {}) {
+  return { ok: status < 400, status, statusText: '', headers: { get: (name) => headers[name] ?? null }, json: async () => data };
+}
@@ -0,0 +1,52 @@
+import { describe, it, expect, beforeAll, afterAll } from 'vitest';
+import { join } from 'path';
+import { tmpdir } from 'os';
+import { mkdtemp, rm } from 'fs/promises';
+import { registerToolDefs } from './toolHarness.js';
+import { startWebhookServer } from '../src/webhookServer.js';
+
+describe('webhook receiver', () => {
+  let dir;
+  let receiver;
+  let url;
+  const auth = `Basic ${Buffer.from('hook:secret').toString('base64')}`;
+  const post = (body, headers = { Authorization: auth }) =>
+    fetch(url, { method: 'POST', headers: { 'Content-Type': 'application/json', ...headers }, body: JSON.stringify(body) });
+
+  beforeAll(async () => {
+    dir = await mkdtemp(join(tmpdir(), 'postmark-webhooks-'));
+    process.env.POSTMARK_WEBHOOK_STORE = join(dir, 'events.jsonl');
+    receiver = await startWebhookServer({ port: 0, username: 'hook', password: 'secret', storePath: process.env.POSTMARK_WEBHOOK_STORE });
+    url = `http://127.0.0.1:${receiver.port}/`;
+  });
+
+  afterAll(async () => {
+    await receiver.close();
+    delete process.env.POSTMARK_WEBHOOK_STORE;
+    await rm(dir, { recursive: true, force: true });
+  });
+
+  it('rejects requests without valid credentials', async () => {
+    expect((await post({ RecordType: 'Delivery' }, {})).status).toBe(401);
+    expect((await post({ RecordType: 'Delivery' }, { Authorization: `Basic ${Buffer.from('hook:wrong').toString('base64')}` })).status).toBe(401);
+  });
+
+  it('stores events that can be queried through queryWebhookEvents', async () => {
+    expect((await post({ RecordType: 'Delivery', MessageID: 'mid-1', Recipient: 'Jane@Example.com', Details: 'smtp;250 OK' })).status).toBe(200);
+    expect((await post({ RecordType: 'Bounce', MessageID: 'mid-2', Email: 'bob@example.com', Name: 'Hard bounce' })).status).toBe(200);
+    expect((await post({ FromFull: { Email: 'c@example.com' }, OriginalRecipient: 'in@example.com', Subject: 'Hi', Attachments: [{ Name: 'a.txt', Content: 'QQ==' }] })).status).toBe(200);
+
+    const toolDefs = registerToolDefs({});
+    const { handler } = toolDefs.get('queryWebhookEvents');
+
+    const byRecipient = (await handler({ recipient: 'jane@example.com' })).content[0].text;
+    expect(byRecipient).toContain('Found 1 webhook events');
+    expect(byRecipient).toContain('**Delivery** (jane@example.com)');
+
+    const inbound = (await handler({ type: 'Inbound', includePayload: true })).content[0].text;
+    expect(inbound).toContain('in@example.com');
+    expect(inbound).not.toContain('QQ==');
+
+    expect((await handler({ messageId: 'mid-2' })).content[0].text).toContain('Hard bounce');
+  });
+});